@@ -4,6 +4,7 @@ import Sidebar from './components/Sidebar';
 import Dashboard from './components/Dashboard';
 import ChatPanel from './components/ChatPanel';
 import YearFilter from './components/YearFilter';
+import MetricToggle from './components/MetricToggle';
 import { MessageCircle, X } from 'lucide-react';
 import { api } from './config';
 
@@ -25,6 +26,9 @@ async function fetchWithRateLimit(url) {
 
 function App() {
   const [activeView, setActiveView] = useState('overview');
+  const [selectedCountry, setSelectedCountry] = useState(null);
+  const [selectedIndustry, setSelectedIndustry] = useState(null);
+  const [previousView, setPreviousView] = useState('overview');
   const [isChatOpen, setIsChatOpen] = useState(false);
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [emissionsData, setEmissionsData] = useState(null);
@@ -35,15 +39,18 @@ function App() {
   const [yearRange, setYearRange] = useState({ since: 2025, to: 2025 });
   const [availableYears, setAvailableYears] = useState([]);
 
+  // Ranking metric: 'absolute' | 'per_capita' | 'per_gdp'
+  const [metric, setMetric] = useState('absolute');
+
   // Fetch available years on mount
   useEffect(() => {
     fetchAvailableYears();
   }, []);
 
-  // Fetch emissions data when year changes
+  // Fetch emissions data when year or ranking metric changes
   useEffect(() => {
     fetchEmissionsData();
-  }, [yearRange]);
+  }, [yearRange, metric]);
 
   const fetchAvailableYears = async () => {
     try {
@@ -65,13 +72,14 @@ function App() {
         to: yearRange.to
       });
 
-      const [summary, industries, sectors, trends, regions, countries] = await Promise.all([
+      const [summary, industries, sectors, trends, regions, countries, taxonomy] = await Promise.all([
         fetchWithRateLimit(`${api.emissions.summary}?${params}`),
         fetchWithRateLimit(`${api.emissions.byIndustry}?${params}`),
         fetchWithRateLimit(`${api.emissions.bySector}?${params}`),
         fetchWithRateLimit(`${api.emissions.trends}?startYear=${Math.min(...availableYears) || 2019}&endYear=${yearRange.to}`),
-        fetchWithRateLimit(`${api.emissions.byRegion}?${params}`),
-        fetchWithRateLimit(`${api.emissions.countries}?${params}&limit=20`),
+        fetchWithRateLimit(`${api.emissions.byRegion}?${params}&metric=${metric}`),
+        fetchWithRateLimit(`${api.emissions.countries}?${params}&limit=20&metric=${metric}`),
+        fetchWithRateLimit(api.emissions.taxonomy),
       ]);
 
       setEmissionsData({
@@ -79,9 +87,11 @@ function App() {
         industries: industries.industries || [],
         sectors: sectors.sectors || [],
         trends: trends.trends || [],
+        trendUnits: trends.units || null,
         regions: regions.regions || [],
         topCountries: regions.topCountries || [],
         countries,
+        taxonomy,
       });
     } catch (err) {
       console.error('Failed to fetch emissions data:', err);
@@ -89,12 +99,30 @@ function App() {
     } finally {
       setLoading(false);
     }
-  }, [yearRange, availableYears]);
+  }, [yearRange, availableYears, metric]);
 
   const handleYearChange = (newRange) => {
     setYearRange(newRange);
   };
 
+  // Open the country drill-down, remembering where the user came from
+  const handleSelectCountry = (iso3) => {
+    if (!iso3) return;
+    if (activeView !== 'country') setPreviousView(activeView);
+    setSelectedCountry(iso3);
+    setActiveView('country');
+  };
+
+  // Open the industries view with an industry (category id) selected
+  const handleSelectIndustry = (id) => {
+    setSelectedIndustry(id);
+    setActiveView('industries');
+  };
+
+  const handleBack = () => {
+    setActiveView(previousView);
+  };
+
   return (
     <div className="min-h-screen bg-dark-950 flex">
       {/* Background effects */}
@@ -122,11 +150,14 @@ function App() {
                 </span>
               )}
             </div>
-            <YearFilter
-              yearRange={yearRange}
-              availableYears={availableYears}
-              onChange={handleYearChange}
-            />
+            <div className="flex items-center gap-2 sm:gap-3">
+              <MetricToggle metric={metric} onChange={setMetric} />
+              <YearFilter
+                yearRange={yearRange}
+                availableYears={availableYears}
+                onChange={handleYearChange}
+              />
+            </div>
           </div>
         </div>
 
@@ -137,6 +168,12 @@ function App() {
           error={error}
           yearRange={yearRange}
           onYearChange={handleYearChange}
+          metric={metric}
+          selectedCountry={selectedCountry}
+          onSelectCountry={handleSelectCountry}
+          selectedIndustry={selectedIndustry}
+          onSelectIndustry={handleSelectIndustry}
+          onBack={handleBack}
         />
       </main>
 
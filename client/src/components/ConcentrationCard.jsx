@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import {
+  AreaChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import ChartCard from './charts/ChartCard';
+import { api } from '../config';
+
+const subjectOptions = [
+  { id: 'countries', label: 'Countries' },
+  { id: 'sectors', label: 'Sectors' }
+];
+
+// Top-N shares shown next to the chart
+const TOP_SIZES = [1, 5, 10];
+
+function LorenzTooltip({ active, payload, subject }) {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="custom-tooltip">
+      <p className="text-white text-sm">
+        Smallest {point.population}% of {subject} emit {point.emissions}%
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Lorenz curve and concentration indices over countries or sectors.
+ * Loads its own data from the concentration analytics endpoint.
+ */
+export default function ConcentrationCard({ yearRange }) {
+  const [subject, setSubject] = useState('countries');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchConcentration();
+  }, [yearRange]);
+
+  const fetchConcentration = async () => {
+    setError(null);
+    try {
+      const params = new URLSearchParams({
+        since: yearRange?.since || 2023,
+        to: yearRange?.to || 2023
+      });
+      const response = await fetch(`${api.emissions.concentration}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch concentration:', err);
+      setError(err.message);
+    }
+  };
+
+  const stats = data?.[subject];
+  // Equal-distribution diagonal drawn alongside the curve
+  const chartData = stats?.lorenz.map(point => ({ ...point, equality: point.population })) || [];
+
+  return (
+    <ChartCard title="Emissions Concentration" subtitle={data ? `Lorenz curve, ${data.unit}` : 'How unevenly emissions are spread'}>
+      <div className="flex bg-dark-800 rounded-lg p-1 w-fit mb-4">
+        {subjectOptions.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setSubject(option.id)}
+            className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+              ${subject === option.id ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-400">{error}</p>
+      ) : !data ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-lens-400"></div>
+        </div>
+      ) : !stats?.count ? (
+        <p className="text-sm text-dark-500">No {subject.slice(0, -1)} data for this period</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="md:col-span-2 h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={chartData}>
+                <defs>
+                  <linearGradient id="lorenzGradient" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor="#22c55e" stopOpacity={0.3} />
+                    <stop offset="95%" stopColor="#22c55e" stopOpacity={0} />
+                  </linearGradient>
+                </defs>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis
+                  dataKey="population"
+                  type="number"
+                  domain={[0, 100]}
+                  stroke="#9ca3af"
+                  fontSize={12}
+                  tickFormatter={(value) => `${value}%`}
+                />
+                <YAxis domain={[0, 100]} stroke="#9ca3af" fontSize={12} tickFormatter={(value) => `${value}%`} />
+                <Tooltip content={<LorenzTooltip subject={subject} />} />
+                <Area type="linear" dataKey="emissions" stroke="#22c55e" strokeWidth={2} fill="url(#lorenzGradient)" />
+                <Line type="linear" dataKey="equality" stroke="#64748b" strokeDasharray="4 4" dot={false} />
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div className="p-3 rounded-lg bg-dark-800/50">
+                <p className="text-xs text-dark-400">Gini</p>
+                <p className="text-xl font-bold text-white">{stats.gini}</p>
+              </div>
+              <div className="p-3 rounded-lg bg-dark-800/50" title="Herfindahl-Hirschman index, 0-10,000">
+                <p className="text-xs text-dark-400">HHI</p>
+                <p className="text-xl font-bold text-white">{stats.hhi.toLocaleString()}</p>
+              </div>
+            </div>
+            <p className="text-xs text-dark-400">
+              Same concentration as <span className="text-white font-medium">{stats.effectiveNumber}</span> equal emitters, out of {stats.count}.
+            </p>
+            <ul className="space-y-1.5 text-sm">
+              {TOP_SIZES.filter(n => stats.topShares[n] !== undefined).map(n => (
+                <li key={n} className="flex items-center justify-between">
+                  <span className="text-dark-400">{n === 1 ? `Largest (${stats.curve[0].name})` : `Top ${n}`}</span>
+                  <span className="font-mono text-white">{stats.topShares[n]}%</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </ChartCard>
+  );
+}
@@ -6,6 +6,16 @@ import TrendsView from './views/TrendsView';
 import RegionsView from './views/RegionsView';
 import InsightsView from './views/InsightsView';
 import GasesView from './views/GasesView';
+import CountryView from './views/CountryView';
+import TargetsView from './views/TargetsView';
+import BudgetView from './views/BudgetView';
+import ScenariosView from './views/ScenariosView';
+import DecompositionView from './views/DecompositionView';
+import CumulativeView from './views/CumulativeView';
+import ReconcileView from './views/ReconcileView';
+import AssetsView from './views/AssetsView';
+import MapView from './views/MapView';
+import MatrixView from './views/MatrixView';
 import LoadingState from './LoadingState';
 
 const views = {
@@ -15,8 +25,21 @@ const views = {
   regions: RegionsView,
   gases: GasesView,
   insights: InsightsView,
+  country: CountryView,
+  targets: TargetsView,
+  budget: BudgetView,
+  scenarios: ScenariosView,
+  drivers: DecompositionView,
+  history: CumulativeView,
+  reconcile: ReconcileView,
+  assets: AssetsView,
+  map: MapView,
+  matrix: MatrixView,
 };
 
+// Views that fetch their own data and don't wait on the shared dashboard load
+const selfLoadingViews = ['gases', 'country', 'targets', 'budget', 'scenarios', 'drivers', 'history', 'reconcile', 'assets', 'map', 'matrix'];
+
 function ErrorState({ message, onRetry }) {
   const isRateLimit = message?.toLowerCase().includes('rate limit');
   
@@ -53,10 +76,10 @@ function ErrorState({ message, onRetry }) {
   );
 }
 
-export default function Dashboard({ activeView, data, loading, error, yearRange, onYearChange }) {
+export default function Dashboard({ activeView, data, loading, error, yearRange, onYearChange, metric, selectedCountry, onSelectCountry, selectedIndustry, onSelectIndustry, onBack }) {
   const View = views[activeView] || OverviewView;
 
-  if (loading && activeView !== 'gases') {
+  if (loading && !selfLoadingViews.includes(activeView)) {
     return <LoadingState />;
   }
 
@@ -72,7 +95,7 @@ export default function Dashboard({ activeView, data, loading, error, yearRange,
     <div className="min-h-screen p-4 md:p-6 lg:p-8 pt-4">
       <AnimatePresence mode="wait">
         <motion.div
-          key={activeView}
+          key={activeView === 'country' ? `country-${selectedCountry}` : activeView}
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
           exit={{ opacity: 0, y: -20 }}
@@ -82,6 +105,12 @@ export default function Dashboard({ activeView, data, loading, error, yearRange,
             data={data} 
             yearRange={yearRange}
             onYearChange={onYearChange}
+            metric={metric}
+            country={selectedCountry}
+            onSelectCountry={onSelectCountry}
+            industry={selectedIndustry}
+            onSelectIndustry={onSelectIndustry}
+            onBack={onBack}
           />
         </motion.div>
       </AnimatePresence>
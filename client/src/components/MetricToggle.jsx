@@ -0,0 +1,29 @@
+// Ranking metrics shared by every country and region chart
+export const metricOptions = {
+  absolute: { label: 'Absolute', unit: 'MT', countryField: 'co2', field: 'emissions', decimals: 0 },
+  per_capita: { label: 'Per capita', unit: 't/person', countryField: 'co2_per_capita', field: 'perCapita', decimals: 2 },
+  per_gdp: { label: 'Per $GDP', unit: 'kg/$', countryField: 'co2_per_gdp', field: 'perGdp', decimals: 3 }
+};
+
+export function formatMetric(value, metric) {
+  if (value === null || value === undefined) return 'n/a';
+  const { decimals } = metricOptions[metric] || metricOptions.absolute;
+  return value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+export default function MetricToggle({ metric, onChange }) {
+  return (
+    <div className="flex bg-dark-800/80 border border-dark-700 rounded-lg p-1">
+      {Object.entries(metricOptions).map(([key, option]) => (
+        <button
+          key={key}
+          onClick={() => onChange(key)}
+          className={`px-2 sm:px-3 py-1 rounded-md text-xs sm:text-sm font-medium transition-colors whitespace-nowrap
+            ${metric === key ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
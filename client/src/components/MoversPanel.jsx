@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react';
+import { ArrowUp, ArrowDown } from 'lucide-react';
+import ChartCard from './charts/ChartCard';
+import { api } from '../config';
+
+const subjectOptions = [
+  { id: 'country', label: 'Countries' },
+  { id: 'sector', label: 'Sectors' },
+  { id: 'region', label: 'Regions' }
+];
+
+// Each mode pairs an "up" and a "down" list from /api/emissions/movers
+const modeOptions = [
+  { id: 'absolute', label: 'Change', up: 'increases', down: 'decreases', upTitle: 'Largest increases', downTitle: 'Largest decreases' },
+  { id: 'percent', label: '% Change', up: 'percentIncreases', down: 'percentDecreases', upTitle: 'Fastest growth', downTitle: 'Fastest decline' },
+  { id: 'rank', label: 'Rank', up: 'rankClimbs', down: 'rankFalls', upTitle: 'Rank climbs', downTitle: 'Rank falls' },
+  { id: 'top', label: 'Top N', up: 'entered', down: 'left', upTitle: 'Entered the top', downTitle: 'Left the top' }
+];
+
+const FIRST_YEAR = 2015;
+
+const inputClass = 'bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:border-lens-500';
+
+function describeMove(mover, mode, unit) {
+  if (mode === 'rank' || mode === 'top') {
+    return `#${mover.fromRank ?? '–'} → #${mover.toRank ?? '–'}`;
+  }
+  if (mode === 'percent') {
+    return `${mover.changePercent > 0 ? '+' : ''}${mover.changePercent}%`;
+  }
+  return `${mover.change > 0 ? '+' : ''}${mover.change.toLocaleString()} ${unit}`;
+}
+
+function MoverList({ title, movers, mode, unit, up, onSelect }) {
+  const Icon = up ? ArrowUp : ArrowDown;
+  return (
+    <div>
+      <h4 className={`flex items-center gap-1.5 text-sm font-medium mb-3 ${up ? 'text-red-400' : 'text-green-400'}`}>
+        <Icon className="w-4 h-4" />
+        {title}
+      </h4>
+      {movers.length === 0 ? (
+        <p className="text-sm text-dark-500">None</p>
+      ) : (
+        <ul className="space-y-2">
+          {movers.map(mover => (
+            <li key={mover.id} className="flex items-center justify-between gap-3 text-sm">
+              {onSelect ? (
+                <button onClick={() => onSelect(mover.id)} className="text-white hover:text-lens-400 transition-colors truncate text-left">
+                  {mover.name}
+                </button>
+              ) : (
+                <span className="text-white truncate">{mover.name}</span>
+              )}
+              <span className="text-right shrink-0">
+                <span className="font-mono text-white">{describeMove(mover, mode, unit)}</span>
+                <span className="block text-xs text-dark-500">
+                  {mover.from.toLocaleString()} → {mover.to.toLocaleString()}
+                </span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Biggest movers between two years for countries, sectors or regions.
+ * Loads its own data so it can compare years outside the dashboard range.
+ */
+export default function MoversPanel({ year = 2023, onSelectCountry }) {
+  const [subject, setSubject] = useState('country');
+  const [mode, setMode] = useState('absolute');
+  const [from, setFrom] = useState(year - 1);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (from >= year) setFrom(year - 1);
+  }, [year]);
+
+  useEffect(() => {
+    if (from < year) fetchMovers();
+  }, [subject, from, year]);
+
+  const fetchMovers = async () => {
+    setError(null);
+    try {
+      const params = new URLSearchParams({ by: subject, from, to: year, top: 10, limit: 5 });
+      const response = await fetch(`${api.emissions.movers}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch movers:', err);
+      setError(err.message);
+    }
+  };
+
+  const option = modeOptions.find(m => m.id === mode);
+  const years = Array.from({ length: Math.max(year - FIRST_YEAR, 0) }, (_, i) => FIRST_YEAR + i);
+  const onSelect = subject === 'country' ? onSelectCountry : null;
+
+  return (
+    <ChartCard
+      title="Biggest Movers"
+      subtitle={data ? `${data.unit}, ${data.from} to ${data.to}${mode === 'absolute' ? '' : ` · among the top ${data.top}`}` : 'Change between two years'}
+    >
+      <div className="flex flex-wrap items-center gap-2 mb-5">
+        <div className="flex bg-dark-800 rounded-lg p-1">
+          {subjectOptions.map(s => (
+            <button
+              key={s.id}
+              onClick={() => setSubject(s.id)}
+              className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+                ${subject === s.id ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex bg-dark-800 rounded-lg p-1">
+          {modeOptions.map(m => (
+            <button
+              key={m.id}
+              onClick={() => setMode(m.id)}
+              className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+                ${mode === m.id ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        <select value={from} onChange={(e) => setFrom(parseInt(e.target.value))} className={inputClass}>
+          {years.map(y => (
+            <option key={y} value={y}>Since {y}</option>
+          ))}
+        </select>
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-400">{error}</p>
+      ) : !data ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-lens-400"></div>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <MoverList title={option.upTitle} movers={data[option.up]} mode={mode} unit={data.unit} up onSelect={onSelect} />
+            <MoverList title={option.downTitle} movers={data[option.down]} mode={mode} unit={data.unit} onSelect={onSelect} />
+          </div>
+          {data.completeness.notes.length > 0 && (
+            <p className="text-xs text-dark-500 mt-4">{data.completeness.notes.join('. ')}</p>
+          )}
+        </>
+      )}
+    </ChartCard>
+  );
+}
@@ -5,11 +5,20 @@ import {
   Factory, 
   TrendingUp, 
   Globe2, 
+  Map as MapIcon,
+  Grid3x3,
   Leaf,
   Search,
   Settings,
   HelpCircle,
   Flame,
+  Target,
+  Hourglass,
+  FlaskConical,
+  Layers,
+  History,
+  GitCompare,
+  Building2,
   Menu,
   X
 } from 'lucide-react';
@@ -19,7 +28,16 @@ const menuItems = [
   { id: 'industries', label: 'Industries', icon: Factory },
   { id: 'trends', label: 'Trends', icon: TrendingUp },
   { id: 'regions', label: 'Regions', icon: Globe2 },
+  { id: 'map', label: 'Map', icon: MapIcon },
+  { id: 'matrix', label: 'Matrix', icon: Grid3x3 },
   { id: 'gases', label: 'All Gases', icon: Flame },
+  { id: 'targets', label: 'Targets', icon: Target },
+  { id: 'budget', label: 'Carbon Budget', icon: Hourglass },
+  { id: 'scenarios', label: 'Scenarios', icon: FlaskConical },
+  { id: 'drivers', label: 'Drivers', icon: Layers },
+  { id: 'history', label: 'History', icon: History },
+  { id: 'reconcile', label: 'Compare Sources', icon: GitCompare },
+  { id: 'assets', label: 'Assets', icon: Building2 },
   { id: 'insights', label: 'Web Insights', icon: Search },
 ];
 
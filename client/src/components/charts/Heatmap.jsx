@@ -0,0 +1,131 @@
+import { useState, useMemo } from 'react';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+
+const HEAT_COLOR = '249, 115, 22';
+
+function formatValue(value) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: value < 10 ? 2 : 0 });
+}
+
+/**
+ * Sortable heatmap of a row × column grid, as returned by /api/emissions/matrix.
+ * Cells are shaded by share when the rows carry `shares`, otherwise by value
+ * relative to the largest cell.
+ */
+export default function Heatmap({ rows, columns, unit, onSelectRow, onSelectColumn }) {
+  const [sort, setSort] = useState({ by: 'total', order: 'desc' });
+
+  const normalized = rows.some(row => row.shares);
+  const maxValue = useMemo(() => Math.max(...rows.flatMap(row => row.values), 0), [rows]);
+
+  const sortedRows = useMemo(() => {
+    const valueOf = row => {
+      if (sort.by === 'name') return row.name;
+      if (sort.by === 'total') return row.total;
+      return (normalized ? row.shares : row.values)[sort.by];
+    };
+    const direction = sort.order === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+      const [x, y] = [valueOf(a), valueOf(b)];
+      return (typeof x === 'string' ? x.localeCompare(y) : x - y) * direction;
+    });
+  }, [rows, sort, normalized]);
+
+  const toggleSort = (by) => {
+    setSort(current => current.by === by
+      ? { by, order: current.order === 'asc' ? 'desc' : 'asc' }
+      : { by, order: by === 'name' ? 'asc' : 'desc' });
+  };
+
+  const SortIcon = ({ by }) => sort.by === by && (sort.order === 'asc'
+    ? <ChevronUp className="w-3 h-3 shrink-0" />
+    : <ChevronDown className="w-3 h-3 shrink-0" />);
+
+  const intensity = (row, index) => (normalized
+    ? row.shares[index] / 100
+    : (maxValue > 0 ? row.values[index] / maxValue : 0));
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full border-separate border-spacing-0.5">
+        <thead>
+          <tr>
+            <th className="sticky left-0 bg-dark-900 text-left align-bottom pb-2 pr-2 text-xs font-semibold text-dark-400 uppercase tracking-wider">
+              <button
+                onClick={() => toggleSort('name')}
+                className={`inline-flex items-center gap-1 hover:text-white transition-colors ${sort.by === 'name' ? 'text-white' : ''}`}
+              >
+                Name
+                <SortIcon by="name" />
+              </button>
+            </th>
+            {columns.map((column, index) => (
+              <th key={column.id} className="align-bottom pb-2 px-1 text-xs font-medium text-dark-400 min-w-[4.5rem]">
+                <button
+                  onClick={() => toggleSort(index)}
+                  className={`inline-flex items-end gap-1 text-left hover:text-white transition-colors ${sort.by === index ? 'text-white' : ''}`}
+                  title={`Sort by ${column.name}`}
+                >
+                  <span className="w-2 h-2 mb-1 rounded-full shrink-0" style={{ backgroundColor: column.color }}></span>
+                  <span className="line-clamp-2">{column.name}</span>
+                  <SortIcon by={index} />
+                </button>
+                {onSelectColumn && (
+                  <button
+                    onClick={() => onSelectColumn(column)}
+                    className="block text-[10px] text-lens-400 hover:text-lens-300 mt-0.5"
+                  >
+                    Open
+                  </button>
+                )}
+              </th>
+            ))}
+            <th className="align-bottom pb-2 pl-2 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">
+              <button
+                onClick={() => toggleSort('total')}
+                className={`inline-flex items-center gap-1 hover:text-white transition-colors ${sort.by === 'total' ? 'text-white' : ''}`}
+              >
+                Total
+                <SortIcon by="total" />
+              </button>
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {sortedRows.map(row => (
+            <tr key={row.id}>
+              <td className="sticky left-0 bg-dark-900 py-1 pr-2 text-sm whitespace-nowrap">
+                {onSelectRow ? (
+                  <button onClick={() => onSelectRow(row)} className="text-white hover:text-lens-400 transition-colors">
+                    {row.name}
+                  </button>
+                ) : (
+                  <span className="text-white">{row.name}</span>
+                )}
+              </td>
+              {columns.map((column, index) => {
+                const value = row.values[index];
+                const alpha = Math.min(Math.max(intensity(row, index), 0), 1);
+                return (
+                  <td
+                    key={column.id}
+                    className="py-1 px-1 text-center font-mono text-xs rounded"
+                    style={{ backgroundColor: `rgba(${HEAT_COLOR}, ${(0.08 + alpha * 0.82).toFixed(2)})` }}
+                    title={`${row.name} · ${column.name}: ${formatValue(value)} ${unit}${normalized ? ` (${row.shares[index]}%)` : ''}`}
+                  >
+                    <span className={alpha > 0.45 ? 'text-white' : 'text-dark-300'}>
+                      {value > 0 ? (normalized ? `${row.shares[index]}%` : formatValue(value)) : '–'}
+                    </span>
+                  </td>
+                );
+              })}
+              <td className="py-1 pl-2 text-right font-mono text-sm text-white whitespace-nowrap">
+                {formatValue(row.total)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
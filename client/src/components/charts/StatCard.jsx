@@ -44,13 +44,14 @@ export default function StatCard({ stat, index }) {
       animate={{ opacity: 1, y: 0 }}
       transition={{ delay: index * 0.1 }}
       className={`p-5 rounded-2xl border ${colors.bg} ${colors.border} backdrop-blur-sm`}
+      title={stat.description}
       whileHover={{ scale: 1.02 }}
     >
       <div className="flex items-start justify-between mb-4">
         <div className={`w-10 h-10 rounded-xl flex items-center justify-center ${colors.icon}`}>
           <Icon size={20} />
         </div>
-        {stat.change !== undefined && (
+        {stat.change !== undefined && stat.change !== null && (
           <div className={`flex items-center gap-1 text-sm font-medium ${
             stat.change < 0 ? 'text-green-400' : 'text-red-400'
           }`}>
@@ -0,0 +1,443 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { Search, ChevronUp, ChevronDown, ChevronLeft, ChevronRight, X, MapPin } from 'lucide-react';
+import ChartCard from '../charts/ChartCard';
+import { api } from '../../config';
+
+// Wait for typing to settle before searching
+const SEARCH_DELAY = 400;
+
+const PAGE_SIZE = 25;
+
+const gasOptions = [
+  { id: 'co2e_100yr', label: 'CO2e (100yr)' },
+  { id: 'co2', label: 'CO2' },
+  { id: 'ch4', label: 'CH4' },
+  { id: 'n2o', label: 'N2O' }
+];
+
+const columns = [
+  { id: 'name', label: 'Asset' },
+  { id: 'country', label: 'Country' },
+  { id: 'sector', label: 'Sector' },
+  { id: 'emissions', label: 'Emissions', align: 'right' }
+];
+
+const inputClass = 'bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-lens-500';
+
+const containerVariants = {
+  hidden: { opacity: 0 },
+  show: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1 }
+  }
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  show: { opacity: 1, y: 0 }
+};
+
+export default function AssetsView({ country, onSelectCountry }) {
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [selectedCountry, setSelectedCountry] = useState(country || '');
+  const [sector, setSector] = useState('');
+  const [gas, setGas] = useState('co2e_100yr');
+  const [year, setYear] = useState(2023);
+  const [sort, setSort] = useState({ by: 'emissions', order: 'desc' });
+  const [page, setPage] = useState(1);
+  const [countries, setCountries] = useState([]);
+  const [sectors, setSectors] = useState([]);
+  const [years, setYears] = useState([]);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedAsset, setSelectedAsset] = useState(null);
+
+  useEffect(() => {
+    fetchOptions();
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    fetchAssets();
+  }, [query, selectedCountry, sector, gas, year, sort, page]);
+
+  const fetchOptions = async () => {
+    try {
+      const [yearsResponse, countriesResponse, sectorsResponse] = await Promise.all([
+        fetch(api.emissions.years),
+        fetch(api.emissions.countryDefinitions),
+        fetch(api.emissions.sectorDefinitions)
+      ]);
+      const { availableYears = [] } = await yearsResponse.json();
+      const countryDefinitions = await countriesResponse.json();
+      const sectorDefinitions = await sectorsResponse.json();
+      setYears(availableYears);
+      setCountries([...countryDefinitions].sort((a, b) => a.name.localeCompare(b.name)));
+      setSectors(Array.isArray(sectorDefinitions) ? sectorDefinitions : []);
+    } catch (err) {
+      console.error('Failed to fetch asset filters:', err);
+    }
+  };
+
+  const fetchAssets = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({
+        year,
+        gas,
+        sort: sort.by,
+        order: sort.order,
+        page,
+        pageSize: PAGE_SIZE
+      });
+      if (query) params.set('search', query);
+      if (selectedCountry) params.set('countries', selectedCountry);
+      if (sector) params.set('sectors', sector);
+
+      const response = await fetch(`${api.emissions.assets}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch assets:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const changeFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  const toggleSort = (by) => {
+    setSort(current => current.by === by
+      ? { by, order: current.order === 'asc' ? 'desc' : 'asc' }
+      : { by, order: by === 'emissions' ? 'desc' : 'asc' });
+    setPage(1);
+  };
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="space-y-6"
+    >
+      {/* Header */}
+      <motion.div variants={itemVariants}>
+        <h1 className="text-3xl font-display font-bold text-white mb-2">
+          Asset <span className="text-gradient">Explorer</span>
+        </h1>
+        <p className="text-dark-400">
+          The power plants, steel mills and other facilities behind national totals
+        </p>
+      </motion.div>
+
+      {/* Filters */}
+      <motion.div variants={itemVariants} className="glass rounded-2xl p-6">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div className="relative md:col-span-2">
+            <Search className="w-4 h-4 text-dark-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by name or type..."
+              className={`w-full pl-9 ${inputClass}`}
+            />
+          </div>
+          <select value={selectedCountry} onChange={changeFilter(setSelectedCountry)} className={inputClass}>
+            <option value="">All countries</option>
+            {countries.map(c => (
+              <option key={c.alpha3} value={c.alpha3}>{c.name}</option>
+            ))}
+          </select>
+          <select value={sector} onChange={changeFilter(setSector)} className={inputClass}>
+            <option value="">All sectors</option>
+            {sectors.map(slug => (
+              <option key={slug} value={slug}>{slug.replace(/-/g, ' ')}</option>
+            ))}
+          </select>
+          <div className="flex gap-2">
+            <select value={gas} onChange={changeFilter(setGas)} className={`flex-1 ${inputClass}`}>
+              {gasOptions.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            <select value={year} onChange={(e) => { setYear(parseInt(e.target.value)); setPage(1); }} className={inputClass}>
+              {(years.length > 0 ? years : [year]).map(y => <option key={y} value={y}>{y}</option>)}
+            </select>
+          </div>
+        </div>
+        {data && (
+          <p className="text-xs text-dark-500 mt-4">
+            {data.total.toLocaleString()} assets · {data.totalEmissions.toLocaleString()} {data.unit} in {data.year}
+            {loading && ' · Updating...'}
+            {data.completeness.notes.length > 0 && ` · ${data.completeness.notes.join('. ')}`}
+          </p>
+        )}
+      </motion.div>
+
+      {error && (
+        <div className="text-center text-sm text-red-400">{error}</div>
+      )}
+
+      {!data && loading && (
+        <div className="flex items-center justify-center h-96">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-lens-400"></div>
+        </div>
+      )}
+
+      {data && (
+        <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+          {/* Asset table */}
+          <motion.div variants={itemVariants} className={selectedAsset ? 'xl:col-span-2' : 'xl:col-span-3'}>
+            <ChartCard title="Assets" subtitle={`Ranked by ${data.unit}`}>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="text-left border-b border-dark-700">
+                      <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">#</th>
+                      {columns.map(column => (
+                        <th
+                          key={column.id}
+                          className={`pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider ${column.align === 'right' ? 'text-right' : ''}`}
+                        >
+                          <button
+                            onClick={() => toggleSort(column.id)}
+                            className={`inline-flex items-center gap-1 hover:text-white transition-colors ${sort.by === column.id ? 'text-white' : ''}`}
+                          >
+                            {column.label}
+                            {sort.by === column.id && (sort.order === 'asc'
+                              ? <ChevronUp className="w-3 h-3" />
+                              : <ChevronDown className="w-3 h-3" />)}
+                          </button>
+                        </th>
+                      ))}
+                      <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Of country</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.assets.map(asset => (
+                      <tr
+                        key={asset.id}
+                        onClick={() => setSelectedAsset(asset.id)}
+                        className={`border-b border-dark-800 cursor-pointer transition-colors hover:bg-dark-800/50
+                          ${selectedAsset === asset.id ? 'bg-dark-800/70' : ''}`}
+                      >
+                        <td className="py-3 text-dark-500 font-mono text-sm">{asset.rank}</td>
+                        <td className="py-3">
+                          <p className="text-white font-medium">{asset.name}</p>
+                          <p className="text-xs text-dark-500">{asset.assetType || asset.industry}</p>
+                        </td>
+                        <td className="py-3 text-dark-300 text-sm">{asset.countryName}</td>
+                        <td className="py-3 text-sm">
+                          <span className="inline-flex items-center gap-2 text-dark-300">
+                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: asset.color }}></span>
+                            {asset.sectorName}
+                          </span>
+                        </td>
+                        <td className="py-3 text-right font-mono text-white">{asset.emissions[data.gas].toLocaleString()}</td>
+                        <td className="py-3 text-right font-mono text-dark-300">
+                          {asset.shareOfCountry === null ? 'n/a' : `${asset.shareOfCountry}%`}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {data.assets.length === 0 && (
+                  <p className="text-center py-8 text-dark-400">No assets match these filters</p>
+                )}
+              </div>
+
+              {/* Pagination */}
+              <div className="flex items-center justify-between mt-4 text-sm text-dark-400">
+                <span>Page {data.page} of {data.totalPages}</span>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setPage(p => Math.max(1, p - 1))}
+                    disabled={data.page <= 1}
+                    className="p-2 rounded-lg bg-dark-800 hover:bg-dark-700 disabled:opacity-40 transition-colors"
+                  >
+                    <ChevronLeft className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setPage(p => Math.min(data.totalPages, p + 1))}
+                    disabled={data.page >= data.totalPages}
+                    className="p-2 rounded-lg bg-dark-800 hover:bg-dark-700 disabled:opacity-40 transition-colors"
+                  >
+                    <ChevronRight className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </ChartCard>
+          </motion.div>
+
+          {/* Detail panel */}
+          <AnimatePresence>
+            {selectedAsset && (
+              <AssetDetail
+                id={selectedAsset}
+                onClose={() => setSelectedAsset(null)}
+                onSelectCountry={onSelectCountry}
+              />
+            )}
+          </AnimatePresence>
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+function AssetDetail({ id, onClose, onSelectCountry }) {
+  const [asset, setAsset] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchAsset();
+  }, [id]);
+
+  const fetchAsset = async () => {
+    setError(null);
+    try {
+      const response = await fetch(`${api.emissions.assets}/${encodeURIComponent(id)}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setAsset(result);
+    } catch (err) {
+      console.error('Failed to fetch asset:', err);
+      setError(err.message);
+    }
+  };
+
+  const key = asset?.units.gwp.co2eKey;
+  const chartData = asset?.history.map(point => ({ year: point.year, value: point.emissions[key] })) || [];
+  const latest = asset?.history[asset.history.length - 1];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 20 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 20 }}
+      className="glass rounded-2xl p-6 space-y-5 h-fit"
+    >
+      <div className="flex justify-between items-start gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">{asset?.name || 'Loading...'}</h3>
+          {asset && (
+            <p className="text-sm text-dark-400">
+              {asset.assetType || asset.sectorName} ·{' '}
+              <button onClick={() => onSelectCountry?.(asset.country)} className="hover:text-lens-400 transition-colors">
+                {asset.countryName}
+              </button>
+            </p>
+          )}
+        </div>
+        <button onClick={onClose} className="p-1 rounded-lg text-dark-400 hover:text-white hover:bg-dark-800 transition-colors">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {asset && (
+        <>
+          <div className="grid grid-cols-3 gap-3">
+            <div className="p-3 rounded-xl bg-dark-800/50 border border-dark-700/30">
+              <p className="text-xs text-dark-500">{asset.latestYear ?? 'Latest'}</p>
+              <p className="text-white font-mono">{asset.emissions[key].toLocaleString()}</p>
+              <p className="text-xs text-dark-500">{asset.unit.split(' ')[0]}</p>
+            </div>
+            <div className="p-3 rounded-xl bg-dark-800/50 border border-dark-700/30">
+              <p className="text-xs text-dark-500">Of country</p>
+              <p className="text-white font-mono">{asset.shareOfCountry ?? 'n/a'}{asset.shareOfCountry !== null && '%'}</p>
+            </div>
+            <div className="p-3 rounded-xl bg-dark-800/50 border border-dark-700/30">
+              <p className="text-xs text-dark-500">Of sector</p>
+              <p className="text-white font-mono">{asset.shareOfSector ?? 'n/a'}{asset.shareOfSector !== null && '%'}</p>
+            </div>
+          </div>
+
+          {chartData.length > 1 && (
+            <div>
+              <p className="text-sm text-dark-400 mb-2">{asset.unit} by year</p>
+              <ResponsiveContainer width="100%" height={180}>
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="year" stroke="#64748b" fontSize={11} />
+                  <YAxis stroke="#64748b" fontSize={11} width={40} />
+                  <Tooltip
+                    contentStyle={{ background: '#0f172a', border: '1px solid #334155', borderRadius: 8 }}
+                    labelStyle={{ color: '#fff' }}
+                    formatter={(value) => [`${value.toLocaleString()} ${asset.unit}`, 'Emissions']}
+                  />
+                  <Line type="monotone" dataKey="value" stroke={asset.color} strokeWidth={2} dot={{ r: 2 }} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          <div className="space-y-2 text-sm">
+            <p className="text-dark-400">
+              Sector: <span className="text-white">{asset.sectorName}</span>
+              <span className="text-dark-500"> ({asset.industry})</span>
+            </p>
+            {latest?.capacity && (
+              <p className="text-dark-400">
+                Capacity: <span className="text-white">{latest.capacity.value.toLocaleString()} {latest.capacity.unit}</span>
+              </p>
+            )}
+            {latest?.activity && (
+              <p className="text-dark-400">
+                Activity: <span className="text-white">{latest.activity.value.toLocaleString()} {latest.activity.unit}</span>
+              </p>
+            )}
+            {asset.location && (
+              <p className="text-dark-400 flex items-center gap-1">
+                <MapPin className="w-3 h-3" />
+                {asset.location.lat.toFixed(3)}, {asset.location.lon.toFixed(3)}
+              </p>
+            )}
+            {asset.owners.length > 0 && (
+              <p className="text-dark-400">
+                Owners: <span className="text-white">
+                  {asset.owners.map(owner => `${owner.name}${owner.share !== null ? ` (${owner.share}%)` : ''}`).join(', ')}
+                </span>
+              </p>
+            )}
+            <p className="text-xs text-dark-500">Asset id {asset.id} · {asset.source}</p>
+            {asset.completeness.notes.length > 0 && (
+              <p className="text-xs text-dark-500">{asset.completeness.notes.join('. ')}</p>
+            )}
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,320 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import { Hourglass, Gauge, TrendingDown, Flag } from 'lucide-react';
+import StatCard from '../charts/StatCard';
+import ChartCard from '../charts/ChartCard';
+import { api } from '../../config';
+
+// Wait for sliders to settle before refetching
+const REFETCH_DELAY = 400;
+
+const containerVariants = {
+  hidden: { opacity: 0 },
+  show: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1 }
+  }
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  show: { opacity: 1, y: 0 }
+};
+
+export default function BudgetView({ onSelectCountry }) {
+  const [scenario, setScenario] = useState('1.5c_50');
+  const [budgetOverride, setBudgetOverride] = useState(null);
+  const [declineRate, setDeclineRate] = useState(5);
+  const [method, setMethod] = useState('equal_per_capita');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchBudget, REFETCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [scenario, budgetOverride, declineRate]);
+
+  const fetchBudget = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ scenario, declineRates: `0,${declineRate}` });
+      if (budgetOverride !== null) params.set('budget', budgetOverride);
+
+      const response = await fetch(`${api.emissions.budget}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch carbon budget:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!data) {
+    return loading ? (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-lens-400"></div>
+      </div>
+    ) : (
+      <div className="text-center py-12 text-dark-400">
+        {error || 'Failed to load carbon budget'}
+      </div>
+    );
+  }
+
+  const current = data.scenarios.find(s => s.declineRatePercent === 0);
+  const chosen = data.scenarios.find(s => s.declineRatePercent === declineRate) || data.scenarios[data.scenarios.length - 1];
+  const methodInfo = data.allocation.methods[method];
+
+  const stats = [
+    {
+      title: 'Remaining Budget',
+      value: data.remainingGt.toLocaleString(),
+      unit: `Gt CO2 from ${data.latestYear + 1}`,
+      description: `${data.budgetGt} Gt from ${data.fromYear} minus ${data.usedGt} Gt emitted since`,
+      icon: Hourglass,
+      color: 'lens'
+    },
+    {
+      title: 'At Current Rate',
+      value: data.exhausted ? 'Used up' : data.yearsAtCurrentRate,
+      unit: data.exhausted ? '' : `years (until ${current?.exhaustionYear})`,
+      description: `${data.annualGt} Gt CO2 emitted in ${data.latestYear}`,
+      icon: Gauge,
+      color: 'red'
+    },
+    {
+      title: 'Required Decline',
+      value: data.requiredDeclinePercent === null ? 'n/a' : `${data.requiredDeclinePercent}%`,
+      unit: 'per year, from now on',
+      description: 'Constant annual cut that keeps cumulative emissions within the budget',
+      icon: TrendingDown,
+      color: 'amber'
+    },
+    {
+      title: 'Linear Net Zero',
+      value: data.linearNetZeroYear ?? 'n/a',
+      unit: 'straight-line pathway',
+      description: 'Net zero year if emissions fall in a straight line and use exactly the budget',
+      icon: Flag,
+      color: 'green'
+    }
+  ];
+
+  // Cumulative emissions since the budget year, history followed by each scenario
+  let emitted = 0;
+  const chartData = data.history.map(point => {
+    emitted += point.emissionsGt;
+    return { year: point.year, actual: parseFloat(emitted.toFixed(2)) };
+  });
+  const cumulativeAt = (scenarioPath, year) => {
+    const point = scenarioPath?.find(p => p.year === year);
+    return point ? parseFloat((data.usedGt + point.cumulativeGt).toFixed(2)) : undefined;
+  };
+  const years = [...new Set([...(current?.path || []), ...(chosen?.path || [])].map(p => p.year))].sort((a, b) => a - b);
+  years.forEach(year => {
+    chartData.push({ year, current: cumulativeAt(current?.path, year), chosen: cumulativeAt(chosen?.path, year) });
+  });
+
+  const allocations = [...data.allocation.countries]
+    .filter(c => c[method])
+    .sort((a, b) => b[method].budgetGt - a[method].budgetGt);
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="space-y-6"
+    >
+      {/* Header */}
+      <motion.div variants={itemVariants}>
+        <h1 className="text-3xl font-display font-bold text-white mb-2">
+          Carbon <span className="text-gradient">Budget</span>
+        </h1>
+        <p className="text-dark-400">
+          How long the remaining CO2 budget lasts, and how it could be shared between countries
+        </p>
+      </motion.div>
+
+      {/* Controls */}
+      <motion.div variants={itemVariants} className="glass rounded-2xl p-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-end">
+          <div>
+            <label className="block text-dark-400 text-sm mb-2">Scenario</label>
+            <select
+              value={scenario}
+              onChange={(e) => {
+                setScenario(e.target.value);
+                setBudgetOverride(null);
+              }}
+              className="w-full bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-lens-500"
+            >
+              {data.presets.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.label} — {preset.budgetGt} Gt</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="flex justify-between text-dark-400 text-sm mb-2">
+              <span>Budget from {data.fromYear}</span>
+              <span className="text-white font-mono">{budgetOverride ?? data.budgetGt} Gt</span>
+            </label>
+            <input
+              type="range"
+              min={50}
+              max={2000}
+              step={10}
+              value={budgetOverride ?? data.budgetGt}
+              onChange={(e) => setBudgetOverride(parseInt(e.target.value))}
+              className="w-full accent-lens-500"
+            />
+          </div>
+          <div>
+            <label className="flex justify-between text-dark-400 text-sm mb-2">
+              <span>Annual decline</span>
+              <span className="text-white font-mono">{declineRate}% / yr</span>
+            </label>
+            <input
+              type="range"
+              min={0}
+              max={20}
+              step={0.5}
+              value={declineRate}
+              onChange={(e) => setDeclineRate(parseFloat(e.target.value))}
+              className="w-full accent-lens-500"
+            />
+          </div>
+        </div>
+        <p className="text-xs text-dark-500 mt-4">
+          {data.scenario.source}
+          {loading && ' · Updating...'}
+          {error && ` · ${error}`}
+        </p>
+      </motion.div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {stats.map((stat, index) => (
+          <StatCard key={stat.title} stat={stat} index={index} />
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Cumulative emissions against the budget */}
+        <motion.div variants={itemVariants}>
+          <ChartCard
+            title="Cumulative Emissions"
+            subtitle={chosen?.withinBudget
+              ? `At ${declineRate}% / yr the budget is never used up (${chosen.totalFutureGt} Gt still to come)`
+              : `At ${declineRate}% / yr the budget runs out in ${chosen?.exhaustionYear ?? 'n/a'}`}
+          >
+            <ResponsiveContainer width="100%" height={320}>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="year" stroke="#64748b" fontSize={12} />
+                <YAxis stroke="#64748b" fontSize={12} />
+                <Tooltip content={<BudgetTooltip />} />
+                <Legend formatter={(value) => <span className="text-dark-300 text-sm">{value}</span>} />
+                <ReferenceLine y={data.budgetGt} stroke="#ef4444" strokeDasharray="6 4" label={{ value: 'Budget', fill: '#ef4444', fontSize: 12, position: 'insideTopLeft' }} />
+                <Line type="monotone" dataKey="actual" name="Emitted" stroke="#10b981" strokeWidth={2} dot={{ r: 3 }} />
+                <Line type="monotone" dataKey="current" name="Current rate" stroke="#f59e0b" strokeDasharray="4 4" dot={false} />
+                <Line type="monotone" dataKey="chosen" name={`${declineRate}% / yr decline`} stroke="#38bdf8" strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+            {data.completeness.notes.length > 0 && (
+              <p className="text-xs text-dark-500 mt-3">{data.completeness.notes.join('. ')}</p>
+            )}
+          </ChartCard>
+        </motion.div>
+
+        {/* National fair shares */}
+        <motion.div variants={itemVariants}>
+          <ChartCard title="Fair Shares" subtitle={methodInfo.description}>
+            <div className="flex bg-dark-800 rounded-lg p-1 mb-4 w-fit">
+              {Object.entries(data.allocation.methods).map(([id, info]) => (
+                <button
+                  key={id}
+                  onClick={() => setMethod(id)}
+                  className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+                    ${method === id ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+                >
+                  {info.name}
+                </button>
+              ))}
+            </div>
+            <div className="overflow-x-auto max-h-[320px] overflow-y-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left border-b border-dark-700">
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">Country</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Share</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Budget</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Years left</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {allocations.map(row => (
+                    <tr key={row.country} className="border-b border-dark-800">
+                      <td className="py-3">
+                        <button
+                          onClick={() => onSelectCountry?.(row.country)}
+                          className="text-white font-medium hover:text-lens-400 transition-colors text-left"
+                        >
+                          {row.name}
+                        </button>
+                        <p className="text-xs text-dark-500">{row.currentMt.toLocaleString()} Mt CO2 in {data.allocation.year}</p>
+                      </td>
+                      <td className="py-3 text-right font-mono text-dark-300">{row[method].sharePercent}%</td>
+                      <td className="py-3 text-right whitespace-nowrap">
+                        <span className="font-mono text-white">{row[method].budgetGt.toLocaleString()}</span>
+                        <span className="text-dark-500 text-xs ml-1">Gt</span>
+                      </td>
+                      <td className="py-3 text-right">
+                        <span className={`font-mono ${row[method].yearsAtCurrentRate < data.yearsAtCurrentRate ? 'text-red-400' : 'text-green-400'}`}>
+                          {row[method].yearsAtCurrentRate ?? 'n/a'}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </ChartCard>
+        </motion.div>
+      </div>
+    </motion.div>
+  );
+}
+
+function BudgetTooltip({ active, payload, label }) {
+  if (!active || !payload || !payload.length) return null;
+
+  return (
+    <div className="custom-tooltip">
+      <p className="text-white font-medium mb-2">{label}</p>
+      {payload.filter(entry => entry.value !== undefined).map((entry, index) => (
+        <p key={index} className="text-sm" style={{ color: entry.color }}>
+          {entry.name}: {entry.value?.toLocaleString()} Gt CO2
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,420 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { ArrowLeft, Factory, Globe2, Award, MapPin, AlertTriangle } from 'lucide-react';
+import StatCard from '../charts/StatCard';
+import ChartCard from '../charts/ChartCard';
+import { api } from '../../config';
+
+const HISTORY_GASES = [
+  { key: 'co2', label: 'CO₂', color: '#64748b' },
+  { key: 'co2e_100yr', label: 'CO₂e (100yr)', color: '#8b5cf6' },
+  { key: 'co2e_20yr', label: 'CO₂e (20yr)', color: '#ec4899' }
+];
+
+const GAS_LABELS = {
+  co2: 'CO₂',
+  ch4: 'CH₄',
+  n2o: 'N₂O',
+  co2e_100yr: 'CO₂e (100yr)',
+  co2e_20yr: 'CO₂e (20yr)'
+};
+
+export default function CountryView({ country, yearRange, onBack }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (country) fetchCountryData();
+  }, [country, yearRange]);
+
+  const fetchCountryData = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({
+        since: yearRange?.since || 2023,
+        to: yearRange?.to || 2023
+      });
+
+      const response = await fetch(`${api.emissions.countries}/${country}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch country data:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const backButton = (
+    <button
+      onClick={onBack}
+      className="inline-flex items-center gap-2 text-sm text-dark-400 hover:text-white transition-colors"
+    >
+      <ArrowLeft size={16} />
+      Back
+    </button>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-lens-400"></div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="space-y-6">
+        {backButton}
+        <div className="text-center py-12 text-dark-400">
+          {error || 'Failed to load country data'}
+        </div>
+      </div>
+    );
+  }
+
+  const rankChange = data.rankChange;
+  const co2Unit = data.units?.mass?.co2 || 'Mt';
+  const co2eUnit = data.units?.mass?.co2e_100yr || 'Mt';
+  const stats = [
+    {
+      title: 'CO₂ Emissions',
+      value: data.emissions?.co2?.toLocaleString() ?? 'n/a',
+      unit: co2Unit,
+      icon: Factory,
+      color: 'lens'
+    },
+    {
+      title: 'Global Rank',
+      value: data.rank ? `#${data.rank}` : 'n/a',
+      unit: rankChange ? `${rankChange > 0 ? '▲' : '▼'} ${Math.abs(rankChange)} vs ${data.yearRange.since - 1}` : 'no change',
+      description: 'Ranked by CO₂e (100yr) among all countries',
+      icon: Award,
+      color: rankChange > 0 ? 'red' : rankChange < 0 ? 'green' : 'purple'
+    },
+    {
+      title: 'Global Share',
+      value: `${data.share ?? 0}%`,
+      unit: 'of world CO₂',
+      icon: Globe2,
+      color: 'amber'
+    },
+    {
+      title: `Share of ${data.continent || 'Region'}`,
+      value: data.region ? `${data.region.share}%` : 'n/a',
+      unit: data.region ? `of ${data.region.emissions.toLocaleString()} ${co2Unit}` : '',
+      description: 'Share of the CO₂ total of tracked countries in the same continent',
+      icon: MapPin,
+      color: 'cyan'
+    }
+  ];
+
+  const sectorData = (data.sectors || []).slice(0, 10);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="space-y-4">
+        {backButton}
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-display font-bold text-white mb-2">
+              {data.name} <span className="text-dark-500 text-xl">{data.country}</span>
+            </h1>
+            <p className="text-dark-400">
+              {data.continent} — {data.yearRange.since === data.yearRange.to
+                ? data.yearRange.to
+                : `${data.yearRange.since} - ${data.yearRange.to}`} data
+            </p>
+          </div>
+          <div className="text-xs px-3 py-1 bg-lens-500/20 text-lens-300 rounded-full">
+            {data.source}
+          </div>
+        </div>
+      </div>
+
+      {data.completeness && !data.completeness.complete && (
+        <div className="flex items-start gap-2 p-3 rounded-lg bg-amber-500/10 border border-amber-500/20 text-sm text-amber-300">
+          <AlertTriangle size={16} className="mt-0.5 flex-shrink-0" />
+          <span>{data.completeness.notes.join('. ') || 'Some data could not be loaded'}</span>
+        </div>
+      )}
+
+      {/* Stats */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {stats.map((stat, index) => (
+          <StatCard key={stat.title} stat={stat} index={index} />
+        ))}
+      </div>
+
+      {/* History */}
+      <ChartCard title="Emissions History" subtitle={`Annual emissions (${co2Unit})`}>
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={data.history}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+            <XAxis dataKey="year" stroke="#64748b" fontSize={12} />
+            <YAxis stroke="#64748b" fontSize={12} />
+            <Tooltip content={<HistoryTooltip unit={co2Unit} />} />
+            {HISTORY_GASES.map(gas => (
+              <Line
+                key={gas.key}
+                type="monotone"
+                dataKey={gas.key}
+                name={gas.label}
+                stroke={gas.color}
+                strokeWidth={2}
+                dot={{ r: 3 }}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </ChartCard>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Sector Breakdown */}
+        <ChartCard title="Top Sectors" subtitle={`${data.units?.gwp?.label ? `CO₂e (${data.units.gwp.label})` : 'CO₂e (100yr)'} by emitting sector`}>
+          {sectorData.length > 0 ? (
+            <ResponsiveContainer width="100%" height={320}>
+              <BarChart data={sectorData} layout="vertical">
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" horizontal={false} />
+                <XAxis type="number" stroke="#64748b" fontSize={12} />
+                <YAxis
+                  type="category"
+                  dataKey="name"
+                  stroke="#64748b"
+                  fontSize={11}
+                  width={120}
+                  tickFormatter={(value) => value.length > 18 ? value.slice(0, 18) + '...' : value}
+                />
+                <Tooltip content={<SectorTooltip unit={co2eUnit} />} />
+                <Bar dataKey="emissions" fill="#8b5cf6" radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="text-center py-12 text-dark-400">No sector data available</div>
+          )}
+        </ChartCard>
+
+        {/* Gases */}
+        <ChartCard title="All Gases" subtitle={`${data.name} emissions by greenhouse gas`}>
+          <table className="w-full">
+            <tbody>
+              {Object.entries(data.gases || {}).map(([key, gas]) => (
+                <tr key={key} className="border-b border-dark-800">
+                  <td className="py-3">
+                    <span className="text-white font-medium">{GAS_LABELS[key] || key}</span>
+                    <span className="text-dark-500 text-xs ml-2">{gas.name}</span>
+                  </td>
+                  <td className="py-3 text-right">
+                    <span className="text-white font-mono">{gas.value?.toLocaleString()}</span>
+                    <span className="text-dark-500 text-sm ml-1">{gas.unit}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {data.industries?.length > 0 && (
+            <div className="mt-4 flex flex-wrap gap-2">
+              {data.industries.map(industry => (
+                <span
+                  key={industry.id}
+                  className="px-2 py-1 rounded-full text-xs"
+                  style={{ backgroundColor: `${industry.color}20`, color: industry.color }}
+                >
+                  {industry.name}: {industry.percentage}%
+                </span>
+              ))}
+            </div>
+          )}
+        </ChartCard>
+      </div>
+
+      <SubnationalSection country={country} yearRange={yearRange} />
+    </div>
+  );
+}
+
+/**
+ * States or provinces of the country; selecting one shows its sectors
+ */
+function SubnationalSection({ country, yearRange }) {
+  const [data, setData] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState(null);
+
+  const params = new URLSearchParams({
+    since: yearRange?.since || 2023,
+    to: yearRange?.to || 2023
+  });
+
+  useEffect(() => {
+    setSelected(null);
+    fetchSubnational();
+  }, [country, yearRange]);
+
+  useEffect(() => {
+    setDetail(null);
+    if (selected) fetchDetail(selected);
+  }, [selected]);
+
+  const fetchSubnational = async () => {
+    setError(null);
+    try {
+      const response = await fetch(`${api.emissions.countries}/${country}/subnational?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch subnational emissions:', err);
+      setError(err.message);
+    }
+  };
+
+  const fetchDetail = async (id) => {
+    try {
+      const response = await fetch(`${api.emissions.subnational}/${id}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setDetail(result);
+    } catch (err) {
+      console.error('Failed to fetch admin area:', err);
+      setError(err.message);
+    }
+  };
+
+  if (error) {
+    return <div className="text-center text-sm text-red-400">{error}</div>;
+  }
+  if (!data) return null;
+
+  if (data.admins.length === 0) {
+    return (
+      <ChartCard title="States & Provinces">
+        <div className="text-center py-6 text-dark-400 text-sm">
+          {data.completeness.notes.join('. ') || 'No subnational data available'}
+        </div>
+      </ChartCard>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <ChartCard
+        title="States & Provinces"
+        subtitle={`${data.unit} · ${data.coverage ?? 0}% of the national total is located in these areas`}
+      >
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-dark-500 text-xs text-left border-b border-dark-800">
+              <th className="py-2 font-medium">Area</th>
+              <th className="py-2 font-medium text-right">Emissions</th>
+              <th className="py-2 font-medium text-right">Share</th>
+              <th className="py-2 font-medium pl-4">Top sector</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.admins.map(admin => (
+              <tr
+                key={admin.id}
+                onClick={() => setSelected(admin.id)}
+                className={`border-b border-dark-800 cursor-pointer transition-colors
+                  ${selected === admin.id ? 'bg-lens-500/10' : 'hover:bg-dark-800/50'}`}
+              >
+                <td className="py-2 text-white">{admin.name}</td>
+                <td className="py-2 text-right text-white font-mono">{admin.total.toLocaleString()}</td>
+                <td className="py-2 text-right text-dark-300">{admin.share ?? 'n/a'}%</td>
+                <td className="py-2 pl-4 text-dark-400">{admin.topSectors[0]?.name || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </ChartCard>
+
+      <ChartCard
+        title={detail ? detail.fullName : 'Sectors'}
+        subtitle={detail ? `${detail.total.toLocaleString()} ${detail.unit} by emitting sector` : 'Select a state or province'}
+      >
+        {detail ? (
+          detail.sectors.length > 0 ? (
+            <ResponsiveContainer width="100%" height={320}>
+              <BarChart data={detail.sectors.slice(0, 10)} layout="vertical">
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" horizontal={false} />
+                <XAxis type="number" stroke="#64748b" fontSize={12} />
+                <YAxis
+                  type="category"
+                  dataKey="name"
+                  stroke="#64748b"
+                  fontSize={11}
+                  width={120}
+                  tickFormatter={(value) => value.length > 18 ? value.slice(0, 18) + '...' : value}
+                />
+                <Tooltip content={<SectorTooltip unit={detail.units?.mass?.[detail.units.gwp.co2eKey] || 'Mt'} />} />
+                <Bar dataKey="emissions" fill="#06b6d4" radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="text-center py-12 text-dark-400">{detail.completeness.notes.join('. ')}</div>
+          )
+        ) : (
+          <div className="text-center py-12 text-dark-400">
+            {selected ? 'Loading...' : 'Click an area to see its sector breakdown'}
+          </div>
+        )}
+      </ChartCard>
+    </div>
+  );
+}
+
+function HistoryTooltip({ active, payload, label, unit = 'Mt' }) {
+  if (!active || !payload?.length) return null;
+
+  return (
+    <div className="glass rounded-lg p-3 shadow-xl">
+      <p className="text-white font-medium mb-2">{label}</p>
+      {payload.map((entry, index) => (
+        <p key={index} className="text-sm" style={{ color: entry.color }}>
+          {entry.name}: {entry.value?.toLocaleString()} {unit}
+        </p>
+      ))}
+      {payload[0]?.payload?.rank && (
+        <p className="text-dark-400 text-xs mt-1">Rank #{payload[0].payload.rank}</p>
+      )}
+    </div>
+  );
+}
+
+function SectorTooltip({ active, payload, unit = 'Mt' }) {
+  if (!active || !payload?.length) return null;
+
+  return (
+    <div className="glass rounded-lg p-3 shadow-xl">
+      <p className="text-white font-medium">{payload[0].payload.name}</p>
+      <p className="text-lens-400 text-sm">
+        {payload[0].value?.toLocaleString()} {unit} ({payload[0].payload.percentage}%)
+      </p>
+    </div>
+  );
+}
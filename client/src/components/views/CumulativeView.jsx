@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import ChartCard from '../charts/ChartCard';
+import { api } from '../../config';
+
+const sortOptions = [
+  { id: 'cumulative', label: 'Cumulative' },
+  { id: 'per_capita', label: 'Per capita' }
+];
+
+const inputClass = 'bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-lens-500';
+
+const containerVariants = {
+  hidden: { opacity: 0 },
+  show: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1 }
+  }
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  show: { opacity: 1, y: 0 }
+};
+
+export default function CumulativeView({ onSelectCountry }) {
+  const [sort, setSort] = useState('cumulative');
+  const [since, setSince] = useState(1850);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchCumulative();
+  }, [sort, since]);
+
+  const fetchCumulative = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ sort, since, unit: 'Gt', limit: 20 });
+      const response = await fetch(`${api.emissions.cumulative}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch cumulative emissions:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!data) {
+    return loading ? (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-lens-400"></div>
+      </div>
+    ) : (
+      <div className="text-center py-12 text-dark-400">
+        {error || 'Failed to load cumulative emissions'}
+      </div>
+    );
+  }
+
+  const perCapita = data.sort === 'per_capita';
+  const chartData = data.countries.map(c => ({
+    name: c.country,
+    fullName: c.name,
+    historical: c.historical,
+    recent: c.recent,
+    perCapita: c.perCapita
+  }));
+  const periodLabel = (range) => range ? `${range.since}–${range.to}` : null;
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="space-y-6"
+    >
+      {/* Header */}
+      <motion.div variants={itemVariants} className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white mb-2">
+            Historical <span className="text-gradient">Responsibility</span>
+          </h1>
+          <p className="text-dark-400">
+            {data.world.cumulative.toLocaleString()} {data.unit} emitted worldwide from {data.since} to {data.to}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select value={since} onChange={(e) => setSince(parseInt(e.target.value))} className={inputClass}>
+            {data.dataset.startYears.map(year => (
+              <option key={year} value={year}>Since {year}</option>
+            ))}
+          </select>
+          <div className="flex bg-dark-800 rounded-lg p-1">
+            {sortOptions.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setSort(option.id)}
+                className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+                  ${sort === option.id ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </motion.div>
+
+      {error && (
+        <div className="text-center text-sm text-red-400">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+        {/* Ranking chart */}
+        <motion.div variants={itemVariants} className="lg:col-span-3">
+          <ChartCard
+            title={perCapita ? 'Cumulative CO2 per Person' : 'Cumulative CO2'}
+            subtitle={perCapita ? data.perCapitaUnit : data.unit}
+          >
+            <ResponsiveContainer width="100%" height={560}>
+              <BarChart data={chartData} layout="vertical" margin={{ left: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" horizontal={false} />
+                <XAxis type="number" stroke="#64748b" fontSize={12} />
+                <YAxis type="category" dataKey="name" stroke="#64748b" fontSize={12} width={48} />
+                <Tooltip content={<CumulativeTooltip unit={perCapita ? data.perCapitaUnit : data.unit} />} cursor={{ fill: 'rgba(51, 65, 85, 0.3)' }} />
+                {perCapita ? (
+                  <Bar dataKey="perCapita" name="Per person" fill="#38bdf8" radius={[0, 4, 4, 0]} />
+                ) : (
+                  <>
+                    <Legend formatter={(value) => <span className="text-dark-300 text-sm">{value}</span>} />
+                    {data.historicalRange && (
+                      <Bar dataKey="historical" name={`Historical ${periodLabel(data.historicalRange)}`} stackId="cumulative" fill="#64748b" />
+                    )}
+                    {data.recentRange && (
+                      <Bar dataKey="recent" name={`Recent ${periodLabel(data.recentRange)}`} stackId="cumulative" fill="#10b981" radius={[0, 4, 4, 0]} />
+                    )}
+                  </>
+                )}
+              </BarChart>
+            </ResponsiveContainer>
+            {loading && <p className="text-xs text-dark-500 mt-3">Updating...</p>}
+          </ChartCard>
+        </motion.div>
+
+        {/* Ranking table */}
+        <motion.div variants={itemVariants} className="lg:col-span-2">
+          <ChartCard title="Ranking" subtitle="Share of world cumulative emissions">
+            <div className="overflow-x-auto max-h-[560px] overflow-y-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left border-b border-dark-700">
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">#</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">Country</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Total</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Per person</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Share</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.countries.map(row => (
+                    <tr key={row.country} className="border-b border-dark-800">
+                      <td className="py-3 text-dark-500 font-mono text-sm">{row.rank}</td>
+                      <td className="py-3">
+                        <button
+                          onClick={() => onSelectCountry?.(row.country)}
+                          className="text-white font-medium hover:text-lens-400 transition-colors text-left"
+                        >
+                          {row.name}
+                        </button>
+                      </td>
+                      <td className="py-3 text-right whitespace-nowrap">
+                        <span className="font-mono text-white">{row.cumulative.toLocaleString()}</span>
+                        <span className="text-dark-500 text-xs ml-1">Gt</span>
+                      </td>
+                      <td className="py-3 text-right font-mono text-dark-300">{row.perCapita?.toLocaleString() ?? 'n/a'} t</td>
+                      <td className="py-3 text-right font-mono text-dark-300">{row.share}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </ChartCard>
+        </motion.div>
+      </div>
+
+      <motion.div variants={itemVariants} className="glass rounded-2xl p-6 text-xs text-dark-500 space-y-2">
+        <p>{data.methodology}</p>
+        <p>Source: {data.source}</p>
+        {data.completeness.notes.length > 0 && (
+          <p>{data.completeness.notes.join('. ')}</p>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+function CumulativeTooltip({ active, payload, unit }) {
+  if (!active || !payload || !payload.length) return null;
+
+  return (
+    <div className="custom-tooltip">
+      <p className="text-white font-medium mb-2">{payload[0].payload.fullName}</p>
+      {payload.map((entry, index) => (
+        <p key={index} className="text-sm" style={{ color: entry.color }}>
+          {entry.name}: {entry.value?.toLocaleString()} {unit}
+        </p>
+      ))}
+    </div>
+  );
+}
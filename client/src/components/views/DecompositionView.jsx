@@ -0,0 +1,242 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+  Cell
+} from 'recharts';
+import ChartCard from '../charts/ChartCard';
+import { api } from '../../config';
+
+const factorColors = {
+  increase: '#ef4444',
+  decrease: '#10b981',
+  total: '#64748b'
+};
+
+const inputClass = 'bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-lens-500';
+
+const containerVariants = {
+  hidden: { opacity: 0 },
+  show: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1 }
+  }
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  show: { opacity: 1, y: 0 }
+};
+
+/**
+ * Waterfall rows: each factor floats from the running total, drawn as an
+ * invisible base bar plus a visible bar for the contribution
+ */
+function buildWaterfall(data) {
+  const rows = [{ name: String(data.startYear), base: 0, value: data.start.emissions, amount: data.start.emissions, kind: 'total' }];
+  let running = data.start.emissions;
+
+  for (const factor of data.factors) {
+    const next = running + factor.contribution;
+    rows.push({
+      name: factor.name,
+      base: Math.min(running, next),
+      value: Math.abs(factor.contribution),
+      amount: factor.contribution,
+      percent: factor.contributionPercent,
+      kind: factor.contribution >= 0 ? 'increase' : 'decrease'
+    });
+    running = next;
+  }
+
+  rows.push({ name: String(data.endYear), base: 0, value: data.end.emissions, amount: data.end.emissions, kind: 'total' });
+  return rows;
+}
+
+export default function DecompositionView({ country }) {
+  const [selected, setSelected] = useState(country || 'CHN');
+  const [startYear, setStartYear] = useState(2015);
+  const [endYear, setEndYear] = useState(2024);
+  const [years, setYears] = useState([]);
+  const [countries, setCountries] = useState([]);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchOptions();
+  }, []);
+
+  useEffect(() => {
+    fetchDecomposition();
+  }, [selected, startYear, endYear]);
+
+  const fetchOptions = async () => {
+    try {
+      const [yearsResponse, countriesResponse] = await Promise.all([
+        fetch(api.emissions.years),
+        fetch(api.emissions.countryDefinitions)
+      ]);
+      const { availableYears = [] } = await yearsResponse.json();
+      const definitions = await countriesResponse.json();
+      setYears(availableYears);
+      setCountries([...definitions].sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (err) {
+      console.error('Failed to fetch decomposition options:', err);
+    }
+  };
+
+  const fetchDecomposition = async () => {
+    if (endYear <= startYear) {
+      setError('The end year must be after the start year');
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ startYear, endYear });
+      const response = await fetch(`${api.emissions.decomposition}/${selected}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch decomposition:', err);
+      setError(err.message);
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const waterfall = data ? buildWaterfall(data) : [];
+  // Start the axis just below the lowest running total so small factors stay visible
+  const axisMin = waterfall.length > 0
+    ? Math.max(0, Math.floor(Math.min(...waterfall.filter(r => r.kind !== 'total').map(r => r.base), data.end.emissions, data.start.emissions) * 0.9))
+    : 0;
+  const unitShort = data?.unit.split(' ')[0];
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="space-y-6"
+    >
+      {/* Header */}
+      <motion.div variants={itemVariants} className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white mb-2">
+            Emissions <span className="text-gradient">Drivers</span>
+          </h1>
+          <p className="text-dark-400">
+            What drove the change in CO2: population, GDP per capita, energy intensity or carbon intensity
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select value={selected} onChange={(e) => setSelected(e.target.value)} className={inputClass}>
+            {countries.map(c => (
+              <option key={c.alpha3} value={c.alpha3}>{c.name}</option>
+            ))}
+          </select>
+          <select value={startYear} onChange={(e) => setStartYear(parseInt(e.target.value))} className={inputClass}>
+            {years.map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+          <span className="text-dark-500">→</span>
+          <select value={endYear} onChange={(e) => setEndYear(parseInt(e.target.value))} className={inputClass}>
+            {years.map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+        </div>
+      </motion.div>
+
+      {loading && !data && (
+        <div className="flex items-center justify-center h-96">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-lens-400"></div>
+        </div>
+      )}
+
+      {error && (
+        <div className="text-center py-12 text-dark-400">{error}</div>
+      )}
+
+      {data && !error && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Waterfall */}
+          <motion.div variants={itemVariants} className="lg:col-span-2">
+            <ChartCard
+              title={`${data.country.name}, ${data.startYear} → ${data.endYear}`}
+              subtitle={`${data.change > 0 ? '+' : ''}${data.change.toLocaleString()} ${data.unit} (${data.changePercent > 0 ? '+' : ''}${data.changePercent}%)`}
+            >
+              <ResponsiveContainer width="100%" height={360}>
+                <BarChart data={waterfall}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="name" stroke="#64748b" fontSize={12} />
+                  <YAxis stroke="#64748b" fontSize={12} domain={[axisMin, 'auto']} allowDataOverflow />
+                  <Tooltip content={<WaterfallTooltip unit={data.unit} />} cursor={{ fill: 'rgba(51, 65, 85, 0.3)' }} />
+                  <ReferenceLine y={data.start.emissions} stroke="#475569" strokeDasharray="4 4" />
+                  <Bar dataKey="base" stackId="waterfall" fill="transparent" />
+                  <Bar dataKey="value" stackId="waterfall" radius={[4, 4, 0, 0]}>
+                    {waterfall.map((row, index) => (
+                      <Cell key={`cell-${index}`} fill={factorColors[row.kind]} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+              <p className="text-xs text-dark-500 mt-3">{data.methodology}</p>
+            </ChartCard>
+          </motion.div>
+
+          {/* Factors */}
+          <motion.div variants={itemVariants}>
+            <ChartCard title="Factors" subtitle="Change in each factor and its contribution">
+              <div className="space-y-4">
+                {data.factors.map(factor => (
+                  <div key={factor.id} className="p-3 rounded-xl bg-dark-800/50 border border-dark-700/30">
+                    <div className="flex justify-between items-baseline mb-1">
+                      <span className="text-white font-medium">{factor.name}</span>
+                      <span className={`font-mono ${factor.contribution > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                        {factor.contribution > 0 ? '+' : ''}{factor.contribution.toLocaleString()} {unitShort}
+                      </span>
+                    </div>
+                    <p className="text-xs text-dark-500">{factor.description}</p>
+                    <p className="text-xs text-dark-400 mt-1">
+                      {factor.start.toLocaleString()} → {factor.end.toLocaleString()} {factor.unit}
+                      <span className="ml-2">({factor.changePercent > 0 ? '+' : ''}{factor.changePercent}%)</span>
+                    </p>
+                  </div>
+                ))}
+              </div>
+              {data.completeness.notes.length > 0 && (
+                <p className="text-xs text-dark-500 mt-3">{data.completeness.notes.join('. ')}</p>
+              )}
+            </ChartCard>
+          </motion.div>
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+function WaterfallTooltip({ active, payload, unit }) {
+  if (!active || !payload || !payload.length) return null;
+  const row = payload[0].payload;
+
+  return (
+    <div className="custom-tooltip">
+      <p className="text-white font-medium mb-1">{row.name}</p>
+      <p className="text-sm" style={{ color: factorColors[row.kind] }}>
+        {row.kind === 'total'
+          ? `${row.amount.toLocaleString()} ${unit}`
+          : `${row.amount > 0 ? '+' : ''}${row.amount.toLocaleString()} ${unit} (${row.percent > 0 ? '+' : ''}${row.percent}%)`}
+      </p>
+    </div>
+  );
+}
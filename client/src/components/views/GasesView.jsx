@@ -3,6 +3,7 @@ import { motion } from 'framer-motion';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Legend } from 'recharts';
 import { Flame, Wind, Droplets, Atom, TrendingUp, Globe } from 'lucide-react';
 import { api } from '../../config';
+import { metricOptions, formatMetric } from '../MetricToggle';
 
 const GAS_COLORS = {
   co2: '#64748b',
@@ -12,6 +13,9 @@ const GAS_COLORS = {
   co2e_20yr: '#ec4899'
 };
 
+// Tonnes per reporting unit, used to put gases reported in different units on one scale
+const UNIT_FACTORS = { t: 1, kt: 1e3, Mt: 1e6, Gt: 1e9 };
+
 const GAS_ICONS = {
   co2: Flame,
   ch4: Wind,
@@ -20,7 +24,109 @@ const GAS_ICONS = {
   co2e_20yr: TrendingUp
 };
 
-export default function GasesView({ yearRange, onYearChange }) {
+const MATRIX_SECTORS = 12;
+
+// Gas × sector matrix: each cell is the sector's share of that gas, shaded by share
+function SectorGasMatrix({ yearRange, gasTypes, selectedGas, onSelectGas }) {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    fetchSectors();
+  }, [yearRange]);
+
+  const fetchSectors = async () => {
+    try {
+      const params = new URLSearchParams({
+        since: yearRange?.since || 2023,
+        to: yearRange?.to || 2023
+      });
+      const response = await fetch(`${api.emissions.bySector}?${params}`);
+      if (response.ok) {
+        setData(await response.json());
+      }
+    } catch (error) {
+      console.error('Failed to fetch sector gas breakdown:', error);
+    }
+  };
+
+  if (!data?.sectors?.length) return null;
+
+  const rows = [...data.sectors]
+    .sort((a, b) => (b.shares?.[selectedGas] || 0) - (a.shares?.[selectedGas] || 0))
+    .slice(0, MATRIX_SECTORS);
+  const selected = gasTypes.find(g => g.key === selectedGas);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-dark-800/50 backdrop-blur-sm rounded-xl border border-dark-700/50 p-6"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">
+          Emissions by Sector and Gas
+        </h3>
+        <span className="text-sm text-dark-400">
+          Top {rows.length} sectors by share of {selected?.fullName}
+        </span>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="border-b border-dark-700">
+              <th className="text-left py-3 px-4 text-dark-400 font-medium text-sm">Sector</th>
+              {gasTypes.map(gas => (
+                <th
+                  key={gas.key}
+                  onClick={() => onSelectGas(gas.key)}
+                  className={`text-right py-3 px-4 font-medium text-sm cursor-pointer transition-colors
+                    ${selectedGas === gas.key ? 'text-lens-400' : 'text-dark-400 hover:text-white'}`}
+                >
+                  {gas.label}
+                  <span className="block text-xs text-dark-500 font-normal">
+                    {data.totals?.[gas.key]?.toLocaleString()} {data.units?.mass?.[gas.key]}
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(sector => (
+              <tr key={sector.id} className="border-b border-dark-700/50">
+                <td className="py-2 px-4">
+                  <div className="flex items-center gap-2">
+                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: sector.color }} />
+                    <span className="text-white text-sm">{sector.name}</span>
+                  </div>
+                </td>
+                {gasTypes.map(gas => {
+                  const share = sector.shares?.[gas.key] || 0;
+                  return (
+                    <td
+                      key={gas.key}
+                      className="py-2 px-4 text-right font-mono text-sm"
+                      style={{ backgroundColor: `${gas.color}${Math.round(Math.min(share / 40, 1) * 160).toString(16).padStart(2, '0')}` }}
+                      title={`${sector.gases?.[gas.key]?.toLocaleString() || 0} ${data.units?.mass?.[gas.key] || ''}`}
+                    >
+                      <span className={share > 0 ? 'text-white' : 'text-dark-500'}>
+                        {share > 0 ? `${share}%` : '–'}
+                      </span>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-dark-500 mt-3">
+        Share of each gas's total emitted by the sector; hover a cell for the amount.
+      </p>
+    </motion.div>
+  );
+}
+
+export default function GasesView({ yearRange, onYearChange, metric = 'absolute', onSelectCountry }) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedGas, setSelectedGas] = useState('co2e_100yr');
@@ -28,7 +134,7 @@ export default function GasesView({ yearRange, onYearChange }) {
 
   useEffect(() => {
     fetchGasesData();
-  }, [yearRange]);
+  }, [yearRange, metric]);
 
   const fetchGasesData = async () => {
     setLoading(true);
@@ -36,7 +142,8 @@ export default function GasesView({ yearRange, onYearChange }) {
       const params = new URLSearchParams({
         since: yearRange?.since || 2023,
         to: yearRange?.to || 2023,
-        limit: 30
+        limit: 30,
+        metric
       });
       
       const response = await fetch(`${api.emissions.gases}?${params}`);
@@ -73,6 +180,9 @@ export default function GasesView({ yearRange, onYearChange }) {
     { key: 'co2e_20yr', label: 'CO₂e (20yr)', fullName: 'CO₂ Equivalent (20yr GWP)', color: GAS_COLORS.co2e_20yr }
   ];
 
+  const metricOption = metricOptions[metric] || metricOptions.absolute;
+  const isIntensity = metric !== 'absolute';
+
   // Prepare chart data
   const chartData = data.countries?.slice(0, 15).map(c => ({
     name: c.name,
@@ -83,12 +193,15 @@ export default function GasesView({ yearRange, onYearChange }) {
     co2e_20yr: c.gases.co2e_20yr.value
   })) || [];
 
-  // World totals pie chart data
-  const pieData = gasTypes.slice(0, 3).map(g => ({
-    name: g.fullName,
-    value: data.worldTotals?.[g.key]?.value || 0,
-    color: g.color
-  }));
+  // World totals pie chart data, converted to Mt so CO₂ and CH₄/N₂O share a scale
+  const pieData = gasTypes.slice(0, 3).map(g => {
+    const total = data.worldTotals?.[g.key];
+    return {
+      name: g.fullName,
+      value: total ? total.value * (UNIT_FACTORS[total.unit] || 1e6) / 1e6 : 0,
+      color: g.color
+    };
+  });
 
   return (
     <div className="space-y-6">
@@ -106,6 +219,11 @@ export default function GasesView({ yearRange, onYearChange }) {
           <div className="text-sm text-dark-400">
             Data Year: <span className="text-white font-semibold">{data.year}</span>
           </div>
+          {data.units?.gwp && (
+            <div className="text-xs px-3 py-1 bg-dark-700 text-dark-300 rounded-full" title={data.units.gwp.basis}>
+              CO₂e: {data.units.gwp.label}
+            </div>
+          )}
           <div className="text-xs px-3 py-1 bg-lens-500/20 text-lens-300 rounded-full">
             {data.source}
           </div>
@@ -194,6 +312,11 @@ export default function GasesView({ yearRange, onYearChange }) {
                       {gas.label}
                     </th>
                   ))}
+                  {isIntensity && (
+                    <th className="text-right py-4 px-4 text-lens-400 font-medium text-sm">
+                      CO₂ {metricOption.label.toLowerCase()}
+                    </th>
+                  )}
                 </tr>
               </thead>
               <tbody>
@@ -206,13 +329,16 @@ export default function GasesView({ yearRange, onYearChange }) {
                     className="border-b border-dark-700/50 hover:bg-dark-700/30"
                   >
                     <td className="py-3 px-4 text-dark-400 font-mono text-sm">
-                      {country.rank || index + 1}
+                      {isIntensity ? index + 1 : country.rank || index + 1}
                     </td>
                     <td className="py-3 px-4">
-                      <div className="flex items-center gap-2">
-                        <span className="text-white font-medium">{country.name}</span>
+                      <button
+                        onClick={() => onSelectCountry?.(country.country)}
+                        className="flex items-center gap-2 group"
+                      >
+                        <span className="text-white font-medium group-hover:text-lens-400 transition-colors">{country.name}</span>
                         <span className="text-dark-500 text-xs">{country.country}</span>
-                      </div>
+                      </button>
                     </td>
                     {gasTypes.map(gas => (
                       <td 
@@ -226,6 +352,12 @@ export default function GasesView({ yearRange, onYearChange }) {
                         </span>
                       </td>
                     ))}
+                    {isIntensity && (
+                      <td className="py-3 px-4 text-right font-mono text-sm text-white font-semibold">
+                        {formatMetric(country.intensity?.[metricOption.field], metric)}
+                        <span className="text-dark-500 text-xs ml-1">{metricOption.unit}</span>
+                      </td>
+                    )}
                   </motion.tr>
                 ))}
               </tbody>
@@ -242,7 +374,7 @@ export default function GasesView({ yearRange, onYearChange }) {
             className="bg-dark-800/50 backdrop-blur-sm rounded-xl border border-dark-700/50 p-6"
           >
             <h3 className="text-lg font-semibold text-white mb-4">
-              Top 15 Countries - {gasTypes.find(g => g.key === selectedGas)?.fullName}
+              Top 15 Countries - {gasTypes.find(g => g.key === selectedGas)?.fullName} ({data.units?.mass?.[selectedGas] || data.worldTotals?.[selectedGas]?.unit})
             </h3>
             <div className="h-96">
               <ResponsiveContainer width="100%" height="100%">
@@ -264,7 +396,10 @@ export default function GasesView({ yearRange, onYearChange }) {
                       borderRadius: '8px',
                       color: '#fff'
                     }}
-                    formatter={(value) => [value.toLocaleString(), gasTypes.find(g => g.key === selectedGas)?.label]}
+                    formatter={(value) => [
+                      `${value.toLocaleString()} ${data.units?.mass?.[selectedGas] || ''}`,
+                      gasTypes.find(g => g.key === selectedGas)?.label
+                    ]}
                   />
                   <Bar 
                     dataKey={selectedGas} 
@@ -311,7 +446,7 @@ export default function GasesView({ yearRange, onYearChange }) {
                       borderRadius: '8px',
                       color: '#fff'
                     }}
-                    formatter={(value) => value.toLocaleString()}
+                    formatter={(value) => `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} Mt`}
                   />
                   <Legend 
                     verticalAlign="bottom"
@@ -362,6 +497,13 @@ export default function GasesView({ yearRange, onYearChange }) {
         </div>
       )}
 
+      <SectorGasMatrix
+        yearRange={yearRange}
+        gasTypes={gasTypes}
+        selectedGas={selectedGas}
+        onSelectGas={setSelectedGas}
+      />
+
       {/* Data Source Info */}
       <div className="flex items-center justify-between text-sm text-dark-500 pt-4 border-t border-dark-700/50">
         <div className="flex items-center gap-2">
@@ -51,8 +51,11 @@ const itemVariants = {
   show: { opacity: 1, y: 0 }
 };
 
-export default function IndustriesView({ data }) {
-  const [selectedIndustry, setSelectedIndustry] = useState(null);
+export default function IndustriesView({ data, industry = null }) {
+  // Opened from another view with an industry id preselected
+  const [selectedIndustry, setSelectedIndustry] = useState(
+    () => data?.industries.find(i => i.id === industry)?.name || null
+  );
 
   if (!data) return null;
 
@@ -68,37 +71,10 @@ export default function IndustriesView({ data }) {
     // The industry object may have a 'sectors' property from the API
     let industrySectors = industry.sectors || [];
     
-    // If no sectors in industry object, try to match from the sectors list
+    // If no sectors in industry object, match on the taxonomy category of each sector
     if (industrySectors.length === 0 && sectors) {
-      // Map sector names to industries based on common groupings
-      const sectorToIndustryMap = {
-        'Power Generation': 'Energy',
-        'Fossil Fuel Operations': 'Energy',
-        'Oil & Gas': 'Energy',
-        'Coal Mining': 'Energy',
-        'Oil Refining': 'Energy',
-        'Transportation': 'Transportation',
-        'Road Transport': 'Transportation',
-        'Aviation': 'Transportation',
-        'International Aviation': 'Transportation',
-        'Shipping': 'Transportation',
-        'Manufacturing': 'Manufacturing',
-        'Steel Production': 'Manufacturing',
-        'Cement Production': 'Manufacturing',
-        'Chemicals': 'Manufacturing',
-        'Petrochemicals': 'Manufacturing',
-        'Buildings': 'Buildings',
-        'Agriculture': 'Agriculture',
-        'Livestock': 'Agriculture',
-        'Rice Cultivation': 'Agriculture',
-        'Waste': 'Waste & Land Use',
-        'Solid Waste': 'Waste & Land Use',
-        'Land Use': 'Waste & Land Use',
-        'Deforestation': 'Waste & Land Use'
-      };
-
       industrySectors = sectors
-        .filter(s => sectorToIndustryMap[s.name] === industryName)
+        .filter(s => s.category === industry.id)
         .map(s => ({
           name: s.name,
           emissions: s.emissions,
@@ -0,0 +1,291 @@
+import { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import ChartCard from '../charts/ChartCard';
+import { api } from '../../config';
+
+const metricOptions = [
+  { id: 'co2', label: 'CO2' },
+  { id: 'ch4', label: 'CH4' },
+  { id: 'n2o', label: 'N2O' },
+  { id: 'per_capita', label: 'Per capita' },
+  { id: 'change', label: 'Change' }
+];
+
+const sinceYears = [2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022];
+
+// One colour per legend class, lowest first
+const palettes = {
+  sequential: ['#fef3c7', '#fcd34d', '#f97316', '#dc2626', '#7f1d1d'],
+  diverging: ['#1d4ed8', '#60a5fa', '#94a3b8', '#f87171', '#b91c1c']
+};
+const noDataColor = '#1e293b';
+
+const inputClass = 'bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-lens-500';
+
+const containerVariants = {
+  hidden: { opacity: 0 },
+  show: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1 }
+  }
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  show: { opacity: 1, y: 0 }
+};
+
+// Natural Earth projection (Šavrič et al.), scaled so x spans about ±274
+function project([lon, lat]) {
+  const lambda = lon * Math.PI / 180;
+  const phi = lat * Math.PI / 180;
+  const phi2 = phi * phi;
+  const phi4 = phi2 * phi2;
+  const x = lambda * (0.8707 - 0.131979 * phi2 + phi4 * (-0.013791 + phi4 * (0.003971 * phi2 - 0.001529 * phi4)));
+  const y = phi * (1.007226 + phi2 * (0.015085 + phi4 * (-0.044475 + 0.028874 * phi2 - 0.005916 * phi4)));
+  return [x * 100, -y * 100];
+}
+
+function ringPath(ring) {
+  return ring.map((point, i) => {
+    const [x, y] = project(point);
+    return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join('') + 'Z';
+}
+
+function geometryPath(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.flatMap(polygon => polygon.map(ringPath)).join('');
+}
+
+function classColor(value, legend) {
+  if (value === null || value === undefined) return noDataColor;
+  const palette = palettes[legend.scale];
+  const index = legend.breaks.filter(b => value >= b).length;
+  // Fewer breaks than classes when values repeat; spread them over the palette
+  return palette[Math.round(index * (palette.length - 1) / Math.max(legend.breaks.length, 1))];
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return 'No data';
+  return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+export default function MapView({ onSelectCountry }) {
+  const [metric, setMetric] = useState('co2');
+  const [since, setSince] = useState(2015);
+  const [data, setData] = useState(null);
+  const [assets, setAssets] = useState(null);
+  const [hovered, setHovered] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchMap();
+  }, [metric, since]);
+
+  useEffect(() => {
+    fetchAssets();
+  }, []);
+
+  const fetchMap = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ metric, since });
+      const response = await fetch(`${api.emissions.geoCountries}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch emissions map:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchAssets = async () => {
+    try {
+      const response = await fetch(`${api.emissions.geoAssets}?limit=300`);
+      if (response.ok) {
+        setAssets(await response.json());
+      }
+    } catch (err) {
+      // The asset overlay is optional
+      console.error('Failed to fetch asset locations:', err);
+    }
+  };
+
+  const paths = useMemo(() => Object.fromEntries(
+    (data?.features || []).map(feature => [feature.id, geometryPath(feature.geometry)])
+  ), [data?.features]);
+
+  const largestAsset = useMemo(
+    () => Math.max(...(assets?.features || []).map(f => f.properties.value || 0), 1),
+    [assets]
+  );
+
+  if (!data) {
+    return loading ? (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-lens-400"></div>
+      </div>
+    ) : (
+      <div className="text-center py-12 text-dark-400">
+        {error || 'Failed to load emissions map'}
+      </div>
+    );
+  }
+
+  const { legend } = data;
+  const palette = palettes[legend.scale];
+  const legendLabels = legend.breaks.length > 0
+    ? [`< ${formatValue(legend.breaks[0])}`, ...legend.breaks.map((b, i) =>
+      i < legend.breaks.length - 1 ? `${formatValue(b)} – ${formatValue(legend.breaks[i + 1])}` : `≥ ${formatValue(b)}`)]
+    : [];
+  const subtitle = metric === 'change'
+    ? `${data.unit}, ${data.since} to ${data.year}`
+    : `${data.unit}, ${data.year}`;
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="space-y-6"
+    >
+      {/* Header */}
+      <motion.div variants={itemVariants} className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white mb-2">
+            Emissions <span className="text-gradient">Map</span>
+          </h1>
+          <p className="text-dark-400">
+            {data.metricLabel} by country · click a country for details
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {metric === 'change' && (
+            <select value={since} onChange={(e) => setSince(parseInt(e.target.value))} className={inputClass}>
+              {sinceYears.filter(year => year < data.year).map(year => (
+                <option key={year} value={year}>Since {year}</option>
+              ))}
+            </select>
+          )}
+          <div className="flex bg-dark-800 rounded-lg p-1">
+            {metricOptions.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setMetric(option.id)}
+                className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+                  ${metric === option.id ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </motion.div>
+
+      {error && (
+        <div className="text-center text-sm text-red-400">{error}</div>
+      )}
+
+      <motion.div variants={itemVariants}>
+        <ChartCard title={data.metricLabel} subtitle={subtitle}>
+          <div className={`relative transition-opacity ${loading ? 'opacity-60' : ''}`}>
+            <svg viewBox="-280 -145 560 290" className="w-full h-auto">
+              {data.features.map(feature => {
+                const hasData = feature.properties.value !== null;
+                return (
+                  <path
+                    key={feature.id}
+                    d={paths[feature.id]}
+                    fill={classColor(feature.properties.value, legend)}
+                    stroke={hovered?.id === feature.id ? '#e2e8f0' : '#0f172a'}
+                    strokeWidth={hovered?.id === feature.id ? 0.8 : 0.3}
+                    className={hasData ? 'cursor-pointer' : ''}
+                    onMouseEnter={() => setHovered(feature)}
+                    onMouseLeave={() => setHovered(null)}
+                    onClick={() => hasData && onSelectCountry?.(feature.id)}
+                  />
+                );
+              })}
+              {assets?.features.map(point => {
+                const [x, y] = project(point.geometry.coordinates);
+                return (
+                  <circle
+                    key={point.id}
+                    cx={x}
+                    cy={y}
+                    r={0.6 + 2.4 * Math.sqrt((point.properties.value || 0) / largestAsset)}
+                    fill="#38bdf8"
+                    fillOpacity={0.6}
+                    stroke="#0f172a"
+                    strokeWidth={0.2}
+                  >
+                    <title>{`${point.properties.name}: ${formatValue(point.properties.value)} ${assets.unit}`}</title>
+                  </circle>
+                );
+              })}
+            </svg>
+
+            {hovered && (
+              <div className="custom-tooltip absolute top-2 right-2 pointer-events-none">
+                <p className="text-white font-medium mb-1">{hovered.properties.name}</p>
+                {hovered.properties.value === null ? (
+                  <p className="text-dark-400 text-sm">No data</p>
+                ) : (
+                  <div className="text-sm space-y-0.5">
+                    {metricOptions.map(option => (
+                      <p key={option.id} className={option.id === metric ? 'text-white' : 'text-dark-400'}>
+                        {option.label}: {formatValue(hovered.properties[option.id])} {data.metricUnits[option.id]}
+                        {option.id === 'change' && hovered.properties.changePercent !== null && ` (${hovered.properties.changePercent > 0 ? '+' : ''}${hovered.properties.changePercent}%)`}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Legend */}
+          <div className="flex flex-wrap items-center gap-4 mt-4 text-xs text-dark-400">
+            {legendLabels.map((label, i) => (
+              <div key={label} className="flex items-center gap-1.5">
+                <span
+                  className="w-3 h-3 rounded-sm"
+                  style={{ backgroundColor: palette[Math.round(i * (palette.length - 1) / Math.max(legend.breaks.length, 1))] }}
+                />
+                {label}
+              </div>
+            ))}
+            <div className="flex items-center gap-1.5">
+              <span className="w-3 h-3 rounded-sm border border-dark-600" style={{ backgroundColor: noDataColor }} />
+              No data
+            </div>
+            {assets?.features.length > 0 && (
+              <div className="flex items-center gap-1.5">
+                <span className="w-3 h-3 rounded-full bg-sky-400/60" />
+                Assets ({assets.unit})
+              </div>
+            )}
+          </div>
+        </ChartCard>
+      </motion.div>
+
+      <motion.div variants={itemVariants} className="glass rounded-2xl p-6 text-xs text-dark-500 space-y-2">
+        <p>{data.source}. Boundaries: {data.boundaries || 'unavailable'}.</p>
+        {data.completeness.notes.length > 0 && (
+          <p>{data.completeness.notes.join('. ')}</p>
+        )}
+        {assets?.completeness.notes.length > 0 && (
+          <p>Assets: {assets.completeness.notes.join('. ')}</p>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
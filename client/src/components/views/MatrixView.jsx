@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import ChartCard from '../charts/ChartCard';
+import Heatmap from '../charts/Heatmap';
+import { api } from '../../config';
+
+const layoutOptions = [
+  { id: 'country-sector', label: 'Country × Sector', rows: 'country', columns: 'sector' },
+  { id: 'country-industry', label: 'Country × Industry', rows: 'country', columns: 'industry' },
+  { id: 'region-industry', label: 'Region × Industry', rows: 'region', columns: 'industry' },
+  { id: 'region-sector', label: 'Region × Sector', rows: 'region', columns: 'sector' }
+];
+
+const normalizeOptions = [
+  { id: 'none', label: 'Values' },
+  { id: 'row', label: 'Row share' },
+  { id: 'column', label: 'Column share' }
+];
+
+const gasOptions = [
+  { id: 'co2e_100yr', label: 'CO2e (100yr)' },
+  { id: 'co2', label: 'CO2' },
+  { id: 'ch4', label: 'CH4' },
+  { id: 'n2o', label: 'N2O' }
+];
+
+const inputClass = 'bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-lens-500';
+
+const containerVariants = {
+  hidden: { opacity: 0 },
+  show: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1 }
+  }
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  show: { opacity: 1, y: 0 }
+};
+
+export default function MatrixView({ yearRange, onSelectCountry, onSelectIndustry }) {
+  const [layout, setLayout] = useState('country-sector');
+  const [normalize, setNormalize] = useState('none');
+  const [gas, setGas] = useState('co2e_100yr');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchMatrix();
+  }, [yearRange, layout, normalize, gas]);
+
+  const fetchMatrix = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { rows, columns } = layoutOptions.find(option => option.id === layout);
+      const params = new URLSearchParams({
+        since: yearRange?.since || 2023,
+        to: yearRange?.to || 2023,
+        rows,
+        columns,
+        normalize,
+        gas
+      });
+      const response = await fetch(`${api.emissions.matrix}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch emissions matrix:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!data) {
+    return loading ? (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-lens-400"></div>
+      </div>
+    ) : (
+      <div className="text-center py-12 text-dark-400">
+        {error || 'Failed to load emissions matrix'}
+      </div>
+    );
+  }
+
+  const rowLabel = data.rowType === 'region' ? data.grouping?.name || 'Regions' : 'Top emitting countries';
+  const columnLabel = data.columnType === 'industry' ? 'industries' : 'sectors';
+  const subtitle = normalize === 'none'
+    ? `${data.unit}, ${data.yearRange.since === data.yearRange.to ? data.year : `${data.yearRange.since}–${data.yearRange.to}`}`
+    : `Share of each ${normalize === 'row' ? 'row' : 'column'} total (${data.unit})`;
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="space-y-6"
+    >
+      {/* Header */}
+      <motion.div variants={itemVariants} className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white mb-2">
+            Emissions <span className="text-gradient">Matrix</span>
+          </h1>
+          <p className="text-dark-400">
+            {rowLabel} by {columnLabel} · click a name to drill down, a column header to sort
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={layout} onChange={(e) => setLayout(e.target.value)} className={inputClass}>
+            {layoutOptions.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+          <select value={gas} onChange={(e) => setGas(e.target.value)} className={inputClass}>
+            {gasOptions.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+          <div className="flex bg-dark-800 rounded-lg p-1">
+            {normalizeOptions.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setNormalize(option.id)}
+                className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+                  ${normalize === option.id ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </motion.div>
+
+      {error && (
+        <div className="text-center text-sm text-red-400">{error}</div>
+      )}
+
+      <motion.div variants={itemVariants}>
+        <ChartCard title={`${data.rows.length} × ${data.columns.length}`} subtitle={subtitle}>
+          <div className={`transition-opacity ${loading ? 'opacity-60' : ''}`}>
+            {data.rows.length > 0 ? (
+              <Heatmap
+                rows={data.rows}
+                columns={data.columns}
+                unit={data.unit}
+                onSelectRow={data.rowType === 'country' ? row => onSelectCountry?.(row.id) : null}
+                // Industries view uses the default scheme; sectors open the industry they belong to
+                onSelectColumn={onSelectIndustry && data.scheme === 'industry'
+                  ? column => onSelectIndustry(data.columnType === 'industry' ? column.id : column.category)
+                  : null}
+              />
+            ) : (
+              <p className="text-center py-12 text-dark-400">No sector data for this selection</p>
+            )}
+          </div>
+        </ChartCard>
+      </motion.div>
+
+      <motion.div variants={itemVariants} className="glass rounded-2xl p-6 text-xs text-dark-500 space-y-2">
+        <p>{data.source}. Total: {data.total.toLocaleString()} {data.unit}.</p>
+        {data.completeness.notes.length > 0 && (
+          <p>{data.completeness.notes.join('. ')}</p>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -23,6 +23,9 @@ import {
 } from 'recharts';
 import StatCard from '../charts/StatCard';
 import ChartCard from '../charts/ChartCard';
+import MoversPanel from '../MoversPanel';
+import ConcentrationCard from '../ConcentrationCard';
+import { metricOptions, formatMetric } from '../MetricToggle';
 
 const containerVariants = {
   hidden: { opacity: 0 },
@@ -37,10 +40,11 @@ const itemVariants = {
   show: { opacity: 1, y: 0 }
 };
 
-export default function OverviewView({ data, yearRange }) {
+export default function OverviewView({ data, yearRange, metric = 'absolute', onSelectCountry }) {
   if (!data) return null;
 
   const { summary, industries = [], trends = [], regions = [], countries = [] } = data;
+  const metricOption = metricOptions[metric] || metricOptions.absolute;
 
   // Format industries for charts
   const industryData = industries.map(ind => ({
@@ -64,6 +68,10 @@ export default function OverviewView({ data, yearRange }) {
     color: r.color || '#6b7280'
   }));
 
+  const yoyChange = summary.changeFromLastYear;
+  const hasYoY = typeof yoyChange === 'number';
+  const methodology = summary.methodology || {};
+
   const stats = [
     {
       title: 'Total CO₂ Emissions',
@@ -71,7 +79,8 @@ export default function OverviewView({ data, yearRange }) {
         ? `${(summary.totalEmissions / 1000).toFixed(1)}B` 
         : `${summary.totalEmissions?.toLocaleString()}`,
       unit: 'MT CO₂',
-      change: summary.changeFromLastYear,
+      change: yoyChange,
+      description: methodology.totalEmissions,
       icon: Factory,
       color: 'lens'
     },
@@ -83,19 +92,22 @@ export default function OverviewView({ data, yearRange }) {
       color: 'purple'
     },
     {
-      title: 'Top Emitter',
+      title: metric === 'absolute' ? 'Top Emitter' : `Top Emitter (${metricOption.label.toLowerCase()})`,
       value: countries[0]?.country || summary.topIndustry?.name || 'Energy',
-      unit: `${countries[0]?.share_global_co2?.toFixed(1) || 0}% share`,
+      unit: metric === 'absolute'
+        ? `${countries[0]?.share_global_co2?.toFixed(1) || 0}% share`
+        : `${formatMetric(countries[0]?.[metricOption.countryField], metric)} ${metricOption.unit}`,
       icon: Zap,
       color: 'amber'
     },
     {
       title: 'Year-over-Year',
-      value: `${summary.changeFromLastYear > 0 ? '+' : ''}${summary.changeFromLastYear || 0}%`,
+      value: hasYoY ? `${yoyChange > 0 ? '+' : ''}${yoyChange}%` : 'n/a',
       unit: `vs ${(summary.year || 2023) - 1}`,
-      trend: summary.changeFromLastYear < 0 ? 'down' : 'up',
-      icon: summary.changeFromLastYear < 0 ? TrendingDown : TrendingUp,
-      color: summary.changeFromLastYear < 0 ? 'green' : 'red'
+      description: methodology.changeFromLastYear,
+      trend: yoyChange < 0 ? 'down' : 'up',
+      icon: yoyChange < 0 ? TrendingDown : TrendingUp,
+      color: !hasYoY ? 'cyan' : yoyChange < 0 ? 'green' : 'red'
     }
   ];
 
@@ -288,7 +300,12 @@ export default function OverviewView({ data, yearRange }) {
       {/* Top Countries */}
       {countries && countries.length > 0 && (
         <motion.div variants={itemVariants}>
-          <ChartCard title="Top Emitting Countries" subtitle={`Real CO₂ data from ${yearDisplay} (Million Tonnes)`}>
+          <ChartCard
+            title="Top Emitting Countries"
+            subtitle={metric === 'absolute'
+              ? `Real CO₂ data from ${yearDisplay} (Million Tonnes)`
+              : `Ranked by CO₂ ${metricOption.label.toLowerCase()}, ${yearDisplay} (${metricOption.unit})`}
+          >
             <div className="overflow-x-auto">
               <table className="w-full">
                 <thead>
@@ -296,6 +313,9 @@ export default function OverviewView({ data, yearRange }) {
                     <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">Rank</th>
                     <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">Country</th>
                     <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">CO₂ Emissions</th>
+                    {metric !== 'absolute' && (
+                      <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">{metricOption.label}</th>
+                    )}
                     <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">% Global</th>
                   </tr>
                 </thead>
@@ -309,14 +329,17 @@ export default function OverviewView({ data, yearRange }) {
                         <span className={`w-6 h-6 rounded-full flex items-center justify-center text-xs font-bold ${
                           index < 3 ? 'bg-lens-500/20 text-lens-400' : 'bg-dark-700 text-dark-300'
                         }`}>
-                          {country.rank || index + 1}
+                          {metric === 'absolute' ? country.rank || index + 1 : index + 1}
                         </span>
                       </td>
                       <td className="py-3">
-                        <div className="flex items-center gap-2">
-                          <span className="text-white font-medium">{country.country}</span>
+                        <button
+                          onClick={() => onSelectCountry?.(country.iso_code)}
+                          className="flex items-center gap-2 group"
+                        >
+                          <span className="text-white font-medium group-hover:text-lens-400 transition-colors">{country.country}</span>
                           <span className="text-dark-500 text-xs">{country.iso_code}</span>
-                        </div>
+                        </button>
                       </td>
                       <td className="py-3 text-right">
                         <span className="text-white font-mono">
@@ -324,6 +347,14 @@ export default function OverviewView({ data, yearRange }) {
                         </span>
                         <span className="text-dark-500 text-sm ml-1">MT</span>
                       </td>
+                      {metric !== 'absolute' && (
+                        <td className="py-3 text-right">
+                          <span className="text-white font-mono">
+                            {formatMetric(country[metricOption.countryField], metric)}
+                          </span>
+                          <span className="text-dark-500 text-sm ml-1">{metricOption.unit}</span>
+                        </td>
+                      )}
                       <td className="py-3 text-right">
                         <span className="text-lens-400 font-medium">
                           {country.share_global_co2?.toFixed(1)}%
@@ -338,6 +369,16 @@ export default function OverviewView({ data, yearRange }) {
         </motion.div>
       )}
 
+      {/* Concentration */}
+      <motion.div variants={itemVariants}>
+        <ConcentrationCard yearRange={yearRange} />
+      </motion.div>
+
+      {/* Biggest Movers */}
+      <motion.div variants={itemVariants}>
+        <MoversPanel year={yearRange?.to} onSelectCountry={onSelectCountry} />
+      </motion.div>
+
       {/* Data Source Info */}
       <motion.div variants={itemVariants}>
         <div className="glass rounded-2xl p-6">
@@ -365,8 +406,11 @@ export default function OverviewView({ data, yearRange }) {
               <p className="text-xs text-dark-400">Countries Tracked</p>
             </div>
             <div>
-              <p className={`text-2xl font-bold ${summary.changeFromLastYear < 0 ? 'text-green-400' : 'text-red-400'}`}>
-                {summary.changeFromLastYear > 0 ? '+' : ''}{summary.changeFromLastYear || 0}%
+              <p
+                className={`text-2xl font-bold ${!hasYoY ? 'text-dark-300' : yoyChange < 0 ? 'text-green-400' : 'text-red-400'}`}
+                title={methodology.changeFromLastYear}
+              >
+                {hasYoY ? `${yoyChange > 0 ? '+' : ''}${yoyChange}%` : 'n/a'}
               </p>
               <p className="text-xs text-dark-400">YoY Change</p>
             </div>
@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import ChartCard from '../charts/ChartCard';
+import { api } from '../../config';
+
+// Wait for the threshold slider to settle before refetching
+const REFETCH_DELAY = 400;
+
+const inventoryColors = ['#38bdf8', '#f59e0b', '#a855f7', '#10b981', '#ec4899'];
+
+const sortOptions = [
+  { id: 'discrepancy', label: 'Largest %' },
+  { id: 'difference', label: 'Largest gap' },
+  { id: 'emissions', label: 'Emissions' }
+];
+
+const gasNames = {
+  co2: 'CO2',
+  ch4: 'CH4',
+  n2o: 'N2O',
+  co2e_100yr: 'CO2e (100yr)',
+  co2e_20yr: 'CO2e (20yr)'
+};
+
+const inputClass = 'bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-lens-500';
+
+const containerVariants = {
+  hidden: { opacity: 0 },
+  show: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1 }
+  }
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  show: { opacity: 1, y: 0 }
+};
+
+export default function ReconcileView({ onSelectCountry }) {
+  const [inventories, setInventories] = useState([]);
+  const [year, setYear] = useState(2022);
+  const [gas, setGas] = useState('co2');
+  const [threshold, setThreshold] = useState(10);
+  const [sort, setSort] = useState('discrepancy');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchInventories();
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchReconciliation, REFETCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [year, gas, threshold, sort]);
+
+  const fetchInventories = async () => {
+    try {
+      const response = await fetch(`${api.emissions.reconcile}/inventories`);
+      const result = await response.json();
+      setInventories(result.inventories || []);
+    } catch (err) {
+      console.error('Failed to fetch inventories:', err);
+    }
+  };
+
+  const fetchReconciliation = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ year, gas, threshold, sort });
+      const response = await fetch(`${api.emissions.reconcile}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to reconcile emissions:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const years = [...new Set(inventories.flatMap(i => i.years))].sort((a, b) => b - a);
+  const gases = [...new Set(inventories.flatMap(i => i.gases))];
+
+  if (!data) {
+    return loading ? (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-lens-400"></div>
+      </div>
+    ) : (
+      <div className="text-center py-12 text-dark-400">
+        {error || 'Failed to load reconciliation'}
+      </div>
+    );
+  }
+
+  const chartData = data.countries.slice(0, 15).map(row => ({
+    name: row.country,
+    fullName: row.name,
+    ...Object.fromEntries(Object.entries(row.inventories).map(([id, c]) => [id, c.differencePercent]))
+  }));
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="space-y-6"
+    >
+      {/* Header */}
+      <motion.div variants={itemVariants}>
+        <h1 className="text-3xl font-display font-bold text-white mb-2">
+          Compare <span className="text-gradient">Sources</span>
+        </h1>
+        <p className="text-dark-400">
+          Where {data.source.replace('Data Source: ', '')} differs from national and research inventories
+        </p>
+      </motion.div>
+
+      {/* Controls */}
+      <motion.div variants={itemVariants} className="glass rounded-2xl p-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 items-end">
+          <div>
+            <label className="block text-dark-400 text-sm mb-2">Year</label>
+            <select value={year} onChange={(e) => setYear(parseInt(e.target.value))} className={`w-full ${inputClass}`}>
+              {(years.length > 0 ? years : [year]).map(y => <option key={y} value={y}>{y}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-dark-400 text-sm mb-2">Gas</label>
+            <select value={gas} onChange={(e) => setGas(e.target.value)} className={`w-full ${inputClass}`}>
+              {(gases.length > 0 ? gases : [gas]).map(g => <option key={g} value={g}>{gasNames[g] || g}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="flex justify-between text-dark-400 text-sm mb-2">
+              <span>Flag differences above</span>
+              <span className="text-white font-mono">{threshold}%</span>
+            </label>
+            <input
+              type="range"
+              min={1}
+              max={50}
+              step={1}
+              value={threshold}
+              onChange={(e) => setThreshold(parseInt(e.target.value))}
+              className="w-full accent-lens-500"
+            />
+          </div>
+          <div className="flex bg-dark-800 rounded-lg p-1 w-fit">
+            {sortOptions.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setSort(option.id)}
+                className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+                  ${sort === option.id ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="text-xs text-dark-500 mt-4">
+          {data.flaggedCount} of {data.countries.length} countries differ by {data.threshold}% or more
+          {loading && ' · Updating...'}
+          {error && ` · ${error}`}
+        </p>
+      </motion.div>
+
+      {/* Inventory summaries */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {data.inventories.map((inventory, index) => (
+          <motion.div key={inventory.id} variants={itemVariants} className="glass rounded-2xl p-5">
+            <div className="flex justify-between items-baseline mb-2">
+              <h3 className="text-white font-semibold" style={{ color: inventoryColors[index % inventoryColors.length] }}>
+                {inventory.name}
+              </h3>
+              <span className={`font-mono text-sm ${Math.abs(inventory.differencePercent ?? 0) >= data.threshold ? 'text-red-400' : 'text-dark-300'}`}>
+                {inventory.differencePercent === null ? 'n/a' : `${inventory.differencePercent > 0 ? '+' : ''}${inventory.differencePercent}%`}
+              </span>
+            </div>
+            <p className="text-xs text-dark-500 mb-3">{inventory.scope || inventory.description}</p>
+            <div className="grid grid-cols-3 gap-2 text-sm">
+              <div>
+                <p className="text-dark-500 text-xs">Matched</p>
+                <p className="text-white font-mono">{inventory.matched}</p>
+              </div>
+              <div>
+                <p className="text-dark-500 text-xs">Flagged</p>
+                <p className="text-red-400 font-mono">{inventory.flagged}</p>
+              </div>
+              <div>
+                <p className="text-dark-500 text-xs">Median gap</p>
+                <p className="text-white font-mono">{inventory.medianAbsDifferencePercent ?? 'n/a'}{inventory.medianAbsDifferencePercent !== null && '%'}</p>
+              </div>
+            </div>
+          </motion.div>
+        ))}
+      </div>
+
+      {data.countries.length === 0 ? (
+        <div className="text-center py-12 text-dark-400">
+          {data.completeness.notes.join('. ') || 'No countries to compare'}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+          {/* Differences chart */}
+          <motion.div variants={itemVariants} className="lg:col-span-2">
+            <ChartCard title="Difference" subtitle="Data source minus inventory, % of inventory">
+              <ResponsiveContainer width="100%" height={480}>
+                <BarChart data={chartData} layout="vertical">
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" horizontal={false} />
+                  <XAxis type="number" stroke="#64748b" fontSize={12} unit="%" />
+                  <YAxis type="category" dataKey="name" stroke="#64748b" fontSize={12} width={48} />
+                  <Tooltip content={<DifferenceTooltip inventories={data.inventories} />} cursor={{ fill: 'rgba(51, 65, 85, 0.3)' }} />
+                  <Legend formatter={(value) => <span className="text-dark-300 text-sm">{value}</span>} />
+                  <ReferenceLine x={0} stroke="#64748b" />
+                  <ReferenceLine x={data.threshold} stroke="#ef4444" strokeDasharray="4 4" />
+                  <ReferenceLine x={-data.threshold} stroke="#ef4444" strokeDasharray="4 4" />
+                  {data.inventories.map((inventory, index) => (
+                    <Bar
+                      key={inventory.id}
+                      dataKey={inventory.id}
+                      name={inventory.name}
+                      fill={inventoryColors[index % inventoryColors.length]}
+                    />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+          </motion.div>
+
+          {/* Comparison table */}
+          <motion.div variants={itemVariants} className="lg:col-span-3">
+            <ChartCard title="Countries" subtitle={data.unit}>
+              <div className="overflow-x-auto max-h-[480px] overflow-y-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="text-left border-b border-dark-700">
+                      <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">Country</th>
+                      <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Data source</th>
+                      {data.inventories.map(inventory => (
+                        <th key={inventory.id} className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">
+                          {inventory.name}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.countries.map(row => (
+                      <tr key={row.country} className={`border-b border-dark-800 ${row.flagged ? 'bg-red-500/5' : ''}`}>
+                        <td className="py-3">
+                          <button
+                            onClick={() => onSelectCountry?.(row.country)}
+                            className="text-white font-medium hover:text-lens-400 transition-colors text-left"
+                          >
+                            {row.name}
+                          </button>
+                        </td>
+                        <td className="py-3 text-right font-mono text-white">{row.emissions.toLocaleString()}</td>
+                        {data.inventories.map(inventory => {
+                          const comparison = row.inventories[inventory.id];
+                          return (
+                            <td key={inventory.id} className="py-3 text-right whitespace-nowrap">
+                              {comparison ? (
+                                <>
+                                  <span className="font-mono text-dark-300">{comparison.value.toLocaleString()}</span>
+                                  <span className={`ml-2 text-xs font-mono ${comparison.flagged ? 'text-red-400' : 'text-dark-500'}`}>
+                                    {comparison.differencePercent === null ? 'n/a' : `${comparison.differencePercent > 0 ? '+' : ''}${comparison.differencePercent}%`}
+                                  </span>
+                                </>
+                              ) : (
+                                <span className="text-dark-600">—</span>
+                              )}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </ChartCard>
+          </motion.div>
+        </div>
+      )}
+
+      <motion.div variants={itemVariants} className="glass rounded-2xl p-6 text-xs text-dark-500 space-y-2">
+        <p>{data.methodology}</p>
+        {data.inventories.map(inventory => (
+          <p key={inventory.id}>
+            {inventory.name}: {inventory.description}
+            {inventory.inventoryOnly.length > 0 && ` Not in the data source: ${inventory.inventoryOnly.join(', ')}.`}
+          </p>
+        ))}
+        {data.completeness.notes.length > 0 && data.countries.length > 0 && (
+          <p>{data.completeness.notes.join('. ')}</p>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+function DifferenceTooltip({ active, payload, inventories }) {
+  if (!active || !payload || !payload.length) return null;
+
+  return (
+    <div className="custom-tooltip">
+      <p className="text-white font-medium mb-2">{payload[0].payload.fullName}</p>
+      {payload.filter(entry => entry.value !== undefined && entry.value !== null).map((entry, index) => (
+        <p key={index} className="text-sm" style={{ color: entry.color }}>
+          {inventories.find(i => i.id === entry.dataKey)?.name}: {entry.value > 0 ? '+' : ''}{entry.value}%
+        </p>
+      ))}
+    </div>
+  );
+}
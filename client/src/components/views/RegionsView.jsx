@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { Globe2, MapPin, ArrowRight } from 'lucide-react';
 import {
@@ -15,6 +15,10 @@ import {
   Treemap
 } from 'recharts';
 import ChartCard from '../charts/ChartCard';
+import { metricOptions, formatMetric } from '../MetricToggle';
+import { api } from '../../config';
+
+const DEFAULT_GROUPING = 'continent';
 
 const containerVariants = {
   hidden: { opacity: 0 },
@@ -29,12 +33,59 @@ const itemVariants = {
   show: { opacity: 1, y: 0 }
 };
 
-export default function RegionsView({ data }) {
+export default function RegionsView({ data, yearRange, metric = 'absolute', onSelectCountry }) {
   const [selectedRegion, setSelectedRegion] = useState(null);
+  const [groupings, setGroupings] = useState([]);
+  const [grouping, setGrouping] = useState(DEFAULT_GROUPING);
+  const [groupData, setGroupData] = useState(null);
+  const [groupLoading, setGroupLoading] = useState(false);
+
+  useEffect(() => {
+    fetch(api.emissions.groupings)
+      .then(response => response.json())
+      .then(result => setGroupings(result.groupings || []))
+      .catch(err => console.error('Failed to fetch groupings:', err));
+  }, []);
+
+  useEffect(() => {
+    setSelectedRegion(null);
+    if (grouping === DEFAULT_GROUPING) {
+      setGroupData(null);
+      return;
+    }
+    fetchGroupData();
+  }, [grouping, yearRange, metric]);
+
+  const fetchGroupData = async () => {
+    setGroupLoading(true);
+    try {
+      const params = new URLSearchParams({
+        group: grouping,
+        since: yearRange?.since || 2023,
+        to: yearRange?.to || 2023,
+        metric
+      });
+      const response = await fetch(`${api.emissions.byGroup}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setGroupData(result);
+    } catch (err) {
+      console.error('Failed to fetch group data:', err);
+      setGroupData({ groups: [] });
+    } finally {
+      setGroupLoading(false);
+    }
+  };
 
   if (!data) return null;
 
-  const { regions } = data;
+  const isDefaultGrouping = grouping === DEFAULT_GROUPING;
+  const regions = isDefaultGrouping ? data.regions : (groupData?.groups || []);
+  const groupingName = groupings.find(g => g.id === grouping)?.name || 'Continents';
+  const metricOption = metricOptions[metric] || metricOptions.absolute;
+  const isIntensity = metric !== 'absolute';
 
   const handleRegionClick = (region) => {
     setSelectedRegion(selectedRegion === region.name ? null : region.name);
@@ -54,15 +105,40 @@ export default function RegionsView({ data }) {
       className="space-y-6"
     >
       {/* Header */}
-      <motion.div variants={itemVariants}>
-        <h1 className="text-3xl font-display font-bold text-white mb-2">
-          Regional <span className="text-gradient">Analysis</span>
-        </h1>
-        <p className="text-dark-400">
-          Geographic distribution of global greenhouse gas emissions
-        </p>
+      <motion.div variants={itemVariants} className="flex flex-col md:flex-row md:items-end justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-display font-bold text-white mb-2">
+            Regional <span className="text-gradient">Analysis</span>
+          </h1>
+          <p className="text-dark-400">
+            {isDefaultGrouping
+              ? 'Geographic distribution of global greenhouse gas emissions'
+              : `Emissions of ${groupingName} members${groupData?.otherCountries
+                ? ` — ${groupData.otherCountries.percentage}% of global CO₂ comes from ${groupData.otherCountries.countryCount} countries outside`
+                : ''}`}
+          </p>
+        </div>
+        {groupings.length > 1 && (
+          <select
+            value={grouping}
+            onChange={(e) => setGrouping(e.target.value)}
+            className="bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-lens-500"
+          >
+            {groupings.map(g => (
+              <option key={g.id} value={g.id}>
+                {g.name}{g.custom ? ' (custom)' : ''}
+              </option>
+            ))}
+          </select>
+        )}
       </motion.div>
 
+      {!isDefaultGrouping && groupLoading && (
+        <div className="flex items-center justify-center h-48">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-lens-400"></div>
+        </div>
+      )}
+
       {/* Region Cards */}
       <motion.div 
         variants={itemVariants}
@@ -98,6 +174,12 @@ export default function RegionsView({ data }) {
               {(region.emissions / 1000).toFixed(1)}K
               <span className="text-sm font-normal text-dark-400 ml-1">MMT</span>
             </p>
+            {isIntensity && (
+              <p className="text-sm text-lens-400 mt-1">
+                {formatMetric(region.intensity?.[metricOption.field], metric)}
+                <span className="text-dark-400 ml-1">{metricOption.unit}</span>
+              </p>
+            )}
             
             <div className="mt-3 h-2 rounded-full bg-dark-700 overflow-hidden">
               <motion.div
@@ -128,7 +210,7 @@ export default function RegionsView({ data }) {
               <>
                 <ChartCard 
                   title={`${selectedRegion} Breakdown`} 
-                  subtitle={`Top emitting countries (${region?.countryCount || 0} total)`}
+                  subtitle={`Top emitting countries${isIntensity ? ` by CO₂ ${metricOption.label.toLowerCase()}` : ''} (${region?.countryCount || 0} total)`}
                 >
                   <ResponsiveContainer width="100%" height={300}>
                     <BarChart 
@@ -150,11 +232,13 @@ export default function RegionsView({ data }) {
                         width={100}
                         tickFormatter={(value) => value.length > 15 ? value.slice(0, 15) + '...' : value}
                       />
-                      <Tooltip content={<CustomTooltip />} />
+                      <Tooltip content={<CustomTooltip metric={metric} />} />
                       <Bar 
-                        dataKey="emissions" 
+                        dataKey={metricOption.field} 
                         fill={region?.color}
                         radius={[0, 4, 4, 0]}
+                        cursor="pointer"
+                        onClick={(entry) => onSelectCountry?.(entry.code)}
                       />
                     </BarChart>
                   </ResponsiveContainer>
@@ -180,9 +264,12 @@ export default function RegionsView({ data }) {
                       <div className="flex items-center justify-between">
                         <div className="flex items-center gap-2">
                           <MapPin size={16} className="text-lens-400" />
-                          <span className="text-white font-medium text-sm">
+                          <button
+                            onClick={() => onSelectCountry?.(countryData[0]?.code)}
+                            className="text-white font-medium text-sm hover:text-lens-400 transition-colors"
+                          >
                             {countryData[0]?.name || 'N/A'}
-                          </span>
+                          </button>
                         </div>
                         <span className="text-lens-400 font-mono text-sm">
                           {countryData[0]?.percentage || 0}%
@@ -207,7 +294,7 @@ export default function RegionsView({ data }) {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Pie Chart */}
         <motion.div variants={itemVariants}>
-          <ChartCard title="Global Distribution" subtitle="Emissions share by region">
+          <ChartCard title="Global Distribution" subtitle={`Emissions share by ${isDefaultGrouping ? 'region' : 'group'}`}>
             <ResponsiveContainer width="100%" height={350}>
               <PieChart>
                 <Pie
@@ -273,7 +360,7 @@ export default function RegionsView({ data }) {
 
       {/* Comparison Table */}
       <motion.div variants={itemVariants}>
-        <ChartCard title="Regional Comparison" subtitle="Detailed metrics by region">
+        <ChartCard title="Regional Comparison" subtitle={`Detailed metrics by ${isDefaultGrouping ? 'region' : 'group'}`}>
           <div className="overflow-x-auto">
             <table className="w-full">
               <thead>
@@ -281,6 +368,9 @@ export default function RegionsView({ data }) {
                   <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">Region</th>
                   <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Emissions</th>
                   <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">% of Global</th>
+                  {isIntensity && (
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">{metricOption.label}</th>
+                  )}
                   <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Countries</th>
                   <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Top Emitter</th>
                 </tr>
@@ -313,6 +403,14 @@ export default function RegionsView({ data }) {
                     <td className="py-3 text-right">
                       <span className="text-white">{region.percentage}%</span>
                     </td>
+                    {isIntensity && (
+                      <td className="py-3 text-right">
+                        <span className="text-lens-400 font-mono">
+                          {formatMetric(region.intensity?.[metricOption.field], metric)}
+                        </span>
+                        <span className="text-dark-500 text-sm ml-1">{metricOption.unit}</span>
+                      </td>
+                    )}
                     <td className="py-3 text-right">
                       <span className="text-dark-300">
                         {region.countryCount || region.countries} countries
@@ -334,14 +432,16 @@ export default function RegionsView({ data }) {
   );
 }
 
-function CustomTooltip({ active, payload }) {
+function CustomTooltip({ active, payload, metric = 'absolute' }) {
   if (!active || !payload || !payload.length) return null;
 
   return (
     <div className="custom-tooltip">
       <p className="text-white font-medium">{payload[0].payload.name}</p>
       <p className="text-sm text-lens-400">
-        {payload[0].value?.toLocaleString()} MMT CO2e
+        {metric === 'absolute'
+          ? `${payload[0].value?.toLocaleString()} MMT CO2e`
+          : `${formatMetric(payload[0].value, metric)} ${metricOptions[metric].unit} CO2`}
       </p>
       <p className="text-xs text-dark-400">
         {payload[0].payload.percentage}% of region
@@ -0,0 +1,531 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { FlaskConical, Globe2, TrendingDown, Plus, Trash2, Save, ArrowUp, ArrowDown, Minus } from 'lucide-react';
+import StatCard from '../charts/StatCard';
+import ChartCard from '../charts/ChartCard';
+import { api } from '../../config';
+
+// Wait for edits to settle before rerunning the scenario
+const RERUN_DELAY = 600;
+
+const DEFAULT_DEFINITION = {
+  name: '',
+  description: '',
+  targetYear: 2030,
+  grouping: 'continent',
+  adjustments: [
+    { target: 'sector:road-transportation', area: 'world', reductionPercent: 30 },
+    { target: 'sector:cement', area: 'world', reductionPercent: 15 }
+  ]
+};
+
+const inputClass = 'bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-lens-500';
+
+const containerVariants = {
+  hidden: { opacity: 0 },
+  show: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1 }
+  }
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  show: { opacity: 1, y: 0 }
+};
+
+/**
+ * Builder rows use "sector:<slug>", "industry:<id>" or "all" as the target
+ * and "world", "country:<ISO3>" or "region:<id>" as the area
+ */
+function toRequest(definition) {
+  return {
+    ...definition,
+    name: definition.name.trim() || undefined,
+    adjustments: definition.adjustments.map(({ target, area, reductionPercent }) => {
+      const [targetType, targetId] = target.split(':');
+      const [areaType, areaId] = area.split(':');
+      return {
+        ...(targetType !== 'all' && { [targetType]: targetId }),
+        ...(areaType !== 'world' && { [areaType]: areaId }),
+        reductionPercent: Number(reductionPercent)
+      };
+    })
+  };
+}
+
+function fromSaved(scenario) {
+  return {
+    name: scenario.name,
+    description: scenario.description,
+    targetYear: scenario.targetYear,
+    grouping: scenario.grouping,
+    adjustments: scenario.adjustments.map(a => ({
+      target: a.sector ? `sector:${a.sector}` : a.industry ? `industry:${a.industry}` : 'all',
+      area: a.country ? `country:${a.country}` : a.region ? `region:${a.region}` : 'world',
+      reductionPercent: a.reductionPercent
+    }))
+  };
+}
+
+export default function ScenariosView({ onSelectCountry }) {
+  const [definition, setDefinition] = useState(DEFAULT_DEFINITION);
+  const [options, setOptions] = useState({ taxonomy: null, countries: [], groupings: [] });
+  const [saved, setSaved] = useState([]);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  useEffect(() => {
+    fetchOptions();
+    fetchSaved();
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(runScenario, RERUN_DELAY);
+    return () => clearTimeout(timer);
+  }, [definition.targetYear, definition.grouping, definition.adjustments]);
+
+  const fetchJson = async (url, init) => {
+    const response = await fetch(url, init);
+    const body = response.status === 204 ? null : await response.json();
+    if (!response.ok) {
+      throw new Error(body?.error || `API error: ${response.status}`);
+    }
+    return body;
+  };
+
+  const fetchOptions = async () => {
+    try {
+      const [taxonomy, countries, groupings] = await Promise.all([
+        fetchJson(api.emissions.taxonomy),
+        fetchJson(api.emissions.countryDefinitions),
+        fetchJson(api.emissions.groupings)
+      ]);
+      setOptions({
+        taxonomy,
+        countries: [...countries].sort((a, b) => a.name.localeCompare(b.name)),
+        groupings: groupings.groupings
+      });
+    } catch (err) {
+      console.error('Failed to fetch scenario options:', err);
+    }
+  };
+
+  const fetchSaved = async () => {
+    try {
+      const { scenarios } = await fetchJson(api.emissions.scenarios);
+      setSaved(scenarios);
+    } catch (err) {
+      console.error('Failed to fetch saved scenarios:', err);
+    }
+  };
+
+  const runScenario = async () => {
+    if (definition.adjustments.length === 0) {
+      setResult(null);
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const body = await fetchJson(`${api.emissions.scenarios}/run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(toRequest(definition))
+      });
+      setResult(body);
+    } catch (err) {
+      console.error('Failed to run scenario:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveScenario = async () => {
+    setSaveMessage(null);
+    try {
+      const scenario = await fetchJson(api.emissions.scenarios, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(toRequest(definition))
+      });
+      setSaveMessage(`Saved "${scenario.name}"`);
+      fetchSaved();
+    } catch (err) {
+      setSaveMessage(err.message);
+    }
+  };
+
+  const deleteScenario = async (id) => {
+    try {
+      await fetchJson(`${api.emissions.scenarios}/${id}`, { method: 'DELETE' });
+      fetchSaved();
+    } catch (err) {
+      console.error('Failed to delete scenario:', err);
+    }
+  };
+
+  const update = (changes) => setDefinition(prev => ({ ...prev, ...changes }));
+  const updateAdjustment = (index, changes) => update({
+    adjustments: definition.adjustments.map((a, i) => (i === index ? { ...a, ...changes } : a))
+  });
+
+  const { taxonomy, countries, groupings } = options;
+  const regions = result?.regions.grouping.id === definition.grouping ? result.regions.groups : [];
+  const sectorOptions = taxonomy
+    ? Object.entries(taxonomy.sectors).sort(([, a], [, b]) => a.name.localeCompare(b.name))
+    : [];
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="space-y-6"
+    >
+      {/* Header */}
+      <motion.div variants={itemVariants}>
+        <h1 className="text-3xl font-display font-bold text-white mb-2">
+          Scenario <span className="text-gradient">Builder</span>
+        </h1>
+        <p className="text-dark-400">
+          What if some sectors, countries or regions cut emissions? Compare the result with a baseline frozen at {result?.scenario.baseYear ?? 'the latest year'}
+        </p>
+      </motion.div>
+
+      {/* Builder */}
+      <motion.div variants={itemVariants}>
+        <ChartCard title="Reduction Paths" subtitle="Each cut is phased in linearly up to the target year; overlapping cuts compound. Negative values are increases.">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-4">
+            <input
+              value={definition.name}
+              onChange={(e) => update({ name: e.target.value })}
+              placeholder="Scenario name"
+              className={inputClass}
+            />
+            <input
+              value={definition.description}
+              onChange={(e) => update({ description: e.target.value })}
+              placeholder="Description (optional)"
+              className={inputClass}
+            />
+            <label className="flex items-center gap-2 text-sm text-dark-400">
+              Target year
+              <input
+                type="number"
+                min={2025}
+                max={2100}
+                value={definition.targetYear}
+                onChange={(e) => update({ targetYear: parseInt(e.target.value) || 2030 })}
+                className={`${inputClass} w-24`}
+              />
+            </label>
+            <select
+              value={definition.grouping}
+              onChange={(e) => update({
+                grouping: e.target.value,
+                // Regions belong to a grouping, so region-scoped rows fall back to the world
+                adjustments: definition.adjustments.map(a => (a.area.startsWith('region:') ? { ...a, area: 'world' } : a))
+              })}
+              className={inputClass}
+            >
+              {groupings.map(grouping => (
+                <option key={grouping.id} value={grouping.id}>Regions: {grouping.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-2">
+            {definition.adjustments.map((adjustment, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                <select
+                  value={adjustment.target}
+                  onChange={(e) => updateAdjustment(index, { target: e.target.value })}
+                  className={`${inputClass} col-span-5`}
+                >
+                  <option value="all">All sectors</option>
+                  <optgroup label="Industries">
+                    {(taxonomy?.categories || []).filter(c => c.id !== 'other').map(category => (
+                      <option key={category.id} value={`industry:${category.id}`}>{category.name}</option>
+                    ))}
+                  </optgroup>
+                  <optgroup label="Sectors">
+                    {sectorOptions.map(([slug, sector]) => (
+                      <option key={slug} value={`sector:${slug}`}>{sector.name}</option>
+                    ))}
+                  </optgroup>
+                </select>
+                <select
+                  value={adjustment.area}
+                  onChange={(e) => updateAdjustment(index, { area: e.target.value })}
+                  className={`${inputClass} col-span-4`}
+                >
+                  <option value="world">Worldwide</option>
+                  <optgroup label="Regions">
+                    {regions.map(region => (
+                      <option key={region.id} value={`region:${region.id}`}>{region.name}</option>
+                    ))}
+                  </optgroup>
+                  <optgroup label="Countries">
+                    {countries.map(country => (
+                      <option key={country.alpha3} value={`country:${country.alpha3}`}>{country.name}</option>
+                    ))}
+                  </optgroup>
+                </select>
+                <div className="col-span-2 flex items-center gap-1">
+                  <input
+                    type="number"
+                    min={-100}
+                    max={100}
+                    value={adjustment.reductionPercent}
+                    onChange={(e) => updateAdjustment(index, { reductionPercent: e.target.value })}
+                    className={`${inputClass} w-full`}
+                  />
+                  <span className="text-dark-400 text-sm">%</span>
+                </div>
+                <button
+                  onClick={() => update({ adjustments: definition.adjustments.filter((_, i) => i !== index) })}
+                  className="col-span-1 p-2 text-dark-400 hover:text-red-400 transition-colors"
+                  title="Remove"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 mt-4">
+            <button
+              onClick={() => update({ adjustments: [...definition.adjustments, { target: 'all', area: 'world', reductionPercent: 10 }] })}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg bg-dark-800 text-dark-300 hover:text-white text-sm transition-colors"
+            >
+              <Plus className="w-4 h-4" /> Add reduction
+            </button>
+            <button
+              onClick={saveScenario}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg bg-lens-500 text-white text-sm hover:bg-lens-600 transition-colors"
+            >
+              <Save className="w-4 h-4" /> Save
+            </button>
+            {saveMessage && <span className="text-xs text-dark-400">{saveMessage}</span>}
+            {loading && <span className="text-xs text-dark-500">Running...</span>}
+            {error && <span className="text-xs text-red-400">{error}</span>}
+          </div>
+
+          {saved.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-4 pt-4 border-t border-dark-700/50">
+              <span className="text-dark-400 text-sm py-1">Saved:</span>
+              {saved.map(scenario => (
+                <span key={scenario.id} className="flex items-center gap-1 px-3 py-1 rounded-full bg-dark-800 text-sm">
+                  <button
+                    onClick={() => setDefinition(fromSaved(scenario))}
+                    title={scenario.description}
+                    className="text-dark-200 hover:text-lens-400 transition-colors"
+                  >
+                    {scenario.name}
+                  </button>
+                  <button
+                    onClick={() => deleteScenario(scenario.id)}
+                    className="text-dark-500 hover:text-red-400 transition-colors"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </ChartCard>
+      </motion.div>
+
+      {result && <ScenarioResults result={result} onSelectCountry={onSelectCountry} />}
+    </motion.div>
+  );
+}
+
+function ScenarioResults({ result, onSelectCountry }) {
+  const { world, unit, scenario } = result;
+  const unitShort = unit.split(' ')[0];
+  const matched = result.adjustments.filter(a => a.matchedCells > 0).length;
+
+  const stats = [
+    {
+      title: `Baseline ${scenario.baseYear}`,
+      value: world.baseline.toLocaleString(),
+      unit,
+      icon: Globe2,
+      color: 'lens'
+    },
+    {
+      title: `Scenario ${scenario.targetYear}`,
+      value: world.scenario.toLocaleString(),
+      unit,
+      icon: FlaskConical,
+      color: 'amber'
+    },
+    {
+      title: 'Change',
+      value: `${world.changePercent > 0 ? '+' : ''}${world.changePercent}%`,
+      unit: `${world.change > 0 ? '+' : ''}${world.change.toLocaleString()} ${unitShort}`,
+      icon: TrendingDown,
+      color: world.change > 0 ? 'red' : 'green'
+    },
+    {
+      title: 'Reductions Applied',
+      value: `${matched}/${result.adjustments.length}`,
+      unit: 'matched emissions',
+      icon: Plus,
+      color: 'lens'
+    }
+  ];
+
+  const industries = result.industries.map(i => ({ name: i.name, baseline: i.baseline, scenario: i.scenario }));
+
+  return (
+    <>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {stats.map((stat, index) => (
+          <StatCard key={stat.title} stat={stat} index={index} />
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <motion.div variants={itemVariants}>
+          <ChartCard title="Global Total" subtitle={`${unit}, baseline held at ${scenario.baseYear}`}>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={result.path}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="year" stroke="#64748b" fontSize={12} />
+                <YAxis stroke="#64748b" fontSize={12} />
+                <Tooltip content={<ScenarioTooltip unit={unit} />} />
+                <Legend formatter={(value) => <span className="text-dark-300 text-sm">{value}</span>} />
+                <Line type="monotone" dataKey="baseline" name="Baseline" stroke="#64748b" strokeDasharray="6 4" dot={false} />
+                <Line type="monotone" dataKey="scenario" name="Scenario" stroke="#10b981" strokeWidth={2} dot={{ r: 3 }} />
+              </LineChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </motion.div>
+
+        <motion.div variants={itemVariants}>
+          <ChartCard title="Industries" subtitle={`${unit} in ${scenario.targetYear}`}>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={industries} layout="vertical" margin={{ left: 40 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis type="number" stroke="#64748b" fontSize={12} />
+                <YAxis type="category" dataKey="name" stroke="#64748b" fontSize={12} width={110} />
+                <Tooltip content={<ScenarioTooltip unit={unit} />} />
+                <Legend formatter={(value) => <span className="text-dark-300 text-sm">{value}</span>} />
+                <Bar dataKey="baseline" name="Baseline" fill="#475569" radius={[0, 4, 4, 0]} />
+                <Bar dataKey="scenario" name="Scenario" fill="#10b981" radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </motion.div>
+
+        <motion.div variants={itemVariants}>
+          <ChartCard title={`Regional Shares: ${result.regions.grouping.name}`} subtitle="Share of the global total, baseline → scenario">
+            <div className="space-y-3">
+              {result.regions.groups.map(group => (
+                <div key={group.id} className="flex items-center gap-3">
+                  <div className="w-3 h-3 rounded-full" style={{ backgroundColor: group.color }} />
+                  <span className="text-white flex-1">{group.name}</span>
+                  <span className="font-mono text-dark-400 text-sm">{group.baselineShare}%</span>
+                  <span className="text-dark-500">→</span>
+                  <span className="font-mono text-white text-sm w-16 text-right">{group.scenarioShare}%</span>
+                  <span className={`font-mono text-xs w-16 text-right ${group.change > 0 ? 'text-red-400' : group.change < 0 ? 'text-green-400' : 'text-dark-500'}`}>
+                    {group.changePercent > 0 ? '+' : ''}{group.changePercent}%
+                  </span>
+                </div>
+              ))}
+            </div>
+          </ChartCard>
+        </motion.div>
+
+        <motion.div variants={itemVariants}>
+          <ChartCard title="Country Ranking" subtitle={`Largest emitters in ${scenario.targetYear} under the scenario`}>
+            <div className="overflow-x-auto max-h-[320px] overflow-y-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left border-b border-dark-700">
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">#</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">Country</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Scenario</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.countries.map(country => (
+                    <tr key={country.country} className="border-b border-dark-800">
+                      <td className="py-2 text-dark-400 text-sm whitespace-nowrap">
+                        {country.rank}
+                        <RankChange change={country.rankChange} />
+                      </td>
+                      <td className="py-2">
+                        <button
+                          onClick={() => onSelectCountry?.(country.country)}
+                          className="text-white font-medium hover:text-lens-400 transition-colors text-left"
+                        >
+                          {country.name}
+                        </button>
+                      </td>
+                      <td className="py-2 text-right whitespace-nowrap">
+                        <span className="font-mono text-white">{country.scenario.toLocaleString()}</span>
+                        <span className="text-dark-500 text-xs ml-1">{unitShort}</span>
+                      </td>
+                      <td className={`py-2 text-right font-mono text-sm ${country.change > 0 ? 'text-red-400' : country.change < 0 ? 'text-green-400' : 'text-dark-500'}`}>
+                        {country.changePercent > 0 ? '+' : ''}{country.changePercent}%
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </ChartCard>
+        </motion.div>
+      </div>
+
+      {result.completeness.notes.length > 0 && (
+        <p className="text-xs text-dark-500">{result.completeness.notes.join('. ')}</p>
+      )}
+    </>
+  );
+}
+
+function RankChange({ change }) {
+  if (!change) return <Minus className="inline w-3 h-3 ml-1 text-dark-600" />;
+  // Climbing the emitter ranking is a relative worsening
+  return change > 0
+    ? <span className="text-red-400 text-xs ml-1"><ArrowUp className="inline w-3 h-3" />{change}</span>
+    : <span className="text-green-400 text-xs ml-1"><ArrowDown className="inline w-3 h-3" />{-change}</span>;
+}
+
+function ScenarioTooltip({ active, payload, label, unit }) {
+  if (!active || !payload || !payload.length) return null;
+
+  return (
+    <div className="custom-tooltip">
+      <p className="text-white font-medium mb-2">{label}</p>
+      {payload.map((entry, index) => (
+        <p key={index} className="text-sm" style={{ color: entry.color }}>
+          {entry.name}: {entry.value?.toLocaleString()} {unit}
+        </p>
+      ))}
+    </div>
+  );
+}
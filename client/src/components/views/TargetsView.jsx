@@ -0,0 +1,275 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { Target, CheckCircle2, AlertTriangle, XCircle } from 'lucide-react';
+import StatCard from '../charts/StatCard';
+import ChartCard from '../charts/ChartCard';
+import { api } from '../../config';
+
+const statusStyles = {
+  achieved: { label: 'Achieved', className: 'bg-green-500/20 text-green-400' },
+  on_track: { label: 'On track', className: 'bg-lens-500/20 text-lens-300' },
+  off_track: { label: 'Off track', className: 'bg-red-500/20 text-red-400' },
+  missed: { label: 'Missed', className: 'bg-red-500/20 text-red-400' },
+  unknown: { label: 'Unknown', className: 'bg-dark-700 text-dark-300' }
+};
+
+const containerVariants = {
+  hidden: { opacity: 0 },
+  show: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1 }
+  }
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, y: 20 },
+  show: { opacity: 1, y: 0 }
+};
+
+export default function TargetsView({ onSelectCountry }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    fetchTargets();
+  }, []);
+
+  const fetchTargets = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(api.emissions.targets);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+      setSelected(result.targets.find(t => t.status === 'off_track')?.country || result.targets[0]?.country || null);
+    } catch (err) {
+      console.error('Failed to fetch targets:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-lens-400"></div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="text-center py-12 text-dark-400">
+        {error || 'Failed to load targets'}
+      </div>
+    );
+  }
+
+  const { targets, counts } = data;
+  // Largest gaps first, countries that cannot be assessed last
+  const sortedTargets = [...targets].sort((a, b) => (b.gapEmissions ?? -Infinity) - (a.gapEmissions ?? -Infinity));
+  const current = targets.find(t => t.country === selected);
+
+  const stats = [
+    {
+      title: 'Targets Tracked',
+      value: targets.length,
+      unit: 'countries',
+      icon: Target,
+      color: 'lens'
+    },
+    {
+      title: 'On Track',
+      value: counts.on_track + counts.achieved,
+      unit: counts.achieved ? `${counts.achieved} already achieved` : 'at or below pathway',
+      description: 'Latest value at or below the straight-line pathway to the target',
+      icon: CheckCircle2,
+      color: 'green'
+    },
+    {
+      title: 'Off Track',
+      value: counts.off_track + counts.missed,
+      unit: 'above pathway',
+      icon: XCircle,
+      color: 'red'
+    },
+    {
+      title: 'Not Assessed',
+      value: counts.unknown,
+      unit: 'missing data',
+      icon: AlertTriangle,
+      color: 'amber'
+    }
+  ];
+
+  const chartData = current
+    ? [...new Set([...current.pathway, ...current.history].map(p => p.year))]
+        .sort((a, b) => a - b)
+        .map(year => ({
+          year,
+          pathway: current.pathway.find(p => p.year === year)?.value,
+          actual: current.history.find(p => p.year === year)?.value
+        }))
+    : [];
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="space-y-6"
+    >
+      {/* Header */}
+      <motion.div variants={itemVariants}>
+        <h1 className="text-3xl font-display font-bold text-white mb-2">
+          National <span className="text-gradient">Targets</span>
+        </h1>
+        <p className="text-dark-400">
+          Progress against NDC pledges along a straight-line pathway from base year to target year
+        </p>
+      </motion.div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {stats.map((stat, index) => (
+          <StatCard key={stat.title} stat={stat} index={index} />
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Targets table */}
+        <motion.div variants={itemVariants}>
+          <ChartCard title="Country Progress" subtitle="Gap to pathway in the latest year; positive means above the pathway">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left border-b border-dark-700">
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">Country</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider">Status</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Gap</th>
+                    <th className="pb-3 text-xs font-semibold text-dark-400 uppercase tracking-wider text-right">Required / yr</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sortedTargets.map(target => {
+                    const style = statusStyles[target.status] || statusStyles.unknown;
+                    return (
+                      <tr
+                        key={target.country}
+                        onClick={() => setSelected(target.country)}
+                        className={`border-b border-dark-800 cursor-pointer transition-colors ${
+                          selected === target.country ? 'bg-dark-800/50' : 'hover:bg-dark-800/30'
+                        }`}
+                      >
+                        <td className="py-3">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              onSelectCountry?.(target.country);
+                            }}
+                            className="text-white font-medium hover:text-lens-400 transition-colors text-left"
+                          >
+                            {target.name}
+                          </button>
+                          <p className="text-xs text-dark-500">{target.target.description}</p>
+                        </td>
+                        <td className="py-3">
+                          <span className={`px-2 py-1 rounded-full text-xs whitespace-nowrap ${style.className}`}>
+                            {style.label}
+                          </span>
+                        </td>
+                        <td className="py-3 text-right whitespace-nowrap">
+                          <span className={`font-mono ${target.gapEmissions > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                            {target.gapEmissions === null ? 'n/a' : `${target.gapEmissions > 0 ? '+' : ''}${target.gapEmissions.toLocaleString()}`}
+                          </span>
+                          <span className="text-dark-500 text-xs ml-1">{target.gapUnit.split(' ')[0]}</span>
+                        </td>
+                        <td className="py-3 text-right">
+                          <span className="text-dark-300 font-mono">
+                            {target.requiredAnnualReductionPercent === null ? 'n/a' : `${target.requiredAnnualReductionPercent}%`}
+                          </span>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </ChartCard>
+        </motion.div>
+
+        {/* Pathway chart */}
+        <motion.div variants={itemVariants}>
+          <ChartCard
+            title={current ? `${current.name}: ${current.target.description}` : 'Pathway'}
+            subtitle={current ? `${current.unit}; base ${current.baseValue?.toLocaleString()} in ${current.target.baseYear}, target ${current.targetValue?.toLocaleString()} in ${current.target.targetYear}` : ''}
+          >
+            {current && (
+              <>
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                    <XAxis dataKey="year" stroke="#64748b" fontSize={12} />
+                    <YAxis stroke="#64748b" fontSize={12} />
+                    <Tooltip content={<PathwayTooltip unit={current.unit} />} />
+                    <Legend formatter={(value) => <span className="text-dark-300 text-sm">{value}</span>} />
+                    <Line type="monotone" dataKey="pathway" name="Required pathway" stroke="#64748b" strokeDasharray="6 4" dot={false} connectNulls />
+                    <Line type="monotone" dataKey="actual" name="Actual" stroke="#10b981" strokeWidth={2} dot={{ r: 3 }} connectNulls />
+                  </LineChart>
+                </ResponsiveContainer>
+                <div className="grid grid-cols-2 gap-3 mt-4">
+                  <div className="p-3 rounded-xl bg-dark-800/50 border border-dark-700/30">
+                    <p className="text-dark-400 text-sm mb-1">Recent change / yr</p>
+                    <p className="text-lg font-bold text-white">
+                      {current.recentAnnualChangePercent === null ? 'n/a' : `${current.recentAnnualChangePercent > 0 ? '+' : ''}${current.recentAnnualChangePercent}%`}
+                    </p>
+                  </div>
+                  <div className="p-3 rounded-xl bg-dark-800/50 border border-dark-700/30">
+                    <p className="text-dark-400 text-sm mb-1">Required change / yr</p>
+                    <p className="text-lg font-bold text-lens-400">
+                      {current.requiredAnnualReductionPercent === null ? 'n/a' : `-${current.requiredAnnualReductionPercent}%`}
+                    </p>
+                  </div>
+                </div>
+                {current.notes.length > 0 && (
+                  <p className="text-xs text-dark-500 mt-3">{current.notes.join('. ')}</p>
+                )}
+              </>
+            )}
+          </ChartCard>
+        </motion.div>
+      </div>
+    </motion.div>
+  );
+}
+
+function PathwayTooltip({ active, payload, label, unit }) {
+  if (!active || !payload || !payload.length) return null;
+
+  return (
+    <div className="custom-tooltip">
+      <p className="text-white font-medium mb-2">{label}</p>
+      {payload.map((entry, index) => (
+        <p key={index} className="text-sm" style={{ color: entry.color }}>
+          {entry.name}: {entry.value?.toLocaleString()} {unit}
+        </p>
+      ))}
+    </div>
+  );
+}
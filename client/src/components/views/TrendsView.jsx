@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { TrendingUp, TrendingDown, Globe } from 'lucide-react';
 import {
@@ -14,9 +14,11 @@ import {
   Legend,
   BarChart,
   Bar,
-  Cell
+  Cell,
+  ComposedChart
 } from 'recharts';
 import ChartCard from '../charts/ChartCard';
+import { api } from '../../config';
 
 const containerVariants = {
   hidden: { opacity: 0 },
@@ -31,14 +33,17 @@ const itemVariants = {
   show: { opacity: 1, y: 0 }
 };
 
-const industryColors = {
-  'Energy': '#f59e0b',
-  'Manufacturing': '#8b5cf6',
-  'Transportation': '#06b6d4',
-  'Agriculture': '#22c55e',
-  'Buildings': '#ec4899',
-  'Waste & Land Use': '#a855f7'
-};
+const industryGases = [
+  { key: 'co2', label: 'CO₂', unit: 'MT' },
+  { key: 'ch4', label: 'CH₄', unit: 'kt' },
+  { key: 'n2o', label: 'N₂O', unit: 'kt' },
+  { key: 'co2e_100yr', label: 'CO₂e (100yr)', unit: 'MT' },
+  { key: 'co2e_20yr', label: 'CO₂e (20yr)', unit: 'MT' }
+];
+
+const forecastHorizons = [2030, 2050];
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
 const countryColors = {
   CHN: '#ef4444',
@@ -52,10 +57,49 @@ export default function TrendsView({ data, yearRange }) {
   const [selectedIndustries, setSelectedIndustries] = useState(['Energy', 'Manufacturing', 'Transportation', 'Waste & Land Use']);
   const [timeRange, setTimeRange] = useState('all');
   const [viewMode, setViewMode] = useState('industry'); // 'industry' | 'country' | 'total'
+  const [industryGas, setIndustryGas] = useState('co2');
+  const [forecastTarget, setForecastTarget] = useState('world');
+  const [forecastHorizon, setForecastHorizon] = useState(2030);
+  const [forecastModel, setForecastModel] = useState(null);
+  const [forecast, setForecast] = useState(null);
+  const [forecastLoading, setForecastLoading] = useState(false);
+
+  useEffect(() => {
+    fetchForecast();
+  }, [forecastTarget, forecastHorizon]);
+
+  const fetchForecast = async () => {
+    setForecastLoading(true);
+    try {
+      const [scope, id] = forecastTarget.split(':');
+      const params = new URLSearchParams({ horizon: forecastHorizon });
+      if (scope === 'country') params.set('country', id);
+      if (scope === 'industry') params.set('industry', id);
+
+      const response = await fetch(`${api.emissions.forecast}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setForecast(result);
+    } catch (err) {
+      console.error('Failed to fetch forecast:', err);
+      setForecast(null);
+    } finally {
+      setForecastLoading(false);
+    }
+  };
 
   if (!data) return null;
 
-  const { trends = [], industries = [] } = data;
+  const { trends = [], industries = [], trendUnits, taxonomy } = data;
+
+  // Industry colours come from the server taxonomy
+  const industryColors = Object.fromEntries(
+    (taxonomy?.categories || [])
+      .filter(category => category.id !== 'other')
+      .map(category => [category.name, category.color])
+  );
 
   // Use industries from data or fallback to default list
   const availableIndustries = industries.length > 0 
@@ -74,6 +118,15 @@ export default function TrendsView({ data, yearRange }) {
     ? trends 
     : trends.slice(-parseInt(timeRange));
 
+  // Industry values for the selected gas, computed per year from sector data
+  // Prefer the unit reported by the API so the chart never mislabels the scale
+  const gasOption = industryGases.find(g => g.key === industryGas) || industryGases[0];
+  const selectedGas = { ...gasOption, unit: trendUnits?.mass?.[gasOption.key] || gasOption.unit };
+  const industryTrends = filteredTrends.map(t => ({
+    year: t.year,
+    ...(t.industriesByGas?.[selectedGas.key] || {})
+  }));
+
   // Calculate year-over-year changes for total emissions
   const calculateYoYChange = () => {
     if (trends.length < 2) return 0;
@@ -96,6 +149,31 @@ export default function TrendsView({ data, yearRange }) {
   // Get unique country codes
   const countryCodes = [...new Set(trends.flatMap(t => t.countries?.map(c => c.code) || []))];
 
+  // Forecast overlay: solid history, dashed projection and a shaded prediction band
+  const activeModel = forecast?.models?.find(m => m.id === forecastModel)
+    || forecast?.models?.find(m => m.id === forecast?.recommended)
+    || forecast?.models?.[0];
+  const lastHistory = forecast?.history?.[forecast.history.length - 1];
+  const forecastData = [
+    ...(forecast?.history || []).map(point => ({
+      year: point.year,
+      history: point.value,
+      ...(point === lastHistory && activeModel && { projection: point.value, band: [point.value, point.value] })
+    })),
+    ...(activeModel?.projections || []).map(point => ({
+      year: point.year,
+      projection: point.value,
+      band: [point.lower, point.upper]
+    }))
+  ];
+  const forecastTargets = [
+    { value: 'world', label: 'World' },
+    ...(taxonomy?.categories || [])
+      .filter(category => category.id !== 'other')
+      .map(category => ({ value: `industry:${category.id}`, label: category.name })),
+    ...countryCodes.map(code => ({ value: `country:${code}`, label: getCountryName(code, trends) }))
+  ];
+
   return (
     <motion.div
       variants={containerVariants}
@@ -204,7 +282,19 @@ export default function TrendsView({ data, yearRange }) {
 
       {/* Industry Filter (only show for industry view) */}
       {viewMode === 'industry' && (
-        <motion.div variants={itemVariants} className="flex flex-wrap gap-2">
+        <motion.div variants={itemVariants} className="flex flex-wrap items-center gap-2">
+          <div className="flex bg-dark-800 rounded-lg p-1 mr-2">
+            {industryGases.map(gas => (
+              <button
+                key={gas.key}
+                onClick={() => setIndustryGas(gas.key)}
+                className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+                  ${industryGas === gas.key ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+              >
+                {gas.label}
+              </button>
+            ))}
+          </div>
           {availableIndustries.map(industry => (
             <button
               key={industry.name}
@@ -281,12 +371,12 @@ export default function TrendsView({ data, yearRange }) {
 
         {viewMode === 'industry' && (
           <ChartCard 
-            title="CO₂ Emissions by Industry" 
-            subtitle="Compare emissions across selected industries over time"
+            title={`${selectedGas.label} Emissions by Industry`}
+            subtitle={`Each year's industry totals from that year's sector data (${selectedGas.unit})`}
             className="h-[500px]"
           >
             <ResponsiveContainer width="100%" height={420}>
-              <LineChart data={filteredTrends}>
+              <LineChart data={industryTrends}>
                 <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
                 <XAxis 
                   dataKey="year" 
@@ -300,7 +390,7 @@ export default function TrendsView({ data, yearRange }) {
                   tickLine={false}
                   tickFormatter={(value) => `${(value / 1000).toFixed(0)}K`}
                 />
-                <Tooltip content={<CustomTooltip />} />
+                <Tooltip content={<CustomTooltip unit={selectedGas.unit} />} />
                 <Legend 
                   wrapperStyle={{ paddingTop: 20 }}
                   formatter={(value) => <span className="text-dark-300 text-sm">{value}</span>}
@@ -370,10 +460,10 @@ export default function TrendsView({ data, yearRange }) {
         <motion.div variants={itemVariants}>
           <ChartCard 
             title="Cumulative Emissions" 
-            subtitle="Stacked view of total emissions by industry"
+            subtitle={`Stacked view of ${selectedGas.label} emissions by industry (${selectedGas.unit})`}
           >
             <ResponsiveContainer width="100%" height={350}>
-              <AreaChart data={filteredTrends}>
+              <AreaChart data={industryTrends}>
                 <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
                 <XAxis 
                   dataKey="year" 
@@ -385,7 +475,7 @@ export default function TrendsView({ data, yearRange }) {
                   fontSize={12}
                   tickFormatter={(value) => `${(value / 1000).toFixed(0)}K`}
                 />
-                <Tooltip content={<StackedTooltip />} />
+                <Tooltip content={<StackedTooltip unit={selectedGas.unit} />} />
                 {Object.keys(industryColors).map((industry) => (
                   <Area
                     key={industry}
@@ -403,6 +493,107 @@ export default function TrendsView({ data, yearRange }) {
         </motion.div>
       )}
 
+      {/* Forecast */}
+      <motion.div variants={itemVariants}>
+        <ChartCard
+          title={`Projection to ${forecastHorizon}`}
+          subtitle={forecast
+            ? `${forecast.target.label} ${forecast.unit}; shaded band is the ${forecast.confidence}% prediction interval`
+            : 'Trend models fitted to yearly history'}
+        >
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <select
+              value={forecastTarget}
+              onChange={(e) => setForecastTarget(e.target.value)}
+              className="bg-dark-800/80 border border-dark-700 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:border-lens-500"
+            >
+              {forecastTargets.map(target => (
+                <option key={target.value} value={target.value}>{target.label}</option>
+              ))}
+            </select>
+            <div className="flex bg-dark-800 rounded-lg p-1">
+              {forecastHorizons.map(year => (
+                <button
+                  key={year}
+                  onClick={() => setForecastHorizon(year)}
+                  className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+                    ${forecastHorizon === year ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+                >
+                  {year}
+                </button>
+              ))}
+            </div>
+            <div className="flex bg-dark-800 rounded-lg p-1">
+              {(forecast?.models || []).map(model => (
+                <button
+                  key={model.id}
+                  onClick={() => setForecastModel(model.id)}
+                  title={model.description}
+                  className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+                    ${activeModel?.id === model.id ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+                >
+                  {model.name}{model.id === forecast.recommended ? ' ★' : ''}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {forecastLoading ? (
+            <div className="flex items-center justify-center h-[320px]">
+              <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-lens-400"></div>
+            </div>
+          ) : activeModel ? (
+            <ResponsiveContainer width="100%" height={320}>
+              <ComposedChart data={forecastData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="year" stroke="#64748b" fontSize={12} tickLine={false} />
+                <YAxis
+                  stroke="#64748b"
+                  fontSize={12}
+                  tickLine={false}
+                  tickFormatter={(value) => value >= 1000 ? `${(value / 1000).toFixed(0)}K` : value}
+                />
+                <Tooltip content={<ForecastTooltip unit={forecast.unit} />} />
+                <Area
+                  type="monotone"
+                  dataKey="band"
+                  name="Prediction interval"
+                  stroke="none"
+                  fill="#10b981"
+                  fillOpacity={0.15}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="history"
+                  name="History"
+                  stroke="#10b981"
+                  strokeWidth={2}
+                  dot={{ fill: '#10b981', strokeWidth: 0, r: 3 }}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="projection"
+                  name={activeModel.name}
+                  stroke="#10b981"
+                  strokeWidth={2}
+                  strokeDasharray="6 4"
+                  dot={false}
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="text-center py-12 text-dark-400">
+              {forecast?.completeness?.notes?.join('. ') || 'Forecast unavailable'}
+            </div>
+          )}
+        </ChartCard>
+      </motion.div>
+
+      {/* Monthly resolution and seasonality */}
+      <motion.div variants={itemVariants}>
+        <MonthlySection endYear={trends[trends.length - 1]?.year || 2023} />
+      </motion.div>
+
       {/* Year-by-Year Comparison Bar Chart */}
       <motion.div variants={itemVariants}>
         <ChartCard title="Year-by-Year Comparison" subtitle="Total CO₂ emissions per year">
@@ -436,6 +627,146 @@ export default function TrendsView({ data, yearRange }) {
   );
 }
 
+/**
+ * Month-by-month totals with their trend and the seasonal pattern
+ * (average deviation of each calendar month from the trend)
+ */
+function MonthlySection({ endYear }) {
+  const [gas, setGas] = useState('co2');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchMonthly();
+  }, [gas, endYear]);
+
+  const fetchMonthly = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ granularity: 'month', gas, startYear: endYear - 2, endYear });
+      const response = await fetch(`${api.emissions.trends}?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `API error: ${response.status}`);
+      }
+      setData(result);
+    } catch (err) {
+      console.error('Failed to fetch monthly trends:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const gasOption = industryGases.find(g => g.key === gas);
+  const unit = data?.units?.mass?.[gas] || gasOption.unit;
+  const seasonality = data?.seasonality;
+  const monthlyData = seasonality
+    ? seasonality.points.map(point => ({
+      period: `${MONTH_LABELS[point.month - 1]} ${point.year}`,
+      value: point.value,
+      trend: point.trend
+    }))
+    : (data?.trends || []).map(t => ({ period: `${MONTH_LABELS[t.month - 1]} ${t.year}`, value: t.industryTotal }));
+  const signed = (value) => `${value > 0 ? '+' : ''}${value}%`;
+
+  return (
+    <ChartCard
+      title="Monthly Emissions & Seasonality"
+      subtitle={`${gasOption.label} per month (${unit}), sectors with monthly estimates only`}
+    >
+      <div className="flex bg-dark-800 rounded-lg p-1 mb-4 w-fit">
+        {industryGases.map(option => (
+          <button
+            key={option.key}
+            onClick={() => setGas(option.key)}
+            className={`px-3 py-1.5 rounded-md text-xs font-medium transition-colors
+              ${gas === option.key ? 'bg-lens-500 text-white' : 'text-dark-400 hover:text-white'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-[320px]">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-lens-400"></div>
+        </div>
+      ) : error || monthlyData.length === 0 ? (
+        <div className="text-center py-12 text-dark-400">{error || 'No monthly data available'}</div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={monthlyData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="period" stroke="#64748b" fontSize={11} interval={5} />
+                <YAxis
+                  stroke="#64748b"
+                  fontSize={12}
+                  tickFormatter={(value) => value >= 1000 ? `${(value / 1000).toFixed(1)}K` : value}
+                />
+                <Tooltip content={<CustomTooltip unit={unit} />} />
+                <Legend formatter={(value) => <span className="text-dark-300 text-sm">{value}</span>} />
+                <Line type="monotone" dataKey="value" name="Monthly" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                {seasonality && (
+                  <Line type="monotone" dataKey="trend" name="Trend (12-month average)" stroke="#10b981" strokeWidth={2} strokeDasharray="6 4" dot={false} />
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div>
+            {seasonality ? (
+              <>
+                <ResponsiveContainer width="100%" height={240}>
+                  <BarChart data={seasonality.indices}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#334155" vertical={false} />
+                    <XAxis dataKey="label" stroke="#64748b" fontSize={11} interval={0} tickFormatter={(value) => value[0]} />
+                    <YAxis stroke="#64748b" fontSize={12} tickFormatter={(value) => `${value}%`} />
+                    <Tooltip content={<SeasonalTooltip />} cursor={{ fill: 'rgba(51, 65, 85, 0.3)' }} />
+                    <Bar dataKey="percent" radius={[4, 4, 0, 0]}>
+                      {seasonality.indices.map(index => (
+                        <Cell key={index.month} fill={index.percent >= 0 ? '#ef4444' : '#3b82f6'} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+                <p className="text-sm text-dark-400 mt-2">
+                  Peak in <span className="text-white">{seasonality.peak.label}</span> ({signed(seasonality.peak.percent)}),
+                  low in <span className="text-white">{seasonality.trough.label}</span> ({signed(seasonality.trough.percent)});
+                  a swing of {seasonality.amplitude}% of the monthly mean.
+                </p>
+              </>
+            ) : (
+              <div className="text-center py-12 text-dark-400 text-sm">
+                {data.completeness.notes.join('. ')}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </ChartCard>
+  );
+}
+
+function SeasonalTooltip({ active, payload }) {
+  if (!active || !payload || !payload.length) return null;
+
+  const index = payload[0].payload;
+
+  return (
+    <div className="custom-tooltip">
+      <p className="text-white font-medium mb-1">{index.label}</p>
+      <p className={index.percent >= 0 ? 'text-red-400' : 'text-blue-400'}>
+        {index.percent > 0 ? '+' : ''}{index.percent}% vs trend
+      </p>
+    </div>
+  );
+}
+
 // Country name helper - now uses dynamic data from API
 // Builds a lookup map from the trends data which includes country names
 function getCountryName(code, trends = []) {
@@ -463,7 +794,33 @@ function TotalTooltip({ active, payload, label }) {
   );
 }
 
-function CustomTooltip({ active, payload, label }) {
+function ForecastTooltip({ active, payload, label, unit = 'Mt CO2' }) {
+  if (!active || !payload || !payload.length) return null;
+
+  const point = payload[0].payload;
+
+  return (
+    <div className="custom-tooltip">
+      <p className="text-white font-medium mb-2">{label}</p>
+      {point.history !== undefined ? (
+        <p className="text-lens-400 font-semibold">
+          {point.history.toLocaleString()} {unit}
+        </p>
+      ) : (
+        <>
+          <p className="text-lens-400 font-semibold">
+            {point.projection?.toLocaleString()} {unit} (projected)
+          </p>
+          <p className="text-xs text-dark-400">
+            Range {point.band?.[0]?.toLocaleString()} – {point.band?.[1]?.toLocaleString()}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+function CustomTooltip({ active, payload, label, unit = 'MT' }) {
   if (!active || !payload || !payload.length) return null;
 
   return (
@@ -479,7 +836,7 @@ function CustomTooltip({ active, payload, label }) {
             <span className="text-dark-300">{entry.name}</span>
           </div>
           <span style={{ color: entry.color }}>
-            {entry.value?.toLocaleString()} MT
+            {entry.value?.toLocaleString()} {unit}
           </span>
         </div>
       ))}
@@ -511,7 +868,7 @@ function CountryTooltip({ active, payload, label, trends = [] }) {
   );
 }
 
-function StackedTooltip({ active, payload, label }) {
+function StackedTooltip({ active, payload, label, unit = 'MT' }) {
   if (!active || !payload || !payload.length) return null;
 
   const total = payload.reduce((sum, entry) => sum + (entry.value || 0), 0);
@@ -520,7 +877,7 @@ function StackedTooltip({ active, payload, label }) {
     <div className="custom-tooltip max-w-xs">
       <p className="text-white font-medium mb-2">{label}</p>
       <p className="text-lens-400 font-semibold mb-2">
-        Total: {total.toLocaleString()} MT
+        Total: {total.toLocaleString()} {unit}
       </p>
       <div className="space-y-1 max-h-48 overflow-y-auto">
         {payload.reverse().map((entry, index) => (
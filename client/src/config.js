@@ -15,10 +15,29 @@ export const api = {
     summary: `${API_URL}/api/emissions/summary`,
     byIndustry: `${API_URL}/api/emissions/by-industry`,
     bySector: `${API_URL}/api/emissions/by-sector`,
+    matrix: `${API_URL}/api/emissions/matrix`,
+    movers: `${API_URL}/api/emissions/movers`,
+    concentration: `${API_URL}/api/emissions/analytics/concentration`,
     trends: `${API_URL}/api/emissions/trends`,
     byRegion: `${API_URL}/api/emissions/by-region`,
+    byGroup: `${API_URL}/api/emissions/by-group`,
+    groupings: `${API_URL}/api/emissions/groupings`,
     countries: `${API_URL}/api/emissions/countries`,
     gases: `${API_URL}/api/emissions/gases`,
+    taxonomy: `${API_URL}/api/emissions/taxonomy`,
+    forecast: `${API_URL}/api/emissions/forecast`,
+    targets: `${API_URL}/api/emissions/targets`,
+    budget: `${API_URL}/api/emissions/budget`,
+    cumulative: `${API_URL}/api/emissions/cumulative`,
+    reconcile: `${API_URL}/api/emissions/reconcile`,
+    assets: `${API_URL}/api/emissions/assets`,
+    geoCountries: `${API_URL}/api/emissions/geo/countries`,
+    geoAssets: `${API_URL}/api/emissions/geo/assets`,
+    scenarios: `${API_URL}/api/emissions/scenarios`,
+    decomposition: `${API_URL}/api/emissions/decomposition`,
+    subnational: `${API_URL}/api/emissions/subnational`,
+    countryDefinitions: `${API_URL}/api/emissions/definitions/countries`,
+    sectorDefinitions: `${API_URL}/api/emissions/definitions/sectors`,
   }
 };
 
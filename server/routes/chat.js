@@ -6,7 +6,8 @@
 
 import express from 'express';
 import AIService from '../services/ai/index.js';
-import { getCountryEmissions, getRegionalEmissions } from '../services/emissionsApi.js';
+import { getCountryEmissions, getRegionalEmissions, getAdminDefinitions, getAdminDetail } from '../services/emissionsApi.js';
+import { MASS_UNITS } from '../services/units.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -23,6 +24,9 @@ const AI_MODEL = process.env.AI_MODEL || 'gpt-4o-mini';
 
 const aiService = new AIService(AI_PROVIDER, { model: AI_MODEL });
 
+// States or provinces named in a message that get their data in the prompt
+const MAX_CONTEXT_ADMINS = 3;
+
 /**
  * Loads the system prompt template from file
  */
@@ -37,29 +41,61 @@ function loadPromptTemplate() {
   }
 }
 
+/**
+ * Data for the states or provinces named in the user's message, matched
+ * on whole words of their names
+ */
+async function buildSubnationalContext(message) {
+  const admins = await getAdminDefinitions();
+  if (admins.length === 0) return '';
+
+  const words = ` ${message.toLowerCase().replace(/[^\p{L}\p{N}-]+/gu, ' ')} `;
+  const named = admins
+    .filter(a => a.name.length >= 4 && words.includes(` ${a.name.toLowerCase()} `))
+    .slice(0, MAX_CONTEXT_ADMINS);
+  const countries = new Set(admins.map(a => a.country));
+
+  if (named.length === 0) {
+    return `\nSUBNATIONAL DATA: available for ${admins.length} states/provinces in ${countries.size} countries; name one to get its figures.`;
+  }
+
+  const details = await Promise.all(named.map(a => getAdminDetail(a.id, { since: 2023, to: 2023 })));
+  return `
+STATE/PROVINCE EMISSIONS (${details[0].year}, from assets located in each area):
+${details.map(d => `• ${d.fullName}: ${d.total.toLocaleString()} ${d.unit} (${d.share ?? 'n/a'}% of ${d.countryName}); top sectors: ${d.sectors.slice(0, 3).map(s => `${s.name} ${s.percentage}%`).join(', ') || 'none'}`).join('\n')}`;
+}
+
 /**
  * Builds dynamic data context from Climate TRACE API
  */
-async function buildDataContext() {
+async function buildDataContext(message = '') {
   try {
     const data = await getCountryEmissions({ since: 2023, to: 2023 });
     const regionalData = await getRegionalEmissions({ since: 2023, to: 2023 });
+    const subnational = await buildSubnationalContext(message).catch(error => {
+      console.error('Failed to fetch subnational context:', error.message);
+      return '';
+    });
     const topCountries = data.topCountries.slice(0, 10);
+    const co2Unit = data.units.mass.co2;
+    const regionUnit = regionalData.units?.mass.co2 || co2Unit;
     
     return `
 === LIVE DATA FROM CLIMATE TRACE API ===
 Data Year: ${data.year} | Last Updated: ${data.lastUpdated}
+Units: CO2 in ${co2Unit} (${MASS_UNITS[co2Unit].name}); CO2e uses ${data.units.gwp.label}
 
-GLOBAL TOTAL: ${data.worldTotals.co2.toLocaleString()} Million Tonnes CO2
+GLOBAL TOTAL: ${data.worldTotals.co2.toLocaleString()} ${co2Unit} CO2
 Countries Tracked: ${data.countries.length}
 
 TOP 10 EMITTING COUNTRIES:
-${topCountries.map((c, i) => `${i + 1}. ${c.name}: ${c.emissions.co2.toLocaleString()} MT (${c.share?.toFixed(1)}% global share)`).join('\n')}
+${topCountries.map((c, i) => `${i + 1}. ${c.name}: ${c.emissions.co2.toLocaleString()} ${co2Unit} CO2 (${c.share?.toFixed(1)}% global share)`).join('\n')}
 
 REGIONAL EMISSIONS:
-${regionalData.regions.map(r => `• ${r.name}: ${r.emissions.toLocaleString()} MT (${r.percentage}%)`).join('\n')}
+${regionalData.regions.map(r => `• ${r.name}: ${r.emissions.toLocaleString()} ${regionUnit} CO2 (${r.percentage}%)`).join('\n')}
+${subnational}
 
-NOTE: This is country-level data. For city/state-level questions, use your training knowledge to provide helpful estimates and context.
+NOTE: Country and state/province figures above are live data. For city-level questions, use your training knowledge to provide helpful estimates and context.
 `;
   } catch (error) {
     console.error('Failed to fetch emissions context:', error.message);
@@ -70,9 +106,9 @@ NOTE: This is country-level data. For city/state-level questions, use your train
 /**
  * Constructs the full system prompt with live data
  */
-async function getSystemPrompt() {
+async function getSystemPrompt(message) {
   const template = loadPromptTemplate();
-  const dataContext = await buildDataContext();
+  const dataContext = await buildDataContext(message);
   return template.replace('{{DATA_CONTEXT}}', dataContext);
 }
 
@@ -106,7 +142,7 @@ chatRouter.post('/', async (req, res) => {
       : [];
 
     // Build system prompt with emissions context
-    const systemPrompt = await getSystemPrompt();
+    const systemPrompt = await getSystemPrompt(userMessage);
 
     // Generate response using AI service
     const result = await aiService.chat({
@@ -9,42 +9,133 @@ import {
   getSectorEmissions,
   getEmissionsTrends,
   getRegionalEmissions,
+  getGroupEmissions,
+  getEmissionsForecast,
+  getTargetProgress,
+  getCarbonBudget,
+  getCumulativeEmissions,
+  CUMULATIVE_SORTS,
+  reconcileEmissions,
+  RECONCILE_SORTS,
+  getAssets,
+  getAssetDetail,
+  ASSET_SORTS,
+  GRANULARITIES,
+  getEmissionsMatrix,
+  getEmissionsMovers,
+  MOVER_SUBJECTS,
+  getEmissionsConcentration,
+  MATRIX_ROWS,
+  MATRIX_COLUMNS,
+  MATRIX_NORMALIZE,
+  getEmissionsGeoJson,
+  getAssetsGeoJson,
+  runScenario,
+  getEmissionsDecomposition,
   getAllGasesEmissions,
   getCountryDefinitions,
-  getSectorDefinitions
+  getSectorDefinitions,
+  getEmissionsSummary,
+  getCountryDetail,
+  getSubnationalEmissions,
+  getAdminDetail,
+  getAdminDefinitions,
+  getSourceLabel
 } from '../services/emissionsApi.js';
+import { getCacheStats } from '../services/datasources/index.js';
+import { resolveUnits, describeUnits, GASES } from '../services/units.js';
+import { listInventories } from '../services/inventories.js';
+import { GEO_METRICS } from '../services/geo.js';
+import { listGroupings, DEFAULT_GROUPING } from '../services/groupings.js';
+import { resolveScheme, getTaxonomy } from '../services/taxonomy.js';
+import { resolveForecastOptions } from '../services/forecast.js';
+import { decomposeSeasonal, MIN_SEASONAL_POINTS } from '../services/seasonality.js';
+import { resolveBudgetOptions, BUDGET_PRESETS, DEFAULT_PRESET } from '../services/carbonBudget.js';
+import { validateScenario, listScenarios, getScenario, saveScenario, deleteScenario } from '../services/scenarios.js';
 
 const emissionsRouter = express.Router();
 
+/**
+ * Reads the `unit` and `gwp` query parameters.
+ * Sends a 400 and returns null when either is unknown.
+ */
+function parseUnits(req, res) {
+  try {
+    return resolveUnits({ unit: req.query.unit, gwp: req.query.gwp });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Reads the `scheme` query parameter.
+ * Sends a 400 and returns null when it is unknown.
+ */
+function parseScheme(req, res) {
+  try {
+    return resolveScheme(req.query.scheme);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Reads the granularity query parameter (year or month).
+ * Sends a 400 and returns null when it is unknown.
+ */
+function parseGranularity(req, res) {
+  const granularity = req.query.granularity || 'year';
+  if (!GRANULARITIES.includes(granularity)) {
+    res.status(400).json({ error: `Unknown granularity: ${granularity}. Available: ${GRANULARITIES.join(', ')}` });
+    return null;
+  }
+  return granularity;
+}
+
+/**
+ * Reads the `gas` query parameter, or `fallback` when it is not given.
+ * Sends a 400 and returns false when the gas is unknown.
+ */
+function parseGas(req, res, fallback = null) {
+  if (!req.query.gas) return fallback;
+  const gas = String(req.query.gas).toLowerCase();
+  if (!GASES[gas]) {
+    res.status(400).json({ error: `Unknown gas: ${req.query.gas}. Available: ${Object.keys(GASES).join(', ')}` });
+    return false;
+  }
+  return gas;
+}
+
+/**
+ * Flattens a processed country into the top-countries row shape
+ */
+function formatTopCountry(c) {
+  return {
+    country: c.name,
+    iso_code: c.country,
+    rank: c.rank,
+    previous_rank: c.previousRank ?? null,
+    rank_change: c.rankChange ?? null,
+    co2: c.emissions.co2,
+    co2_per_capita: c.intensity?.perCapita ?? null,
+    co2_per_gdp: c.intensity?.perGdp ?? null,
+    share_global_co2: c.share
+  };
+}
+
 emissionsRouter.get('/summary', async (req, res) => {
   try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
     const since = parseInt(req.query.since) || 2023;
     const to = parseInt(req.query.to) || 2023;
     
-    const data = await getCountryEmissions({ since, to });
+    const summary = await getEmissionsSummary({ since, to, units });
     
-    const topIndustry = {
-      id: 'energy',
-      name: 'Energy',
-      totalEmissions: Math.round(data.worldTotals.co2 * 0.35),
-      percentage: '35.0',
-      color: '#f59e0b',
-      icon: '⚡',
-      description: 'Power generation, fuel production'
-    };
-
-    res.json({
-      totalEmissions: data.worldTotals.co2,
-      totalIndustries: 6,
-      totalCountries: data.countries.length,
-      unit: 'Million Tonnes CO2',
-      year: data.year,
-      yearRange: data.yearRange,
-      changeFromLastYear: 1.1,
-      topIndustry,
-      source: data.source,
-      lastUpdated: data.lastUpdated
-    });
+    res.json(summary);
   } catch (error) {
     console.error('Summary API Error:', error);
     res.status(500).json({ error: 'Failed to fetch summary data' });
@@ -53,22 +144,32 @@ emissionsRouter.get('/summary', async (req, res) => {
 
 emissionsRouter.get('/countries', async (req, res) => {
   try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
     const since = parseInt(req.query.since) || 2023;
     const to = parseInt(req.query.to) || 2023;
     const limit = parseInt(req.query.limit) || 50;
     const countries = req.query.countries || null;
+    const metric = req.query.metric || 'absolute';
     
-    const data = await getCountryEmissions({ since, to, countries, limit });
+    const data = await getCountryEmissions({ since, to, countries, limit, metric, units });
     
     const result = data.countries.slice(0, limit).map(c => ({
       country: c.name,
       iso_code: c.country,
       rank: c.rank,
+      previous_rank: c.previousRank ?? null,
       co2: c.emissions.co2,
+      co2_per_capita: c.intensity?.perCapita ?? null,
+      co2_per_gdp: c.intensity?.perGdp ?? null,
+      population: c.intensity?.population ?? null,
       share_global_co2: c.share,
       year: data.year
     }));
     
+    res.set('X-Data-Complete', String(data.completeness?.complete ?? false));
+    res.set('X-Emissions-Unit', data.units?.mass.co2 || describeUnits(units).mass.co2);
     res.json(result);
   } catch (error) {
     console.error('Countries API Error:', error);
@@ -76,24 +177,107 @@ emissionsRouter.get('/countries', async (req, res) => {
   }
 });
 
+emissionsRouter.get('/countries/:iso3', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const { iso3 } = req.params;
+    if (!/^[A-Za-z]{3}$/.test(iso3)) {
+      return res.status(400).json({ error: 'Country code must be an ISO alpha-3 code' });
+    }
+    
+    const since = parseInt(req.query.since) || 2023;
+    const to = parseInt(req.query.to) || 2023;
+    const startYear = parseInt(req.query.startYear) || 2015;
+    
+    const detail = await getCountryDetail(iso3, { since, to, startYear, units });
+    if (!detail) {
+      return res.status(404).json({ error: `Unknown country: ${iso3.toUpperCase()}` });
+    }
+    
+    res.json(detail);
+  } catch (error) {
+    console.error('Country Detail API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch country detail' });
+  }
+});
+
+emissionsRouter.get('/countries/:iso3/subnational', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    const scheme = parseScheme(req, res);
+    if (!scheme) return;
+    
+    const { iso3 } = req.params;
+    if (!/^[A-Za-z]{3}$/.test(iso3)) {
+      return res.status(400).json({ error: 'Country code must be an ISO alpha-3 code' });
+    }
+    
+    const since = parseInt(req.query.since) || 2023;
+    const to = parseInt(req.query.to) || 2023;
+    
+    const data = await getSubnationalEmissions(iso3, { since, to, units, scheme });
+    if (!data) {
+      return res.status(404).json({ error: `Unknown country: ${iso3.toUpperCase()}` });
+    }
+    
+    res.json(data);
+  } catch (error) {
+    console.error('Subnational API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch subnational emissions' });
+  }
+});
+
+emissionsRouter.get('/subnational/:id', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    const scheme = parseScheme(req, res);
+    if (!scheme) return;
+    
+    const { id } = req.params;
+    if (!/^[A-Z]{3}(\.[0-9]+)+(_[0-9]+)?$/.test(id)) {
+      return res.status(400).json({ error: 'Admin id must be a GADM id, e.g. USA.5_1' });
+    }
+    
+    const since = parseInt(req.query.since) || 2023;
+    const to = parseInt(req.query.to) || 2023;
+    
+    const data = await getAdminDetail(id, { since, to, units, scheme });
+    res.json(data);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Admin Area API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch admin area emissions' });
+  }
+});
+
 emissionsRouter.get('/by-region', async (req, res) => {
   try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
     const since = parseInt(req.query.since) || 2023;
     const to = parseInt(req.query.to) || 2023;
     
-    const data = await getRegionalEmissions({ since, to });
+    const metric = req.query.metric || 'absolute';
+    
+    const data = await getRegionalEmissions({ since, to, metric, units });
     
     res.json({
       regions: data.regions,
-      topCountries: data.topCountries.map(c => ({
-        country: c.name,
-        iso_code: c.country,
-        rank: c.rank,
-        co2: c.emissions.co2,
-        share_global_co2: c.share
-      })),
+      topCountries: data.topCountries.map(formatTopCountry),
+      metric: data.metric,
+      metricUnit: data.metricUnit,
+      units: describeUnits(units),
+      indicators: data.indicators,
       year: to,
-      yearRange: { since, to }
+      yearRange: { since, to },
+      completeness: data.completeness
     });
   } catch (error) {
     console.error('Regions API Error:', error);
@@ -101,19 +285,133 @@ emissionsRouter.get('/by-region', async (req, res) => {
   }
 });
 
+emissionsRouter.get('/movers', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const to = parseInt(req.query.to) || 2023;
+    const from = parseInt(req.query.from) || to - 1;
+    if (from >= to) {
+      return res.status(400).json({ error: '`from` must be before `to`' });
+    }
+    const by = req.query.by || 'country';
+    if (!MOVER_SUBJECTS.includes(by)) {
+      return res.status(400).json({ error: `Unknown by: ${by}. Available: ${MOVER_SUBJECTS.join(', ')}` });
+    }
+    const gas = parseGas(req, res);
+    if (gas === false) return;
+    const grouping = String(req.query.group || DEFAULT_GROUPING).toLowerCase();
+    const top = Math.min(Math.max(parseInt(req.query.top) || 20, 1), 100);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    
+    const data = await getEmissionsMovers({ from, to, by, grouping, top, limit, gas, units });
+    if (!data) {
+      return res.status(404).json({ error: `Unknown grouping: ${grouping}` });
+    }
+    
+    res.json(data);
+  } catch (error) {
+    console.error('Movers API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch emissions movers' });
+  }
+});
+
+emissionsRouter.get('/analytics/concentration', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const since = parseInt(req.query.since) || 2023;
+    const to = parseInt(req.query.to) || 2023;
+    const gas = parseGas(req, res);
+    if (gas === false) return;
+    
+    const data = await getEmissionsConcentration({ since, to, gas, units });
+    
+    res.json(data);
+  } catch (error) {
+    console.error('Concentration API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch concentration statistics' });
+  }
+});
+
+emissionsRouter.get('/groupings', async (req, res) => {
+  try {
+    const groupings = await listGroupings();
+    res.json({ groupings, default: DEFAULT_GROUPING });
+  } catch (error) {
+    console.error('Groupings API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch groupings' });
+  }
+});
+
+emissionsRouter.get('/by-group', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const since = parseInt(req.query.since) || 2023;
+    const to = parseInt(req.query.to) || 2023;
+    
+    const grouping = String(req.query.group || DEFAULT_GROUPING).toLowerCase();
+    const metric = req.query.metric || 'absolute';
+    
+    const data = await getGroupEmissions({ since, to, grouping, metric, units });
+    if (!data) {
+      return res.status(404).json({ error: `Unknown grouping: ${grouping}` });
+    }
+    
+    res.json({
+      grouping: data.grouping,
+      groups: data.groups,
+      otherCountries: data.otherCountries,
+      topCountries: data.topCountries.map(formatTopCountry),
+      metric: data.metric,
+      metricUnit: data.metricUnit,
+      units: describeUnits(units),
+      indicators: data.indicators,
+      year: to,
+      yearRange: { since, to },
+      source: data.source,
+      completeness: data.completeness
+    });
+  } catch (error) {
+    console.error('Groups API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch group data' });
+  }
+});
+
 emissionsRouter.get('/by-industry', async (req, res) => {
   try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    const scheme = parseScheme(req, res);
+    if (!scheme) return;
+    const granularity = parseGranularity(req, res);
+    if (!granularity) return;
+    
     const since = parseInt(req.query.since) || 2023;
     const to = parseInt(req.query.to) || 2023;
     const countries = req.query.countries || null;
+    const gas = parseGas(req, res);
+    if (gas === false) return;
     
-    const data = await getSectorEmissions({ since, to, countries });
+    const data = await getSectorEmissions({ since, to, countries, units, scheme, granularity, gas });
     
     res.json({
       industries: data.industries,
+      gas: data.gas,
       total: data.total,
+      totals: data.totals,
+      unit: data.unit,
+      units: data.units,
+      scheme,
       year: to,
-      yearRange: { since, to }
+      yearRange: { since, to },
+      granularity,
+      ...(data.months && { months: data.months }),
+      completeness: data.completeness
     });
   } catch (error) {
     console.error('Industry API Error:', error);
@@ -123,17 +421,34 @@ emissionsRouter.get('/by-industry', async (req, res) => {
 
 emissionsRouter.get('/by-sector', async (req, res) => {
   try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    const scheme = parseScheme(req, res);
+    if (!scheme) return;
+    const granularity = parseGranularity(req, res);
+    if (!granularity) return;
+    
     const since = parseInt(req.query.since) || 2023;
     const to = parseInt(req.query.to) || 2023;
     const countries = req.query.countries || null;
+    const gas = parseGas(req, res);
+    if (gas === false) return;
     
-    const data = await getSectorEmissions({ since, to, countries });
+    const data = await getSectorEmissions({ since, to, countries, units, scheme, granularity, gas });
     
     res.json({
       sectors: data.sectors,
+      gas: data.gas,
       total: data.total,
+      totals: data.totals,
+      unit: data.unit,
+      units: data.units,
+      scheme,
       year: to,
-      yearRange: { since, to }
+      yearRange: { since, to },
+      granularity,
+      ...(data.months && { months: data.months }),
+      completeness: data.completeness
     });
   } catch (error) {
     console.error('Sector API Error:', error);
@@ -141,18 +456,228 @@ emissionsRouter.get('/by-sector', async (req, res) => {
   }
 });
 
+emissionsRouter.get('/matrix', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    const scheme = parseScheme(req, res);
+    if (!scheme) return;
+    
+    const since = parseInt(req.query.since) || 2023;
+    const to = parseInt(req.query.to) || 2023;
+    const countries = req.query.countries || null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const grouping = String(req.query.group || DEFAULT_GROUPING).toLowerCase();
+    
+    const rows = req.query.rows || 'country';
+    if (!MATRIX_ROWS.includes(rows)) {
+      return res.status(400).json({ error: `Unknown rows: ${rows}. Available: ${MATRIX_ROWS.join(', ')}` });
+    }
+    const columns = req.query.columns || 'sector';
+    if (!MATRIX_COLUMNS.includes(columns)) {
+      return res.status(400).json({ error: `Unknown columns: ${columns}. Available: ${MATRIX_COLUMNS.join(', ')}` });
+    }
+    const normalize = req.query.normalize || 'none';
+    if (!MATRIX_NORMALIZE.includes(normalize)) {
+      return res.status(400).json({ error: `Unknown normalize: ${normalize}. Available: ${MATRIX_NORMALIZE.join(', ')}` });
+    }
+    const gas = parseGas(req, res);
+    if (gas === false) return;
+    
+    const data = await getEmissionsMatrix({ since, to, rows, columns, countries, limit, grouping, normalize, gas, units, scheme });
+    if (!data) {
+      return res.status(404).json({ error: `Unknown grouping: ${grouping}` });
+    }
+    
+    res.json(data);
+  } catch (error) {
+    console.error('Matrix API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch emissions matrix' });
+  }
+});
+
+emissionsRouter.get('/assets', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    const scheme = parseScheme(req, res);
+    if (!scheme) return;
+    
+    const year = parseInt(req.query.year) || 2023;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 25, 1), 100);
+    
+    const countries = req.query.countries
+      ? req.query.countries.split(',').map(c => c.trim().toUpperCase()).filter(Boolean)
+      : null;
+    if (countries?.some(c => !/^[A-Z]{3}$/.test(c))) {
+      return res.status(400).json({ error: 'Country codes must be ISO alpha-3 codes' });
+    }
+    const sectors = req.query.sectors
+      ? req.query.sectors.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+      : null;
+    
+    const gas = parseGas(req, res);
+    if (gas === false) return;
+    const sort = req.query.sort || 'emissions';
+    if (!ASSET_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `Unknown sort: ${sort}. Available: ${ASSET_SORTS.join(', ')}` });
+    }
+    const order = req.query.order || null;
+    if (order && !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+    
+    const data = await getAssets({
+      year,
+      countries,
+      sectors,
+      gas,
+      search: req.query.search || '',
+      sort,
+      order,
+      page,
+      pageSize,
+      units,
+      scheme
+    });
+    res.json(data);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Assets API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch assets' });
+  }
+});
+
+emissionsRouter.get('/assets/:id', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    const scheme = parseScheme(req, res);
+    if (!scheme) return;
+    
+    const { id } = req.params;
+    if (!/^[A-Za-z0-9._-]{1,100}$/.test(id)) {
+      return res.status(400).json({ error: 'Invalid asset id' });
+    }
+    
+    const data = await getAssetDetail(id, { units, scheme });
+    res.json(data);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Asset API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch asset' });
+  }
+});
+
+emissionsRouter.get('/geo/countries', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const year = parseInt(req.query.year) || 2023;
+    const since = parseInt(req.query.since) || 2015;
+    if (since >= year) {
+      return res.status(400).json({ error: 'since must be before year' });
+    }
+    const metric = req.query.metric || 'co2';
+    if (!GEO_METRICS[metric]) {
+      return res.status(400).json({ error: `Unknown metric: ${metric}. Available: ${Object.keys(GEO_METRICS).join(', ')}` });
+    }
+    
+    const data = await getEmissionsGeoJson({ year, since, metric, units });
+    res.type('application/geo+json').json(data);
+  } catch (error) {
+    console.error('Geo API Error:', error);
+    res.status(500).json({ error: 'Failed to build emissions map' });
+  }
+});
+
+emissionsRouter.get('/geo/assets', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const year = parseInt(req.query.year) || 2023;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), 1000);
+    
+    const countries = req.query.countries
+      ? req.query.countries.split(',').map(c => c.trim().toUpperCase()).filter(Boolean)
+      : null;
+    if (countries?.some(c => !/^[A-Z]{3}$/.test(c))) {
+      return res.status(400).json({ error: 'Country codes must be ISO alpha-3 codes' });
+    }
+    const sectors = req.query.sectors
+      ? req.query.sectors.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+      : null;
+    const gas = parseGas(req, res);
+    if (gas === false) return;
+    
+    const data = await getAssetsGeoJson({ year, countries, sectors, gas, limit, units });
+    res.type('application/geo+json').json(data);
+  } catch (error) {
+    console.error('Geo API Error:', error);
+    res.status(500).json({ error: 'Failed to build asset map' });
+  }
+});
+
 emissionsRouter.get('/trends', async (req, res) => {
   try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    const scheme = parseScheme(req, res);
+    if (!scheme) return;
+    
+    const granularity = parseGranularity(req, res);
+    if (!granularity) return;
+    
     const startYear = parseInt(req.query.startYear) || 2019;
     const endYear = parseInt(req.query.endYear) || 2023;
     const countries = req.query.countries || 'CHN,USA,IND,RUS,JPN';
+    const gas = parseGas(req, res, 'co2');
+    if (gas === false) return;
+    
+    const trends = await getEmissionsTrends({ startYear, endYear, countries, gas, units, scheme, granularity });
     
-    const trends = await getEmissionsTrends({ startYear, endYear, countries });
+    const returnedYears = new Set(trends.map(t => t.year));
+    const missingYears = [];
+    for (let year = startYear; year <= endYear; year++) {
+      if (!returnedYears.has(year)) missingYears.push(year);
+    }
+    const missingSectorYears = trends.filter(t => t.sectorDataMissing).map(t => t.year);
+    
+    const notes = [];
+    if (missingYears.length > 0) notes.push(`No data for ${missingYears.join(', ')}`);
+    if (missingSectorYears.length > 0) notes.push(`No industry data for ${missingSectorYears.join(', ')}`);
+    
+    let seasonality;
+    if (granularity === 'month') {
+      notes.push('Monthly totals only include sectors with monthly estimates');
+      // Seasonality of the industry total of the selected gas
+      seasonality = decomposeSeasonal(trends.map(t => ({ year: t.year, month: t.month, value: t.industryTotal })));
+      if (!seasonality) {
+        notes.push(`Seasonality needs at least ${MIN_SEASONAL_POINTS} months of data and a complete year around every calendar month`);
+      }
+    }
     
     res.json({
       trends,
+      gas: trends[0]?.gas || gas,
+      granularity,
+      ...(granularity === 'month' && { seasonality }),
+      units: describeUnits(units),
+      scheme,
       yearRange: { startYear, endYear },
-      source: 'Data Source: Climate TRACE'
+      source: getSourceLabel(),
+      completeness: {
+        complete: notes.length === 0,
+        missingYears,
+        notes
+      }
     });
   } catch (error) {
     console.error('Trends API Error:', error);
@@ -160,13 +685,350 @@ emissionsRouter.get('/trends', async (req, res) => {
   }
 });
 
+emissionsRouter.get('/forecast', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    const scheme = parseScheme(req, res);
+    if (!scheme) return;
+    
+    const startYear = parseInt(req.query.startYear) || 2015;
+    const endYear = parseInt(req.query.endYear) || 2024;
+    if (endYear < startYear) {
+      return res.status(400).json({ error: 'endYear must not be before startYear' });
+    }
+    
+    const country = req.query.country || null;
+    if (country && !/^[A-Za-z]{3}$/.test(country)) {
+      return res.status(400).json({ error: 'Country code must be an ISO alpha-3 code' });
+    }
+    
+    const gas = parseGas(req, res, 'co2');
+    if (gas === false) return;
+    
+    const forecast = resolveForecastOptions({
+      models: req.query.models,
+      confidence: req.query.confidence,
+      horizon: req.query.horizon,
+      lastYear: endYear
+    });
+    
+    const data = await getEmissionsForecast({
+      startYear,
+      endYear,
+      country,
+      industry: req.query.industry || null,
+      gas,
+      forecast,
+      units,
+      scheme
+    });
+    
+    res.json(data);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Forecast API Error:', error);
+    res.status(500).json({ error: 'Failed to build forecast' });
+  }
+});
+
+emissionsRouter.get('/decomposition/:iso3', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const { iso3 } = req.params;
+    if (!/^[A-Za-z]{3}$/.test(iso3)) {
+      return res.status(400).json({ error: 'Country code must be an ISO alpha-3 code' });
+    }
+    
+    const startYear = parseInt(req.query.startYear) || 2015;
+    const endYear = parseInt(req.query.endYear) || 2024;
+    if (endYear <= startYear) {
+      return res.status(400).json({ error: 'endYear must be after startYear' });
+    }
+    
+    const data = await getEmissionsDecomposition({ country: iso3, startYear, endYear, units });
+    res.json(data);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Decomposition API Error:', error);
+    res.status(500).json({ error: 'Failed to decompose emissions' });
+  }
+});
+
+emissionsRouter.get('/cumulative', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const since = parseInt(req.query.since) || 1850;
+    const to = parseInt(req.query.to) || 2024;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+    if (to < since) {
+      return res.status(400).json({ error: 'to must not be before since' });
+    }
+    
+    const sort = req.query.sort || 'cumulative';
+    if (!CUMULATIVE_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `Unknown sort: ${sort}. Available: ${CUMULATIVE_SORTS.join(', ')}` });
+    }
+    
+    const data = await getCumulativeEmissions({ since, to, sort, limit, units });
+    res.json(data);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cumulative API Error:', error);
+    res.status(500).json({ error: 'Failed to compute cumulative emissions' });
+  }
+});
+
+emissionsRouter.get('/reconcile', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const year = parseInt(req.query.year) || 2022;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 250);
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : 10;
+    if (!(threshold >= 0)) {
+      return res.status(400).json({ error: 'threshold must be a non-negative percentage' });
+    }
+    
+    const gas = parseGas(req, res, 'co2');
+    if (gas === false) return;
+    
+    const sort = req.query.sort || 'discrepancy';
+    if (!RECONCILE_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `Unknown sort: ${sort}. Available: ${RECONCILE_SORTS.join(', ')}` });
+    }
+    
+    const countries = req.query.countries
+      ? req.query.countries.split(',').map(c => c.trim().toUpperCase()).filter(Boolean)
+      : null;
+    if (countries?.some(c => !/^[A-Z]{3}$/.test(c))) {
+      return res.status(400).json({ error: 'Country codes must be ISO alpha-3 codes' });
+    }
+    const inventories = req.query.inventories
+      ? req.query.inventories.split(',').map(id => id.trim()).filter(Boolean)
+      : null;
+    
+    const data = await reconcileEmissions({ year, gas, inventories, countries, threshold, sort, limit, units });
+    res.json(data);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Reconcile API Error:', error);
+    res.status(500).json({ error: 'Failed to reconcile emissions' });
+  }
+});
+
+emissionsRouter.get('/reconcile/inventories', async (req, res) => {
+  try {
+    res.json({ inventories: await listInventories() });
+  } catch (error) {
+    console.error('Inventories API Error:', error);
+    res.status(500).json({ error: 'Failed to list inventories' });
+  }
+});
+
+emissionsRouter.get('/budget', async (req, res) => {
+  try {
+    const endYear = parseInt(req.query.endYear) || 2024;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    const countries = req.query.countries
+      ? req.query.countries.split(',').map(c => c.trim().toUpperCase()).filter(Boolean)
+      : null;
+    if (countries?.some(c => !/^[A-Z]{3}$/.test(c))) {
+      return res.status(400).json({ error: 'Country codes must be ISO alpha-3 codes' });
+    }
+    
+    const budget = resolveBudgetOptions({
+      scenario: req.query.scenario,
+      budget: req.query.budget,
+      fromYear: req.query.fromYear,
+      declineRates: req.query.declineRates,
+      firstYear: 2015
+    });
+    
+    const data = await getCarbonBudget({ budget, endYear, countries, limit });
+    res.json({
+      ...data,
+      presets: Object.entries(BUDGET_PRESETS).map(([id, preset]) => ({ id, ...preset })),
+      defaultPreset: DEFAULT_PRESET
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Budget API Error:', error);
+    res.status(500).json({ error: 'Failed to compute carbon budget' });
+  }
+});
+
+// Years with sector data that scenarios can start from
+const SCENARIO_YEARS = { firstYear: 2015, lastYear: 2024 };
+
+/**
+ * Runs a scenario and sends the comparison, or the validation error
+ */
+async function sendScenarioRun(req, res, definition) {
+  const units = parseUnits(req, res);
+  if (!units) return;
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const scenario = validateScenario(definition, SCENARIO_YEARS);
+  res.json(await runScenario({ scenario, units, limit }));
+}
+
+emissionsRouter.get('/scenarios', async (req, res) => {
+  try {
+    res.json({ scenarios: await listScenarios() });
+  } catch (error) {
+    console.error('Scenarios API Error:', error);
+    res.status(500).json({ error: 'Failed to list scenarios' });
+  }
+});
+
+emissionsRouter.post('/scenarios', async (req, res) => {
+  try {
+    const scenario = validateScenario(req.body, { ...SCENARIO_YEARS, requireName: true });
+    const { scenario: saved, created } = await saveScenario(scenario);
+    res.status(created ? 201 : 200).json(saved);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Scenario Save Error:', error);
+    res.status(500).json({ error: 'Failed to save scenario' });
+  }
+});
+
+emissionsRouter.post('/scenarios/run', async (req, res) => {
+  try {
+    await sendScenarioRun(req, res, req.body);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Scenario Run Error:', error);
+    res.status(500).json({ error: 'Failed to run scenario' });
+  }
+});
+
+emissionsRouter.get('/scenarios/:id', async (req, res) => {
+  try {
+    const scenario = await getScenario(req.params.id);
+    if (!scenario) {
+      return res.status(404).json({ error: `Unknown scenario: ${req.params.id}` });
+    }
+    res.json(scenario);
+  } catch (error) {
+    console.error('Scenario API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch scenario' });
+  }
+});
+
+emissionsRouter.get('/scenarios/:id/run', async (req, res) => {
+  try {
+    const scenario = await getScenario(req.params.id);
+    if (!scenario) {
+      return res.status(404).json({ error: `Unknown scenario: ${req.params.id}` });
+    }
+    await sendScenarioRun(req, res, scenario);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Scenario Run Error:', error);
+    res.status(500).json({ error: 'Failed to run scenario' });
+  }
+});
+
+emissionsRouter.delete('/scenarios/:id', async (req, res) => {
+  try {
+    if (!(await deleteScenario(req.params.id))) {
+      return res.status(404).json({ error: `Unknown scenario: ${req.params.id}` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Scenario Delete Error:', error);
+    res.status(500).json({ error: 'Failed to delete scenario' });
+  }
+});
+
+emissionsRouter.get('/targets', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const startYear = parseInt(req.query.startYear) || 2015;
+    const endYear = parseInt(req.query.endYear) || 2024;
+    
+    const data = await getTargetProgress({ startYear, endYear, units });
+    res.json(data);
+  } catch (error) {
+    console.error('Targets API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch target progress' });
+  }
+});
+
+emissionsRouter.get('/targets/:iso3', async (req, res) => {
+  try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
+    const { iso3 } = req.params;
+    if (!/^[A-Za-z]{3}$/.test(iso3)) {
+      return res.status(400).json({ error: 'Country code must be an ISO alpha-3 code' });
+    }
+    
+    const startYear = parseInt(req.query.startYear) || 2015;
+    const endYear = parseInt(req.query.endYear) || 2024;
+    
+    const data = await getTargetProgress({ countries: [iso3.toUpperCase()], startYear, endYear, units });
+    const [progress] = data.targets;
+    if (!progress) {
+      return res.status(404).json({ error: `No target on file for ${iso3.toUpperCase()}` });
+    }
+    
+    res.json({
+      ...progress,
+      dataset: data.dataset,
+      units: data.units,
+      historyRange: data.historyRange,
+      methodology: data.methodology,
+      source: data.source,
+      completeness: data.completeness
+    });
+  } catch (error) {
+    console.error('Target API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch target progress' });
+  }
+});
+
 emissionsRouter.get('/gases', async (req, res) => {
   try {
+    const units = parseUnits(req, res);
+    if (!units) return;
+    
     const since = parseInt(req.query.since) || 2023;
     const to = parseInt(req.query.to) || 2023;
     const limit = parseInt(req.query.limit) || 30;
+    const metric = req.query.metric || 'absolute';
     
-    const data = await getAllGasesEmissions({ since, to, limit });
+    const data = await getAllGasesEmissions({ since, to, limit, metric, units });
     
     res.json(data);
   } catch (error) {
@@ -175,6 +1037,13 @@ emissionsRouter.get('/gases', async (req, res) => {
   }
 });
 
+emissionsRouter.get('/taxonomy', (req, res) => {
+  const scheme = parseScheme(req, res);
+  if (!scheme) return;
+  
+  res.json(getTaxonomy(scheme));
+});
+
 emissionsRouter.get('/definitions/countries', async (req, res) => {
   try {
     const countries = await getCountryDefinitions();
@@ -195,6 +1064,31 @@ emissionsRouter.get('/definitions/sectors', async (req, res) => {
   }
 });
 
+emissionsRouter.get('/definitions/admins', async (req, res) => {
+  try {
+    const country = req.query.country ? req.query.country.toUpperCase() : null;
+    if (country && !/^[A-Z]{3}$/.test(country)) {
+      return res.status(400).json({ error: 'Country code must be an ISO alpha-3 code' });
+    }
+    
+    const admins = await getAdminDefinitions(country);
+    res.json(admins);
+  } catch (error) {
+    console.error('Admins Definition Error:', error);
+    res.status(500).json({ error: 'Failed to fetch admin area definitions' });
+  }
+});
+
+emissionsRouter.get('/cache/status', async (req, res) => {
+  try {
+    const stats = await getCacheStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('Cache Status Error:', error);
+    res.status(500).json({ error: 'Failed to read cache status' });
+  }
+});
+
 emissionsRouter.get('/years', async (req, res) => {
   res.json({
     availableYears: [2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025],
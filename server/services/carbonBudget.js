@@ -0,0 +1,165 @@
+/**
+ * Carbon Budget
+ * Remaining CO2 budgets for warming limits, how long they last under
+ * constant annual decline rates, and national fair shares.
+ *
+ * Presets are IPCC AR6 WG1 (SPM Table SPM.2) remaining budgets in Gt CO2
+ * from the start of 2020. Emissions since the budget year are subtracted
+ * using the data source's world CO2 totals. Budgets are CO2 only.
+ */
+
+import { badRequest, round } from './common.js';
+
+export const BUDGET_PRESETS = {
+  '1.5c_50': { label: '1.5°C (50% likelihood)', warming: 1.5, likelihood: 50, budgetGt: 500, fromYear: 2020 },
+  '1.5c_67': { label: '1.5°C (67% likelihood)', warming: 1.5, likelihood: 67, budgetGt: 400, fromYear: 2020 },
+  '1.5c_83': { label: '1.5°C (83% likelihood)', warming: 1.5, likelihood: 83, budgetGt: 300, fromYear: 2020 },
+  '2c_50': { label: '2°C (50% likelihood)', warming: 2, likelihood: 50, budgetGt: 1350, fromYear: 2020 },
+  '2c_67': { label: '2°C (67% likelihood)', warming: 2, likelihood: 67, budgetGt: 1150, fromYear: 2020 },
+  '2c_83': { label: '2°C (83% likelihood)', warming: 2, likelihood: 83, budgetGt: 900, fromYear: 2020 }
+};
+
+export const DEFAULT_PRESET = '1.5c_50';
+export const PRESET_SOURCE = 'IPCC AR6 WG1, SPM Table SPM.2 (remaining CO2 budgets from 1 January 2020)';
+
+export const ALLOCATION_METHODS = {
+  equal_per_capita: { name: 'Equal per capita', description: "Share of the remaining budget equal to the country's share of world population" },
+  grandfathering: { name: 'Grandfathering', description: "Share of the remaining budget equal to the country's share of current world CO2 emissions" }
+};
+
+const DEFAULT_DECLINE_RATES = [0, 2, 5, 10];
+const MAX_DECLINE_RATES = 6;
+const PATH_END_YEAR = 2100;
+
+/**
+ * Validates budget query values. Throws an error with status 400 for an
+ * unknown preset, a non-positive budget, a budget year outside the data
+ * or decline rates outside [0, 50).
+ *
+ * @param {Object} options
+ * @param {string} [options.scenario] - Preset id (default: 1.5c_50)
+ * @param {string|number} [options.budget] - Remaining budget in Gt CO2, overrides the preset
+ * @param {string|number} [options.fromYear] - Year the budget counts from, overrides the preset
+ * @param {string} [options.declineRates] - Comma-separated % per year (default: 0,2,5,10)
+ * @param {number} options.firstYear - First year with emissions data
+ */
+export function resolveBudgetOptions({ scenario, budget, fromYear, declineRates, firstYear }) {
+  const id = scenario ? String(scenario).toLowerCase() : DEFAULT_PRESET;
+  const preset = BUDGET_PRESETS[id];
+  if (!preset) {
+    throw badRequest(`Unknown budget scenario: ${scenario}. Available: ${Object.keys(BUDGET_PRESETS).join(', ')}`);
+  }
+
+  const budgetGt = budget !== undefined ? parseFloat(budget) : preset.budgetGt;
+  if (!(budgetGt > 0)) {
+    throw badRequest('budget must be a positive number of Gt CO2');
+  }
+
+  const year = fromYear !== undefined ? parseInt(fromYear) : preset.fromYear;
+  if (!Number.isInteger(year) || year < firstYear) {
+    throw badRequest(`fromYear must be ${firstYear} or later so emissions since then are covered by the data`);
+  }
+
+  const rates = declineRates !== undefined
+    ? String(declineRates).split(',').map(r => parseFloat(r))
+    : DEFAULT_DECLINE_RATES;
+  if (rates.length === 0 || rates.length > MAX_DECLINE_RATES || rates.some(r => !(r >= 0 && r < 50))) {
+    throw badRequest(`declineRates must be 1-${MAX_DECLINE_RATES} comma-separated percentages from 0 to under 50`);
+  }
+
+  return {
+    scenario: id,
+    preset,
+    budgetGt,
+    custom: budget !== undefined || fromYear !== undefined,
+    fromYear: year,
+    declineRates: [...new Set(rates)].sort((a, b) => a - b)
+  };
+}
+
+/**
+ * Years until the remaining budget is used up at a constant annual decline
+ * rate, starting from the latest annual emissions.
+ *
+ * @param {Object} options
+ * @param {number} options.remainingGt - Remaining budget in Gt CO2
+ * @param {number} options.annualGt - Latest annual emissions in Gt CO2
+ * @param {number} options.lastYear - Year of the latest emissions
+ * @param {Array<number>} options.declineRates - % per year
+ */
+export function projectBudget({ remainingGt, annualGt, lastYear, declineRates }) {
+  const exhausted = remainingGt <= 0;
+
+  const scenarios = declineRates.map(ratePercent => {
+    const r = ratePercent / 100;
+    // Total still emitted if the decline continues forever
+    const totalFutureGt = r > 0 ? annualGt * (1 - r) / r : Infinity;
+
+    let years = null;
+    if (exhausted) {
+      years = 0;
+    } else if (r === 0) {
+      years = remainingGt / annualGt;
+    } else if (remainingGt < totalFutureGt) {
+      years = Math.log(1 - remainingGt * r / (annualGt * (1 - r))) / Math.log(1 - r);
+    }
+
+    const path = [];
+    let cumulative = 0;
+    for (let year = lastYear + 1, emissions = annualGt * (1 - r); !exhausted && year <= PATH_END_YEAR; year++, emissions *= (1 - r)) {
+      cumulative += emissions;
+      path.push({ year, emissionsGt: round(emissions), cumulativeGt: round(cumulative) });
+      if (cumulative >= remainingGt && years !== null) break;
+    }
+
+    return {
+      declineRatePercent: ratePercent,
+      yearsToExhaustion: years === null ? null : round(years),
+      exhaustionYear: years === null || exhausted ? null : lastYear + Math.max(1, Math.ceil(years)),
+      withinBudget: years === null,
+      totalFutureGt: Number.isFinite(totalFutureGt) ? round(totalFutureGt) : null,
+      path
+    };
+  });
+
+  return {
+    exhausted,
+    yearsAtCurrentRate: exhausted ? 0 : round(remainingGt / annualGt),
+    // Constant decline that keeps cumulative emissions at the remaining budget
+    requiredDeclinePercent: exhausted ? null : round(annualGt / (remainingGt + annualGt) * 100),
+    // Straight-line decline to zero that uses exactly the remaining budget
+    linearNetZeroYear: exhausted ? null : Math.round(lastYear + 2 * remainingGt / annualGt),
+    scenarios
+  };
+}
+
+/**
+ * National fair shares of the remaining budget under each allocation method
+ *
+ * @param {Object} options
+ * @param {number} options.remainingGt - Remaining world budget in Gt CO2
+ * @param {Array<{country, name, co2Tonnes, population}>} options.countries - Latest annual CO2 and population
+ * @param {number} options.worldCo2Tonnes - Latest annual world CO2
+ * @param {number|null} options.worldPopulation - World population
+ */
+export function allocateBudget({ remainingGt, countries, worldCo2Tonnes, worldPopulation }) {
+  const remaining = Math.max(0, remainingGt);
+  const share = (part, whole, co2Tonnes) => {
+    if (!part || !whole) return null;
+    const budgetGt = remaining * part / whole;
+    return {
+      sharePercent: round(part / whole * 100),
+      budgetGt: round(budgetGt),
+      yearsAtCurrentRate: co2Tonnes > 0 ? round(budgetGt * 1e9 / co2Tonnes) : null
+    };
+  };
+
+  return countries.map(c => ({
+    country: c.country,
+    name: c.name,
+    currentMt: round(c.co2Tonnes / 1e6),
+    population: c.population ?? null,
+    equal_per_capita: share(c.population, worldPopulation, c.co2Tonnes),
+    grandfathering: share(c.co2Tonnes, worldCo2Tonnes, c.co2Tonnes)
+  }));
+}
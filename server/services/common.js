@@ -0,0 +1,71 @@
+/**
+ * Common Helpers
+ * Small utilities shared by the services.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+
+/**
+ * Error for an invalid request; routes answer it with status 400
+ */
+export function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Rounds a reported figure: whole numbers from 100 up, three significant
+ * digits below. Every emissions value and derived figure goes through it,
+ * so the same quantity reads the same on every endpoint. Non-finite values
+ * (including null and undefined) become null.
+ */
+export function round(value) {
+  if (!Number.isFinite(value)) return null;
+  return Math.abs(value) >= 100 ? Math.round(value) : parseFloat(value.toPrecision(3));
+}
+
+/**
+ * Path of a data file: the environment variable when set, otherwise the
+ * default. Callers look it up on first use rather than at import, so
+ * variables loaded by dotenv after the modules are imported still apply.
+ *
+ * @param {string} [envVar] - Environment variable overriding the path
+ * @param {string|null} defaultFile - Path used when the variable is unset
+ */
+export function dataFile(envVar, defaultFile) {
+  return envVar && process.env[envVar] ? resolve(process.env[envVar]) : defaultFile;
+}
+
+/**
+ * Creates a loader that reads a data file (see dataFile) on its first call
+ * and caches the result. A failed read or parse is logged and answered
+ * with the fallback; the next call tries again. Without a default, the
+ * file is optional: the fallback stands in until the variable is set.
+ *
+ * @param {Object} options
+ * @param {string} [options.envVar] - Environment variable overriding the path
+ * @param {string|null} options.defaultFile - Path used when the variable is unset
+ * @param {string} options.label - What is loaded, for the failure log
+ * @param {Function} options.parse - (text, file) => data; may throw
+ * @param {Function} options.fallback - () => data used when loading fails
+ * @returns {Function} Async loader resolving to the data
+ */
+export function lazyDataFile({ envVar, defaultFile, label, parse, fallback }) {
+  let loaded = null;
+  return async () => {
+    if (!loaded) {
+      const file = dataFile(envVar, defaultFile);
+      if (!file) return fallback();
+      loaded = readFile(file, 'utf-8')
+        .then(text => parse(text, file))
+        .catch(error => {
+          console.error(`❌ Failed to load ${label}:`, error.message);
+          loaded = null;
+          return fallback();
+        });
+    }
+    return loaded;
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * Concentration
+ * How unevenly emissions are spread over countries or sectors:
+ *
+ * - curve: cumulative share of the total held by the largest N emitters
+ * - lorenz: cumulative share of emissions against cumulative share of emitters, smallest first
+ * - gini: 0 when every emitter emits the same, approaching 1 when one emits everything
+ * - hhi: Herfindahl-Hirschman index, the sum of squared percentage shares (0-10,000)
+ * - effectiveNumber: number of equal emitters that would give the same HHI
+ *
+ * Emitters with no emissions are left out.
+ */
+
+import { round } from './common.js';
+
+export const TOP_SHARE_SIZES = [1, 3, 5, 10, 20, 50];
+
+/**
+ * Gini coefficient of non-negative values
+ *
+ * @param {number[]} ascending - Values sorted smallest first
+ */
+function gini(ascending) {
+  const n = ascending.length;
+  const total = ascending.reduce((sum, v) => sum + v, 0);
+  if (n < 2 || total <= 0) return 0;
+  const weighted = ascending.reduce((sum, v, i) => sum + (i + 1) * v, 0);
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Concentration statistics of a set of emitters
+ *
+ * @param {Array<{id: string, name: string, value: number}>} items - Emissions in any unit
+ * @returns {{count: number, gini: number|null, hhi: number|null, effectiveNumber: number|null, topShares: Object, curve: Array, lorenz: Array}}
+ */
+export function measureConcentration(items) {
+  const emitters = items.filter(item => item.value > 0).sort((a, b) => b.value - a.value);
+  const total = emitters.reduce((sum, item) => sum + item.value, 0);
+  const count = emitters.length;
+
+  if (count === 0) {
+    return { count, gini: null, hhi: null, effectiveNumber: null, topShares: {}, curve: [], lorenz: [] };
+  }
+
+  const shares = emitters.map(item => item.value / total);
+  let cumulative = 0;
+  const curve = emitters.map((item, index) => {
+    cumulative += shares[index];
+    return {
+      rank: index + 1,
+      id: item.id,
+      name: item.name,
+      share: round(shares[index] * 100),
+      cumulativeShare: round(cumulative * 100)
+    };
+  });
+
+  // Smallest first, starting at the origin
+  let lorenzTotal = 0;
+  const lorenz = [{ population: 0, emissions: 0 }, ...[...shares].reverse().map((share, index) => {
+    lorenzTotal += share;
+    return { population: round((index + 1) / count * 100), emissions: round(lorenzTotal * 100) };
+  })];
+
+  const sumOfSquares = shares.reduce((sum, s) => sum + s * s, 0);
+
+  return {
+    count,
+    gini: round(gini([...emitters].reverse().map(item => item.value))),
+    hhi: Math.round(sumOfSquares * 10000),
+    effectiveNumber: round(1 / sumOfSquares),
+    topShares: Object.fromEntries(TOP_SHARE_SIZES.filter(n => n <= count).map(n => [n, curve[n - 1].cumulativeShare])),
+    curve,
+    lorenz
+  };
+}
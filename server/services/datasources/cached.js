@@ -0,0 +1,88 @@
+/**
+ * Cached Data Source
+ * Wraps any data source with the persistent stale-while-revalidate cache,
+ * so upstream responses survive restarts and are refreshed in the background.
+ */
+
+import BaseDataSource from './providers/base.js';
+
+export class CachedDataSource extends BaseDataSource {
+  /**
+   * @param {BaseDataSource} source - Data source to wrap
+   * @param {import('../persistentCache.js').PersistentCache} cache - Persistent cache
+   */
+  constructor(source, cache) {
+    super(source.config);
+    this.source = source;
+    this.cache = cache;
+    this.name = source.getName();
+    this.label = source.getLabel();
+    this.provider = source.getProvider();
+    this.cacheable = false;
+  }
+
+  /**
+   * Serves a fetch method through the cache, revalidating with the stored ETag
+   */
+  cached(method, options = {}) {
+    const key = `${this.name}:${method}:${JSON.stringify(options)}`;
+
+    return this.cache.getOrRefresh(key, async ({ etag }) => {
+      const result = await this.source.fetchConditional(method, options, etag);
+      return { value: result.data, etag: result.etag, notModified: result.notModified };
+    });
+  }
+
+  async fetchCountryDefinitions() {
+    return this.cached('fetchCountryDefinitions');
+  }
+
+  async fetchSectorDefinitions() {
+    return this.cached('fetchSectorDefinitions');
+  }
+
+  async fetchContinentDefinitions() {
+    return this.cached('fetchContinentDefinitions');
+  }
+
+  async fetchCountryEmissions({ since, to, countries = null }) {
+    return this.cached('fetchCountryEmissions', { since, to, countries });
+  }
+
+  async fetchAssetEmissions({ since, to, countries = null }) {
+    return this.cached('fetchAssetEmissions', { since, to, countries });
+  }
+
+  async fetchMonthlyEmissions({ since, to, countries = null }) {
+    return this.cached('fetchMonthlyEmissions', { since, to, countries });
+  }
+
+  async fetchAssets({ year, countries = null, sectors = null, gas, limit, offset }) {
+    return this.cached('fetchAssets', { year, countries, sectors, gas, limit, offset });
+  }
+
+  async fetchAssetDetail({ id }) {
+    return this.cached('fetchAssetDetail', { id });
+  }
+
+  async fetchAdminDefinitions({ country = null } = {}) {
+    return this.cached('fetchAdminDefinitions', { country });
+  }
+
+  async fetchAdminEmissions({ since, to, id }) {
+    return this.cached('fetchAdminEmissions', { since, to, id });
+  }
+
+  async fetchConditional(method, options = {}, etag = null) {
+    return this.source.fetchConditional(method, options, etag);
+  }
+
+  /**
+   * Summarizes the persistent cache
+   */
+  async getCacheStats() {
+    return this.cache.getStats();
+  }
+}
+
+export default CachedDataSource;
@@ -0,0 +1,104 @@
+/**
+ * Emissions Data Sources
+ * Factory for the upstream data source behind emissionsApi.js
+ *
+ * Usage:
+ *   import { getDataSource } from './services/datasources/index.js';
+ *   const source = getDataSource();
+ *   const rows = await source.fetchCountryEmissions({ since: 2023, to: 2023 });
+ *
+ * The source is chosen with EMISSIONS_DATA_SOURCE (default: climatetrace).
+ * Set it to "fixture" to serve bundled offline data instead.
+ *
+ * Network-backed sources are wrapped in a persistent on-disk cache
+ * (EMISSIONS_CACHE_DIR) unless EMISSIONS_CACHE=off.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import ClimateTraceDataSource from './providers/climateTrace.js';
+import FixtureDataSource from './providers/fixture.js';
+import CachedDataSource from './cached.js';
+import PersistentCache from '../persistentCache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_CACHE_DIR = join(__dirname, '../../data/cache');
+
+// Data source registry - add new sources here
+const SOURCES = {
+  climatetrace: ClimateTraceDataSource,
+  fixture: FixtureDataSource,
+};
+
+let activeSource = null;
+
+/**
+ * Create a data source instance
+ */
+export function createDataSource(name, config = {}) {
+  const SourceClass = SOURCES[name];
+  if (!SourceClass) {
+    throw new Error(`Unknown emissions data source: ${name}. Available: ${Object.keys(SOURCES).join(', ')}`);
+  }
+  return new SourceClass(config);
+}
+
+/**
+ * Get the active data source, creating it from environment config on first use
+ */
+export function getDataSource() {
+  if (!activeSource) {
+    const name = (process.env.EMISSIONS_DATA_SOURCE || 'climatetrace').toLowerCase();
+    activeSource = withCache(createDataSource(name, {
+      dir: process.env.EMISSIONS_FIXTURE_DIR
+    }));
+    console.log(`🔌 Emissions data source: ${activeSource.getName()}`);
+  }
+  return activeSource;
+}
+
+/**
+ * Switch to a different data source at runtime
+ */
+export function setDataSource(name, config = {}) {
+  activeSource = withCache(createDataSource(name, config));
+  return activeSource;
+}
+
+/**
+ * Wraps cacheable sources with the persistent cache
+ */
+function withCache(source) {
+  if (!source.cacheable || process.env.EMISSIONS_CACHE === 'off') {
+    return source;
+  }
+
+  const minutes = parseFloat(process.env.EMISSIONS_CACHE_TTL_MINUTES) || 30;
+  const staleHours = parseFloat(process.env.EMISSIONS_CACHE_MAX_STALE_HOURS) || 24 * 7;
+  const cache = new PersistentCache({
+    dir: resolve(process.env.EMISSIONS_CACHE_DIR || DEFAULT_CACHE_DIR, source.getName()),
+    ttl: minutes * 60 * 1000,
+    maxStale: staleHours * 60 * 60 * 1000
+  });
+  return new CachedDataSource(source, cache);
+}
+
+/**
+ * Summarizes the persistent cache of the active source
+ */
+export async function getCacheStats() {
+  const source = getDataSource();
+  if (typeof source.getCacheStats !== 'function') {
+    return { enabled: false, source: source.getName() };
+  }
+  return { enabled: true, source: source.getName(), ...(await source.getCacheStats()) };
+}
+
+/**
+ * List available data sources
+ */
+export function getAvailableDataSources() {
+  return Object.keys(SOURCES);
+}
@@ -0,0 +1,169 @@
+/**
+ * Base Emissions Data Source Interface
+ * All emissions data sources must implement this interface
+ *
+ * Responses mirror the Climate TRACE v6 API shapes so that
+ * emissionsApi.js can process any source the same way.
+ */
+
+export class BaseDataSource {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'base';
+    this.label = 'Unknown';
+    this.provider = 'Unknown';
+    this.cacheable = true;
+  }
+
+  /**
+   * Retrieve country definitions
+   * @returns {Promise<Array<{alpha3: string, alpha2: string, name: string, continent: string}>>}
+   */
+  async fetchCountryDefinitions() {
+    throw new Error('fetchCountryDefinitions() must be implemented by data source');
+  }
+
+  /**
+   * Retrieve sector definitions
+   * @returns {Promise<string[]>}
+   */
+  async fetchSectorDefinitions() {
+    throw new Error('fetchSectorDefinitions() must be implemented by data source');
+  }
+
+  /**
+   * Retrieve continent definitions
+   * @returns {Promise<string[]>}
+   */
+  async fetchContinentDefinitions() {
+    throw new Error('fetchContinentDefinitions() must be implemented by data source');
+  }
+
+  /**
+   * Retrieve country-level emissions aggregated over a year range
+   * @param {Object} options
+   * @param {number} options.since - Start year
+   * @param {number} options.to - End year
+   * @param {string[]|null} options.countries - ISO alpha-3 codes, or null for all
+   * @returns {Promise<Array>} Rows of {country, rank, previousRank, emissions, worldEmissions}
+   */
+  async fetchCountryEmissions(options) {
+    throw new Error('fetchCountryEmissions() must be implemented by data source');
+  }
+
+  /**
+   * Retrieve asset emissions grouped by country
+   * @param {Object} options
+   * @param {number} options.since - Start year
+   * @param {number} options.to - End year
+   * @param {string[]|null} options.countries - ISO alpha-3 codes, or null for all
+   * @returns {Promise<Object>} Map of country code to [{Sector, Gas, Emissions}]
+   */
+  async fetchAssetEmissions(options) {
+    throw new Error('fetchAssetEmissions() must be implemented by data source');
+  }
+
+  /**
+   * Retrieve monthly emissions by sector for the sectors that have monthly
+   * estimates; other sectors are left out
+   * @param {Object} options
+   * @param {number} options.since - Start year
+   * @param {number} options.to - End year
+   * @param {string[]|null} options.countries - ISO alpha-3 codes, or null for all
+   * @returns {Promise<Object>} Map of country code to [{Sector, Gas, Year, Month, Emissions}], Month 1-12
+   */
+  async fetchMonthlyEmissions(options) {
+    throw new Error('fetchMonthlyEmissions() must be implemented by data source');
+  }
+
+  /**
+   * Retrieve individual assets (power plants, steel mills, ...) for one year,
+   * largest emitters of `gas` first
+   * @param {Object} options
+   * @param {number} options.year - Year of emissions
+   * @param {string[]|null} options.countries - ISO alpha-3 codes, or null for all
+   * @param {string[]|null} options.sectors - Sector slugs, or null for all
+   * @param {string} options.gas - Gas to rank by, e.g. 'co2e_100yr'
+   * @param {number} options.limit - Maximum number of assets
+   * @param {number} options.offset - Number of assets to skip
+   * @returns {Promise<{assets: Array}>} Assets of {Id, Name, Country, Sector, AssetType,
+   *   Centroid: {Geometry: [lon, lat]}, EmissionsSummary: [{Gas, EmissionsQuantity}]}
+   */
+  async fetchAssets(options) {
+    throw new Error('fetchAssets() must be implemented by data source');
+  }
+
+  /**
+   * Retrieve one asset with its emissions for every year
+   * @param {Object} options
+   * @param {string} options.id - Asset id
+   * @returns {Promise<Object|null>} Asset as in fetchAssets() plus Owners and
+   *   Emissions: {"<year>": [{Gas, EmissionsQuantity, Activity, ActivityUnits, Capacity, CapacityUnits}]},
+   *   or null when no asset has the id
+   */
+  async fetchAssetDetail(options) {
+    throw new Error('fetchAssetDetail() must be implemented by data source');
+  }
+
+  /**
+   * Retrieve first-level administrative areas (states, provinces, ...)
+   * @param {Object} options
+   * @param {string|null} options.country - ISO alpha-3 code, or null for all
+   * @returns {Promise<Array<{Id: string, Name: string, FullName: string, Level: number, Country: string}>>}
+   *   Ids are GADM ids, e.g. "USA.5_1"
+   */
+  async fetchAdminDefinitions(options) {
+    throw new Error('fetchAdminDefinitions() must be implemented by data source');
+  }
+
+  /**
+   * Retrieve asset emissions inside one administrative area
+   * @param {Object} options
+   * @param {number} options.since - Start year
+   * @param {number} options.to - End year
+   * @param {string} options.id - Admin id from fetchAdminDefinitions()
+   * @returns {Promise<Object>} Same shape as fetchAssetEmissions(), limited to the area
+   */
+  async fetchAdminEmissions(options) {
+    throw new Error('fetchAdminEmissions() must be implemented by data source');
+  }
+
+  /**
+   * Call one of the fetch methods with an optional validator from a cached copy.
+   * Sources that support HTTP conditional requests override this.
+   * @param {string} method - Fetch method name, e.g. 'fetchCountryEmissions'
+   * @param {Object} options - Options passed to the fetch method
+   * @param {string|null} etag - ETag of the cached copy
+   * @returns {Promise<{data: *, etag: string|null, notModified: boolean}>}
+   */
+  async fetchConditional(method, options = {}, etag = null) {
+    const data = await this[method](options);
+    return { data, etag: null, notModified: false };
+  }
+
+  /**
+   * Get data source name
+   * @returns {string}
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * Get human-readable source label used in API responses
+   * @returns {string}
+   */
+  getLabel() {
+    return this.label;
+  }
+
+  /**
+   * Get the organisation behind the data
+   * @returns {string}
+   */
+  getProvider() {
+    return this.provider;
+  }
+}
+
+export default BaseDataSource;
@@ -0,0 +1,130 @@
+/**
+ * Climate TRACE Data Source
+ * Fetches emissions data from the live Climate TRACE API
+ *
+ * API Documentation: https://api.climatetrace.org/v6/swagger/index.html
+ */
+
+import BaseDataSource from './base.js';
+import { getUpstreamClient } from '../../upstreamClient.js';
+
+const CLIMATE_TRACE_BASE = 'https://api.climatetrace.org/v6';
+
+export class ClimateTraceDataSource extends BaseDataSource {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'climatetrace';
+    this.label = 'Climate TRACE';
+    this.provider = 'Climate TRACE Coalition';
+    this.baseUrl = config.baseUrl || CLIMATE_TRACE_BASE;
+    this.client = config.client || getUpstreamClient();
+  }
+
+  /**
+   * GET a Climate TRACE endpoint through the shared upstream client,
+   * sending If-None-Match when an ETag is known
+   * @returns {Promise<{data: *, etag: string|null, notModified: boolean}>}
+   */
+  async request(path, etag = null) {
+    const headers = etag ? { 'If-None-Match': etag } : {};
+    const response = await this.client.getJson(`${this.baseUrl}${path}`, { headers });
+
+    return {
+      data: response.data,
+      etag: response.etag ?? etag,
+      notModified: response.notModified
+    };
+  }
+
+  /**
+   * Builds the API path for a fetch method
+   */
+  pathFor(method, { since, to, countries = null, country = null, year, sectors = null, gas, limit, offset, id } = {}) {
+    const countryParam = countries?.length ? `&countries=${countries.join(',')}` : '';
+    const sectorParam = sectors?.length ? `&sectors=${sectors.join(',')}` : '';
+
+    switch (method) {
+      case 'fetchCountryDefinitions':
+        return '/definitions/countries';
+      case 'fetchSectorDefinitions':
+        return '/definitions/sectors';
+      case 'fetchContinentDefinitions':
+        return '/definitions/continents';
+      case 'fetchCountryEmissions':
+        return `/country/emissions?since=${since}&to=${to}${countryParam}`;
+      case 'fetchAssetEmissions':
+        return `/assets/emissions?since=${since}&to=${to}${countryParam}`;
+      case 'fetchMonthlyEmissions':
+        return `/assets/emissions?since=${since}&to=${to}&granularity=month${countryParam}`;
+      case 'fetchAssets':
+        return `/assets?year=${year}&gas=${gas}&limit=${limit}&offset=${offset}${countryParam}${sectorParam}`;
+      case 'fetchAssetDetail':
+        return `/assets/${encodeURIComponent(id)}`;
+      case 'fetchAdminDefinitions':
+        return `/admins/search?level=1&limit=5000${country ? `&countries=${country}` : ''}`;
+      case 'fetchAdminEmissions':
+        return `/assets/emissions?since=${since}&to=${to}&adminId=${encodeURIComponent(id)}`;
+      default:
+        throw new Error(`Unsupported method: ${method}`);
+    }
+  }
+
+  async fetchCountryDefinitions() {
+    return (await this.request(this.pathFor('fetchCountryDefinitions'))).data;
+  }
+
+  async fetchSectorDefinitions() {
+    return (await this.request(this.pathFor('fetchSectorDefinitions'))).data;
+  }
+
+  async fetchContinentDefinitions() {
+    return (await this.request(this.pathFor('fetchContinentDefinitions'))).data;
+  }
+
+  async fetchCountryEmissions(options) {
+    return (await this.request(this.pathFor('fetchCountryEmissions', options))).data;
+  }
+
+  async fetchAssetEmissions(options) {
+    return (await this.request(this.pathFor('fetchAssetEmissions', options))).data;
+  }
+
+  async fetchMonthlyEmissions(options) {
+    return (await this.request(this.pathFor('fetchMonthlyEmissions', options))).data;
+  }
+
+  async fetchAssets(options) {
+    return (await this.request(this.pathFor('fetchAssets', options))).data;
+  }
+
+  async fetchAssetDetail(options) {
+    try {
+      return (await this.request(this.pathFor('fetchAssetDetail', options))).data;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async fetchAdminDefinitions(options = {}) {
+    return (await this.request(this.pathFor('fetchAdminDefinitions', options))).data;
+  }
+
+  async fetchAdminEmissions(options) {
+    return (await this.request(this.pathFor('fetchAdminEmissions', options))).data;
+  }
+
+  async fetchConditional(method, options = {}, etag = null) {
+    try {
+      return await this.request(this.pathFor(method, options), etag);
+    } catch (error) {
+      // Unknown asset ids are null, as in fetchAssetDetail(), so the cached path keeps the contract
+      if (method === 'fetchAssetDetail' && error.status === 404) {
+        return { data: null, etag: null, notModified: false };
+      }
+      throw error;
+    }
+  }
+}
+
+export default ClimateTraceDataSource;
@@ -0,0 +1,368 @@
+/**
+ * Fixture Data Source
+ * Serves emissions data from local JSON files so the dashboard
+ * can run, be demoed and be exercised without network access.
+ *
+ * Fixture directory layout (default: server/data/fixtures):
+ *   countries.json         - [{alpha3, alpha2, name, continent}]
+ *   sectors.json           - ["electricity-generation", ...]
+ *   continents.json        - ["Asia", ...]
+ *   sector-emissions.json  - { years: { "2023": { "CHN": { "<sector>": [co2, ch4, n2o] } } } }
+ *   admins.json            - { "USA": [["USA.44_1", "Texas", 0.14], ...] } (GADM id, name, share)
+ *
+ * Country totals are derived from the sector rows so every endpoint
+ * answers from one consistent dataset. Assets are synthetic: each
+ * point-source sector of a country is split into a few numbered
+ * facilities that hold fixed shares of the sector total. Admin areas
+ * are synthetic too: each holds its share of every sector of its country.
+ * Monthly values spread each year over the months with a seasonal profile
+ * per sector, mirrored for the southern hemisphere where the season matters.
+ */
+
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import BaseDataSource from './base.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_FIXTURE_DIR = join(__dirname, '../../../data/fixtures');
+
+// IPCC AR6 global warming potentials used to derive CO2e from fixture rows
+const GWP_100 = { co2: 1, ch4: 29.8, n2o: 273 };
+const GWP_20 = { co2: 1, ch4: 82.5, n2o: 273 };
+
+// Point-source sectors that get synthetic assets, and the asset type of each
+const ASSET_TYPES = {
+  'electricity-generation': 'Power Station',
+  'steel': 'Steel Works',
+  'cement': 'Cement Plant',
+  'aluminum': 'Aluminium Smelter',
+  'oil-and-gas-refining': 'Refinery',
+  'coal-mining': 'Coal Mine',
+  'chemicals': 'Chemical Plant'
+};
+
+// Share of the sector total held by asset 1, 2, ...; the rest is unattributed
+const ASSET_SHARES = [0.12, 0.08, 0.06, 0.05, 0.04, 0.03];
+
+// Relative monthly activity, January first; `seasonal` profiles follow the local season
+const MONTHLY_PROFILES = {
+  heating: { seasonal: true, values: [1.35, 1.25, 1.1, 0.95, 0.85, 0.8, 0.8, 0.8, 0.85, 0.95, 1.1, 1.3] },
+  power: { seasonal: true, values: [1.1, 1.02, 0.97, 0.9, 0.92, 1.02, 1.12, 1.1, 0.96, 0.93, 0.96, 1.05] },
+  rice: { seasonal: true, values: [0.5, 0.5, 0.7, 0.9, 1.2, 1.5, 1.6, 1.5, 1.3, 1.0, 0.7, 0.6] },
+  fertilizer: { seasonal: true, values: [0.5, 0.7, 1.4, 1.8, 1.6, 1.1, 0.9, 0.8, 0.9, 1.0, 0.7, 0.6] },
+  travel: { seasonal: false, values: [0.9, 0.87, 0.96, 0.99, 1.03, 1.07, 1.12, 1.12, 1.02, 0.99, 0.94, 0.99] },
+  industry: { seasonal: false, values: [0.97, 0.95, 1.01, 1.0, 1.01, 1.0, 0.98, 0.98, 1.01, 1.03, 1.03, 1.03] }
+};
+
+// Sectors with monthly estimates and their profile
+const SECTOR_PROFILES = {
+  'electricity-generation': 'power',
+  'residential-and-commercial-onsite-fuel-usage': 'heating',
+  'road-transportation': 'travel',
+  'domestic-aviation': 'travel',
+  'international-aviation': 'travel',
+  'railways': 'travel',
+  'international-shipping': 'industry',
+  'oil-and-gas-refining': 'industry',
+  'oil-and-gas-production-and-transport': 'industry',
+  'coal-mining': 'industry',
+  'steel': 'industry',
+  'cement': 'industry',
+  'aluminum': 'industry',
+  'chemicals': 'industry',
+  'rice-cultivation': 'rice',
+  'synthetic-fertilizer-application': 'fertilizer'
+};
+
+const SOUTHERN_HEMISPHERE = ['ARG', 'AUS', 'BRA', 'CHL', 'NZL', 'PER', 'ZAF'];
+
+export class FixtureDataSource extends BaseDataSource {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'fixture';
+    this.label = 'Climate TRACE (offline fixture)';
+    this.provider = 'Climate TRACE Coalition';
+    this.cacheable = false;
+    this.dir = config.dir ? resolve(config.dir) : DEFAULT_FIXTURE_DIR;
+    this._files = {};
+  }
+
+  /**
+   * Read and memoize a JSON file from the fixture directory
+   */
+  async load(file) {
+    if (!this._files[file]) {
+      this._files[file] = readFile(join(this.dir, file), 'utf-8').then(JSON.parse);
+    }
+    return this._files[file];
+  }
+
+  async fetchCountryDefinitions() {
+    return this.load('countries.json');
+  }
+
+  async fetchSectorDefinitions() {
+    return this.load('sectors.json');
+  }
+
+  async fetchContinentDefinitions() {
+    return this.load('continents.json');
+  }
+
+  async fetchCountryEmissions({ since, to, countries = null }) {
+    const current = await this.sumCountryGases(since, to);
+    const previous = await this.sumCountryGases(since - 1, to - 1);
+    const worldEmissions = sumGases(Object.values(current));
+    const ranks = rankByCo2e(current);
+    const previousRanks = rankByCo2e(previous);
+
+    const codes = countries?.length ? countries : Object.keys(current);
+
+    return codes
+      .filter(code => current[code])
+      .map(code => ({
+        country: code,
+        rank: ranks[code],
+        previousRank: previousRanks[code] ?? null,
+        emissions: current[code],
+        worldEmissions
+      }));
+  }
+
+  async fetchAssetEmissions({ since, to, countries = null }) {
+    const { years } = await this.load('sector-emissions.json');
+    const result = {};
+
+    for (let year = since; year <= to; year++) {
+      const yearData = years[year];
+      if (!yearData) continue;
+
+      for (const [code, sectors] of Object.entries(yearData)) {
+        if (countries?.length && !countries.includes(code)) continue;
+        if (!result[code]) result[code] = {};
+
+        for (const [sector, [co2, ch4, n2o]] of Object.entries(sectors)) {
+          const totals = result[code][sector] || { co2: 0, ch4: 0, n2o: 0 };
+          totals.co2 += co2;
+          totals.ch4 += ch4;
+          totals.n2o += n2o;
+          result[code][sector] = totals;
+        }
+      }
+    }
+
+    const rows = {};
+    for (const [code, sectors] of Object.entries(result)) {
+      rows[code] = [];
+      for (const [sector, gases] of Object.entries(sectors)) {
+        for (const [gas, value] of Object.entries(withCo2e(gases))) {
+          if (value > 0) {
+            rows[code].push({ Sector: sector, Gas: gas, Emissions: value });
+          }
+        }
+      }
+    }
+    return rows;
+  }
+
+  async fetchMonthlyEmissions({ since, to, countries = null }) {
+    const { years } = await this.load('sector-emissions.json');
+    const rows = {};
+
+    for (let year = since; year <= to; year++) {
+      for (const [code, sectors] of Object.entries(years[year] || {})) {
+        if (countries?.length && !countries.includes(code)) continue;
+        if (!rows[code]) rows[code] = [];
+
+        for (const [sector, [co2, ch4, n2o]] of Object.entries(sectors)) {
+          if (!SECTOR_PROFILES[sector]) continue;
+          monthlyWeights(SECTOR_PROFILES[sector], year, SOUTHERN_HEMISPHERE.includes(code)).forEach((weight, index) => {
+            const gases = withCo2e({ co2: co2 * weight, ch4: ch4 * weight, n2o: n2o * weight });
+            for (const [gas, value] of Object.entries(gases)) {
+              if (value > 0) {
+                rows[code].push({ Sector: sector, Gas: gas, Year: year, Month: index + 1, Emissions: Math.round(value) });
+              }
+            }
+          });
+        }
+      }
+    }
+    return rows;
+  }
+
+  async fetchAssets({ year, countries = null, sectors = null, gas = 'co2e_100yr', limit = 100, offset = 0 }) {
+    const [{ years }, names] = await Promise.all([this.load('sector-emissions.json'), this.countryNames()]);
+    const assets = [];
+
+    for (const [code, sectorRows] of Object.entries(years[year] || {})) {
+      if (countries?.length && !countries.includes(code)) continue;
+      for (const [sector, gases] of Object.entries(sectorRows)) {
+        if (!ASSET_TYPES[sector] || (sectors?.length && !sectors.includes(sector))) continue;
+        ASSET_SHARES.forEach((share, index) => {
+          assets.push(fixtureAsset(code, names[code], sector, index + 1, gases.map(value => value * share)));
+        });
+      }
+    }
+
+    const quantity = asset => asset.EmissionsSummary.find(e => e.Gas === gas)?.EmissionsQuantity || 0;
+    return {
+      assets: assets
+        .filter(asset => quantity(asset) > 0)
+        .sort((a, b) => quantity(b) - quantity(a))
+        .slice(offset, offset + limit)
+    };
+  }
+
+  async fetchAssetDetail({ id }) {
+    // Fixture ids are <ISO3>-<sector slug>-<n>
+    const [code, ...parts] = String(id).split('-');
+    const number = parseInt(parts.pop());
+    const sector = parts.join('-');
+    const share = ASSET_SHARES[number - 1];
+    if (!ASSET_TYPES[sector] || !share) return null;
+
+    const [{ years }, names] = await Promise.all([this.load('sector-emissions.json'), this.countryNames()]);
+    const emissions = {};
+    let latest = null;
+    for (const [year, yearData] of Object.entries(years)) {
+      const gases = yearData[code]?.[sector];
+      if (!gases) continue;
+      latest = gases.map(value => value * share);
+      emissions[year] = summarize(latest);
+    }
+    if (!latest) return null;
+
+    return { ...fixtureAsset(code, names[code], sector, number, latest), Owners: [], Emissions: emissions };
+  }
+
+  async fetchAdminDefinitions({ country = null } = {}) {
+    const [admins, names] = await Promise.all([this.load('admins.json'), this.countryNames()]);
+    return Object.entries(admins)
+      .filter(([code]) => !country || code === country)
+      .flatMap(([code, areas]) => areas.map(([id, name]) => ({
+        Id: id,
+        Name: name,
+        FullName: `${name}, ${names[code] || code}`,
+        Level: 1,
+        Country: code
+      })));
+  }
+
+  async fetchAdminEmissions({ since, to, id }) {
+    const code = String(id).split('.')[0];
+    const admins = await this.load('admins.json');
+    const area = admins[code]?.find(([adminId]) => adminId === id);
+    if (!area) return {};
+
+    const share = area[2];
+    const rows = await this.fetchAssetEmissions({ since, to, countries: [code] });
+    return {
+      [code]: (rows[code] || []).map(row => ({ ...row, Emissions: Math.round(row.Emissions * share) }))
+    };
+  }
+
+  async countryNames() {
+    const countries = await this.load('countries.json');
+    return Object.fromEntries(countries.map(c => [c.alpha3, c.name]));
+  }
+
+  /**
+   * Sums every country's sector rows over a year range into gas totals
+   */
+  async sumCountryGases(since, to) {
+    const { years } = await this.load('sector-emissions.json');
+    const totals = {};
+
+    for (let year = since; year <= to; year++) {
+      const yearData = years[year];
+      if (!yearData) continue;
+
+      for (const [code, sectors] of Object.entries(yearData)) {
+        const gases = totals[code] || { co2: 0, ch4: 0, n2o: 0 };
+        for (const [co2, ch4, n2o] of Object.values(sectors)) {
+          gases.co2 += co2;
+          gases.ch4 += ch4;
+          gases.n2o += n2o;
+        }
+        totals[code] = gases;
+      }
+    }
+
+    for (const code of Object.keys(totals)) {
+      totals[code] = withCo2e(totals[code]);
+    }
+    return totals;
+  }
+}
+
+/**
+ * Adds CO2e (100yr and 20yr) to raw gas tonnes
+ */
+function withCo2e({ co2, ch4, n2o }) {
+  return {
+    co2,
+    ch4,
+    n2o,
+    co2e_100yr: Math.round(co2 * GWP_100.co2 + ch4 * GWP_100.ch4 + n2o * GWP_100.n2o),
+    co2e_20yr: Math.round(co2 * GWP_20.co2 + ch4 * GWP_20.ch4 + n2o * GWP_20.n2o)
+  };
+}
+
+/**
+ * Share of a year's emissions falling in each month: the profile weighted
+ * by the days in the month, shifted six months south of the equator
+ */
+function monthlyWeights(profileId, year, southern) {
+  const profile = MONTHLY_PROFILES[profileId];
+  const shift = southern && profile.seasonal ? 6 : 0;
+  const raw = profile.values.map((_, month) =>
+    profile.values[(month + shift) % 12] * new Date(year, month + 1, 0).getDate());
+  const total = raw.reduce((sum, value) => sum + value, 0);
+  return raw.map(value => value / total);
+}
+
+/**
+ * Asset in the Climate TRACE v6 shape; fixture assets have no location
+ */
+function fixtureAsset(code, countryName, sector, number, gases) {
+  return {
+    Id: `${code}-${sector}-${number}`,
+    Name: `${countryName || code} ${ASSET_TYPES[sector]} ${number}`,
+    Country: code,
+    Sector: sector,
+    AssetType: ASSET_TYPES[sector],
+    Centroid: null,
+    EmissionsSummary: summarize(gases)
+  };
+}
+
+/**
+ * [co2, ch4, n2o] tonnes as [{Gas, EmissionsQuantity}] with CO2e, skipping zeros
+ */
+function summarize([co2, ch4, n2o]) {
+  return Object.entries(withCo2e({ co2, ch4, n2o }))
+    .filter(([, value]) => value > 0)
+    .map(([Gas, value]) => ({ Gas, EmissionsQuantity: Math.round(value) }));
+}
+
+function sumGases(list) {
+  const keys = ['co2', 'ch4', 'n2o', 'co2e_100yr', 'co2e_20yr'];
+  const sum = Object.fromEntries(keys.map(k => [k, 0]));
+  for (const gases of list) {
+    for (const key of keys) sum[key] += gases[key] || 0;
+  }
+  return sum;
+}
+
+function rankByCo2e(totals) {
+  const ranks = {};
+  Object.entries(totals)
+    .sort(([, a], [, b]) => b.co2e_100yr - a.co2e_100yr)
+    .forEach(([code], index) => { ranks[code] = index + 1; });
+  return ranks;
+}
+
+export default FixtureDataSource;
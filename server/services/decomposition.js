@@ -0,0 +1,103 @@
+/**
+ * Emissions Decomposition
+ * Splits a change in CO2 emissions into the factors of the Kaya identity
+ * with the additive LMDI-I method (Ang, 2004):
+ *
+ *   CO2 = population × GDP/population × energy/GDP × CO2/energy
+ *   ΔCO2 = Σ L(CO2₁, CO2₀) · ln(factor₁ / factor₀)
+ *
+ * where L(a, b) = (a − b) / (ln a − ln b) is the logarithmic mean. The
+ * contributions add up to the total change exactly, with no residual.
+ */
+
+export const KAYA_FACTORS = {
+  population: {
+    name: 'Population',
+    description: 'More or fewer people',
+    unit: 'people',
+    value: p => p.population
+  },
+  affluence: {
+    name: 'GDP per capita',
+    description: 'Economic output per person',
+    unit: '$/person',
+    value: p => p.gdp / p.population
+  },
+  energy_intensity: {
+    name: 'Energy intensity',
+    description: 'Primary energy used per unit of GDP',
+    unit: 'MJ/$',
+    value: p => p.energy * 1e9 / p.gdp
+  },
+  carbon_intensity: {
+    name: 'Carbon intensity',
+    description: 'CO2 emitted per unit of primary energy',
+    unit: 'kg CO2/GJ',
+    value: p => p.co2 / (p.energy * 1000)
+  }
+};
+
+/**
+ * Whether a point has every Kaya input as a positive number
+ *
+ * @param {{co2: number, population: number, gdp: number, energy: number}} point - Energy in PJ, CO2 in tonnes
+ */
+export function isDecomposable(point) {
+  return ['co2', 'population', 'gdp', 'energy'].every(key => point?.[key] > 0);
+}
+
+/**
+ * Decomposes the change between two points
+ *
+ * @param {Object} start - { year, co2, population, gdp, energy } at the start
+ * @param {Object} end - The same at the end
+ * @returns {{change: number, factors: Array<{id, name, description, unit, start, end, changePercent, contribution}>}}
+ *   change and contributions are in tonnes of CO2
+ */
+export function decomposeKaya(start, end) {
+  const weight = logMean(end.co2, start.co2);
+
+  const factors = Object.entries(KAYA_FACTORS).map(([id, { name, description, unit, value }]) => {
+    const from = value(start);
+    const to = value(end);
+    return {
+      id,
+      name,
+      description,
+      unit,
+      start: from,
+      end: to,
+      changePercent: (to / from - 1) * 100,
+      contribution: weight * Math.log(to / from)
+    };
+  });
+
+  return { change: end.co2 - start.co2, factors };
+}
+
+/**
+ * Decomposes every consecutive pair of years; pairs with missing inputs are skipped
+ *
+ * @param {Array<Object>} series - Points sorted by year
+ * @returns {Array<{fromYear, toYear, change, contributions: Object}>}
+ */
+export function decomposeChained(series) {
+  const steps = [];
+  for (let i = 1; i < series.length; i++) {
+    const [start, end] = [series[i - 1], series[i]];
+    if (!isDecomposable(start) || !isDecomposable(end)) continue;
+
+    const { change, factors } = decomposeKaya(start, end);
+    steps.push({
+      fromYear: start.year,
+      toYear: end.year,
+      change,
+      contributions: Object.fromEntries(factors.map(f => [f.id, f.contribution]))
+    });
+  }
+  return steps;
+}
+
+function logMean(a, b) {
+  return a === b ? a : (a - b) / (Math.log(a) - Math.log(b));
+}
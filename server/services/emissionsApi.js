@@ -1,20 +1,34 @@
 /**
- * Climate TRACE API Service
- * Fetches and processes global emissions data from Climate TRACE
- * 
- * API Documentation: https://api.climatetrace.org/v6/swagger/index.html
+ * Emissions Data Service
+ * Fetches and processes global emissions data through the configured
+ * data source (Climate TRACE by default, see services/datasources)
  */
 
-const CLIMATE_TRACE_BASE = 'https://api.climatetrace.org/v6';
+import { getDataSource } from './datasources/index.js';
+import { METRICS, resolveMetric, getIndicators, computeIntensity, combineIntensity, byMetric } from './indicators.js';
+import { DEFAULT_GROUPING, getGrouping } from './groupings.js';
+import { DEFAULT_SCHEME, categorize, describeSector, listCategories } from './taxonomy.js';
+import { forecastSeries } from './forecast.js';
+import { getTargets, evaluateTarget } from './targets.js';
+import { ALLOCATION_METHODS, PRESET_SOURCE, projectBudget, allocateBudget } from './carbonBudget.js';
+import { cellMultiplier, matchingAdjustments } from './scenarios.js';
+import { decomposeKaya, decomposeChained, isDecomposable } from './decomposition.js';
+import { HISTORICAL_CUTOFF, getHistoricalDataset, historicalStartYears, cumulativeBetween } from './historical.js';
+import { listInventories, getInventory, inventoryValue } from './inventories.js';
+import { GEO_METRICS, getBoundaries, joinCountries, assetPoints, legendBreaks } from './geo.js';
+import { measureConcentration } from './concentration.js';
+import { DEFAULT_UNITS, GASES, applyGwp, resolveUnits, co2eKey, convert, convertGases, describeUnits, labelGases, unitLabel } from './units.js';
+import { badRequest, round } from './common.js';
+
 const CACHE_DURATION = 1000 * 60 * 30;
 
 const cache = {
   countries: null,
   sectors: null,
   continents: null,
+  admins: {},
   emissions: {},
   topEmitters: {},
-  industryBreakdown: {},
   lastFetch: {}
 };
 
@@ -29,7 +43,7 @@ export async function initializeCountryNames() {
   if (countryNameCacheLoaded) return;
   
   try {
-    console.log('🌍 Loading country names from Climate TRACE...');
+    console.log(`🌍 Loading country names from ${getDataSource().getLabel()}...`);
     const countries = await getCountryDefinitions();
     countries.forEach(c => {
       if (c.alpha3 && c.name) {
@@ -53,11 +67,9 @@ export async function getCountryDefinitions() {
   }
 
   try {
-    console.log('📡 Fetching country definitions from Climate TRACE...');
-    const response = await fetch(`${CLIMATE_TRACE_BASE}/definitions/countries`);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
+    const source = getDataSource();
+    console.log(`📡 Fetching country definitions from ${source.getLabel()}...`);
+    const data = await source.fetchCountryDefinitions();
     cache.countries = data;
     cache.lastFetch.countries = Date.now();
     console.log(`✅ Loaded ${data.length} countries`);
@@ -69,7 +81,7 @@ export async function getCountryDefinitions() {
 }
 
 /**
- * Retrieves sector/industry definitions from Climate TRACE.
+ * Retrieves sector/industry definitions from the data source.
  * Results are cached for 30 minutes.
  */
 export async function getSectorDefinitions() {
@@ -78,11 +90,9 @@ export async function getSectorDefinitions() {
   }
 
   try {
-    console.log('📡 Fetching sector definitions from Climate TRACE...');
-    const response = await fetch(`${CLIMATE_TRACE_BASE}/definitions/sectors`);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
+    const source = getDataSource();
+    console.log(`📡 Fetching sector definitions from ${source.getLabel()}...`);
+    const data = await source.fetchSectorDefinitions();
     cache.sectors = data;
     cache.lastFetch.sectors = Date.now();
     console.log(`✅ Loaded ${data.length} sectors`);
@@ -94,7 +104,7 @@ export async function getSectorDefinitions() {
 }
 
 /**
- * Retrieves continent definitions from Climate TRACE.
+ * Retrieves continent definitions from the data source.
  * Results are cached for 30 minutes.
  */
 export async function getContinentDefinitions() {
@@ -103,11 +113,9 @@ export async function getContinentDefinitions() {
   }
 
   try {
-    console.log('📡 Fetching continent definitions from Climate TRACE...');
-    const response = await fetch(`${CLIMATE_TRACE_BASE}/definitions/continents`);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
+    const source = getDataSource();
+    console.log(`📡 Fetching continent definitions from ${source.getLabel()}...`);
+    const data = await source.fetchContinentDefinitions();
     cache.continents = data;
     cache.lastFetch.continents = Date.now();
     console.log(`✅ Loaded ${data.length} continents`);
@@ -119,16 +127,136 @@ export async function getContinentDefinitions() {
 }
 
 /**
- * Identifies top emitting countries by fetching all country emissions
- * and sorting by CO2 output. Results are cached for 30 minutes.
+ * Retrieves first-level administrative areas (states, provinces, ...)
+ * from the data source, for one country or all of them.
+ * Results are cached for 30 minutes.
+ * 
+ * @param {string|null} country - ISO alpha-3 code, or null for all
+ * @returns {Promise<Array<{id, name, fullName, level, country}>>}
+ */
+export async function getAdminDefinitions(country = null) {
+  const key = country || 'all';
+  if (cache.admins[key] && Date.now() - cache.lastFetch[`admins_${key}`] < CACHE_DURATION) {
+    return cache.admins[key];
+  }
+
+  try {
+    const source = getDataSource();
+    console.log(`📡 Fetching admin areas${country ? ` of ${country}` : ''} from ${source.getLabel()}...`);
+    const data = await source.fetchAdminDefinitions({ country });
+    const admins = (Array.isArray(data) ? data : [])
+      .map(a => ({
+        id: a.Id,
+        name: a.Name,
+        fullName: a.FullName || a.Name,
+        level: a.Level ?? 1,
+        // GADM ids start with the country code
+        country: a.Country || String(a.Id).split('.')[0]
+      }))
+      .filter(a => a.id && a.name && (!country || a.country === country));
+    cache.admins[key] = admins;
+    cache.lastFetch[`admins_${key}`] = Date.now();
+    console.log(`✅ Loaded ${admins.length} admin areas`);
+    return admins;
+  } catch (error) {
+    console.error('❌ Failed to fetch admin areas:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Builds the completeness block attached to responses so that missing
+ * upstream data is reported instead of silently skewing totals.
+ * 
+ * @param {string[]} missingCountries - Countries whose data could not be fetched
+ * @param {string[]} notes - Other gaps (fallback lists, missing years)
+ */
+function buildCompleteness(missingCountries = [], notes = []) {
+  return {
+    complete: missingCountries.length === 0 && notes.length === 0,
+    missingCountries,
+    notes
+  };
+}
+
+/**
+ * Fetches raw emissions rows for every defined country.
+ * 
+ * @param {number} since - Start year
+ * @param {number} to - End year
+ * @returns {Promise<{rows: Array, missingCountries: string[]}>}
+ */
+async function fetchAllCountryRows(since, to) {
+  const countries = await getCountryDefinitions();
+  
+  if (!countries || countries.length === 0) {
+    throw new Error('No country definitions available');
+  }
+  
+  const allCodes = countries
+    .filter(c => c.alpha3 && c.alpha3.length === 3)
+    .map(c => c.alpha3);
+  
+  console.log(`📋 Got ${allCodes.length} country codes, fetching emissions...`);
+  
+  const result = await fetchCountryRows(allCodes, since, to);
+  
+  if (result.rows.length === 0) {
+    throw new Error('No emissions data received from API');
+  }
+  
+  return result;
+}
+
+/**
+ * Fetches raw emissions rows for a list of countries. Batches are
+ * fetched concurrently through the data source; countries in failed
+ * batches are reported as missing.
+ * 
+ * @param {string[]} codes - ISO alpha-3 codes
+ * @param {number} since - Start year
+ * @param {number} to - End year
+ * @returns {Promise<{rows: Array, missingCountries: string[]}>}
+ */
+async function fetchCountryRows(codes, since, to) {
+  const batchSize = 50;
+  const batches = [];
+  for (let i = 0; i < codes.length; i += batchSize) {
+    batches.push(codes.slice(i, i + batchSize));
+  }
+  
+  const results = await Promise.allSettled(
+    batches.map(batch => getDataSource().fetchCountryEmissions({ since, to, countries: batch }))
+  );
+  
+  const rows = [];
+  const missingCountries = [];
+  
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled' && Array.isArray(result.value)) {
+      rows.push(...result.value.filter(d => d.country && d.country !== 'all'));
+    } else {
+      console.warn(`⚠️ Batch ${index + 1} failed:`, result.reason?.message || 'Unexpected response');
+      missingCountries.push(...batches[index]);
+    }
+  });
+  
+  return { rows, missingCountries };
+}
+
+/**
+ * Identifies top emitting countries from all country emissions, sorted
+ * by CO2 output, or by CO2 per capita / per GDP. Complete results are
+ * cached for 30 minutes.
  * 
  * @param {number} since - Start year
  * @param {number} to - End year
  * @param {number} limit - Number of top emitters to return
- * @returns {string[]} Array of ISO alpha-3 country codes
+ * @param {string} metric - 'absolute', 'per_capita' or 'per_gdp'
+ * @returns {Promise<{codes: string[], completeness: Object}>} ISO alpha-3 codes and completeness
  */
-async function getTopEmittingCountryCodes(since, to, limit = 40) {
-  const cacheKey = `topEmitters_${since}_${to}_${limit}`;
+async function getTopEmittingCountryCodes(since, to, limit = 40, metric = 'absolute') {
+  const cacheKey = `topEmitters_${since}_${to}_${limit}_${metric}`;
   
   if (cache.topEmitters[cacheKey] && Date.now() - cache.lastFetch[cacheKey] < CACHE_DURATION) {
     return cache.topEmitters[cacheKey];
@@ -137,52 +265,32 @@ async function getTopEmittingCountryCodes(since, to, limit = 40) {
   try {
     console.log(`📡 Fetching top ${limit} emitting countries (${since}-${to})...`);
     
-    const countries = await getCountryDefinitions();
-    
-    if (!countries || countries.length === 0) {
-      throw new Error('No country definitions available');
-    }
-    
-    const allCodes = countries
-      .filter(c => c.alpha3 && c.alpha3.length === 3)
-      .map(c => c.alpha3);
-    
-    console.log(`📋 Got ${allCodes.length} country codes, fetching emissions...`);
-    
-    const batchSize = 50;
-    let allEmissions = [];
-    
-    for (let i = 0; i < allCodes.length; i += batchSize) {
-      const batch = allCodes.slice(i, i + batchSize);
-      const url = `${CLIMATE_TRACE_BASE}/country/emissions?since=${since}&to=${to}&countries=${batch.join(',')}`;
-      
-      try {
-        const response = await fetch(url);
-        if (response.ok) {
-          const data = await response.json();
-          if (Array.isArray(data)) {
-            allEmissions.push(...data.filter(d => d.country && d.country !== 'all'));
-          }
-        }
-      } catch (batchError) {
-        console.warn(`⚠️ Batch ${i / batchSize + 1} failed:`, batchError.message);
-      }
-    }
-    
-    if (allEmissions.length === 0) {
-      throw new Error('No emissions data received from API');
-    }
+    const { rows: allEmissions, missingCountries } = await fetchAllCountryRows(since, to);
     
-    const topEmitters = allEmissions
+    const indicators = metric === 'absolute' ? null : (await getIndicators(since, to)).countries;
+    const codes = allEmissions
       .filter(d => d.country && d.country.length === 3)
-      .sort((a, b) => (b.emissions?.co2 || 0) - (a.emissions?.co2 || 0))
+      .map(d => ({
+        country: d.country,
+        emissions: { co2: d.emissions?.co2 || 0 },
+        intensity: indicators && computeIntensity(d.emissions?.co2 || 0, indicators[d.country], to - since + 1)
+      }))
+      .sort(byMetric(metric))
       .slice(0, limit)
       .map(d => d.country);
     
-    cache.topEmitters[cacheKey] = topEmitters;
-    cache.lastFetch[cacheKey] = Date.now();
+    const completeness = buildCompleteness(
+      missingCountries,
+      missingCountries.length > 0 ? [`Ranking excludes ${missingCountries.length} countries whose data could not be fetched`] : []
+    );
+    const topEmitters = { codes, completeness };
+    
+    if (completeness.complete) {
+      cache.topEmitters[cacheKey] = topEmitters;
+      cache.lastFetch[cacheKey] = Date.now();
+    }
     
-    console.log(`✅ Found top ${topEmitters.length} emitters: ${topEmitters.slice(0, 5).join(', ')}...`);
+    console.log(`✅ Found top ${codes.length} emitters: ${codes.slice(0, 5).join(', ')}...`);
     return topEmitters;
   } catch (error) {
     console.error('❌ Failed to fetch top emitters:', error.message);
@@ -191,7 +299,10 @@ async function getTopEmittingCountryCodes(since, to, limit = 40) {
       'CAN', 'BRA', 'ZAF', 'MEX', 'AUS', 'GBR', 'TUR', 'POL', 'ITA', 'FRA',
       'THA', 'VNM', 'EGY', 'MYS', 'ARG', 'PAK', 'NGA', 'ARE', 'NLD', 'PHL',
       'COL', 'KAZ', 'DZA', 'IRQ', 'CHL', 'CZE', 'ROU', 'BGD', 'UKR', 'BEL'];
-    return fallback.slice(0, limit);
+    return {
+      codes: fallback.slice(0, limit),
+      completeness: buildCompleteness([], ['Top emitters taken from a static fallback list; live ranking unavailable'])
+    };
   }
 }
 
@@ -203,18 +314,22 @@ async function getTopEmittingCountryCodes(since, to, limit = 40) {
  * @param {number} options.to - End year (default: 2023)
  * @param {string|null} options.countries - Comma-separated country codes or null for top emitters
  * @param {number} options.limit - Max countries to return (default: 50)
+ * @param {string} options.metric - Ranking: 'absolute', 'per_capita' or 'per_gdp' (default: absolute)
+ * @param {Object} options.units - Units context from resolveUnits() (default: Mt/kt, source CO2e)
  */
 export async function getCountryEmissions(options = {}) {
   const {
     since = 2023,
     to = 2023,
     countries = null,
-    limit = 50
+    limit = 50,
+    units = DEFAULT_UNITS
   } = options;
+  const metric = resolveMetric(options.metric);
 
   await initializeCountryNames();
 
-  const cacheKey = `emissions_${since}_${to}_${countries || 'top'}_${limit}`;
+  const cacheKey = `emissions_${since}_${to}_${countries || 'top'}_${limit}_${metric}_${units.unit}_${units.gwp}_${units.recompute}`;
   
   if (cache.emissions[cacheKey] && Date.now() - cache.lastFetch[cacheKey] < CACHE_DURATION) {
     console.log('📦 Using cached emissions data');
@@ -222,40 +337,46 @@ export async function getCountryEmissions(options = {}) {
   }
 
   try {
-    console.log(`📡 Fetching emissions data (${since}-${to}) from Climate TRACE...`);
-    
-    let url = `${CLIMATE_TRACE_BASE}/country/emissions?since=${since}&to=${to}`;
-    
-    if (countries) {
-      url += `&countries=${countries}`;
-    } else {
-      const topCountries = await getTopEmittingCountryCodes(since, to, limit);
-      if (topCountries.length > 0) {
-        url += `&countries=${topCountries.join(',')}`;
-      }
-    }
+    const source = getDataSource();
+    console.log(`📡 Fetching emissions data (${since}-${to}) from ${source.getLabel()}...`);
     
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { codes: countryCodes, completeness } = countries
+      ? { codes: countries.split(','), completeness: buildCompleteness() }
+      : await getTopEmittingCountryCodes(since, to, limit, metric);
     
-    const data = await response.json();
-    const processed = processCountryEmissions(data, since, to);
+    const [data, indicators] = await Promise.all([
+      source.fetchCountryEmissions({ since, to, countries: countryCodes }),
+      getIndicators(since, to)
+    ]);
+    const processed = processCountryEmissions(data, since, to, indicators, metric, units);
+    processed.completeness = completeness;
     
-    cache.emissions[cacheKey] = processed;
-    cache.lastFetch[cacheKey] = Date.now();
+    if (completeness.complete) {
+      cache.emissions[cacheKey] = processed;
+      cache.lastFetch[cacheKey] = Date.now();
+    }
     
     console.log(`✅ Loaded emissions for ${processed.countries.length} countries`);
     return processed;
   } catch (error) {
     console.error('❌ Failed to fetch emissions:', error.message);
-    return getEmptyResponse(since, to);
+    return getEmptyResponse(since, to, units);
   }
 }
 
+/**
+ * Unit of a ranking metric; absolute emissions follow the requested mass unit
+ */
+function metricUnit(metric, units) {
+  return metric === 'absolute' ? unitLabel('co2', units) : METRICS[metric].unit;
+}
+
 /**
  * Transforms raw API response into structured country emissions data.
+ * Each country carries per-capita and per-GDP intensity when the
+ * indicator dataset covers it; countries are ordered by the metric.
  */
-function processCountryEmissions(data, since, to) {
+function processCountryEmissions(data, since, to, indicators = { countries: {} }, metric = 'absolute', units = DEFAULT_UNITS) {
   if (!Array.isArray(data)) {
     data = [data];
   }
@@ -267,415 +388,2243 @@ function processCountryEmissions(data, since, to) {
       name: getCountryName(d.country),
       rank: d.rank,
       previousRank: d.previousRank,
-      emissions: {
-        co2: Math.round((d.emissions?.co2 || 0) / 1e6),
-        ch4: Math.round((d.emissions?.ch4 || 0) / 1e3),
-        n2o: Math.round((d.emissions?.n2o || 0) / 1e3),
-        co2e_100yr: Math.round((d.emissions?.co2e_100yr || 0) / 1e6),
-        co2e_20yr: Math.round((d.emissions?.co2e_20yr || 0) / 1e6)
-      },
+      // Positive = climbed since the previous year
+      rankChange: Number.isInteger(d.rank) && Number.isInteger(d.previousRank) ? d.previousRank - d.rank : null,
+      emissions: convertGases(d.emissions, units),
       share: d.worldEmissions?.co2 > 0 
         ? parseFloat(((d.emissions?.co2 || 0) / d.worldEmissions.co2 * 100).toFixed(2))
-        : 0
+        : 0,
+      intensity: computeIntensity(d.emissions?.co2 || 0, indicators.countries[d.country], to - since + 1)
     }))
-    .sort((a, b) => b.emissions.co2 - a.emissions.co2);
+    .sort(byMetric(metric));
 
-  const worldData = data[0]?.worldEmissions || {};
-  const worldTotals = {
-    co2: Math.round((worldData.co2 || 0) / 1e6),
-    ch4: Math.round((worldData.ch4 || 0) / 1e3),
-    n2o: Math.round((worldData.n2o || 0) / 1e3),
-    co2e_100yr: Math.round((worldData.co2e_100yr || 0) / 1e6),
-    co2e_20yr: Math.round((worldData.co2e_20yr || 0) / 1e6)
-  };
+  const worldTotals = convertGases(data[0]?.worldEmissions, units);
 
   return {
     year: to,
     yearRange: { since, to },
-    source: 'Data Source: Climate TRACE',
-    dataProvider: 'Climate TRACE Coalition',
+    source: getSourceLabel(),
+    dataProvider: getDataSource().getProvider(),
     lastUpdated: new Date().toISOString(),
     apiStatus: 'live',
+    units: describeUnits(units),
     worldTotals,
+    metric,
+    metricUnit: metricUnit(metric, units),
+    indicators: {
+      version: indicators.version,
+      source: indicators.source,
+      missingCountries: countries.filter(c => c.intensity.perCapita === null).map(c => c.country)
+    },
     countries,
     topCountries: countries.slice(0, 20)
   };
 }
 
 /**
- * Fetches emissions broken down by sector/industry.
+ * Fetches emissions broken down by sector/industry, as CO2e on the
+ * requested GWP basis or as the requested `gas`. Industries are the
+ * categories of the taxonomy scheme.
+ * With `granularity: 'month'` only sectors with monthly estimates are
+ * included and `months` holds the breakdown of every month.
  */
 export async function getSectorEmissions(options = {}) {
   const {
     since = 2023,
     to = 2023,
-    countries = null
+    countries = null,
+    units = DEFAULT_UNITS,
+    scheme = DEFAULT_SCHEME,
+    granularity = 'year'
   } = options;
+  const gas = GAS_KEYS.includes(options.gas) ? options.gas : co2eKey(units);
 
   try {
-    console.log(`📡 Fetching sector emissions (${since}-${to})...`);
-    
-    let url = `${CLIMATE_TRACE_BASE}/assets/emissions?since=${since}&to=${to}`;
-    if (countries) {
-      url += `&countries=${countries}`;
+    if (granularity === 'month') {
+      console.log(`📡 Fetching monthly sector emissions (${since}-${to})...`);
+      const data = await getDataSource().fetchMonthlyEmissions({
+        since,
+        to,
+        countries: countries ? countries.split(',') : null
+      });
+      return {
+        ...processSectorEmissions(data, units, scheme, gas),
+        granularity,
+        months: groupByMonth(data).map(({ period, year, month, data: monthData }) => {
+          const processed = processSectorEmissions(monthData, units, scheme, gas);
+          return {
+            period,
+            year,
+            month,
+            total: processed.total,
+            sectors: Object.fromEntries(processed.sectors.map(sector => [sector.id, sector.emissions])),
+            industries: Object.fromEntries(processed.industries.map(industry => [industry.id, industry.totalEmissions]))
+          };
+        }),
+        completeness: buildCompleteness([], [monthlyCoverageNote(data)])
+      };
     }
+
+    console.log(`📡 Fetching sector emissions (${since}-${to})...`);
     
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    return processSectorEmissions(data);
+    const data = await getDataSource().fetchAssetEmissions({
+      since,
+      to,
+      countries: countries ? countries.split(',') : null
+    });
+    return { ...processSectorEmissions(data, units, scheme, gas), completeness: buildCompleteness() };
   } catch (error) {
     console.error('❌ Failed to fetch sector emissions:', error.message);
-    return { sectors: [], industries: [] };
+    return {
+      sectors: [],
+      industries: [],
+      gas,
+      unit: unitLabel(gas, units),
+      units: describeUnits(units),
+      scheme,
+      completeness: buildCompleteness([], [`Sector data unavailable: ${error.message}`])
+    };
   }
 }
 
-/**
- * Aggregates raw sector data and calculates percentages.
- */
-function processSectorEmissions(data) {
-  const sectorMap = {};
-  
-  for (const [country, emissions] of Object.entries(data)) {
-    if (!Array.isArray(emissions)) continue;
-    
-    for (const e of emissions) {
-      if (e.Gas !== 'co2e_100yr') continue;
-      
-      const sector = normalizeSectorName(e.Sector);
-      if (!sectorMap[sector]) {
-        sectorMap[sector] = { co2: 0, co2e: 0, count: 0 };
-      }
-      sectorMap[sector].co2e += e.Emissions || 0;
-      sectorMap[sector].count++;
-    }
-  }
-
-  const total = Object.values(sectorMap).reduce((sum, s) => sum + s.co2e, 0);
-  
-  const sectors = Object.entries(sectorMap)
-    .map(([name, data]) => ({
-      name,
-      emissions: Math.round(data.co2e / 1e6),
-      percentage: total > 0 ? parseFloat((data.co2e / total * 100).toFixed(1)) : 0,
-      color: getSectorColor(name)
-    }))
-    .filter(s => s.emissions > 0)
-    .sort((a, b) => b.emissions - a.emissions);
-
-  const industries = groupSectorsToIndustries(sectors);
+export const MATRIX_ROWS = ['country', 'region'];
+export const MATRIX_COLUMNS = ['sector', 'industry'];
+export const MATRIX_NORMALIZE = ['none', 'row', 'column'];
 
-  return { sectors, industries, total: Math.round(total / 1e6) };
-}
+// Countries per fetchAssetEmissions call when filling a matrix
+const MATRIX_BATCH_SIZE = 50;
 
 /**
- * Calculates industry breakdown percentages from sector data.
- * Used for distributing total emissions across industry categories.
+ * Country × sector grid (or region × industry) for a year range, built
+ * from the per-country sector rows of the data source.
+ *
+ * @param {Object} options - Query options
+ * @param {number} options.since - Start year (default: 2023)
+ * @param {number} options.to - End year (default: 2023)
+ * @param {string} options.rows - 'country' (default) or 'region'
+ * @param {string} options.columns - 'sector' (default) or 'industry' (categories of `scheme`)
+ * @param {string|null} options.countries - Comma-separated country rows, or null for the top `limit` emitters
+ * @param {number} options.limit - Country rows when `countries` is not given (default: 20)
+ * @param {string} options.grouping - Grouping id for region rows (default: continent)
+ * @param {string} options.normalize - 'none' (default), 'row' or 'column': adds each cell's share of its row or column total
+ * @param {string} options.gas - Gas of the cell values (default: CO2e of the GWP basis)
+ * @param {Object} options.units - Units context from resolveUnits()
+ * @returns {Promise<Object|null>} The matrix, or null for an unknown grouping
  */
-async function getRealIndustryBreakdown(since, to) {
-  const cacheKey = `industryBreakdown_${since}_${to}`;
-  
-  if (cache.industryBreakdown[cacheKey] && Date.now() - cache.lastFetch[cacheKey] < CACHE_DURATION) {
-    return cache.industryBreakdown[cacheKey];
+export async function getEmissionsMatrix(options = {}) {
+  const {
+    since = 2023,
+    to = 2023,
+    rows: rowType = 'country',
+    columns: columnType = 'sector',
+    countries = null,
+    limit = 20,
+    grouping: groupingId = DEFAULT_GROUPING,
+    normalize = 'none',
+    units = DEFAULT_UNITS,
+    scheme = DEFAULT_SCHEME
+  } = options;
+  const gas = GAS_KEYS.includes(options.gas) ? options.gas : co2eKey(units);
+
+  await initializeCountryNames();
+
+  // Row id -> member country codes
+  let rowDefs;
+  let grouping = null;
+  let notes = [];
+  if (rowType === 'region') {
+    grouping = await getGrouping(groupingId, await getCountryDefinitions());
+    if (!grouping) return null;
+    rowDefs = grouping.groups.map(group => ({ id: group.id, name: group.name, color: group.color, members: group.members }));
+  } else {
+    const { codes, completeness } = countries
+      ? { codes: countries.split(','), completeness: buildCompleteness() }
+      : await getTopEmittingCountryCodes(since, to, limit);
+    notes = [...completeness.notes];
+    rowDefs = codes.map(code => ({ id: code, name: getCountryName(code), members: [code] }));
   }
 
+  const base = {
+    rowType,
+    columnType,
+    grouping: grouping && { id: grouping.id, name: grouping.name },
+    normalize,
+    gas,
+    unit: unitLabel(gas, units),
+    units: describeUnits(units),
+    scheme,
+    year: to,
+    yearRange: { since, to },
+    source: getSourceLabel()
+  };
+
   try {
-    console.log(`📡 Fetching industry breakdown (${since}-${to})...`);
-    
-    const url = `${CLIMATE_TRACE_BASE}/assets/emissions?since=${since}&to=${to}`;
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+    console.log(`📡 Building ${rowType} × ${columnType} matrix (${since}-${to})...`);
+
+    const codes = [...new Set(rowDefs.flatMap(row => row.members))];
+    const batches = [];
+    for (let i = 0; i < codes.length; i += MATRIX_BATCH_SIZE) {
+      batches.push(codes.slice(i, i + MATRIX_BATCH_SIZE));
     }
-    
-    const data = await response.json();
-    
-    const industryTotals = {
-      'Energy': 0,
-      'Manufacturing': 0,
-      'Transportation': 0,
-      'Buildings': 0,
-      'Agriculture': 0,
-      'Waste & Land Use': 0
-    };
-    
-    const sectorToIndustry = {
-      'power': 'Energy',
-      'electricity-generation': 'Energy',
-      'fossil-fuel-operations': 'Energy',
-      'oil-and-gas-production-and-transport': 'Energy',
-      'oil-and-gas-refining': 'Energy',
-      'coal-mining': 'Energy',
-      'other-energy-use': 'Energy',
-      
-      'manufacturing': 'Manufacturing',
-      'steel': 'Manufacturing',
-      'cement': 'Manufacturing',
-      'chemicals': 'Manufacturing',
-      'petrochemical-steam-cracking': 'Manufacturing',
-      'aluminum': 'Manufacturing',
-      'pulp-and-paper': 'Manufacturing',
-      'other-manufacturing': 'Manufacturing',
-      
-      'transportation': 'Transportation',
-      'road-transportation': 'Transportation',
-      'domestic-aviation': 'Transportation',
-      'international-aviation': 'Transportation',
-      'international-shipping': 'Transportation',
-      'domestic-shipping': 'Transportation',
-      'railways': 'Transportation',
-      'other-transport': 'Transportation',
-      
-      'buildings': 'Buildings',
-      'residential-and-commercial-onsite-fuel-usage': 'Buildings',
-      
-      'agriculture': 'Agriculture',
-      'enteric-fermentation-cattle-pasture': 'Agriculture',
-      'enteric-fermentation-cattle-feedlot': 'Agriculture',
-      'rice-cultivation': 'Agriculture',
-      'cropland-fires': 'Agriculture',
-      'synthetic-fertilizer-application': 'Agriculture',
-      'manure-management-cattle-feedlot': 'Agriculture',
-      'manure-left-on-pasture-cattle': 'Agriculture',
-      'other-agricultural-soil-emissions': 'Agriculture',
-      
-      'waste': 'Waste & Land Use',
-      'solid-waste-disposal': 'Waste & Land Use',
-      'wastewater-treatment-and-discharge': 'Waste & Land Use',
-      'forestry-and-land-use': 'Waste & Land Use',
-      'forest-land-clearing': 'Waste & Land Use',
-      'forest-land-degradation': 'Waste & Land Use',
-      'shrubgrass-fires': 'Waste & Land Use',
-      'wetland-fires': 'Waste & Land Use',
-      'removals': 'Waste & Land Use'
-    };
-    
-    let totalEmissions = 0;
-    
-    for (const [country, emissions] of Object.entries(data)) {
-      if (!Array.isArray(emissions)) continue;
-      
-      for (const e of emissions) {
-        if (e.Gas !== 'co2e_100yr') continue;
-        
-        const sectorKey = e.Sector?.toLowerCase();
-        const industry = sectorToIndustry[sectorKey];
-        
-        if (industry) {
-          industryTotals[industry] += e.Emissions || 0;
-          totalEmissions += e.Emissions || 0;
-        }
+    const results = await Promise.allSettled(
+      batches.map(batch => getDataSource().fetchAssetEmissions({ since, to, countries: batch }))
+    );
+
+    const data = {};
+    const missingCountries = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled' && result.value) {
+        Object.assign(data, result.value);
+      } else {
+        console.warn(`⚠️ Matrix batch ${index + 1} failed:`, result.reason?.message || 'Unexpected response');
+        missingCountries.push(...batches[index]);
       }
+    });
+    if (missingCountries.length === batches.flat().length) {
+      throw new Error('No sector data received from API');
     }
-    
-    const breakdown = {};
-    for (const [industry, total] of Object.entries(industryTotals)) {
-      breakdown[industry] = totalEmissions > 0 
-        ? parseFloat((total / totalEmissions).toFixed(4))
-        : 0;
-    }
-    
-    const sum = Object.values(breakdown).reduce((a, b) => a + b, 0);
-    if (sum > 0) {
-      for (const industry of Object.keys(breakdown)) {
-        breakdown[industry] = parseFloat((breakdown[industry] / sum).toFixed(4));
+
+    // Raw tonnes per row, column and gas
+    const columnInfo = {};
+    const tonnes = rowDefs.map(() => ({}));
+    rowDefs.forEach((row, rowIndex) => {
+      for (const code of row.members) {
+        for (const e of data[code] || []) {
+          if (!GASES[e.Gas]) continue;
+          const column = columnType === 'industry' ? categorize(e.Sector, scheme) : { id: e.Sector?.toLowerCase(), ...describeSector(e.Sector) };
+          if (!columnInfo[column.id]) {
+            columnInfo[column.id] = {
+              id: column.id,
+              name: column.name,
+              color: column.color,
+              ...(columnType === 'sector' && { category: categorize(e.Sector, scheme).id })
+            };
+          }
+          const cell = tonnes[rowIndex][column.id] || (tonnes[rowIndex][column.id] = Object.fromEntries(GAS_KEYS.map(g => [g, 0])));
+          cell[e.Gas] += e.Emissions || 0;
+        }
       }
+    });
+
+    // Cell values in `gas`, still in tonnes so totals are not built from rounded values
+    const values = tonnes.map(row => Object.fromEntries(
+      Object.entries(row).map(([id, gases]) => [id, applyGwp(gases, units)[gas] || 0])
+    ));
+    const sum = list => list.reduce((total, value) => total + value, 0);
+    const columnTotals = Object.fromEntries(Object.keys(columnInfo).map(id => [id, sum(values.map(row => row[id] || 0))]));
+    const rowTotals = values.map(row => sum(Object.values(row)));
+    const percent = (value, total) => (total > 0 ? parseFloat((value / total * 100).toFixed(1)) : 0);
+
+    const columns = Object.values(columnInfo)
+      .filter(column => columnTotals[column.id] > 0)
+      .sort((a, b) => columnTotals[b.id] - columnTotals[a.id]);
+
+    const matrixRows = rowDefs
+      .map((row, rowIndex) => ({
+        id: row.id,
+        name: row.name,
+        ...(row.color && { color: row.color }),
+        ...(rowType === 'region' && { countries: row.members.filter(code => data[code]).length }),
+        total: convert(rowTotals[rowIndex], gas, units),
+        values: columns.map(column => convert(values[rowIndex][column.id] || 0, gas, units)),
+        ...(normalize !== 'none' && {
+          shares: columns.map(column => percent(
+            values[rowIndex][column.id] || 0,
+            normalize === 'row' ? rowTotals[rowIndex] : columnTotals[column.id]
+          ))
+        })
+      }))
+      .filter(row => row.total > 0)
+      .sort((a, b) => b.total - a.total);
+
+    if (missingCountries.length > 0) {
+      notes.push(`Matrix excludes ${missingCountries.length} countries whose sector data could not be fetched`);
     }
-    
-    cache.industryBreakdown[cacheKey] = breakdown;
-    cache.lastFetch[cacheKey] = Date.now();
-    
-    console.log('✅ Calculated industry breakdown:', breakdown);
-    return breakdown;
+
+    return {
+      ...base,
+      columns: columns.map(column => ({ ...column, total: convert(columnTotals[column.id], gas, units) })),
+      rows: matrixRows,
+      total: convert(sum(rowTotals), gas, units),
+      completeness: buildCompleteness(missingCountries, notes)
+    };
   } catch (error) {
-    console.error('❌ Failed to fetch industry breakdown:', error.message);
+    console.error('❌ Failed to build emissions matrix:', error.message);
     return {
-      'Energy': 0.35,
-      'Manufacturing': 0.21,
-      'Transportation': 0.16,
-      'Buildings': 0.10,
-      'Agriculture': 0.11,
-      'Waste & Land Use': 0.07
+      ...base,
+      columns: [],
+      rows: [],
+      total: 0,
+      completeness: buildCompleteness([], [`Matrix data unavailable: ${error.message}`])
     };
   }
 }
 
+// Assets fetched per query; search, sorting and paging happen on this set
+const ASSET_FETCH_LIMIT = 1000;
+
+export const ASSET_SORTS = ['emissions', 'name', 'country', 'sector'];
+
+export const GRANULARITIES = ['year', 'month'];
+
+// Enough countries for the map to cover every country with data
+const MAP_COUNTRY_LIMIT = 300;
+
+/**
+ * Gas tonnes from a Climate TRACE EmissionsSummary list
+ */
+function assetGases(summary = []) {
+  const gases = {};
+  for (const { Gas, EmissionsQuantity } of summary) {
+    gases[Gas] = (gases[Gas] || 0) + (EmissionsQuantity || 0);
+  }
+  return gases;
+}
+
+/**
+ * Flattens a Climate TRACE asset into the response shape
+ */
+function formatAsset(asset, units = DEFAULT_UNITS, scheme = DEFAULT_SCHEME) {
+  const sector = describeSector(asset.Sector);
+  const [lon, lat] = asset.Centroid?.Geometry || [];
+  return {
+    id: String(asset.Id),
+    name: asset.Name || `Asset ${asset.Id}`,
+    country: asset.Country,
+    countryName: getCountryName(asset.Country),
+    sector: asset.Sector,
+    sectorName: sector.name,
+    color: sector.color,
+    industry: categorize(asset.Sector, scheme).name,
+    assetType: asset.AssetType || null,
+    location: Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null,
+    emissions: convertGases(assetGases(asset.EmissionsSummary), units)
+  };
+}
+
 /**
- * Fetches year-by-year emissions trends for charting.
+ * Individual assets (power plants, steel mills, ...) for one year with
+ * search, filters and paging. Assets are ranked by `gas`, and only assets
+ * that emit it are listed. Each asset on the page carries its share of its
+ * country's total. Throws an error with status 400 for an unknown sector.
  * 
  * @param {Object} options - Query options
- * @param {number} options.startYear - First year in range
- * @param {number} options.endYear - Last year in range
- * @param {string|null} options.countries - Country codes or null for top 5
+ * @param {number} options.year - Year of emissions (default: 2023)
+ * @param {Array<string>|null} options.countries - ISO alpha-3 codes, or null for all
+ * @param {Array<string>|null} options.sectors - Sector slugs, or null for all
+ * @param {string} options.gas - Gas to filter and rank by (default: CO2e of the GWP basis)
+ * @param {string} options.search - Words that must all appear in the name, type or id
+ * @param {string} options.sort - 'emissions', 'name', 'country' or 'sector'
+ * @param {string} options.order - 'asc' or 'desc' (default: desc for emissions, asc otherwise)
+ * @param {number} options.page - Page number from 1
+ * @param {number} options.pageSize - Assets per page (default: 25)
+ * @param {Object} options.units - Units context from resolveUnits()
+ * @param {string} options.scheme - Taxonomy scheme for the industry label
  */
-export async function getEmissionsTrends(options = {}) {
+export async function getAssets(options = {}) {
   const {
-    startYear = 2019,
-    endYear = 2023,
-    countries = null
+    year = 2023,
+    countries = null,
+    sectors = null,
+    search = '',
+    sort = 'emissions',
+    page = 1,
+    pageSize = 25,
+    units = DEFAULT_UNITS,
+    scheme = DEFAULT_SCHEME
   } = options;
+  const gas = options.gas || co2eKey(units);
+  const order = options.order || (sort === 'emissions' ? 'desc' : 'asc');
+
+  if (sectors) {
+    const known = await getSectorDefinitions();
+    const unknown = sectors.filter(s => known.length > 0 && !known.includes(s));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown sector: ${unknown.join(', ')}. Available: ${known.join(', ')}`);
+    }
+  }
 
   await initializeCountryNames();
+  console.log(`📡 Fetching assets for ${year}${countries ? ` in ${countries.join(',')}` : ''}${sectors ? ` (${sectors.join(',')})` : ''}...`);
 
-  try {
-    console.log(`📡 Fetching emissions trends (${startYear}-${endYear})...`);
-    
-    const trends = [];
-    const industryBreakdown = await getRealIndustryBreakdown(startYear, endYear);
-    console.log('📊 Using industry breakdown:', industryBreakdown);
-    
-    let countryList = countries;
-    if (!countryList) {
-      const topEmitters = await getTopEmittingCountryCodes(startYear, endYear, 5);
-      countryList = topEmitters.join(',');
-    }
-    
-    for (let year = startYear; year <= endYear; year++) {
-      const url = `${CLIMATE_TRACE_BASE}/country/emissions?since=${year}&to=${year}&countries=${countryList}`;
-      const response = await fetch(url);
-      
-      if (response.ok) {
-        const data = await response.json();
-        const worldTotal = data[0]?.worldEmissions?.co2 || 0;
-        const totalMt = Math.round(worldTotal / 1e6);
-        
-        const trendEntry = {
-          year,
-          total: totalMt,
-          'Energy': Math.round(totalMt * industryBreakdown['Energy']),
-          'Manufacturing': Math.round(totalMt * industryBreakdown['Manufacturing']),
-          'Transportation': Math.round(totalMt * industryBreakdown['Transportation']),
-          'Buildings': Math.round(totalMt * industryBreakdown['Buildings']),
-          'Agriculture': Math.round(totalMt * industryBreakdown['Agriculture']),
-          'Waste & Land Use': Math.round(totalMt * industryBreakdown['Waste & Land Use']),
-          countries: data.map(d => ({
-            code: d.country,
-            name: getCountryName(d.country),
-            co2: Math.round((d.emissions?.co2 || 0) / 1e6)
-          }))
-        };
-        
-        trends.push(trendEntry);
-      }
-    }
-    
-    return trends;
-  } catch (error) {
-    console.error('❌ Failed to fetch trends:', error.message);
-    return [];
+  const source = getDataSource();
+  const { assets: raw = [] } = await source.fetchAssets({
+    year,
+    countries,
+    sectors,
+    gas,
+    limit: ASSET_FETCH_LIMIT,
+    offset: 0
+  }) || {};
+
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+  const matched = raw
+    .map(asset => ({ asset, tonnes: applyGwp(assetGases(asset.EmissionsSummary), units)[gas] || 0 }))
+    .filter(({ tonnes }) => tonnes > 0)
+    .sort((a, b) => b.tonnes - a.tonnes)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }))
+    .filter(({ asset }) => {
+      const text = `${asset.Name || ''} ${asset.AssetType || ''} ${asset.Id}`.toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+
+  const direction = order === 'asc' ? 1 : -1;
+  const sortKey = {
+    emissions: ({ tonnes }) => tonnes,
+    name: ({ asset }) => (asset.Name || '').toLowerCase(),
+    country: ({ asset }) => getCountryName(asset.Country).toLowerCase(),
+    sector: ({ asset }) => describeSector(asset.Sector).name.toLowerCase()
+  }[sort];
+  matched.sort((a, b) => {
+    const [x, y] = [sortKey(a), sortKey(b)];
+    if (x === y) return b.tonnes - a.tonnes;
+    return (x < y ? -1 : 1) * direction;
+  });
+
+  const total = matched.length;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const pageRows = matched.slice((page - 1) * pageSize, page * pageSize);
+
+  // Country totals for the share each listed asset makes up
+  const codes = [...new Set(pageRows.map(({ asset }) => asset.Country))];
+  const countryRows = codes.length > 0
+    ? await source.fetchCountryEmissions({ since: year, to: year, countries: codes })
+    : [];
+  const countryTotals = Object.fromEntries((countryRows || []).map(row => [row.country, applyGwp(row.emissions || {}, units)[gas] || 0]));
+
+  const notes = [];
+  if (raw.length >= ASSET_FETCH_LIMIT) {
+    notes.push(`Only the ${ASSET_FETCH_LIMIT} largest assets were searched; narrow the filters to see smaller ones`);
   }
+
+  return {
+    year,
+    gas,
+    unit: unitLabel(gas, units),
+    units: describeUnits(units),
+    filters: { countries, sectors, search },
+    sort,
+    order,
+    page,
+    pageSize,
+    total,
+    totalPages,
+    totalEmissions: convert(matched.reduce((sum, { tonnes }) => sum + tonnes, 0), gas, units),
+    assets: pageRows.map(({ asset, tonnes, rank }) => ({
+      ...formatAsset(asset, units, scheme),
+      rank,
+      shareOfCountry: countryTotals[asset.Country] > 0
+        ? parseFloat((tonnes / countryTotals[asset.Country] * 100).toFixed(2))
+        : null
+    })),
+    source: getSourceLabel(),
+    completeness: buildCompleteness([], notes)
+  };
 }
 
 /**
- * Aggregates emissions by geographic region using continent data.
+ * One asset with its emissions for every year, and its share of its
+ * country's total and of the country's sector in the latest year.
+ * Throws an error with status 404 for an unknown asset.
+ * 
+ * @param {string} id - Asset id
+ * @param {Object} options
+ * @param {Object} options.units - Units context from resolveUnits()
+ * @param {string} options.scheme - Taxonomy scheme for the industry label
  */
-export async function getRegionalEmissions(options = {}) {
-  const { since = 2023, to = 2023 } = options;
-  
+export async function getAssetDetail(id, options = {}) {
+  const { units = DEFAULT_UNITS, scheme = DEFAULT_SCHEME } = options;
+
   await initializeCountryNames();
-  
-  try {
-    const countryDefs = await getCountryDefinitions();
-    const emissionsData = await getCountryEmissions({ since, to, limit: 100 });
-    const countries = emissionsData.countries;
-    
-    const regionColors = {
-      'Asia': '#f59e0b',
-      'North America': '#06b6d4',
-      'Europe': '#8b5cf6',
-      'Africa': '#22c55e',
-      'South America': '#14b8a6',
-      'Oceania': '#ec4899',
-      'Antarctica': '#64748b'
-    };
+  console.log(`📡 Fetching asset ${id}...`);
 
-    const countryToContinent = {};
-    if (countryDefs && countryDefs.length > 0) {
-      for (const country of countryDefs) {
-        if (country.alpha3 && country.continent) {
-          countryToContinent[country.alpha3] = country.continent;
-        }
-      }
-    }
-    
-    console.log(`📍 Mapped ${Object.keys(countryToContinent).length} countries to continents`);
+  const source = getDataSource();
+  const asset = await source.fetchAssetDetail({ id });
+  if (!asset) {
+    throw notFound(`Unknown asset: ${id}`);
+  }
 
-    const regionData = {};
-    let totalAssigned = 0;
+  const key = co2eKey(units);
+  const history = Object.entries(asset.Emissions || {})
+    .map(([year, rows]) => {
+      const activity = rows.find(row => row.Activity != null);
+      const capacity = rows.find(row => row.Capacity != null);
+      return {
+        year: parseInt(year),
+        tonnes: applyGwp(assetGases(rows), units)[key] || 0,
+        emissions: convertGases(assetGases(rows), units),
+        activity: activity ? { value: activity.Activity, unit: activity.ActivityUnits || null } : null,
+        capacity: capacity ? { value: capacity.Capacity, unit: capacity.CapacityUnits || null } : null
+      };
+    })
+    .sort((a, b) => a.year - b.year);
 
-    for (const country of countries) {
-      const continent = countryToContinent[country.country];
-      if (!continent) continue;
-      
-      if (!regionData[continent]) {
-        regionData[continent] = {
-          name: continent,
-          emissions: 0,
-          color: regionColors[continent] || '#6b7280',
-          countryList: [],
-          topCountries: []
-        };
-      }
-      
-      regionData[continent].emissions += country.emissions.co2;
-      regionData[continent].countryList.push(country);
-      totalAssigned += country.emissions.co2;
+  const latest = history[history.length - 1];
+  const notes = [];
+  let shareOfCountry = null;
+  let shareOfSector = null;
+
+  if (latest) {
+    try {
+      const [countryRows, sectorRows] = await Promise.all([
+        source.fetchCountryEmissions({ since: latest.year, to: latest.year, countries: [asset.Country] }),
+        source.fetchAssetEmissions({ since: latest.year, to: latest.year, countries: [asset.Country] })
+      ]);
+      const countryTotal = applyGwp(countryRows?.[0]?.emissions || {}, units)[key] || 0;
+      const sectorGases = assetGases((sectorRows?.[asset.Country] || [])
+        .filter(row => row.Sector === asset.Sector)
+        .map(row => ({ Gas: row.Gas, EmissionsQuantity: row.Emissions })));
+      const sectorTotal = applyGwp(sectorGases, units)[key] || 0;
+      const percent = (part, whole) => (whole > 0 ? parseFloat((part / whole * 100).toFixed(2)) : null);
+      shareOfCountry = percent(latest.tonnes, countryTotal);
+      shareOfSector = percent(latest.tonnes, sectorTotal);
+    } catch (error) {
+      console.warn(`⚠️ Country totals for asset ${id} unavailable:`, error.message);
+      notes.push(`Country and sector totals for ${latest.year} are unavailable`);
+    }
+  } else {
+    notes.push('No yearly emissions reported for this asset');
+  }
+
+  return {
+    ...formatAsset(latest ? { ...asset, EmissionsSummary: asset.Emissions[latest.year] } : asset, units, scheme),
+    owners: (asset.Owners || []).map(owner => ({
+      name: owner.Name || owner.name || null,
+      share: owner.Share ?? owner.share ?? null
+    })),
+    latestYear: latest?.year ?? null,
+    shareOfCountry,
+    shareOfSector,
+    unit: unitLabel(key, units),
+    units: describeUnits(units),
+    history: history.map(({ tonnes, ...point }) => point),
+    source: getSourceLabel(),
+    completeness: buildCompleteness([], notes)
+  };
+}
+
+/**
+ * Country emissions as GeoJSON for a choropleth: every bundled boundary
+ * with CO2, CH4, N2O, CO2 per capita and the change in CO2 since `since`,
+ * plus `value` for the chosen metric and legend class breaks.
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.year - Year to map (default: 2023)
+ * @param {number} options.since - Base year of the change metric (default: 2015)
+ * @param {string} options.metric - Key of GEO_METRICS (default: co2)
+ * @param {Object} options.units - Units context from resolveUnits()
+ */
+export async function getEmissionsGeoJson(options = {}) {
+  const { year = 2023, since = 2015, metric = 'co2', units = DEFAULT_UNITS } = options;
+
+  console.log(`📡 Building emissions map for ${year} (${metric})...`);
+  const [shapes, current, base] = await Promise.all([
+    getBoundaries(),
+    getCountryEmissions({ since: year, to: year, limit: MAP_COUNTRY_LIMIT, units }),
+    getCountryEmissions({ since, to: since, limit: MAP_COUNTRY_LIMIT, units })
+  ]);
+
+  const baseByCode = Object.fromEntries(base.countries.map(c => [c.country, c.emissions.co2]));
+  const values = {};
+  for (const c of current.countries) {
+    const previous = baseByCode[c.country];
+    const change = previous !== undefined ? round(c.emissions.co2 - previous) : null;
+    const properties = {
+      name: getCountryName(c.country),
+      rank: c.rank,
+      co2: c.emissions.co2,
+      ch4: c.emissions.ch4,
+      n2o: c.emissions.n2o,
+      per_capita: c.intensity.perCapita,
+      change,
+      changePercent: change !== null && previous > 0 ? parseFloat((change / previous * 100).toFixed(1)) : null
+    };
+    values[c.country] = { ...properties, value: properties[metric] ?? null };
+  }
+
+  const { features, unmapped } = joinCountries(shapes, values);
+  const notes = [];
+  if (shapes.features.length === 0) {
+    notes.push('Country boundaries are unavailable');
+  }
+  if (current.countries.length === 0) {
+    notes.push(`No country emissions for ${year}`);
+  }
+  if (unmapped.length > 0) {
+    notes.push(`No boundary at this scale for ${unmapped.join(', ')}`);
+  }
+  if (metric === 'change' && base.countries.length === 0) {
+    notes.push(`No country emissions for ${since}; change is unavailable`);
+  }
+
+  const metricUnits = {
+    co2: unitLabel('co2', units),
+    ch4: unitLabel('ch4', units),
+    n2o: unitLabel('n2o', units),
+    per_capita: METRICS.per_capita.unit,
+    change: unitLabel('co2', units)
+  };
+
+  return {
+    type: 'FeatureCollection',
+    metric,
+    metricLabel: GEO_METRICS[metric].label,
+    unit: metricUnits[metric],
+    metricUnits,
+    year,
+    since,
+    legend: legendBreaks(features.map(f => f.properties.value).filter(v => v !== null), GEO_METRICS[metric].scale),
+    features,
+    boundaries: shapes.source,
+    source: current.source,
+    completeness: buildCompleteness(current.completeness?.missingCountries || [], [...(current.completeness?.notes || []), ...notes])
+  };
+}
+
+/**
+ * Located assets as GeoJSON points, largest emitters of `gas` first.
+ * Sources without asset coordinates (such as the offline fixture) return
+ * no features and a note.
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.year - Year of emissions (default: 2023)
+ * @param {Array<string>|null} options.countries - ISO alpha-3 codes, or null for all
+ * @param {Array<string>|null} options.sectors - Sector slugs, or null for all
+ * @param {string} options.gas - Gas to rank by (default: CO2e of the GWP basis)
+ * @param {number} options.limit - Maximum number of points (default: 500)
+ * @param {Object} options.units - Units context from resolveUnits()
+ */
+export async function getAssetsGeoJson(options = {}) {
+  const { year = 2023, countries = null, sectors = null, limit = 500, units = DEFAULT_UNITS } = options;
+  const gas = options.gas || co2eKey(units);
+
+  await initializeCountryNames();
+  console.log(`📡 Building asset map for ${year}...`);
+
+  const { assets: raw = [] } = await getDataSource().fetchAssets({ year, countries, sectors, gas, limit, offset: 0 }) || {};
+  const assets = raw.map(asset => {
+    const formatted = formatAsset(asset, units);
+    return { ...formatted, value: formatted.emissions[gas] };
+  });
+  const points = assetPoints(assets);
+
+  const notes = [];
+  if (raw.length > 0 && points.features.length === 0) {
+    notes.push(`${getDataSource().getLabel()} has no asset locations`);
+  } else if (points.features.length < raw.length) {
+    notes.push(`${raw.length - points.features.length} of ${raw.length} assets have no location`);
+  }
+
+  return {
+    ...points,
+    year,
+    gas,
+    unit: unitLabel(gas, units),
+    source: getSourceLabel(),
+    completeness: buildCompleteness([], notes)
+  };
+}
+
+/**
+ * Aggregates raw sector data and calculates percentages.
+ * Sector values are in `gas`, by default CO2e on the GWP basis of the
+ * units context; every sector also carries all gases and its share of
+ * each gas's total.
+ */
+function processSectorEmissions(data, units = DEFAULT_UNITS, scheme = DEFAULT_SCHEME, gas = null) {
+  const sectorMap = {};
+  
+  for (const [country, emissions] of Object.entries(data)) {
+    if (!Array.isArray(emissions)) continue;
+    
+    for (const e of emissions) {
+      if (!GASES[e.Gas]) continue;
+      
+      const { name, color } = describeSector(e.Sector);
+      if (!sectorMap[name]) {
+        sectorMap[name] = {
+          id: e.Sector?.toLowerCase(),
+          color,
+          category: categorize(e.Sector, scheme).id,
+          gases: Object.fromEntries(GAS_KEYS.map(gas => [gas, 0]))
+        };
+      }
+      sectorMap[name].gases[e.Gas] += e.Emissions || 0;
+    }
+  }
+
+  const key = gas || co2eKey(units);
+  const weighted = Object.entries(sectorMap).map(([name, sector]) => [name, sector, applyGwp(sector.gases, units)]);
+  const totals = Object.fromEntries(GAS_KEYS.map(g => [g, weighted.reduce((sum, [, , gases]) => sum + (gases[g] || 0), 0)]));
+  const percent = (value, g) => (totals[g] > 0 ? parseFloat(((value || 0) / totals[g] * 100).toFixed(1)) : 0);
+  
+  const sectors = weighted
+    .map(([name, { id, color, category }, gases]) => ({
+      id,
+      name,
+      emissions: convert(gases[key], key, units),
+      percentage: percent(gases[key], key),
+      gases: convertGases(gases, units),
+      shares: Object.fromEntries(GAS_KEYS.map(g => [g, percent(gases[g], g)])),
+      color,
+      category
+    }))
+    .filter(s => s.emissions > 0)
+    .sort((a, b) => b.emissions - a.emissions);
+
+  const industries = groupSectorsToIndustries(sectors, scheme);
+
+  return {
+    sectors,
+    industries,
+    gas: key,
+    total: convert(totals[key], key, units),
+    totals: convertGases(totals, units),
+    unit: unitLabel(key, units),
+    units: describeUnits(units),
+    scheme
+  };
+}
+
+const GAS_KEYS = Object.keys(GASES);
+
+/**
+ * Sums raw asset emissions into industry totals for every gas,
+ * converted to the reporting units of the units context. Industries are
+ * the categories of the taxonomy scheme; "Other" is only kept when non-zero.
+ */
+function aggregateIndustriesByGas(data, units = DEFAULT_UNITS, scheme = DEFAULT_SCHEME) {
+  const names = listCategories(scheme).map(category => category.name);
+  const tonnes = Object.fromEntries(names.map(name => [
+    name,
+    Object.fromEntries(GAS_KEYS.map(gas => [gas, 0]))
+  ]));
+
+  for (const emissions of Object.values(data)) {
+    if (!Array.isArray(emissions)) continue;
+
+    for (const e of emissions) {
+      if (!GASES[e.Gas]) continue;
+      tonnes[categorize(e.Sector, scheme).name][e.Gas] += e.Emissions || 0;
+    }
+  }
+
+  const totals = Object.fromEntries(GAS_KEYS.map(gas => [gas, {}]));
+  for (const industry of names) {
+    if (industry === 'Other' && GAS_KEYS.every(gas => tonnes[industry][gas] === 0)) continue;
+    const converted = convertGases(tonnes[industry], units);
+    for (const gas of GAS_KEYS) {
+      totals[gas][industry] = converted[gas];
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Fetches year-by-year (or month-by-month) emissions trends for charting.
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.startYear - First year in range
+ * @param {number} options.endYear - Last year in range
+ * @param {string|null} options.countries - Country codes or null for top 5
+ * @param {string} options.gas - Gas used for the top-level industry values (default: co2)
+ * @param {string} options.granularity - 'year' (default) or 'month'
+ * @param {Object} options.units - Units context from resolveUnits()
+ */
+export async function getEmissionsTrends(options = {}) {
+  const {
+    startYear = 2019,
+    endYear = 2023,
+    countries = null,
+    units = DEFAULT_UNITS,
+    scheme = DEFAULT_SCHEME
+  } = options;
+  const gas = GAS_KEYS.includes(options.gas) ? options.gas : 'co2';
+
+  await initializeCountryNames();
+
+  if (options.granularity === 'month') {
+    return getMonthlyTrends({ startYear, endYear, countries, gas, units, scheme });
+  }
+
+  try {
+    console.log(`📡 Fetching emissions trends (${startYear}-${endYear})...`);
+    
+    const trends = [];
+    
+    let countryList = countries;
+    if (!countryList) {
+      const topEmitters = await getTopEmittingCountryCodes(startYear, endYear, 5);
+      countryList = topEmitters.codes.join(',');
+    }
+    
+    const years = [];
+    for (let year = startYear; year <= endYear; year++) {
+      years.push(year);
+    }
+    
+    const source = getDataSource();
+    const [countryResults, sectorResults] = await Promise.all([
+      Promise.allSettled(
+        years.map(year => source.fetchCountryEmissions({
+          since: year,
+          to: year,
+          countries: countryList.split(',')
+        }))
+      ),
+      Promise.allSettled(
+        years.map(year => source.fetchAssetEmissions({ since: year, to: year }))
+      )
+    ]);
+    
+    countryResults.forEach((result, index) => {
+      const year = years[index];
+      if (result.status === 'fulfilled' && result.value?.length > 0) {
+        const data = result.value;
+        const worldTotal = data[0]?.worldEmissions?.co2 || 0;
+        
+        const sectorResult = sectorResults[index];
+        const industriesByGas = sectorResult.status === 'fulfilled'
+          ? aggregateIndustriesByGas(sectorResult.value || {}, units, scheme)
+          : null;
+        if (!industriesByGas) {
+          console.warn(`⚠️ Sector data for ${year} failed:`, sectorResult.reason?.message);
+        }
+        const industries = industriesByGas?.[gas] || {};
+        
+        const trendEntry = {
+          year,
+          total: convert(worldTotal, 'co2', units),
+          gas,
+          ...industries,
+          industryTotal: industriesByGas
+            ? round(Object.values(industries).reduce((sum, value) => sum + value, 0))
+            : null,
+          industriesByGas,
+          sectorDataMissing: !industriesByGas,
+          countries: data.map(d => ({
+            code: d.country,
+            name: getCountryName(d.country),
+            co2: convert(d.emissions?.co2, 'co2', units)
+          }))
+        };
+        
+        trends.push(trendEntry);
+      } else {
+        console.warn(`⚠️ Trends for ${year} failed:`, result.reason?.message || 'No data');
+      }
+    });
+    
+    return trends;
+  } catch (error) {
+    console.error('❌ Failed to fetch trends:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Month-by-month counterpart of getEmissionsTrends(). Entries carry
+ * `period` ("2023-01") and `month` next to `year`; totals only cover
+ * sectors with monthly estimates.
+ */
+async function getMonthlyTrends({ startYear, endYear, countries, gas, units, scheme }) {
+  try {
+    console.log(`📡 Fetching monthly emissions trends (${startYear}-${endYear})...`);
+
+    let countryList = countries;
+    if (!countryList) {
+      const topEmitters = await getTopEmittingCountryCodes(startYear, endYear, 5);
+      countryList = topEmitters.codes.join(',');
+    }
+    const codes = countryList.split(',');
+
+    const data = await getDataSource().fetchMonthlyEmissions({ since: startYear, to: endYear });
+    const co2Of = rows => rows.reduce((sum, row) => sum + (row.Gas === 'co2' ? row.Emissions || 0 : 0), 0);
+
+    return groupByMonth(data).map(({ period, year, month, data: monthData }) => {
+      const industriesByGas = aggregateIndustriesByGas(monthData, units, scheme);
+      const industries = industriesByGas[gas];
+      return {
+        period,
+        year,
+        month,
+        total: convert(Object.values(monthData).reduce((sum, rows) => sum + co2Of(rows), 0), 'co2', units),
+        gas,
+        ...industries,
+        industryTotal: round(Object.values(industries).reduce((sum, value) => sum + value, 0)),
+        industriesByGas,
+        sectorDataMissing: false,
+        countries: codes
+          .filter(code => monthData[code])
+          .map(code => ({
+            code,
+            name: getCountryName(code),
+            co2: convert(co2Of(monthData[code]), 'co2', units)
+          }))
+      };
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch monthly trends:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Splits fetchMonthlyEmissions() rows into one fetchAssetEmissions()-shaped
+ * map per month, in date order
+ * @returns {Array<{period: string, year: number, month: number, data: Object}>}
+ */
+function groupByMonth(data) {
+  const months = new Map();
+  for (const [code, rows] of Object.entries(data || {})) {
+    if (!Array.isArray(rows)) continue;
+    for (const row of rows) {
+      const period = `${row.Year}-${String(row.Month).padStart(2, '0')}`;
+      if (!months.has(period)) {
+        months.set(period, { period, year: row.Year, month: row.Month, data: {} });
+      }
+      const monthData = months.get(period).data;
+      (monthData[code] = monthData[code] || []).push(row);
+    }
+  }
+  return [...months.values()].sort((a, b) => a.period.localeCompare(b.period));
+}
+
+function monthlyCoverageNote(data) {
+  const sectors = new Set(Object.values(data || {}).flatMap(rows => (Array.isArray(rows) ? rows.map(row => row.Sector) : [])));
+  return `Monthly estimates cover ${sectors.size} sectors; sectors with only yearly estimates are left out`;
+}
+
+// World totals are reported on every country row, so any of these is enough to read them
+const WORLD_PROBE_COUNTRIES = ['CHN', 'USA', 'IND'];
+
+/**
+ * Yearly CO2 of the world or one country in tonnes, read from country
+ * rows only. Years that fail or have no data are left out.
+ * 
+ * @param {number} startYear - First year
+ * @param {number} endYear - Last year
+ * @param {string|null} iso3 - ISO alpha-3 code, or null for the world
+ * @returns {Promise<Array<{year: number, co2: number}>>}
+ */
+async function fetchYearlyCo2(startYear, endYear, iso3 = null) {
+  const source = getDataSource();
+  const years = [];
+  for (let year = startYear; year <= endYear; year++) {
+    years.push(year);
+  }
+
+  const results = await Promise.allSettled(
+    years.map(year => source.fetchCountryEmissions({ since: year, to: year, countries: iso3 ? [iso3] : WORLD_PROBE_COUNTRIES }))
+  );
+
+  const series = [];
+  results.forEach((result, index) => {
+    const rows = result.status === 'fulfilled' ? result.value : null;
+    const co2 = iso3
+      ? rows?.find(d => d.country === iso3)?.emissions?.co2
+      : rows?.[0]?.worldEmissions?.co2;
+    if (Number.isFinite(co2)) {
+      series.push({ year: years[index], co2 });
+    } else {
+      console.warn(`⚠️ CO2 for ${iso3 || 'the world'} in ${years[index]} failed:`, result.reason?.message || 'No data');
+    }
+  });
+
+  return series;
+}
+
+/**
+ * Projects a yearly emissions series for the world, a country or an
+ * industry (optionally within a country) with prediction intervals.
+ * Throws an error with status 404 for an unknown country or industry.
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.startYear - First year of history (default: 2015)
+ * @param {number} options.endYear - Last year of history (default: 2024)
+ * @param {string|null} options.country - ISO alpha-3 code, or null for the world
+ * @param {string|null} options.industry - Category id under the taxonomy scheme
+ * @param {string} options.gas - Gas to project (default: co2)
+ * @param {Object} options.forecast - Output of resolveForecastOptions()
+ * @param {Object} options.units - Units context from resolveUnits()
+ * @param {string} options.scheme - Taxonomy scheme for industries
+ */
+export async function getEmissionsForecast(options = {}) {
+  const {
+    startYear = 2015,
+    endYear = 2024,
+    country = null,
+    industry = null,
+    forecast,
+    units = DEFAULT_UNITS,
+    scheme = DEFAULT_SCHEME
+  } = options;
+  const gas = GAS_KEYS.includes(options.gas) ? options.gas : 'co2';
+
+  await initializeCountryNames();
+
+  const iso3 = country ? country.toUpperCase() : null;
+  if (iso3 && !(await getCountryDefinitions()).some(c => c.alpha3 === iso3)) {
+    throw notFound(`Unknown country: ${iso3}`);
+  }
+  const category = industry ? listCategories(scheme).find(c => c.id === industry.toLowerCase()) : null;
+  if (industry && !category) {
+    throw notFound(`Unknown industry for scheme ${scheme}: ${industry}`);
+  }
+
+  const label = [category?.name, iso3 ? getCountryName(iso3) : (category ? null : 'World')].filter(Boolean).join(' — ');
+  console.log(`📡 Forecasting ${label} ${gas} from ${startYear}-${endYear} to ${forecast.horizon}...`);
+
+  const source = getDataSource();
+  const years = [];
+  for (let year = startYear; year <= endYear; year++) {
+    years.push(year);
+  }
+
+  const results = await Promise.allSettled(years.map(async year => {
+    if (category) {
+      const data = await source.fetchAssetEmissions({ since: year, to: year, countries: iso3 ? [iso3] : null });
+      return aggregateIndustriesByGas(data || {}, units, scheme)[gas][category.name] ?? 0;
+    }
+    const rows = await source.fetchCountryEmissions({ since: year, to: year, countries: iso3 ? [iso3] : WORLD_PROBE_COUNTRIES });
+    const row = iso3 ? rows?.find(d => d.country === iso3) : rows?.[0];
+    if (!row) return null;
+    return convertGases(iso3 ? row.emissions : row.worldEmissions, units)[gas];
+  }));
+
+  const history = [];
+  const missingYears = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled' && Number.isFinite(result.value)) {
+      history.push({ year: years[index], value: result.value });
+    } else {
+      missingYears.push(years[index]);
+    }
+  });
+
+  const projection = forecastSeries(history, forecast);
+  const notes = [
+    ...(missingYears.length > 0 ? [`No data for ${missingYears.join(', ')}`] : []),
+    ...projection.notes
+  ];
+
+  return {
+    target: {
+      scope: category ? 'industry' : iso3 ? 'country' : 'world',
+      country: iso3 ? { code: iso3, name: getCountryName(iso3) } : null,
+      industry: category ? { id: category.id, name: category.name, scheme } : null,
+      label
+    },
+    gas,
+    unit: unitLabel(gas, units),
+    units: describeUnits(units),
+    historyRange: { startYear, endYear },
+    horizon: forecast.horizon,
+    confidence: forecast.confidence,
+    history,
+    models: projection.models,
+    recommended: projection.recommended,
+    methodology: `Models are fitted to ${history.length} yearly values. Bands are ${forecast.confidence}% prediction intervals; ` +
+      'the recommended model has the lowest in-sample RMSE. Short series make long horizons highly uncertain.',
+    source: getSourceLabel(),
+    completeness: {
+      complete: notes.length === 0,
+      missingYears,
+      notes
+    }
+  };
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Tracks countries against their national targets: the latest emissions
+ * (or emissions intensity) versus the linear pathway from base to target
+ * year, the gap and the annual reduction still required.
+ * 
+ * @param {Object} options - Query options
+ * @param {Array<string>|null} options.countries - ISO alpha-3 codes, or null for every target on file
+ * @param {number} options.startYear - First year of history (default: 2015)
+ * @param {number} options.endYear - Last year of history (default: 2024)
+ * @param {Object} options.units - Units context from resolveUnits()
+ */
+export async function getTargetProgress(options = {}) {
+  const { countries = null, startYear = 2015, endYear = 2024, units = DEFAULT_UNITS } = options;
+  const { version, source, targets } = await getTargets();
+  const codes = (countries || Object.keys(targets)).filter(code => targets[code]);
+
+  await initializeCountryNames();
+  console.log(`📡 Tracking targets for ${codes.length} countries (${startYear}-${endYear})...`);
+
+  // Fetch tonnes so intensities and gaps are computed before rounding
+  const tonnes = resolveUnits({ unit: 't', gwp: units.recompute ? units.gwp : undefined });
+  const years = [];
+  for (let year = startYear; year <= endYear; year++) {
+    years.push(year);
+  }
+
+  const yearly = codes.length > 0
+    ? await Promise.all(years.map(year => Promise.all([
+        getCountryEmissions({ since: year, to: year, countries: codes.join(','), limit: codes.length, units: tonnes }),
+        getIndicators(year, year)
+      ])))
+    : [];
+  const missingYears = years.filter((year, index) => !yearly[index]?.[0]?.countries?.length);
+
+  const results = codes.map(code => {
+    const target = targets[code];
+    const series = years.map((year, index) => {
+      const [emissions, indicators] = yearly[index];
+      const row = emissions.countries?.find(c => c.country === code);
+      return { year, tonnes: row?.emissions?.[target.gas], gdp: indicators.countries[code]?.gdp ?? null };
+    });
+    return formatTargetProgress(code, target, evaluateTarget(target, series), units);
+  });
+
+  const counts = { achieved: 0, on_track: 0, off_track: 0, missed: 0, unknown: 0 };
+  results.forEach(result => counts[result.status]++);
+
+  return {
+    targets: results,
+    counts,
+    dataset: { version, source },
+    units: describeUnits(units),
+    historyRange: { startYear, endYear },
+    methodology: 'The pathway runs in a straight line from the base-year value to the target value. ' +
+      'Gap = latest value minus the pathway value for that year (positive = above the pathway). ' +
+      'Required rate = constant annual reduction from the latest value to the target by the target year. ' +
+      'Intensity targets use GDP in constant 2015 US$ from the indicators dataset.',
+    source: getSourceLabel(),
+    completeness: {
+      complete: missingYears.length === 0,
+      missingYears,
+      notes: missingYears.length > 0 ? [`No emissions data for ${missingYears.join(', ')}`] : []
+    }
+  };
+}
+
+/**
+ * Converts an evaluated target into reporting units
+ */
+function formatTargetProgress(code, target, progress, units) {
+  const { type, gas, baseYear, targetYear, reductionPercent, description, source } = target;
+  const gasLabel = gas === 'co2' ? 'CO2' : gas.startsWith('co2e') ? 'CO2e' : gas.toUpperCase();
+  const value = type === 'absolute'
+    ? v => (v === null ? null : convert(v, gas, units))
+    : v => (v === null ? null : parseFloat(v.toFixed(3)));
+  const percent = v => (v === null ? null : parseFloat(v.toFixed(2)));
+
+  return {
+    country: code,
+    name: getCountryName(code),
+    target: { type, gas, baseYear, targetYear, reductionPercent, description, source },
+    status: progress.status,
+    unit: type === 'absolute' ? unitLabel(gas, units) : `kg ${gasLabel}/$ GDP`,
+    baseValue: value(progress.baseValue),
+    baseSource: progress.baseSource,
+    targetValue: value(progress.targetValue),
+    latestYear: progress.latest?.year ?? null,
+    latestValue: value(progress.latest?.value ?? null),
+    pathwayValue: value(progress.pathwayValue),
+    gap: value(progress.gap),
+    gapEmissions: progress.gapTonnes === null ? null : convert(progress.gapTonnes, gas, units),
+    gapUnit: unitLabel(gas, units),
+    requiredAnnualReductionPercent: percent(progress.requiredAnnualReductionPercent),
+    recentAnnualChangePercent: percent(progress.recentAnnualChangePercent),
+    pathway: progress.pathway.map(point => ({ year: point.year, value: value(point.value) })),
+    history: progress.history.map(point => ({ year: point.year, value: value(point.value) })),
+    notes: progress.notes
+  };
+}
+
+/**
+ * Remaining carbon budget: world CO2 emitted since the budget year is
+ * subtracted from the budget, then the remainder is projected under
+ * constant annual decline rates and shared out between countries.
+ * 
+ * @param {Object} options - Query options
+ * @param {Object} options.budget - Output of resolveBudgetOptions()
+ * @param {number} options.endYear - Latest year of emissions (default: 2024)
+ * @param {Array<string>|null} options.countries - ISO alpha-3 codes, or null for the top emitters
+ * @param {number} options.limit - Number of top emitters to allocate to (default: 20)
+ */
+export async function getCarbonBudget(options = {}) {
+  const { budget, endYear = 2024, countries = null, limit = 20 } = options;
+  const { scenario, preset, budgetGt, fromYear, declineRates } = budget;
+
+  await initializeCountryNames();
+  console.log(`📡 Computing carbon budget ${scenario} (${budgetGt} Gt from ${fromYear}) to ${endYear}...`);
+
+  // Yearly world CO2 in tonnes; budgets are CO2 only so the GWP basis does not apply
+  const startYear = Math.min(fromYear, endYear);
+  const [worldCo2, countryData, indicators] = await Promise.all([
+    fetchYearlyCo2(startYear, endYear),
+    fetchAllCountryRows(endYear, endYear),
+    getIndicators(endYear, endYear)
+  ]);
+
+  const notes = [];
+  const usedYears = worldCo2.filter(t => t.year >= fromYear && t.co2 > 0);
+  const missingYears = [];
+  for (let year = fromYear; year <= endYear; year++) {
+    if (!usedYears.some(t => t.year === year)) missingYears.push(year);
+  }
+  if (missingYears.length > 0) {
+    notes.push(`No world emissions for ${missingYears.join(', ')}; emissions used since ${fromYear} are understated`);
+  }
+
+  const latest = worldCo2.filter(t => t.co2 > 0).pop();
+  if (!latest) {
+    throw new Error('No world emissions data available');
+  }
+  if (latest.year < endYear) {
+    notes.push(`Latest world emissions are from ${latest.year}`);
+  }
+
+  const usedGt = usedYears.reduce((sum, t) => sum + t.co2, 0) / 1e9;
+  const remainingGt = budgetGt - usedGt;
+  const annualGt = latest.co2 / 1e9;
+  const projection = projectBudget({ remainingGt, annualGt, lastYear: latest.year, declineRates });
+  if (projection.exhausted) {
+    notes.push(`The budget was used up by emissions between ${fromYear} and ${latest.year}`);
+  }
+
+  const worldPopulation = indicators.world?.population ?? null;
+  if (!worldPopulation) {
+    notes.push('World population is missing from the indicators dataset; equal per capita shares are unavailable');
+  }
+  const rows = countryData.rows
+    .filter(row => (countries ? countries.includes(row.country) : row.emissions?.co2 > 0))
+    .sort((a, b) => (b.emissions?.co2 || 0) - (a.emissions?.co2 || 0))
+    .slice(0, countries ? countries.length : limit);
+  const allocation = allocateBudget({
+    remainingGt,
+    countries: rows.map(row => ({
+      country: row.country,
+      name: getCountryName(row.country),
+      co2Tonnes: row.emissions?.co2 || 0,
+      population: indicators.countries[row.country]?.population ?? null
+    })),
+    worldCo2Tonnes: countryData.rows[0]?.worldEmissions?.co2 || latest.co2,
+    worldPopulation
+  });
+
+  return {
+    scenario: {
+      id: scenario,
+      label: preset.label,
+      warming: preset.warming,
+      likelihood: preset.likelihood,
+      custom: budget.custom,
+      source: budget.custom ? 'User-defined' : PRESET_SOURCE
+    },
+    unit: 'Gt CO2',
+    budgetGt,
+    fromYear,
+    usedGt: parseFloat(usedGt.toFixed(2)),
+    remainingGt: parseFloat(remainingGt.toFixed(2)),
+    latestYear: latest.year,
+    annualGt: parseFloat(annualGt.toFixed(2)),
+    history: usedYears.map(t => ({ year: t.year, emissionsGt: parseFloat((t.co2 / 1e9).toFixed(2)) })),
+    ...projection,
+    allocation: {
+      methods: ALLOCATION_METHODS,
+      year: endYear,
+      worldPopulation,
+      countries: allocation
+    },
+    methodology: `Remaining = budget minus world CO2 emitted from ${fromYear} to ${latest.year}. ` +
+      `Scenarios start from ${latest.year} emissions and decline by a constant percentage every year; ` +
+      'the exhaustion year is when cumulative emissions pass the remaining budget. ' +
+      'Required decline = the constant rate whose total future emissions equal the remaining budget. ' +
+      'Fair shares split the remaining budget by population (equal per capita) or by current emissions (grandfathering).',
+    source: getSourceLabel(),
+    completeness: buildCompleteness(countryData.missingCountries, notes)
+  };
+}
+
+/**
+ * Decomposes a country's change in CO2 between two years into population,
+ * GDP per capita, energy intensity and carbon intensity (Kaya identity,
+ * additive LMDI). Throws an error with status 404 for an unknown country
+ * and 422 when emissions, population, GDP or energy are missing.
+ * 
+ * @param {Object} options - Query options
+ * @param {string} options.country - ISO alpha-3 code
+ * @param {number} options.startYear - First year (default: 2015)
+ * @param {number} options.endYear - Last year (default: 2024)
+ * @param {Object} options.units - Units context from resolveUnits()
+ */
+export async function getEmissionsDecomposition(options = {}) {
+  const { country, startYear = 2015, endYear = 2024, units = DEFAULT_UNITS } = options;
+  const iso3 = country.toUpperCase();
+
+  await initializeCountryNames();
+  if (!(await getCountryDefinitions()).some(c => c.alpha3 === iso3)) {
+    throw notFound(`Unknown country: ${iso3}`);
+  }
+  console.log(`📡 Decomposing ${iso3} emissions ${startYear}-${endYear}...`);
+
+  // Tonnes so the logarithmic means are computed before rounding
+  const years = [];
+  for (let year = startYear; year <= endYear; year++) {
+    years.push(year);
+  }
+  const [co2Series, indicators] = await Promise.all([
+    fetchYearlyCo2(startYear, endYear, iso3),
+    Promise.all(years.map(year => getIndicators(year, year)))
+  ]);
+
+  const series = years.map((year, index) => {
+    const indicator = indicators[index].countries[iso3];
+    return {
+      year,
+      co2: co2Series.find(point => point.year === year)?.co2 ?? null,
+      population: indicator?.population ?? null,
+      gdp: indicator?.gdp ?? null,
+      energy: indicator?.energy ?? null
+    };
+  });
+
+  const [start, end] = [series[0], series[series.length - 1]];
+  const missing = [start, end]
+    .filter(point => !isDecomposable(point))
+    .map(point => `${point.year} (${['co2', 'population', 'gdp', 'energy'].filter(key => !(point[key] > 0)).join(', ')})`);
+  if (missing.length > 0) {
+    const error = new Error(`Cannot decompose ${iso3}: missing ${missing.join('; ')}`);
+    error.status = 422;
+    throw error;
+  }
+
+  const { change, factors } = decomposeKaya(start, end);
+  const steps = decomposeChained(series);
+  const skipped = years.length - 1 - steps.length;
+  const notes = skipped > 0 ? [`${skipped} year-on-year step${skipped === 1 ? '' : 's'} skipped for missing data`] : [];
+
+  // Extrapolated indicators only carry assumed growth, so real year-to-year
+  // variation in those years ends up in carbon intensity
+  const estimated = new Set(years.filter((year, index) => indicators[index].estimatedYears.includes(year)));
+  const isEstimated = step => estimated.has(step.fromYear) || estimated.has(step.toYear);
+  const estimatedSteps = steps.filter(isEstimated).length;
+  if (estimated.has(startYear) || estimated.has(endYear)) {
+    notes.push(`Population, GDP and energy for ${[startYear, endYear].filter(year => estimated.has(year)).join(' and ')} are extrapolated in the indicators dataset, not reported; the split between the four factors is an estimate`);
+  }
+  if (estimatedSteps > 0) {
+    notes.push(`${estimatedSteps} year-on-year step${estimatedSteps === 1 ? '' : 's'} use${estimatedSteps === 1 ? 's' : ''} extrapolated indicators; their population, GDP per capita and energy intensity contributions follow assumed growth rates and the rest of the change is attributed to carbon intensity`);
+  }
+  const percent = value => parseFloat(value.toFixed(2));
+
+  return {
+    country: { code: iso3, name: getCountryName(iso3) },
+    startYear,
+    endYear,
+    unit: unitLabel('co2', units),
+    units: describeUnits(units),
+    start: { emissions: convert(start.co2, 'co2', units), population: start.population, gdp: start.gdp, energy: start.energy },
+    end: { emissions: convert(end.co2, 'co2', units), population: end.population, gdp: end.gdp, energy: end.energy },
+    change: convert(change, 'co2', units),
+    changePercent: percent(change / start.co2 * 100),
+    factors: factors.map(factor => ({
+      ...factor,
+      start: round(factor.start),
+      end: round(factor.end),
+      changePercent: percent(factor.changePercent),
+      contribution: convert(factor.contribution, 'co2', units),
+      // Share of the starting emissions, so factor percentages add up to changePercent
+      contributionPercent: percent(factor.contribution / start.co2 * 100)
+    })),
+    yearly: steps.map(step => ({
+      fromYear: step.fromYear,
+      toYear: step.toYear,
+      estimated: isEstimated(step),
+      change: convert(step.change, 'co2', units),
+      ...Object.fromEntries(Object.entries(step.contributions).map(([id, value]) => [id, convert(value, 'co2', units)]))
+    })),
+    methodology: 'Kaya identity: CO2 = population × GDP per capita × energy per GDP × CO2 per energy. ' +
+      'Changes are split with the additive LMDI-I method, so the four contributions add up to the total change. ' +
+      'Population, GDP (constant 2015 US$) and primary energy come from the indicators dataset.',
+    indicators: {
+      version: indicators[0].version,
+      source: indicators[0].source,
+      estimatedYears: years.filter(year => estimated.has(year))
+    },
+    source: getSourceLabel(),
+    completeness: buildCompleteness([], notes)
+  };
+}
+
+export const CUMULATIVE_SORTS = ['cumulative', 'per_capita'];
+
+/**
+ * Cumulative CO2 per country from `since` to `to`: the historical dataset
+ * up to HISTORICAL_CUTOFF, Climate TRACE for later years. Ranked by
+ * cumulative emissions or by cumulative emissions per current resident.
+ * Throws an error with status 400 when the historical dataset cannot
+ * cover the requested years.
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.since - First year (default: 1850)
+ * @param {number} options.to - Last year (default: 2024)
+ * @param {string} options.sort - 'cumulative' or 'per_capita'
+ * @param {number} options.limit - Number of countries (default: 20)
+ * @param {Object} options.units - Units context from resolveUnits()
+ */
+export async function getCumulativeEmissions(options = {}) {
+  const { since = 1850, to = 2024, sort = 'cumulative', limit = 20, units = DEFAULT_UNITS } = options;
+
+  await initializeCountryNames();
+  const historical = await getHistoricalDataset();
+  const historicalEnd = Math.min(to, HISTORICAL_CUTOFF);
+  const recentStart = Math.max(since, HISTORICAL_CUTOFF + 1);
+  const usesHistory = since <= historicalEnd;
+  const usesRecent = recentStart <= to;
+
+  const worldHistorical = usesHistory ? cumulativeBetween(historical.world, since, historicalEnd) : 0;
+  if (worldHistorical === null) {
+    const startYears = historicalStartYears(historical);
+    const available = startYears.length > 10
+      ? `${startYears[0]} to ${startYears[startYears.length - 1]}`
+      : startYears.join(', ') || 'none';
+    throw badRequest(`Historical dataset has no cumulative CO2 for ${since}-${historicalEnd}. Start years available: ${available}`);
+  }
+  console.log(`📡 Computing cumulative emissions ${since}-${to}...`);
+
+  const [recent, indicators] = await Promise.all([
+    usesRecent ? fetchAllCountryRows(recentStart, to) : { rows: [], missingCountries: [] },
+    getIndicators(to, to)
+  ]);
+  const recentByCode = new Map(recent.rows.map(row => [row.country, row.emissions?.co2 || 0]));
+  const worldRecent = usesRecent
+    ? recent.rows[0]?.worldEmissions?.co2 ?? [...recentByCode.values()].reduce((sum, co2) => sum + co2, 0)
+    : 0;
+  const worldCumulative = worldHistorical + worldRecent;
+
+  const codes = new Set([...(usesHistory ? historical.countries.keys() : []), ...recentByCode.keys()]);
+  const noHistory = [];
+  const noRecent = [];
+  const noPopulation = [];
+  const rows = [];
+
+  for (const code of codes) {
+    if (recent.missingCountries.includes(code)) continue;
+    const past = usesHistory ? cumulativeBetween(historical.countries.get(code), since, historicalEnd) : 0;
+    const latest = usesRecent ? recentByCode.get(code) ?? null : 0;
+    if (past === null) {
+      noHistory.push(code);
+      continue;
+    }
+    if (latest === null) {
+      noRecent.push(code);
+      continue;
+    }
+
+    const cumulative = past + latest;
+    const population = indicators.countries[code]?.population ?? null;
+    if (sort === 'per_capita' && !population) {
+      noPopulation.push(code);
+      continue;
+    }
+    rows.push({
+      country: code,
+      name: getCountryName(code),
+      cumulativeTonnes: cumulative,
+      historical: convert(past, 'co2', units),
+      recent: convert(latest, 'co2', units),
+      population,
+      perCapita: population ? parseFloat((cumulative / population).toFixed(1)) : null,
+      share: worldCumulative > 0 ? parseFloat((cumulative / worldCumulative * 100).toFixed(2)) : 0
+    });
+  }
+
+  const notes = [];
+  if (noHistory.length > 0) {
+    notes.push(`No historical data for ${noHistory.length} countries (${noHistory.join(', ')}); excluded from the ranking`);
+  }
+  if (noRecent.length > 0) {
+    notes.push(`No ${getDataSource().getLabel()} data for ${noRecent.length} countries with history (${noRecent.join(', ')}); excluded from the ranking`);
+  }
+  if (noPopulation.length > 0) {
+    notes.push(`No ${to} population for ${noPopulation.join(', ')}; excluded from the per capita ranking`);
+  }
+
+  const ranked = rows
+    .sort((a, b) => (sort === 'per_capita' ? b.perCapita - a.perCapita : b.cumulativeTonnes - a.cumulativeTonnes))
+    .slice(0, limit)
+    .map(({ cumulativeTonnes, ...row }, index) => ({
+      ...row,
+      rank: index + 1,
+      cumulative: convert(cumulativeTonnes, 'co2', units)
+    }));
+
+  return {
+    since,
+    to,
+    sort,
+    historicalRange: usesHistory ? { since, to: historicalEnd } : null,
+    recentRange: usesRecent ? { since: recentStart, to } : null,
+    unit: unitLabel('co2', units),
+    units: describeUnits(units),
+    perCapitaUnit: `t CO2 per person (${to} population)`,
+    world: {
+      cumulative: convert(worldCumulative, 'co2', units),
+      historical: convert(worldHistorical, 'co2', units),
+      recent: convert(worldRecent, 'co2', units)
+    },
+    countries: ranked,
+    dataset: {
+      name: 'Our World in Data CO2',
+      years: historical.firstYear ? { first: historical.firstYear, last: historical.lastYear } : null,
+      countries: historical.countries.size,
+      startYears: historicalStartYears(historical)
+    },
+    methodology: (usesHistory ? `CO2 from ${since} to ${historicalEnd} is the difference of the OWID cumulative_co2 series. ` : '') +
+      (usesRecent ? `CO2 from ${recentStart} to ${to} is summed from ${getDataSource().getLabel()}. ` : '') +
+      'The historical series covers fossil fuels and industry only, while Climate TRACE sectors can include other sources, so the join is not seamless. ' +
+      `Per capita cumulative divides by ${to} population, which favours countries whose population grew.`,
+    source: `${getSourceLabel()} and Our World in Data`,
+    completeness: buildCompleteness(recent.missingCountries, notes)
+  };
+}
+
+export const RECONCILE_SORTS = ['discrepancy', 'difference', 'emissions'];
+
+/**
+ * Compares the data source's country emissions for one year and gas with
+ * alternative inventories (see inventories.js). Differences are the data
+ * source minus the inventory, as a percent of the inventory; a country is
+ * flagged when any difference reaches `threshold` percent. Throws an error
+ * with status 400 for an unknown inventory and 422 when none is configured.
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.year - Year to compare (default: 2022)
+ * @param {string} options.gas - co2, ch4, n2o, co2e_100yr or co2e_20yr (default: co2)
+ * @param {Array<string>|null} options.inventories - Inventory ids, or null for all
+ * @param {Array<string>|null} options.countries - ISO alpha-3 codes, or null for all
+ * @param {number} options.threshold - Percent difference that flags a country (default: 10)
+ * @param {string} options.sort - 'discrepancy', 'difference' or 'emissions'
+ * @param {number} options.limit - Number of countries (default: 50)
+ * @param {Object} options.units - Units context from resolveUnits()
+ */
+export async function reconcileEmissions(options = {}) {
+  const {
+    year = 2022,
+    gas = 'co2',
+    inventories: ids = null,
+    countries = null,
+    threshold = 10,
+    sort = 'discrepancy',
+    limit = 50,
+    units = DEFAULT_UNITS
+  } = options;
+
+  await initializeCountryNames();
+  const available = await listInventories();
+  if (available.length === 0) {
+    const error = new Error('No inventory datasets are configured');
+    error.status = 422;
+    throw error;
+  }
+  const unknown = (ids || []).filter(id => !available.some(inventory => inventory.id === id));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown inventory: ${unknown.join(', ')}. Available: ${available.map(i => i.id).join(', ')}`);
+  }
+  const inventories = await Promise.all((ids || available.map(i => i.id)).map(getInventory));
+  console.log(`📡 Reconciling ${gas} for ${year} with ${inventories.map(i => i.id).join(', ')}...`);
+
+  // Tonnes on the requested GWP basis, so differences are computed before rounding
+  const tonnes = resolveUnits({ unit: 't', gwp: units.recompute ? units.gwp : undefined });
+  const { rows, missingCountries } = await fetchAllCountryRows(year, year);
+  const processed = processCountryEmissions(rows, year, year, undefined, 'absolute', tonnes);
+  const inScope = code => !countries || countries.includes(code);
+  const reported = new Map(processed.countries
+    .filter(c => inScope(c.country))
+    .map(c => [c.country, c.emissions[gas]]));
+
+  const notes = [];
+  const compared = new Map();
+  const summaries = inventories.map(inventory => {
+    const { years, gases, countries: covered } = inventory.data;
+    if (!years.includes(year) || !gases.includes(gas)) {
+      notes.push(`${inventory.name} has no ${gas} for ${year} (years: ${years.join(', ') || 'none'}; gases: ${gases.join(', ') || 'none'})`);
+    }
+
+    const percents = [];
+    let emissionsTotal = 0;
+    let inventoryTotal = 0;
+    const inventoryOnly = [];
+
+    for (const code of covered) {
+      const value = inventoryValue(inventory, code, year, gas);
+      if (value === null || !inScope(code)) continue;
+      if (!reported.has(code)) {
+        if (!missingCountries.includes(code)) inventoryOnly.push(code);
+        continue;
+      }
+
+      const emissions = reported.get(code);
+      const difference = emissions - value;
+      const differencePercent = value > 0 ? difference / value * 100 : null;
+      if (differencePercent !== null) percents.push(Math.abs(differencePercent));
+      emissionsTotal += emissions;
+      inventoryTotal += value;
+
+      if (!compared.has(code)) compared.set(code, { emissions, comparisons: {} });
+      compared.get(code).comparisons[inventory.id] = { value, difference, differencePercent };
+    }
+
+    percents.sort((a, b) => a - b);
+    const median = percents.length === 0 ? null
+      : percents.length % 2 ? percents[(percents.length - 1) / 2]
+        : (percents[percents.length / 2 - 1] + percents[percents.length / 2]) / 2;
+
+    return {
+      id: inventory.id,
+      name: inventory.name,
+      description: inventory.description || '',
+      scope: inventory.scope || null,
+      url: inventory.url || null,
+      matched: percents.length,
+      flagged: percents.filter(p => p >= threshold).length,
+      emissionsTotal,
+      inventoryTotal,
+      medianAbsDifferencePercent: median === null ? null : parseFloat(median.toFixed(2)),
+      inventoryOnly
+    };
+  });
+
+  const percent = value => (value === null ? null : parseFloat(value.toFixed(2)));
+  const ranked = [...compared.entries()].map(([code, { emissions, comparisons }]) => {
+    const entries = Object.values(comparisons);
+    const discrepancies = entries.filter(c => c.differencePercent !== null).map(c => Math.abs(c.differencePercent));
+    const maxDiscrepancyPercent = discrepancies.length > 0 ? Math.max(...discrepancies) : null;
+    return {
+      country: code,
+      name: getCountryName(code),
+      emissions,
+      maxDifference: Math.max(...entries.map(c => Math.abs(c.difference))),
+      maxDiscrepancyPercent,
+      flagged: maxDiscrepancyPercent !== null && maxDiscrepancyPercent >= threshold,
+      inventories: comparisons
+    };
+  })
+    .sort((a, b) => {
+      if (sort === 'emissions') return b.emissions - a.emissions;
+      if (sort === 'difference') return b.maxDifference - a.maxDifference;
+      return (b.maxDiscrepancyPercent ?? -1) - (a.maxDiscrepancyPercent ?? -1);
+    });
+
+  return {
+    year,
+    gas,
+    gasName: GASES[gas].name,
+    unit: unitLabel(gas, units),
+    units: describeUnits(units),
+    threshold,
+    sort,
+    flaggedCount: ranked.filter(row => row.flagged).length,
+    inventories: summaries.map(({ emissionsTotal, inventoryTotal, ...summary }) => ({
+      ...summary,
+      emissionsTotal: convert(emissionsTotal, gas, units),
+      inventoryTotal: convert(inventoryTotal, gas, units),
+      difference: convert(emissionsTotal - inventoryTotal, gas, units),
+      differencePercent: inventoryTotal > 0 ? percent((emissionsTotal - inventoryTotal) / inventoryTotal * 100) : null
+    })),
+    countries: ranked.slice(0, limit).map(({ maxDifference, ...row }) => ({
+      ...row,
+      emissions: convert(row.emissions, gas, units),
+      maxDiscrepancyPercent: percent(row.maxDiscrepancyPercent),
+      inventories: Object.fromEntries(Object.entries(row.inventories).map(([id, c]) => [id, {
+        value: convert(c.value, gas, units),
+        difference: convert(c.difference, gas, units),
+        differencePercent: percent(c.differencePercent),
+        flagged: c.differencePercent !== null && Math.abs(c.differencePercent) >= threshold
+      }]))
+    })),
+    methodology: `Difference = ${getDataSource().getLabel()} minus the inventory, and as a percent of the inventory value. ` +
+      `A country is flagged when any difference reaches ${threshold}%. ` +
+      'Inventories differ in scope (land use, international bunkers, fugitive emissions, facility coverage) and method, ' +
+      'so a flagged gap can come from definitions rather than errors; check each inventory\'s scope.',
+    source: getSourceLabel(),
+    completeness: buildCompleteness(missingCountries, notes)
+  };
+}
+
+/**
+ * Applies a what-if scenario to the base year's country × sector emissions
+ * and compares the result with a baseline frozen at the base year: world
+ * total, sectors and industries, groups of the scenario's grouping and
+ * country rankings. Throws an error with status 400 for an unknown
+ * grouping or region.
+ * 
+ * @param {Object} options - Query options
+ * @param {Object} options.scenario - Output of validateScenario()
+ * @param {Object} options.units - Units context from resolveUnits()
+ * @param {number} options.limit - Number of countries in the ranking (default: 20)
+ */
+export async function runScenario(options = {}) {
+  const { scenario, units = DEFAULT_UNITS, limit = 20 } = options;
+  const { baseYear, targetYear, scheme } = scenario;
+
+  await initializeCountryNames();
+  const grouping = await getGrouping(scenario.grouping, await getCountryDefinitions());
+  if (!grouping) {
+    throw badRequest(`Unknown grouping: ${scenario.grouping}`);
+  }
+  const regionMembers = Object.fromEntries(grouping.groups.map(group => [group.id, new Set(group.members)]));
+  const unknownRegions = scenario.adjustments.filter(a => a.region && !regionMembers[a.region]).map(a => a.region);
+  if (unknownRegions.length > 0) {
+    throw badRequest(`Unknown region for grouping ${grouping.id}: ${[...new Set(unknownRegions)].join(', ')}. Available: ${Object.keys(regionMembers).join(', ')}`);
+  }
+
+  console.log(`📡 Running scenario ${scenario.name || '(unsaved)'} from ${baseYear} to ${targetYear}...`);
+  const data = await getDataSource().fetchAssetEmissions({ since: baseYear, to: baseYear });
+  const key = co2eKey(units);
+
+  // CO2e per country × sector in tonnes
+  const cells = [];
+  for (const [country, emissions] of Object.entries(data || {})) {
+    if (!Array.isArray(emissions)) continue;
+    const bySector = {};
+    for (const e of emissions) {
+      if (!GASES[e.Gas]) continue;
+      const slug = e.Sector?.toLowerCase();
+      bySector[slug] = bySector[slug] || {};
+      bySector[slug][e.Gas] = (bySector[slug][e.Gas] || 0) + (e.Emissions || 0);
+    }
+    for (const [sector, gases] of Object.entries(bySector)) {
+      cells.push({ country, sector, tonnes: applyGwp(gases, units)[key] || 0 });
+    }
+  }
+  if (cells.length === 0) {
+    throw new Error(`No sector data for ${baseYear}`);
+  }
+
+  const years = [];
+  for (let year = baseYear; year <= targetYear; year++) {
+    years.push(year);
+  }
+  const multipliers = cells.map(cell => cellMultiplier(scenario, cell.country, cell.sector, targetYear, regionMembers));
+  const baselineTotal = cells.reduce((sum, cell) => sum + cell.tonnes, 0);
+  const scenarioTotal = cells.reduce((sum, cell, i) => sum + cell.tonnes * multipliers[i], 0);
+
+  const compare = (baseline, modified) => ({
+    baseline: convert(baseline, key, units),
+    scenario: convert(modified, key, units),
+    change: convert(modified - baseline, key, units),
+    changePercent: baseline > 0 ? parseFloat(((modified - baseline) / baseline * 100).toFixed(2)) : null
+  });
+  const sumBy = keyOf => {
+    const totals = {};
+    cells.forEach((cell, i) => {
+      const id = keyOf(cell);
+      totals[id] = totals[id] || { baseline: 0, scenario: 0 };
+      totals[id].baseline += cell.tonnes;
+      totals[id].scenario += cell.tonnes * multipliers[i];
+    });
+    return totals;
+  };
+
+  const sectors = Object.entries(sumBy(cell => cell.sector))
+    .map(([slug, t]) => ({ id: slug, ...describeSector(slug), category: categorize(slug, scheme).id, ...compare(t.baseline, t.scenario) }))
+    .filter(s => s.baseline > 0)
+    .sort((a, b) => b.baseline - a.baseline);
+
+  const byIndustry = sumBy(cell => categorize(cell.sector, scheme).id);
+  const industries = listCategories(scheme)
+    .filter(category => byIndustry[category.id]?.baseline > 0)
+    .map(category => ({ ...category, ...compare(byIndustry[category.id].baseline, byIndustry[category.id].scenario) }))
+    .sort((a, b) => b.baseline - a.baseline);
+
+  const share = (part, whole) => (whole > 0 ? parseFloat((part / whole * 100).toFixed(2)) : null);
+  const byCountry = sumBy(cell => cell.country);
+  const groups = grouping.groups
+    .map(group => {
+      const totals = group.members.reduce((sum, code) => ({
+        baseline: sum.baseline + (byCountry[code]?.baseline || 0),
+        scenario: sum.scenario + (byCountry[code]?.scenario || 0)
+      }), { baseline: 0, scenario: 0 });
+      return {
+        id: group.id,
+        name: group.name,
+        color: group.color,
+        ...compare(totals.baseline, totals.scenario),
+        baselineShare: share(totals.baseline, baselineTotal),
+        scenarioShare: share(totals.scenario, scenarioTotal)
+      };
+    })
+    .filter(group => group.baseline > 0)
+    .sort((a, b) => b.scenario - a.scenario);
+
+  const rankings = Object.entries(byCountry).map(([code, t]) => ({ code, ...t }));
+  const baselineRanks = Object.fromEntries([...rankings].sort((a, b) => b.baseline - a.baseline).map((c, i) => [c.code, i + 1]));
+  const countries = rankings
+    .sort((a, b) => b.scenario - a.scenario)
+    .slice(0, limit)
+    .map((c, i) => ({
+      country: c.code,
+      name: getCountryName(c.code),
+      rank: i + 1,
+      baselineRank: baselineRanks[c.code],
+      rankChange: baselineRanks[c.code] - (i + 1),
+      ...compare(c.baseline, c.scenario),
+      baselineShare: share(c.baseline, baselineTotal),
+      scenarioShare: share(c.scenario, scenarioTotal)
+    }));
+
+  const adjustments = scenario.adjustments.map(adjustment => {
+    const affected = cells.filter(cell => matchingAdjustments({ ...scenario, adjustments: [adjustment] }, cell.country, cell.sector, regionMembers).length > 0);
+    const tonnes = affected.reduce((sum, cell) => sum + cell.tonnes, 0);
+    if (tonnes === 0) {
+      console.warn(`⚠️ Scenario adjustment matches no emissions:`, adjustment);
     }
+    return { ...adjustment, affectedBaseline: convert(tonnes, key, units), matchedCells: affected.length };
+  });
+
+  const path = years.map(year => {
+    const total = cells.reduce((sum, cell) => sum + cell.tonnes * cellMultiplier(scenario, cell.country, cell.sector, year, regionMembers), 0);
+    return { year, baseline: convert(baselineTotal, key, units), scenario: convert(total, key, units) };
+  });
+
+  const unmatched = adjustments.filter(a => a.matchedCells === 0).length;
+  const notes = unmatched > 0 ? [`${unmatched} adjustment${unmatched === 1 ? '' : 's'} matched no emissions in ${baseYear}`] : [];
+
+  return {
+    scenario,
+    unit: unitLabel(key, units),
+    units: describeUnits(units),
+    world: compare(baselineTotal, scenarioTotal),
+    sectors,
+    industries,
+    regions: { grouping: { id: grouping.id, name: grouping.name }, groups },
+    countries,
+    adjustments,
+    path,
+    methodology: `The baseline holds ${baseYear} emissions constant. Each adjustment scales the matching country × sector emissions, ` +
+      `phased in linearly from ${baseYear} to its target year; overlapping adjustments compound. ` +
+      'Totals are the sum of sector data, which can differ slightly from national totals.',
+    source: getSourceLabel(),
+    completeness: buildCompleteness([], notes)
+  };
+}
 
-    const regions = Object.values(regionData)
-      .filter(r => r.name)
-      .map(r => {
-        const sortedCountries = r.countryList.sort((a, b) => b.emissions.co2 - a.emissions.co2);
-        const regionTotal = r.emissions;
+/**
+ * Aggregates emissions of every country into the groups of a grouping
+ * (continents, EU27, G20, custom blocs, ...). Groups and their countries
+ * are ordered by the requested metric; group intensities are population-
+ * and GDP-weighted. Countries outside every group are summed separately.
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.since - Start year (default: 2023)
+ * @param {number} options.to - End year (default: 2023)
+ * @param {string} options.grouping - Grouping id (default: continent)
+ * @param {string} options.metric - Ranking: 'absolute', 'per_capita' or 'per_gdp'
+ * @param {Object} options.units - Units context from resolveUnits()
+ * @returns {Promise<Object|null>} Group totals, or null for an unknown grouping
+ */
+export async function getGroupEmissions(options = {}) {
+  const { since = 2023, to = 2023, grouping: groupingId = DEFAULT_GROUPING, units = DEFAULT_UNITS } = options;
+  const metric = resolveMetric(options.metric);
+  
+  await initializeCountryNames();
+  
+  const countryDefs = await getCountryDefinitions();
+  const grouping = await getGrouping(groupingId, countryDefs);
+  if (!grouping) return null;
+  
+  const groupingInfo = {
+    id: grouping.id,
+    name: grouping.name,
+    description: grouping.description,
+    custom: grouping.custom
+  };
+  
+  try {
+    console.log(`📡 Aggregating ${grouping.name} (${since}-${to})...`);
+    
+    const [{ rows, missingCountries }, indicators] = await Promise.all([
+      fetchAllCountryRows(since, to),
+      getIndicators(since, to)
+    ]);
+    const processed = processCountryEmissions(rows, since, to, indicators, metric, units);
+    const byCode = Object.fromEntries(processed.countries.map(c => [c.country, c]));
+    const tonnesByCode = Object.fromEntries(rows.map(d => [d.country, d.emissions || {}]));
+    const worldCo2 = rows[0]?.worldEmissions?.co2 || 0;
+    const worldShare = co2 => worldCo2 > 0 ? parseFloat((co2 / worldCo2 * 100).toFixed(1)) : 0;
+    
+    const groups = grouping.groups
+      .map(group => {
+        const members = group.members.filter(code => byCode[code]);
+        const sortedCountries = members.map(code => byCode[code]).sort(byMetric(metric));
+        const tonnes = sumGasTonnes(members.map(code => tonnesByCode[code]));
+        const gases = convertGases(tonnes, units);
         
         return {
-          name: r.name,
-          emissions: Math.round(r.emissions),
-          color: r.color,
-          countryCount: r.countryList.length,
-          percentage: totalAssigned > 0 ? parseFloat((r.emissions / totalAssigned * 100).toFixed(1)) : 0,
-          countries: r.countryList.length,
+          id: group.id,
+          name: group.name,
+          emissions: gases.co2,
+          gases,
+          color: group.color,
+          countryCount: members.length,
+          memberCount: group.members.length,
+          missingMembers: group.members.filter(code => !byCode[code]),
+          percentage: worldShare(tonnes.co2),
+          countries: members.length,
+          intensity: combineIntensity(sortedCountries.map(c => c.intensity)),
           topCountries: sortedCountries.slice(0, 3).map(c => c.name || c.country),
           countryBreakdown: sortedCountries.slice(0, 10).map(c => ({
             name: c.name || c.country,
             code: c.country,
             emissions: c.emissions.co2,
-            percentage: regionTotal > 0 ? parseFloat((c.emissions.co2 / regionTotal * 100).toFixed(1)) : 0
+            perCapita: c.intensity.perCapita,
+            perGdp: c.intensity.perGdp,
+            percentage: tonnes.co2 > 0 ? parseFloat(((tonnesByCode[c.country].co2 || 0) / tonnes.co2 * 100).toFixed(1)) : 0
           }))
         };
       })
-      .sort((a, b) => b.emissions - a.emissions);
+      .filter(g => g.countryCount > 0)
+      .sort(byMetric(metric));
+    
+    const grouped = new Set(grouping.groups.flatMap(g => g.members));
+    const others = rows.filter(d => !grouped.has(d.country));
+    const otherTonnes = sumGasTonnes(others.map(d => d.emissions || {}));
+    
+    return {
+      grouping: groupingInfo,
+      groups,
+      otherCountries: {
+        emissions: convert(otherTonnes.co2, 'co2', units),
+        percentage: worldShare(otherTonnes.co2),
+        countryCount: others.length
+      },
+      topCountries: processed.countries.slice(0, 20),
+      metric,
+      metricUnit: metricUnit(metric, units),
+      units: processed.units,
+      indicators: processed.indicators,
+      year: to,
+      yearRange: { since, to },
+      source: getSourceLabel(),
+      completeness: buildCompleteness(
+        missingCountries,
+        missingCountries.length > 0 ? [`Group totals exclude ${missingCountries.length} countries whose data could not be fetched`] : []
+      )
+    };
+  } catch (error) {
+    console.error(`❌ Failed to aggregate ${grouping.name}:`, error.message);
+    return {
+      grouping: groupingInfo,
+      groups: [],
+      otherCountries: null,
+      topCountries: [],
+      metric,
+      metricUnit: metricUnit(metric, units),
+      units: describeUnits(units),
+      year: to,
+      yearRange: { since, to },
+      source: getSourceLabel(),
+      completeness: buildCompleteness([], [`Group data unavailable: ${error.message}`])
+    };
+  }
+}
+
+/**
+ * Sums raw gas tonnes over several countries
+ */
+function sumGasTonnes(list) {
+  const sum = Object.fromEntries(GAS_KEYS.map(gas => [gas, 0]));
+  for (const emissions of list) {
+    for (const gas of GAS_KEYS) sum[gas] += emissions?.[gas] || 0;
+  }
+  return sum;
+}
+
+/**
+ * Aggregates emissions by continent over every country.
+ * Regions and their countries are ordered by the requested metric.
+ */
+export async function getRegionalEmissions(options = {}) {
+  const data = await getGroupEmissions({ ...options, grouping: DEFAULT_GROUPING });
+  
+  return {
+    regions: data.groups,
+    topCountries: data.topCountries,
+    metric: data.metric,
+    metricUnit: data.metricUnit,
+    units: data.units,
+    indicators: data.indicators,
+    completeness: data.completeness
+  };
+}
+
+export const MOVER_SUBJECTS = ['country', 'sector', 'region'];
+
+/**
+ * Emissions over a year range by country, sector or group, in tonnes of `gas`
+ *
+ * @returns {Promise<{values: Object, names: Object, missingCountries: string[]}>} values and names keyed by id
+ */
+async function fetchEmissionsBy(subject, since, to, { gas, units, grouping = null }) {
+  if (subject === 'sector') {
+    const data = await getDataSource().fetchAssetEmissions({ since, to, countries: null });
+    const tonnes = {};
+    for (const emissions of Object.values(data || {})) {
+      if (!Array.isArray(emissions)) continue;
+      for (const e of emissions) {
+        if (!GASES[e.Gas] || !e.Sector) continue;
+        const id = e.Sector.toLowerCase();
+        if (!tonnes[id]) tonnes[id] = Object.fromEntries(GAS_KEYS.map(g => [g, 0]));
+        tonnes[id][e.Gas] += e.Emissions || 0;
+      }
+    }
+    return {
+      values: Object.fromEntries(Object.entries(tonnes).map(([id, gases]) => [id, applyGwp(gases, units)[gas] || 0])),
+      names: Object.fromEntries(Object.keys(tonnes).map(id => [id, describeSector(id).name])),
+      missingCountries: []
+    };
+  }
+
+  const { rows, missingCountries } = await fetchAllCountryRows(since, to);
+  const byCode = Object.fromEntries(rows.map(d => [d.country, d.emissions || {}]));
+
+  if (subject === 'region') {
+    return {
+      values: Object.fromEntries(grouping.groups.map(group => [
+        group.id,
+        applyGwp(sumGasTonnes(group.members.map(code => byCode[code])), units)[gas] || 0
+      ])),
+      names: Object.fromEntries(grouping.groups.map(group => [group.id, group.name])),
+      missingCountries
+    };
+  }
+
+  return {
+    values: Object.fromEntries(Object.entries(byCode).map(([code, emissions]) => [code, applyGwp(emissions, units)[gas] || 0])),
+    names: Object.fromEntries(Object.keys(byCode).map(code => [code, getCountryName(code)])),
+    missingCountries
+  };
+}
+
+/**
+ * Ranks ids by value, largest first; ids without emissions are unranked
+ */
+function rankValues(values) {
+  return Object.fromEntries(
+    Object.entries(values)
+      .filter(([, value]) => value > 0)
+      .sort((a, b) => b[1] - a[1])
+      .map(([id], index) => [id, index + 1])
+  );
+}
+
+/**
+ * Biggest movers between two years: absolute and percentage increases and
+ * decreases, rank climbs and falls, and entries to and exits from the top N.
+ * Ranks are computed over every country, sector or group in each year by
+ * `gas`, so any two years can be compared.
+ *
+ * Percentage and rank lists only consider the top N of either year, where
+ * small bases and long tails would otherwise dominate.
+ *
+ * @param {Object} options - Query options
+ * @param {number} options.from - Earlier year (default: to - 1)
+ * @param {number} options.to - Later year (default: 2023)
+ * @param {string} options.by - 'country' (default), 'sector' or 'region'
+ * @param {string} options.grouping - Grouping id for regions (default: continent)
+ * @param {number} options.top - Size of the top N (default: 20)
+ * @param {number} options.limit - Entries per list (default: 10)
+ * @param {string} options.gas - Gas to compare (default: CO2e of the GWP basis)
+ * @param {Object} options.units - Units context from resolveUnits()
+ * @returns {Promise<Object|null>} Movers, or null for an unknown grouping
+ */
+export async function getEmissionsMovers(options = {}) {
+  const {
+    to = 2023,
+    by = 'country',
+    grouping: groupingId = DEFAULT_GROUPING,
+    top = 20,
+    limit = 10,
+    units = DEFAULT_UNITS
+  } = options;
+  const from = options.from ?? to - 1;
+  const gas = GAS_KEYS.includes(options.gas) ? options.gas : co2eKey(units);
+
+  await initializeCountryNames();
+
+  const grouping = by === 'region' ? await getGrouping(groupingId, await getCountryDefinitions()) : null;
+  if (by === 'region' && !grouping) return null;
+
+  const base = {
+    by,
+    grouping: grouping && { id: grouping.id, name: grouping.name },
+    from,
+    to,
+    gas,
+    unit: unitLabel(gas, units),
+    units: describeUnits(units),
+    top,
+    source: getSourceLabel()
+  };
+
+  try {
+    console.log(`📡 Comparing ${by} emissions ${from} → ${to}...`);
+
+    const [earlier, later] = await Promise.all([
+      fetchEmissionsBy(by, from, from, { gas, units, grouping }),
+      fetchEmissionsBy(by, to, to, { gas, units, grouping })
+    ]);
+    const fromRanks = rankValues(earlier.values);
+    const toRanks = rankValues(later.values);
+
+    const movers = [...new Set([...Object.keys(earlier.values), ...Object.keys(later.values)])]
+      .map(id => {
+        const before = earlier.values[id] || 0;
+        const after = later.values[id] || 0;
+        return {
+          id,
+          name: later.names[id] || earlier.names[id] || id,
+          before,
+          after,
+          change: after - before,
+          changePercent: before > 0 ? parseFloat(((after - before) / before * 100).toFixed(1)) : null,
+          fromRank: fromRanks[id] ?? null,
+          toRank: toRanks[id] ?? null
+        };
+      })
+      .filter(m => m.before > 0 || m.after > 0);
+
+    const inTop = rank => rank !== null && rank <= top;
+    const tracked = movers.filter(m => inTop(m.fromRank) || inTop(m.toRank));
+    const rankChange = m => (m.fromRank !== null && m.toRank !== null ? m.fromRank - m.toRank : null);
+
+    const format = m => ({
+      id: m.id,
+      name: m.name,
+      from: convert(m.before, gas, units),
+      to: convert(m.after, gas, units),
+      change: convert(m.change, gas, units),
+      changePercent: m.changePercent,
+      fromRank: m.fromRank,
+      toRank: m.toRank,
+      rankChange: rankChange(m)
+    });
+    const list = (items, compare) => items.sort(compare).slice(0, limit).map(format);
+
+    const missingCountries = [...new Set([...earlier.missingCountries, ...later.missingCountries])];
 
     return {
-      regions,
-      topCountries: countries.slice(0, 20)
+      ...base,
+      count: movers.length,
+      increases: list(movers.filter(m => m.change > 0), (a, b) => b.change - a.change),
+      decreases: list(movers.filter(m => m.change < 0), (a, b) => a.change - b.change),
+      percentIncreases: list(tracked.filter(m => m.changePercent > 0), (a, b) => b.changePercent - a.changePercent),
+      percentDecreases: list(tracked.filter(m => m.changePercent < 0), (a, b) => a.changePercent - b.changePercent),
+      rankClimbs: list(tracked.filter(m => rankChange(m) > 0), (a, b) => rankChange(b) - rankChange(a)),
+      rankFalls: list(tracked.filter(m => rankChange(m) < 0), (a, b) => rankChange(a) - rankChange(b)),
+      entered: movers.filter(m => inTop(m.toRank) && !inTop(m.fromRank)).sort((a, b) => a.toRank - b.toRank).map(format),
+      left: movers.filter(m => inTop(m.fromRank) && !inTop(m.toRank)).sort((a, b) => a.fromRank - b.fromRank).map(format),
+      completeness: buildCompleteness(
+        missingCountries,
+        missingCountries.length > 0 ? [`Movers exclude ${missingCountries.length} countries whose data could not be fetched`] : []
+      )
     };
   } catch (error) {
-    console.error('❌ Failed to fetch regional emissions:', error.message);
-    return { regions: [], topCountries: [] };
+    console.error('❌ Failed to compare emissions:', error.message);
+    return {
+      ...base,
+      count: 0,
+      increases: [],
+      decreases: [],
+      percentIncreases: [],
+      percentDecreases: [],
+      rankClimbs: [],
+      rankFalls: [],
+      entered: [],
+      left: [],
+      completeness: buildCompleteness([], [`Movers unavailable: ${error.message}`])
+    };
+  }
+}
+
+/**
+ * Concentration of emissions over every country and every sector for a
+ * year range: top-N cumulative shares, Lorenz curve, Gini and Herfindahl
+ * indices (see services/concentration.js).
+ *
+ * @param {Object} options - Query options
+ * @param {number} options.since - Start year (default: 2023)
+ * @param {number} options.to - End year (default: 2023)
+ * @param {string} options.gas - Gas measured (default: CO2e of the GWP basis)
+ * @param {Object} options.units - Units context from resolveUnits()
+ */
+export async function getEmissionsConcentration(options = {}) {
+  const { since = 2023, to = 2023, units = DEFAULT_UNITS } = options;
+  const gas = GAS_KEYS.includes(options.gas) ? options.gas : co2eKey(units);
+
+  await initializeCountryNames();
+
+  console.log(`📡 Measuring emissions concentration (${since}-${to})...`);
+
+  const [countries, sectors] = await Promise.allSettled([
+    fetchEmissionsBy('country', since, to, { gas, units }),
+    fetchEmissionsBy('sector', since, to, { gas, units })
+  ]);
+
+  const notes = [];
+  const measure = (result, label) => {
+    if (result.status === 'rejected') {
+      console.error(`❌ Failed to measure ${label} concentration:`, result.reason?.message);
+      notes.push(`${label[0].toUpperCase()}${label.slice(1)} data unavailable: ${result.reason?.message}`);
+      return null;
+    }
+    const { values, names } = result.value;
+    const stats = measureConcentration(Object.entries(values).map(([id, value]) => ({ id, name: names[id], value })));
+    return {
+      ...stats,
+      total: convert(Object.values(values).reduce((sum, value) => sum + value, 0), gas, units)
+    };
+  };
+
+  const missingCountries = countries.status === 'fulfilled' ? countries.value.missingCountries : [];
+  if (missingCountries.length > 0) {
+    notes.push(`Country statistics exclude ${missingCountries.length} countries whose data could not be fetched`);
   }
+
+  return {
+    countries: measure(countries, 'country'),
+    sectors: measure(sectors, 'sector'),
+    gas,
+    unit: unitLabel(gas, units),
+    units: describeUnits(units),
+    year: to,
+    yearRange: { since, to },
+    source: getSourceLabel(),
+    completeness: buildCompleteness(missingCountries, notes)
+  };
 }
 
 /**
  * Fetches multi-gas emissions data (CO2, CH4, N2O, CO2e).
+ * With a per-capita or per-GDP metric, countries are ranked by CO2 intensity.
  */
 export async function getAllGasesEmissions(options = {}) {
-  const { since = 2023, to = 2023, limit = 30 } = options;
+  const { since = 2023, to = 2023, limit = 30, units = DEFAULT_UNITS } = options;
+  const metric = resolveMetric(options.metric);
   
   await initializeCountryNames();
   
   try {
     console.log(`📡 Fetching all gases emissions (${since}-${to})...`);
     
-    const topCountries = await getTopEmittingCountryCodes(since, to, limit);
-    const url = `${CLIMATE_TRACE_BASE}/country/emissions?since=${since}&to=${to}&countries=${topCountries.join(',')}`;
-    
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
+    const { codes: topCountries, completeness } = await getTopEmittingCountryCodes(since, to, limit, metric);
+    const [data, indicators] = await Promise.all([
+      getDataSource().fetchCountryEmissions({ since, to, countries: topCountries }),
+      getIndicators(since, to)
+    ]);
     
     const countries = data
       .filter(d => d.country && d.country !== 'all')
@@ -683,164 +2632,436 @@ export async function getAllGasesEmissions(options = {}) {
         country: d.country,
         name: getCountryName(d.country),
         rank: d.rank,
-        gases: {
-          co2: {
-            value: Math.round((d.emissions?.co2 || 0) / 1e6),
-            unit: 'Mt',
-            name: 'Carbon Dioxide'
-          },
-          ch4: {
-            value: Math.round((d.emissions?.ch4 || 0) / 1e3),
-            unit: 'kt',
-            name: 'Methane'
-          },
-          n2o: {
-            value: Math.round((d.emissions?.n2o || 0) / 1e3),
-            unit: 'kt',
-            name: 'Nitrous Oxide'
-          },
-          co2e_100yr: {
-            value: Math.round((d.emissions?.co2e_100yr || 0) / 1e6),
-            unit: 'Mt',
-            name: 'CO2 Equivalent (100yr)'
-          },
-          co2e_20yr: {
-            value: Math.round((d.emissions?.co2e_20yr || 0) / 1e6),
-            unit: 'Mt',
-            name: 'CO2 Equivalent (20yr)'
-          }
-        }
+        gases: labelGases(d.emissions, units),
+        intensity: computeIntensity(d.emissions?.co2 || 0, indicators.countries[d.country], to - since + 1)
       }))
-      .sort((a, b) => b.gases.co2e_100yr.value - a.gases.co2e_100yr.value);
+      .sort(metric === 'absolute'
+        ? (a, b) => b.gases[co2eKey(units)].value - a.gases[co2eKey(units)].value
+        : byMetric(metric));
 
     const worldData = data[0]?.worldEmissions || {};
     
     return {
       year: to,
       yearRange: { since, to },
-      source: 'Data Source: Climate TRACE',
+      source: getSourceLabel(),
       lastUpdated: new Date().toISOString(),
-      worldTotals: {
-        co2: { value: Math.round((worldData.co2 || 0) / 1e6), unit: 'Mt', name: 'Carbon Dioxide' },
-        ch4: { value: Math.round((worldData.ch4 || 0) / 1e3), unit: 'kt', name: 'Methane' },
-        n2o: { value: Math.round((worldData.n2o || 0) / 1e3), unit: 'kt', name: 'Nitrous Oxide' },
-        co2e_100yr: { value: Math.round((worldData.co2e_100yr || 0) / 1e6), unit: 'Mt', name: 'CO2 Equivalent (100yr)' },
-        co2e_20yr: { value: Math.round((worldData.co2e_20yr || 0) / 1e6), unit: 'Mt', name: 'CO2 Equivalent (20yr)' }
-      },
-      countries
+      units: describeUnits(units),
+      worldTotals: labelGases(worldData, units),
+      metric,
+      metricUnit: metricUnit(metric, units),
+      countries,
+      completeness
     };
   } catch (error) {
     console.error('❌ Failed to fetch all gases:', error.message);
-    return { countries: [], worldTotals: {} };
+    return {
+      countries: [],
+      worldTotals: {},
+      completeness: buildCompleteness([], [`Gas data unavailable: ${error.message}`])
+    };
   }
 }
 
 /**
- * Looks up country name from ISO alpha-3 code.
+ * Builds a single-country profile: multi-year history, rank movement,
+ * all gases, sector breakdown, continent and share of its region.
+ * 
+ * @param {string} code - ISO alpha-3 country code
+ * @param {Object} options - Query options
+ * @param {number} options.since - Start year of the profiled period (default: 2023)
+ * @param {number} options.to - End year of the profiled period (default: 2023)
+ * @param {number} options.startYear - First year of the history series (default: 2015)
+ * @param {Object} options.units - Units context from resolveUnits()
+ * @returns {Promise<Object|null>} Country profile, or null for an unknown code
  */
-function getCountryName(code) {
-  return countryNameCache[code] || code;
+export async function getCountryDetail(code, options = {}) {
+  const { since = 2023, to = 2023, startYear = 2015, units = DEFAULT_UNITS } = options;
+  const iso3 = code.toUpperCase();
+
+  await initializeCountryNames();
+
+  const countryDefs = await getCountryDefinitions();
+  const definition = countryDefs.find(c => c.alpha3 === iso3);
+  if (!definition) return null;
+
+  console.log(`📡 Fetching country detail for ${iso3} (${since}-${to})...`);
+
+  const source = getDataSource();
+  const years = [];
+  for (let year = Math.min(startYear, since); year <= to; year++) {
+    years.push(year);
+  }
+
+  // Only the country's own continent is needed for its regional share
+  const continent = (await getGrouping(DEFAULT_GROUPING, countryDefs)).groups.find(g => g.name === definition.continent);
+
+  // Each part is settled on its own so one failing call only leaves a gap
+  const [rangeResult, indicatorsResult, historySettled, sectorResult, regionResult] = await Promise.allSettled([
+    source.fetchCountryEmissions({ since, to, countries: [iso3] }),
+    getIndicators(since, to),
+    Promise.allSettled(
+      years.map(year => source.fetchCountryEmissions({ since: year, to: year, countries: [iso3] }))
+    ),
+    getSectorEmissions({ since, to, countries: iso3, units }),
+    continent ? fetchCountryRows(continent.members, since, to) : Promise.resolve(null)
+  ]);
+
+  const notes = [];
+  const settled = (result, part, fallback) => {
+    if (result.status === 'fulfilled') return result.value;
+    console.warn(`⚠️ ${part} for ${iso3} failed:`, result.reason?.message);
+    notes.push(`${part} unavailable: ${result.reason?.message || 'request failed'}`);
+    return fallback;
+  };
+  const rangeData = settled(rangeResult, 'Emissions', []);
+  const indicators = settled(indicatorsResult, 'Indicators', { countries: {} });
+  const historyResults = historySettled.value;
+  const sectorData = settled(sectorResult, 'Sector breakdown', { sectors: [], industries: [], completeness: { notes: [] } });
+  const regionRows = settled(regionResult, 'Regional total', null);
+
+  const raw = (Array.isArray(rangeData) ? rangeData : [rangeData]).find(d => d?.country === iso3);
+  const current = raw ? processCountryEmissions([raw], since, to, indicators, 'absolute', units).countries[0] : null;
+
+  const history = [];
+  const missingYears = [];
+  historyResults.forEach((result, index) => {
+    const entry = result.status === 'fulfilled' && Array.isArray(result.value)
+      ? result.value.find(d => d.country === iso3)
+      : null;
+    if (!entry) {
+      missingYears.push(years[index]);
+      return;
+    }
+    const processed = processCountryEmissions([entry], years[index], years[index], undefined, 'absolute', units).countries[0];
+    history.push({
+      year: years[index],
+      rank: processed.rank,
+      share: processed.share,
+      ...processed.emissions
+    });
+  });
+
+  const regionCountries = regionRows?.rows.length > 0
+    ? processCountryEmissions(regionRows.rows, since, to, indicators, 'absolute', units).countries
+    : [];
+  const region = regionCountries.length > 0
+    ? {
+        name: continent.name,
+        emissions: convert(sumGasTonnes(regionRows.rows.map(d => d.emissions)).co2, 'co2', units),
+        intensity: combineIntensity(regionCountries.map(c => c.intensity)),
+        color: continent.color
+      }
+    : null;
+  const co2 = current?.emissions.co2 || 0;
+
+  if (missingYears.length > 0) {
+    notes.push(`No history for ${missingYears.join(', ')}`);
+  }
+  notes.push(...sectorData.completeness.notes);
+  if (!region) {
+    notes.push(`No regional total for ${definition.continent || 'unknown continent'}`);
+  } else if (regionRows.missingCountries.length > 0) {
+    notes.push(`Regional total excludes ${regionRows.missingCountries.length} countries whose data could not be fetched`);
+  }
+
+  return {
+    country: iso3,
+    name: definition.name || getCountryName(iso3),
+    alpha2: definition.alpha2 || null,
+    continent: definition.continent || null,
+    year: to,
+    yearRange: { since, to },
+    rank: current?.rank ?? null,
+    previousRank: current?.previousRank ?? null,
+    rankChange: Number.isInteger(current?.rank) && Number.isInteger(current?.previousRank)
+      ? current.previousRank - current.rank
+      : null,
+    emissions: current?.emissions || null,
+    gases: labelGases(raw?.emissions, units),
+    share: current?.share ?? 0,
+    intensity: current?.intensity || computeIntensity(0, null),
+    region: region
+      ? {
+          name: region.name,
+          emissions: region.emissions,
+          share: region.emissions > 0 ? parseFloat((co2 / region.emissions * 100).toFixed(1)) : 0,
+          intensity: region.intensity,
+          color: region.color
+        }
+      : null,
+    sectors: sectorData.sectors,
+    industries: sectorData.industries,
+    history,
+    units: describeUnits(units),
+    source: getSourceLabel(),
+    lastUpdated: new Date().toISOString(),
+    completeness: buildCompleteness(raw ? [] : [iso3], notes)
+  };
 }
 
 /**
- * Converts API sector slugs to human-readable names.
- */
-function normalizeSectorName(sector) {
-  const mapping = {
-    'power': 'Power Generation',
-    'electricity-generation': 'Power Generation',
-    'transportation': 'Transportation',
-    'road-transportation': 'Road Transport',
-    'domestic-aviation': 'Aviation',
-    'international-aviation': 'International Aviation',
-    'international-shipping': 'Shipping',
-    'manufacturing': 'Manufacturing',
-    'steel': 'Steel Production',
-    'cement': 'Cement Production',
-    'chemicals': 'Chemicals',
-    'petrochemical-steam-cracking': 'Petrochemicals',
-    'buildings': 'Buildings',
-    'residential-and-commercial-onsite-fuel-usage': 'Buildings',
-    'agriculture': 'Agriculture',
-    'enteric-fermentation-cattle-pasture': 'Livestock',
-    'rice-cultivation': 'Rice Cultivation',
-    'fossil-fuel-operations': 'Fossil Fuel Operations',
-    'oil-and-gas-production-and-transport': 'Oil & Gas',
-    'oil-and-gas-refining': 'Oil Refining',
-    'coal-mining': 'Coal Mining',
-    'waste': 'Waste',
-    'solid-waste-disposal': 'Solid Waste',
-    'forestry-and-land-use': 'Land Use',
-    'forest-land-clearing': 'Deforestation',
-    'mineral-extraction': 'Mining'
+ * Emissions of a country's states or provinces, from the assets located
+ * in each area. Admin areas only hold asset emissions, so they rarely add
+ * up to the national total; `coverage` reports how much they account for.
+ * 
+ * @param {string} code - ISO alpha-3 country code
+ * @param {Object} options - Query options
+ * @param {number} options.since - Start year (default: 2023)
+ * @param {number} options.to - End year (default: 2023)
+ * @param {Object} options.units - Units context from resolveUnits()
+ * @param {string} options.scheme - Taxonomy scheme for industries
+ * @returns {Promise<Object|null>} null for an unknown country
+ */
+export async function getSubnationalEmissions(code, options = {}) {
+  const { since = 2023, to = 2023, units = DEFAULT_UNITS, scheme = DEFAULT_SCHEME } = options;
+  const iso3 = code.toUpperCase();
+
+  await initializeCountryNames();
+  const countryDefs = await getCountryDefinitions();
+  if (!countryDefs.some(c => c.alpha3 === iso3)) return null;
+
+  console.log(`📡 Fetching subnational emissions for ${iso3} (${since}-${to})...`);
+  const [admins, national] = await Promise.all([
+    getAdminDefinitions(iso3),
+    getSectorEmissions({ since, to, countries: iso3, units, scheme })
+  ]);
+  const results = await Promise.allSettled(admins.map(admin => getDataSource().fetchAdminEmissions({ since, to, id: admin.id })));
+
+  const key = co2eKey(units);
+  const missing = [];
+  const areas = [];
+  results.forEach((result, index) => {
+    if (result.status !== 'fulfilled') {
+      missing.push(admins[index].name);
+      return;
+    }
+    const sectors = processSectorEmissions(result.value || {}, units, scheme);
+    areas.push({
+      ...admins[index],
+      emissions: convertGases(sumAdminGases(result.value), units),
+      total: sectors.total,
+      share: national.total > 0 ? parseFloat((sectors.total / national.total * 100).toFixed(1)) : null,
+      topSectors: sectors.sectors.slice(0, 3).map(({ id, name, emissions, percentage }) => ({ id, name, emissions, percentage }))
+    });
+  });
+  areas.sort((a, b) => b.total - a.total).forEach((area, index) => { area.rank = index + 1; });
+
+  const attributed = round(areas.reduce((sum, area) => sum + area.total, 0));
+  const notes = [...national.completeness.notes];
+  if (admins.length === 0) {
+    notes.push(`${getDataSource().getLabel()} has no states or provinces for ${getCountryName(iso3)}`);
+  }
+  if (missing.length > 0) {
+    notes.push(`No emissions for ${missing.join(', ')}`);
+  }
+
+  return {
+    country: iso3,
+    name: getCountryName(iso3),
+    year: to,
+    yearRange: { since, to },
+    unit: unitLabel(key, units),
+    units: describeUnits(units),
+    national: national.total,
+    attributed,
+    coverage: national.total > 0 ? parseFloat((attributed / national.total * 100).toFixed(1)) : null,
+    admins: areas,
+    source: getSourceLabel(),
+    completeness: buildCompleteness([], notes)
   };
-  
-  return mapping[sector?.toLowerCase()] || sector?.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) || 'Other';
 }
 
 /**
- * Returns consistent chart colors for each sector.
+ * One state or province: its emissions by gas and by sector and its share
+ * of the national total
+ * 
+ * @param {string} id - Admin id, e.g. "USA.5_1"
+ * @param {Object} options - Query options
+ * @param {number} options.since - Start year (default: 2023)
+ * @param {number} options.to - End year (default: 2023)
+ * @param {Object} options.units - Units context from resolveUnits()
+ * @param {string} options.scheme - Taxonomy scheme for industries
  */
-function getSectorColor(sector) {
-  const colors = {
-    'Power Generation': '#f59e0b',
-    'Transportation': '#06b6d4',
-    'Road Transport': '#06b6d4',
-    'Aviation': '#0891b2',
-    'Shipping': '#0e7490',
-    'Manufacturing': '#8b5cf6',
-    'Steel Production': '#7c3aed',
-    'Cement Production': '#6d28d9',
-    'Chemicals': '#5b21b6',
-    'Buildings': '#ec4899',
-    'Agriculture': '#22c55e',
-    'Livestock': '#16a34a',
-    'Fossil Fuel Operations': '#64748b',
-    'Oil & Gas': '#475569',
-    'Coal Mining': '#334155',
-    'Waste': '#a855f7',
-    'Land Use': '#84cc16',
-    'Deforestation': '#65a30d',
-    'Mining': '#78716c'
+export async function getAdminDetail(id, options = {}) {
+  const { since = 2023, to = 2023, units = DEFAULT_UNITS, scheme = DEFAULT_SCHEME } = options;
+  const iso3 = String(id).split('.')[0].toUpperCase();
+
+  await initializeCountryNames();
+  const admin = (await getAdminDefinitions(iso3)).find(a => a.id === id);
+  if (!admin) {
+    throw notFound(`Unknown admin area: ${id}`);
+  }
+
+  console.log(`📡 Fetching emissions for ${admin.fullName} (${since}-${to})...`);
+  const [data, national] = await Promise.all([
+    getDataSource().fetchAdminEmissions({ since, to, id }),
+    getSectorEmissions({ since, to, countries: iso3, units, scheme })
+  ]);
+  const sectors = processSectorEmissions(data || {}, units, scheme);
+
+  return {
+    ...admin,
+    countryName: getCountryName(iso3),
+    year: to,
+    yearRange: { since, to },
+    emissions: convertGases(sumAdminGases(data), units),
+    total: sectors.total,
+    unit: sectors.unit,
+    units: sectors.units,
+    share: national.total > 0 ? parseFloat((sectors.total / national.total * 100).toFixed(1)) : null,
+    sectors: sectors.sectors,
+    industries: sectors.industries,
+    scheme,
+    source: getSourceLabel(),
+    completeness: buildCompleteness([], [
+      ...national.completeness.notes,
+      ...(sectors.sectors.length === 0 ? [`No asset emissions in ${admin.name}`] : [])
+    ])
   };
-  return colors[sector] || '#6b7280';
 }
 
 /**
- * Groups individual sectors into broader industry categories.
+ * Gas totals in tonnes from rows shaped like fetchAssetEmissions()
  */
-function groupSectorsToIndustries(sectors) {
-  const industryGroups = {
-    'Energy': ['Power Generation', 'Fossil Fuel Operations', 'Oil & Gas', 'Coal Mining', 'Oil Refining'],
-    'Transportation': ['Transportation', 'Road Transport', 'Aviation', 'International Aviation', 'Shipping'],
-    'Manufacturing': ['Manufacturing', 'Steel Production', 'Cement Production', 'Chemicals', 'Petrochemicals'],
-    'Buildings': ['Buildings'],
-    'Agriculture': ['Agriculture', 'Livestock', 'Rice Cultivation'],
-    'Waste & Land Use': ['Waste', 'Solid Waste', 'Land Use', 'Deforestation']
+function sumAdminGases(data = {}) {
+  const totals = Object.fromEntries(GAS_KEYS.map(gas => [gas, 0]));
+  for (const rows of Object.values(data || {})) {
+    if (!Array.isArray(rows)) continue;
+    for (const row of rows) {
+      if (GASES[row.Gas]) totals[row.Gas] += row.Emissions || 0;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Builds the dashboard summary from real data: world total, change versus
+ * the previous year, largest industry and country rank movements.
+ * Every derived figure is returned with a note on how it was calculated.
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.since - Start year (default: 2023)
+ * @param {number} options.to - End year (default: 2023)
+ * @param {Object} options.units - Units context from resolveUnits()
+ */
+export async function getEmissionsSummary(options = {}) {
+  const { since = 2023, to = 2023, units = DEFAULT_UNITS } = options;
+  const previousYear = to - 1;
+
+  const [data, latestYear, priorYear, sectorData] = await Promise.all([
+    getCountryEmissions({ since, to, units }),
+    since === to ? null : getCountryEmissions({ since: to, to, units }),
+    getCountryEmissions({ since: previousYear, to: previousYear, units }),
+    getSectorEmissions({ since, to, units })
+  ]);
+  const co2Unit = data.units.mass.co2;
+  const co2eLabel = unitLabel(co2eKey(units), units);
+
+  const latestTotal = (latestYear || data).worldTotals.co2;
+  const priorTotal = priorYear.worldTotals.co2;
+  const changeFromLastYear = latestTotal > 0 && priorTotal > 0
+    ? parseFloat(((latestTotal - priorTotal) / priorTotal * 100).toFixed(1))
+    : null;
+
+  const largest = sectorData.industries[0];
+  const topIndustry = largest
+    ? {
+        id: largest.id,
+        name: largest.name,
+        totalEmissions: largest.totalEmissions,
+        percentage: largest.percentage,
+        color: largest.color,
+        unit: co2eLabel
+      }
+    : null;
+
+  const movements = data.countries
+    .filter(c => Number.isInteger(c.rank) && Number.isInteger(c.previousRank))
+    .map(c => ({
+      country: c.country,
+      name: c.name,
+      rank: c.rank,
+      previousRank: c.previousRank,
+      change: c.previousRank - c.rank
+    }));
+
+  const rankMovements = {
+    climbers: movements.filter(m => m.change > 0).sort((a, b) => b.change - a.change).slice(0, 5),
+    fallers: movements.filter(m => m.change < 0).sort((a, b) => a.change - b.change).slice(0, 5),
+    unchanged: movements.filter(m => m.change === 0).length
   };
 
-  const industryColors = {
-    'Energy': '#f59e0b',
-    'Transportation': '#06b6d4',
-    'Manufacturing': '#8b5cf6',
-    'Buildings': '#ec4899',
-    'Agriculture': '#22c55e',
-    'Waste & Land Use': '#a855f7'
+  const yearLabel = since === to ? `${to}` : `${since}-${to}`;
+
+  return {
+    totalEmissions: data.worldTotals.co2,
+    totalIndustries: sectorData.industries.length,
+    totalCountries: data.countries.length,
+    unit: unitLabel('co2', units),
+    units: data.units,
+    year: data.year,
+    yearRange: data.yearRange,
+    changeFromLastYear,
+    previousYearTotal: priorTotal || null,
+    topIndustry,
+    rankMovements,
+    methodology: {
+      totalEmissions: `World CO2 total reported by the data source for ${yearLabel}, in ${co2Unit}.`,
+      changeFromLastYear: changeFromLastYear === null
+        ? `Not available: no world CO2 total for ${priorTotal > 0 ? to : previousYear}.`
+        : `(${to} world CO2 ${latestTotal.toLocaleString()} ${co2Unit} - ${previousYear} world CO2 ${priorTotal.toLocaleString()} ${co2Unit}) / ${previousYear} total x 100.`,
+      topIndustry: topIndustry
+        ? `Largest industry group by ${co2eLabel.replace(/^\S+ /, '')} after summing asset-level sector emissions for ${yearLabel}; share is of the summed sector total.`
+        : `Not available: no sector emissions for ${yearLabel}.`,
+      totalIndustries: 'Number of industry groups with non-zero sector emissions.',
+      rankMovements: 'previousRank - rank for each tracked country, using the ranks reported by the data source (positive = climbed).'
+    },
+    source: data.source,
+    lastUpdated: data.lastUpdated,
+    completeness: buildCompleteness(
+      data.completeness.missingCountries,
+      [
+        ...data.completeness.notes,
+        ...sectorData.completeness.notes,
+        ...(changeFromLastYear === null ? [`Year-over-year change unavailable for ${to}`] : [])
+      ]
+    )
   };
+}
+
+/**
+ * Returns the "Data Source: ..." label shown alongside API responses.
+ */
+export function getSourceLabel() {
+  return `Data Source: ${getDataSource().getLabel()}`;
+}
+
+/**
+ * Looks up country name from ISO alpha-3 code.
+ */
+function getCountryName(code) {
+  return countryNameCache[code] || code;
+}
 
+/**
+ * Groups individual sectors into the categories of a taxonomy scheme.
+ */
+function groupSectorsToIndustries(sectors, scheme = DEFAULT_SCHEME) {
   const industries = [];
   
-  for (const [industry, sectorNames] of Object.entries(industryGroups)) {
-    const industrySectors = sectors.filter(s => sectorNames.includes(s.name));
-    const totalEmissions = industrySectors.reduce((sum, s) => sum + s.emissions, 0);
+  for (const category of listCategories(scheme)) {
+    const industrySectors = sectors.filter(s => s.category === category.id);
+    const totalEmissions = round(industrySectors.reduce((sum, s) => sum + s.emissions, 0));
     
     if (totalEmissions > 0) {
       industries.push({
-        id: industry.toLowerCase().replace(/\s+/g, '-'),
-        name: industry,
+        id: category.id,
+        ...(category.code && { code: category.code }),
+        name: category.name,
         totalEmissions,
         percentage: industrySectors.reduce((sum, s) => sum + s.percentage, 0).toFixed(1),
-        color: industryColors[industry] || '#6b7280',
+        color: category.color,
         sectors: industrySectors
       });
     }
@@ -852,24 +3073,26 @@ function groupSectorsToIndustries(sectors) {
 /**
  * Returns empty response structure for error cases.
  */
-function getEmptyResponse(since, to) {
+function getEmptyResponse(since, to, units = DEFAULT_UNITS) {
   return {
     year: to,
     yearRange: { since, to },
-    source: 'Data Source: Climate TRACE (Unavailable)',
-    dataProvider: 'Climate TRACE Coalition',
+    source: `${getSourceLabel()} (Unavailable)`,
+    dataProvider: getDataSource().getProvider(),
     lastUpdated: new Date().toISOString(),
     apiStatus: 'error',
-    worldTotals: { co2: 0, ch4: 0, n2o: 0, co2e_100yr: 0 },
+    units: describeUnits(units),
+    worldTotals: convertGases({}, units),
     countries: [],
-    topCountries: []
+    topCountries: [],
+    completeness: buildCompleteness([], ['Country emissions unavailable'])
   };
 }
 
 /**
- * Legacy export for backward compatibility.
- * @deprecated Use getCountryEmissions instead
+ * Long-run CO2 from the Our World in Data dataset (see historical.js)
+ * @returns {Promise<{countries: Map, world: Object|null, firstYear: number, lastYear: number}>}
  */
 export async function fetchOWIDData() {
-  return getCountryEmissions({ since: 2023, to: 2023 });
+  return getHistoricalDataset();
 }
@@ -0,0 +1,268 @@
+/**
+ * Emissions Forecasting
+ * Fits simple trend models to a yearly series and projects it forward
+ * with prediction intervals.
+ *
+ * - linear: ordinary least squares on the year
+ * - log_linear: least squares on ln(value), i.e. a constant annual growth rate
+ * - damped: Holt's linear trend with a damped trend (ETS(A,Ad,N)),
+ *   parameters chosen by a grid search on one-step-ahead errors
+ *
+ * Yearly emissions series are short, so intervals widen quickly and the
+ * models are meant for orientation, not policy-grade projections.
+ */
+
+import { badRequest, round } from './common.js';
+
+export const FORECAST_MODELS = {
+  linear: { name: 'Linear trend', description: 'Straight-line fit; assumes a constant absolute change per year' },
+  log_linear: { name: 'Log-linear trend', description: 'Exponential fit; assumes a constant percentage change per year' },
+  damped: { name: 'Damped trend', description: "Holt's exponential smoothing with a trend that flattens over time" }
+};
+
+export const CONFIDENCE_LEVELS = {
+  80: 1.2816,
+  90: 1.6449,
+  95: 1.96
+};
+
+export const MIN_FORECAST_POINTS = 4;
+const MAX_HORIZON = 2100;
+
+/**
+ * Validates forecast query values. Throws an error with status 400 for
+ * unknown models, unsupported confidence levels or a horizon outside
+ * (lastYear, 2100].
+ *
+ * @param {Object} options
+ * @param {string} [options.models] - Comma-separated model ids; omit for all
+ * @param {string|number} [options.confidence] - 80, 90 or 95 (default: 95)
+ * @param {string|number} [options.horizon] - Last projected year (default: 2030)
+ * @param {number} options.lastYear - Last year of history
+ */
+export function resolveForecastOptions({ models, confidence, horizon, lastYear }) {
+  const modelIds = models ? String(models).toLowerCase().split(',').map(m => m.trim()).filter(Boolean) : Object.keys(FORECAST_MODELS);
+  const unknown = modelIds.filter(id => !FORECAST_MODELS[id]);
+  if (unknown.length > 0 || modelIds.length === 0) {
+    throw badRequest(`Unknown forecast model: ${unknown.join(', ') || models}. Available: ${Object.keys(FORECAST_MODELS).join(', ')}`);
+  }
+
+  const level = confidence ? parseInt(confidence) : 95;
+  if (!CONFIDENCE_LEVELS[level]) {
+    throw badRequest(`Unsupported confidence level: ${confidence}. Available: ${Object.keys(CONFIDENCE_LEVELS).join(', ')}`);
+  }
+
+  const horizonYear = horizon ? parseInt(horizon) : 2030;
+  if (!Number.isInteger(horizonYear) || horizonYear <= lastYear || horizonYear > MAX_HORIZON) {
+    throw badRequest(`Horizon must be a year after ${lastYear} and no later than ${MAX_HORIZON}`);
+  }
+
+  return { models: [...new Set(modelIds)], confidence: level, horizon: horizonYear };
+}
+
+/**
+ * Fits the requested models to a yearly series and projects it to the horizon
+ *
+ * @param {Array<{year: number, value: number}>} points - History, one point per year
+ * @param {Object} options - Output of resolveForecastOptions()
+ * @returns {{models: Array, recommended: string|null, notes: Array<string>}}
+ */
+export function forecastSeries(points, { models, confidence, horizon }) {
+  const series = [...points].filter(p => Number.isFinite(p.value)).sort((a, b) => a.year - b.year);
+  const notes = [];
+
+  if (series.length < MIN_FORECAST_POINTS) {
+    return {
+      models: [],
+      recommended: null,
+      notes: [`At least ${MIN_FORECAST_POINTS} years of history are needed for a forecast (got ${series.length})`]
+    };
+  }
+
+  const lastYear = series[series.length - 1].year;
+  const years = [];
+  for (let year = lastYear + 1; year <= horizon; year++) {
+    years.push(year);
+  }
+  const nonNegative = series.every(p => p.value >= 0);
+
+  const fitters = { linear: fitLinear, log_linear: fitLogLinear, damped: fitDampedTrend };
+  const results = [];
+
+  for (const id of models) {
+    const fit = fitters[id](series, confidence);
+    if (fit.error) {
+      notes.push(`${FORECAST_MODELS[id].name} skipped: ${fit.error}`);
+      continue;
+    }
+
+    results.push({
+      id,
+      ...FORECAST_MODELS[id],
+      parameters: fit.parameters,
+      rmse: round(fit.rmse),
+      projections: years.map(year => {
+        const { value, lower, upper } = fit.project(year);
+        return {
+          year,
+          value: round(value),
+          lower: round(nonNegative ? Math.max(0, lower) : lower),
+          upper: round(upper)
+        };
+      })
+    });
+  }
+
+  const recommended = results.length > 0
+    ? results.reduce((best, model) => model.rmse < best.rmse ? model : best).id
+    : null;
+
+  return { models: results, recommended, notes };
+}
+
+/**
+ * Ordinary least squares on year; prediction interval from the t distribution
+ */
+function fitLinear(series, confidence) {
+  const n = series.length;
+  const xs = series.map(p => p.year);
+  const ys = series.map(p => p.value);
+  const { slope, intercept, residualSd, xMean, sxx } = leastSquares(xs, ys);
+  const t = tQuantile(confidence, n - 2);
+
+  return {
+    parameters: { slope: round(slope), intercept: round(intercept) },
+    rmse: rmse(ys, xs.map(x => intercept + slope * x)),
+    project(year) {
+      const value = intercept + slope * year;
+      const margin = t * residualSd * Math.sqrt(1 + 1 / n + (year - xMean) ** 2 / sxx);
+      return { value, lower: value - margin, upper: value + margin };
+    }
+  };
+}
+
+/**
+ * Least squares on ln(value); the interval is computed in log space and
+ * transformed back, so it is asymmetric around the projection
+ */
+function fitLogLinear(series, confidence) {
+  if (series.some(p => p.value <= 0)) {
+    return { error: 'series has zero or negative values' };
+  }
+
+  const n = series.length;
+  const xs = series.map(p => p.year);
+  const ys = series.map(p => p.value);
+  const { slope, intercept, residualSd, xMean, sxx } = leastSquares(xs, ys.map(Math.log));
+  const t = tQuantile(confidence, n - 2);
+
+  return {
+    parameters: { annualGrowthPercent: round((Math.exp(slope) - 1) * 100) },
+    rmse: rmse(ys, xs.map(x => Math.exp(intercept + slope * x))),
+    project(year) {
+      const log = intercept + slope * year;
+      const margin = t * residualSd * Math.sqrt(1 + 1 / n + (year - xMean) ** 2 / sxx);
+      return { value: Math.exp(log), lower: Math.exp(log - margin), upper: Math.exp(log + margin) };
+    }
+  };
+}
+
+/**
+ * Holt's damped trend. Level and trend start from the first two points;
+ * alpha, beta and phi are picked from a grid by one-step-ahead squared error.
+ * Interval variance follows the ETS(A,Ad,N) closed form.
+ */
+function fitDampedTrend(series, confidence) {
+  const ys = series.map(p => p.value);
+  let best = null;
+
+  for (let alpha = 0.1; alpha <= 0.91; alpha += 0.1) {
+    for (let beta = 0.05; beta <= alpha + 1e-9; beta += 0.05) {
+      for (const phi of [0.8, 0.85, 0.9, 0.95, 0.98]) {
+        const run = runHolt(ys, alpha, beta, phi);
+        if (!best || run.sse < best.sse) {
+          best = { ...run, alpha, beta, phi };
+        }
+      }
+    }
+  }
+
+  const { alpha, beta, phi, level, trend, sse, fitted } = best;
+  const sigma = Math.sqrt(sse / Math.max(1, ys.length - 1 - 3));
+  const z = CONFIDENCE_LEVELS[confidence];
+  const lastYear = series[series.length - 1].year;
+
+  return {
+    parameters: { alpha: round(alpha), beta: round(beta), phi },
+    rmse: rmse(ys.slice(1), fitted),
+    project(year) {
+      const h = year - lastYear;
+      let dampedSum = 0;
+      let variance = 1;
+      for (let j = 1; j <= h; j++) {
+        dampedSum += phi ** j;
+        if (j < h) {
+          variance += (alpha + alpha * beta * dampedSumTo(phi, j)) ** 2;
+        }
+      }
+      const value = level + dampedSum * trend;
+      const margin = z * sigma * Math.sqrt(variance);
+      return { value, lower: value - margin, upper: value + margin };
+    }
+  };
+}
+
+function runHolt(ys, alpha, beta, phi) {
+  let level = ys[0];
+  let trend = ys[1] - ys[0];
+  let sse = 0;
+  const fitted = [];
+
+  for (let i = 1; i < ys.length; i++) {
+    const forecast = level + phi * trend;
+    fitted.push(forecast);
+    sse += (ys[i] - forecast) ** 2;
+
+    const previousLevel = level;
+    level = alpha * ys[i] + (1 - alpha) * (previousLevel + phi * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+  }
+
+  return { level, trend, sse, fitted };
+}
+
+function dampedSumTo(phi, j) {
+  let sum = 0;
+  for (let k = 1; k <= j; k++) sum += phi ** k;
+  return sum;
+}
+
+function leastSquares(xs, ys) {
+  const n = xs.length;
+  const xMean = xs.reduce((a, b) => a + b, 0) / n;
+  const yMean = ys.reduce((a, b) => a + b, 0) / n;
+  const sxx = xs.reduce((sum, x) => sum + (x - xMean) ** 2, 0);
+  const sxy = xs.reduce((sum, x, i) => sum + (x - xMean) * (ys[i] - yMean), 0);
+  const slope = sxy / sxx;
+  const intercept = yMean - slope * xMean;
+  const sse = xs.reduce((sum, x, i) => sum + (ys[i] - intercept - slope * x) ** 2, 0);
+
+  return { slope, intercept, residualSd: Math.sqrt(sse / (n - 2)), xMean, sxx };
+}
+
+/**
+ * Two-sided t quantile from the normal quantile (Cornish-Fisher expansion);
+ * accurate to about 1% from 3 degrees of freedom
+ */
+function tQuantile(confidence, df) {
+  const z = CONFIDENCE_LEVELS[confidence];
+  return z
+    + (z ** 3 + z) / (4 * df)
+    + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2)
+    + (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / (384 * df ** 3);
+}
+
+function rmse(actual, fitted) {
+  const sse = fitted.reduce((sum, value, i) => sum + (actual[i] - value) ** 2, 0);
+  return Math.sqrt(sse / fitted.length);
+}
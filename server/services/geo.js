@@ -0,0 +1,135 @@
+/**
+ * Geospatial Outputs
+ * Joins country values onto bundled boundaries and turns located assets
+ * into points, both as GeoJSON FeatureCollections. No map service is used.
+ *
+ * Boundaries: server/data/geo/countries-110m.geojson (override with EMISSIONS_BOUNDARIES_FILE)
+ *   Natural Earth admin 0 countries at 1:110m; each feature carries
+ *   properties { iso3, name }.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { lazyDataFile, round } from './common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_BOUNDARIES_FILE = join(__dirname, '../data/geo/countries-110m.geojson');
+
+export const GEO_METRICS = {
+  co2: { label: 'CO2', scale: 'sequential' },
+  ch4: { label: 'CH4', scale: 'sequential' },
+  n2o: { label: 'N2O', scale: 'sequential' },
+  per_capita: { label: 'CO2 per capita', scale: 'sequential' },
+  change: { label: 'Change in CO2', scale: 'diverging' }
+};
+
+const LEGEND_CLASSES = 5;
+
+/**
+ * Loads the boundaries once, keeping features with an ISO alpha-3 code
+ */
+const loadBoundaries = lazyDataFile({
+  envVar: 'EMISSIONS_BOUNDARIES_FILE',
+  defaultFile: DEFAULT_BOUNDARIES_FILE,
+  label: 'country boundaries',
+  parse: text => {
+    const { source = null, features = [] } = JSON.parse(text);
+    const valid = features.filter(f => /^[A-Z]{3}$/.test(f.properties?.iso3 || '') && f.geometry);
+    console.log(`📦 Loaded ${valid.length} country boundaries`);
+    return { source, features: valid };
+  },
+  fallback: () => ({ source: null, features: [] })
+});
+
+/**
+ * Country boundaries
+ * @returns {Promise<{source: string|null, features: Array}>}
+ */
+export async function getBoundaries() {
+  return loadBoundaries();
+}
+
+/**
+ * Joins values onto the boundaries. Every boundary is kept; those without
+ * values get `value: null` so they can be drawn as "no data".
+ *
+ * @param {{features: Array}} shapes - Output of getBoundaries()
+ * @param {Object} valuesByCode - Maps ISO alpha-3 code to properties, including `value`
+ * @returns {{type: string, features: Array, unmapped: string[]}} unmapped lists codes with values but no boundary
+ */
+export function joinCountries(shapes, valuesByCode) {
+  const drawn = new Set();
+  const features = shapes.features.map(feature => {
+    const code = feature.properties.iso3;
+    drawn.add(code);
+    return {
+      type: 'Feature',
+      id: code,
+      properties: { ...feature.properties, value: null, ...valuesByCode[code] },
+      geometry: feature.geometry
+    };
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    unmapped: Object.keys(valuesByCode).filter(code => !drawn.has(code))
+  };
+}
+
+/**
+ * Point features for assets with a location
+ *
+ * @param {Array} assets - Assets with `location: {lat, lon}` and other properties
+ */
+export function assetPoints(assets) {
+  return {
+    type: 'FeatureCollection',
+    features: assets
+      .filter(asset => asset.location)
+      .map(({ location, ...properties }) => ({
+        type: 'Feature',
+        id: properties.id,
+        properties,
+        geometry: { type: 'Point', coordinates: [location.lon, location.lat] }
+      }))
+  };
+}
+
+/**
+ * Class breaks for a choropleth legend: quantiles for sequential scales,
+ * and breaks symmetric around zero for diverging ones
+ *
+ * @param {Array<number>} values - Values of the mapped countries
+ * @param {string} scale - 'sequential' or 'diverging'
+ * @returns {{scale: string, min: number|null, max: number|null, breaks: number[]}}
+ */
+export function legendBreaks(values, scale = 'sequential') {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { scale, min: null, max: null, breaks: [] };
+  }
+  const [min, max] = [sorted[0], sorted[sorted.length - 1]];
+
+  if (scale === 'diverging') {
+    // Quantiles of the magnitude, mirrored so zero sits in the middle class
+    const magnitudes = sorted.map(Math.abs).sort((a, b) => a - b);
+    const upper = [1, 2].map(i => round(quantile(magnitudes, i / 3)));
+    return { scale, min, max, breaks: [...upper.map(b => -b).reverse(), ...upper] };
+  }
+
+  const breaks = [];
+  for (let i = 1; i < LEGEND_CLASSES; i++) {
+    breaks.push(round(quantile(sorted, i / LEGEND_CLASSES)));
+  }
+  return { scale, min, max, breaks: [...new Set(breaks)] };
+}
+
+function quantile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const fraction = position - lower;
+  return sorted[lower] + (sorted[Math.min(lower + 1, sorted.length - 1)] - sorted[lower]) * fraction;
+}
@@ -0,0 +1,156 @@
+/**
+ * Country Groupings
+ * Registry of country groupings used by the by-group endpoint.
+ *
+ * - continent: built from the data source's country definitions
+ * - built-in: server/data/groupings.json (EU27, G7, G20, OECD, LDCs, ...)
+ * - custom: optional JSON file in the same shape (EMISSIONS_CUSTOM_GROUPINGS_FILE)
+ *
+ * File shape:
+ *   { groupings: { "<id>": { name, description, groups: { "<id>": { name, members: ["ISO3", ...] } } } } }
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { lazyDataFile } from './common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const BUILT_IN_FILE = join(__dirname, '../data/groupings.json');
+
+export const DEFAULT_GROUPING = 'continent';
+
+const CONTINENT_COLORS = {
+  'Asia': '#f59e0b',
+  'North America': '#06b6d4',
+  'Europe': '#8b5cf6',
+  'Africa': '#22c55e',
+  'South America': '#14b8a6',
+  'Oceania': '#ec4899',
+  'Antarctica': '#64748b'
+};
+
+const GROUP_PALETTE = ['#8b5cf6', '#06b6d4', '#f59e0b', '#22c55e', '#ec4899', '#14b8a6', '#ef4444', '#64748b'];
+
+/**
+ * Parses a groupings file, keeping only well-formed groups
+ */
+function parseGroupings(text, custom) {
+  const { groupings = {} } = JSON.parse(text);
+  const valid = {};
+
+  for (const [id, grouping] of Object.entries(groupings)) {
+    const groups = {};
+    for (const [groupId, group] of Object.entries(grouping.groups || {})) {
+      const members = Array.isArray(group.members)
+        ? group.members.filter(code => /^[A-Z]{3}$/.test(code))
+        : [];
+      if (members.length === 0) {
+        console.warn(`⚠️ Skipping group ${id}/${groupId}: no valid ISO alpha-3 members`);
+        continue;
+      }
+      groups[groupId] = { name: group.name || groupId, members, color: group.color };
+    }
+
+    if (Object.keys(groups).length > 0) {
+      valid[id] = { id, name: grouping.name || id, description: grouping.description || '', custom, groups };
+    }
+  }
+
+  return valid;
+}
+
+/**
+ * Loads the built-in groupings once
+ */
+const loadBuiltIn = lazyDataFile({
+  defaultFile: BUILT_IN_FILE,
+  label: 'built-in groupings',
+  parse: text => parseGroupings(text, false),
+  fallback: () => ({})
+});
+
+/**
+ * Loads the custom groupings once; none unless EMISSIONS_CUSTOM_GROUPINGS_FILE is set
+ */
+const loadCustom = lazyDataFile({
+  envVar: 'EMISSIONS_CUSTOM_GROUPINGS_FILE',
+  defaultFile: null,
+  label: 'custom groupings',
+  parse: text => parseGroupings(text, true),
+  fallback: () => ({})
+});
+
+/**
+ * Built-in and custom groupings. Custom groupings override built-in ones
+ * with the same id.
+ */
+async function loadRegistry() {
+  const [builtIn, custom] = await Promise.all([loadBuiltIn(), loadCustom()]);
+  return { ...builtIn, ...custom };
+}
+
+/**
+ * Builds the continent grouping from country definitions
+ */
+function continentGrouping(countryDefs = []) {
+  const groups = {};
+  for (const country of countryDefs) {
+    if (!country.alpha3 || !country.continent) continue;
+    const id = country.continent.toLowerCase().replace(/\s+/g, '-');
+    if (!groups[id]) {
+      groups[id] = { name: country.continent, members: [], color: CONTINENT_COLORS[country.continent] };
+    }
+    groups[id].members.push(country.alpha3);
+  }
+
+  return {
+    id: DEFAULT_GROUPING,
+    name: 'Continents',
+    description: 'Continent of each country as reported by the data source',
+    custom: false,
+    groups
+  };
+}
+
+/**
+ * Lists available groupings without their member lists
+ */
+export async function listGroupings() {
+  const groupings = await loadRegistry();
+  return [
+    { id: DEFAULT_GROUPING, name: 'Continents', description: 'Continent of each country as reported by the data source', custom: false },
+    ...Object.values(groupings).map(({ id, name, description, custom, groups }) => ({
+      id,
+      name,
+      description,
+      custom,
+      groups: Object.keys(groups).length
+    }))
+  ];
+}
+
+/**
+ * Resolves a grouping by id, assigning a colour to every group
+ *
+ * @param {string} id - Grouping id, e.g. 'continent', 'eu27', 'g20'
+ * @param {Array} countryDefs - Country definitions, used for continents
+ * @returns {Promise<Object|null>} Grouping, or null when unknown
+ */
+export async function getGrouping(id = DEFAULT_GROUPING, countryDefs = []) {
+  const grouping = id === DEFAULT_GROUPING
+    ? continentGrouping(countryDefs)
+    : (await loadRegistry())[id];
+
+  if (!grouping) return null;
+
+  const groups = Object.entries(grouping.groups).map(([groupId, group], index) => ({
+    id: groupId,
+    name: group.name,
+    members: group.members,
+    color: group.color || GROUP_PALETTE[index % GROUP_PALETTE.length]
+  }));
+
+  return { ...grouping, groups };
+}
@@ -0,0 +1,122 @@
+/**
+ * Historical Emissions
+ * Long-run CO2 from the Our World in Data (OWID) CO2 dataset, used to
+ * extend Climate TRACE back before its first year.
+ *
+ * Dataset: server/data/owid-co2-extract.csv (override with EMISSIONS_HISTORICAL_FILE)
+ *   CSV in the OWID schema, read by header name: country, year, iso_code
+ *   and cumulative_co2 (Mt CO2 from fossil fuels and industry since 1750).
+ *   The full owid-co2-data.csv works as a drop-in replacement.
+ *
+ * The bundled extract only holds approximate cumulative totals at the end
+ * of 1849 and of HISTORICAL_CUTOFF, so cumulative sums can start in 1850
+ * or after the cutoff. Regional aggregates other than the world are skipped.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseCsv } from './csv.js';
+import { lazyDataFile } from './common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_HISTORICAL_FILE = join(__dirname, '../data/owid-co2-extract.csv');
+
+// Last year taken from the historical dataset; later years come from Climate TRACE
+export const HISTORICAL_CUTOFF = 2014;
+
+export const WORLD_CODE = 'OWID_WRL';
+
+const REQUIRED_COLUMNS = ['country', 'year', 'iso_code', 'cumulative_co2'];
+
+/**
+ * Loads the historical dataset once
+ */
+const loadHistorical = lazyDataFile({
+  envVar: 'EMISSIONS_HISTORICAL_FILE',
+  defaultFile: DEFAULT_HISTORICAL_FILE,
+  label: 'historical emissions',
+  parse: text => {
+    const parsed = parseHistorical(text);
+    console.log(`📦 Loaded historical CO2 for ${parsed.countries.size} countries (${parsed.firstYear}-${parsed.lastYear})`);
+    return parsed;
+  },
+  fallback: () => ({ countries: new Map(), world: null, firstYear: null, lastYear: null })
+});
+
+/**
+ * Builds per-country cumulative series from OWID CSV text
+ * @returns {{countries: Map<string, {code, name, cumulative: Map<number, number>}>, world: Object, firstYear: number, lastYear: number}}
+ */
+function parseHistorical(text) {
+  const [header, ...rows] = parseCsv(text);
+  const column = Object.fromEntries(REQUIRED_COLUMNS.map(name => [name, header.indexOf(name)]));
+  const absent = REQUIRED_COLUMNS.filter(name => column[name] === -1);
+  if (absent.length > 0) {
+    throw new Error(`Historical dataset is missing columns: ${absent.join(', ')}`);
+  }
+
+  const countries = new Map();
+  let world = null;
+  let firstYear = Infinity;
+  let lastYear = -Infinity;
+
+  for (const row of rows) {
+    const code = row[column.iso_code];
+    const year = parseInt(row[column.year]);
+    const value = row[column.cumulative_co2];
+    // OWID aggregates have codes like OWID_EUR or none at all
+    if (!(code === WORLD_CODE || /^[A-Z]{3}$/.test(code)) || !Number.isInteger(year) || value === '' || value === undefined) continue;
+
+    let series = code === WORLD_CODE ? world : countries.get(code);
+    if (!series) {
+      series = { code, name: row[column.country], cumulative: new Map() };
+      if (code === WORLD_CODE) world = series;
+      else countries.set(code, series);
+    }
+    series.cumulative.set(year, parseFloat(value) * 1e6);
+    firstYear = Math.min(firstYear, year);
+    lastYear = Math.max(lastYear, year);
+  }
+
+  return { countries, world, firstYear, lastYear };
+}
+
+/**
+ * The historical dataset
+ * @returns {Promise<{countries: Map, world: Object|null, firstYear: number, lastYear: number}>}
+ */
+export async function getHistoricalDataset() {
+  return loadHistorical();
+}
+
+/**
+ * Years a cumulative sum can start from: the year after each year with a
+ * world cumulative value, up to the year after the cutoff
+ */
+export function historicalStartYears(historical) {
+  if (!historical.world) return [];
+  return [...historical.world.cumulative.keys()]
+    .map(year => year + 1)
+    .filter(year => year <= HISTORICAL_CUTOFF + 1)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * CO2 emitted from the start of `since` to the end of `until`, in tonnes,
+ * as the difference of two cumulative values. A series that starts after
+ * `since - 1` had emitted nothing before it starts.
+ *
+ * @param {{cumulative: Map<number, number>}} series - Country or world series
+ * @returns {number|null} Tonnes, or null when a cumulative value is missing
+ */
+export function cumulativeBetween(series, since, until) {
+  const end = series?.cumulative.get(until);
+  if (end === undefined) return null;
+
+  const before = series.cumulative.get(since - 1);
+  if (before !== undefined) return end - before;
+  const first = Math.min(...series.cumulative.keys());
+  return first > since - 1 ? end : null;
+}
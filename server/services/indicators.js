@@ -0,0 +1,181 @@
+/**
+ * Socio-economic Indicators
+ * Population, GDP and primary energy by country from a bundled, versioned
+ * dataset, used to express emissions per capita and per unit of GDP, and
+ * to decompose emissions changes.
+ *
+ * Dataset: server/data/indicators.json (override with EMISSIONS_INDICATORS_FILE)
+ *   { version, source, units, observedYears, world: { "2023": { population } },
+ *     years: { "2023": { "CHN": { population, gdp, energy } } } }
+ *   energy is primary energy consumption in PJ; observedYears lists the
+ *   years with reported country figures, the others being extrapolated
+ *   (every year in `years` counts as reported when it is absent)
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { lazyDataFile } from './common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_INDICATORS_FILE = join(__dirname, '../data/indicators.json');
+
+// Ranking metrics supported by country and regional endpoints
+export const METRICS = {
+  absolute: { field: 'co2', unit: 'Mt CO2', label: 'Absolute' },
+  per_capita: { field: 'perCapita', unit: 't CO2/person', label: 'Per capita' },
+  per_gdp: { field: 'perGdp', unit: 'kg CO2/$ GDP', label: 'Per $ GDP' }
+};
+
+/**
+ * Loads the indicator dataset once
+ */
+const loadIndicators = lazyDataFile({
+  envVar: 'EMISSIONS_INDICATORS_FILE',
+  defaultFile: DEFAULT_INDICATORS_FILE,
+  label: 'indicators',
+  parse: text => JSON.parse(text),
+  fallback: () => ({ version: null, source: null, years: {} })
+});
+
+/**
+ * Normalizes a metric name, falling back to absolute emissions
+ */
+export function resolveMetric(metric) {
+  return METRICS[metric] ? metric : 'absolute';
+}
+
+/**
+ * Averages population, GDP and energy per country over a year range.
+ * Years outside the dataset use the nearest year that has data.
+ *
+ * @param {number} since - Start year
+ * @param {number} to - End year
+ * @returns {Promise<{version: string, source: string, countries: Object, world: Object, estimatedYears: number[]}>}
+ *   countries maps ISO alpha-3 code to {population, gdp, energy} annual averages
+ *   (energy is null for countries without energy data);
+ *   world.population is the average world population (null if not in the dataset);
+ *   estimatedYears lists the years of the range whose country figures are
+ *   extrapolated or borrowed from the nearest year
+ */
+export async function getIndicators(since, to) {
+  const { version, source, observedYears, years = {}, world: worldYears = {} } = await loadIndicators();
+  const available = Object.keys(years).map(Number).sort((a, b) => a - b);
+  const observed = Array.isArray(observedYears) ? observedYears : available;
+  const countries = {};
+  const estimatedYears = [];
+  for (let year = since; year <= to; year++) {
+    if (!observed.includes(year) || !available.includes(year)) estimatedYears.push(year);
+  }
+
+  if (available.length > 0) {
+    const sums = {};
+    const yearCount = to - since + 1;
+
+    for (let year = since; year <= to; year++) {
+      const nearest = available.reduce((best, y) => Math.abs(y - year) < Math.abs(best - year) ? y : best);
+      for (const [code, values] of Object.entries(years[nearest])) {
+        const sum = sums[code] || { population: 0, gdp: 0, energy: 0, count: 0 };
+        sum.population += values.population || 0;
+        sum.gdp += values.gdp || 0;
+        sum.energy += values.energy || 0;
+        sum.count++;
+        sums[code] = sum;
+      }
+    }
+
+    for (const [code, sum] of Object.entries(sums)) {
+      if (sum.count === yearCount) {
+        countries[code] = {
+          population: sum.population / yearCount,
+          gdp: sum.gdp / yearCount,
+          energy: sum.energy > 0 ? sum.energy / yearCount : null
+        };
+      }
+    }
+  }
+
+  const worldAvailable = Object.keys(worldYears).map(Number);
+  let worldPopulation = null;
+  if (worldAvailable.length > 0) {
+    let sum = 0;
+    for (let year = since; year <= to; year++) {
+      const nearest = worldAvailable.reduce((best, y) => Math.abs(y - year) < Math.abs(best - year) ? y : best);
+      sum += worldYears[nearest].population || 0;
+    }
+    worldPopulation = sum / (to - since + 1);
+  }
+
+  return { version, source, countries, world: { population: worldPopulation }, estimatedYears };
+}
+
+/**
+ * Computes annual per-capita (t CO2/person) and per-GDP (kg CO2/$) intensity.
+ *
+ * @param {number} co2Tonnes - CO2 emitted over the whole range, in tonnes
+ * @param {Object|undefined} indicator - Annual averages from getIndicators()
+ * @param {number} yearCount - Number of years in the range
+ * @returns {{population: number|null, gdp: number|null, perCapita: number|null, perGdp: number|null}}
+ */
+export function computeIntensity(co2Tonnes, indicator, yearCount = 1) {
+  const annual = co2Tonnes / Math.max(1, yearCount);
+  return {
+    population: indicator?.population ? Math.round(indicator.population) : null,
+    gdp: indicator?.gdp ? Math.round(indicator.gdp) : null,
+    perCapita: indicator?.population ? parseFloat((annual / indicator.population).toFixed(2)) : null,
+    perGdp: indicator?.gdp ? parseFloat((annual * 1000 / indicator.gdp).toFixed(3)) : null
+  };
+}
+
+/**
+ * Aggregates intensities of several countries, weighting by population and GDP
+ *
+ * @param {Array<Object>} intensities - Results of computeIntensity()
+ * @returns {{population: number|null, gdp: number|null, perCapita: number|null, perGdp: number|null}}
+ */
+export function combineIntensity(intensities) {
+  let population = 0, gdp = 0, co2ByPopulation = 0, co2ByGdp = 0;
+
+  for (const i of intensities) {
+    if (i?.perCapita !== null && i?.population) {
+      population += i.population;
+      co2ByPopulation += i.perCapita * i.population;
+    }
+    if (i?.perGdp !== null && i?.gdp) {
+      gdp += i.gdp;
+      co2ByGdp += i.perGdp * i.gdp;
+    }
+  }
+
+  return {
+    population: population || null,
+    gdp: gdp || null,
+    perCapita: population ? parseFloat((co2ByPopulation / population).toFixed(2)) : null,
+    perGdp: gdp ? parseFloat((co2ByGdp / gdp).toFixed(3)) : null
+  };
+}
+
+/**
+ * Reads the ranking value of a country or region for a metric.
+ * Entries without indicator data return null.
+ */
+export function metricValue(entry, metric) {
+  if (metric === 'absolute') {
+    return entry.emissions?.co2 ?? entry.emissions ?? 0;
+  }
+  return entry.intensity?.[METRICS[metric].field] ?? null;
+}
+
+/**
+ * Sort comparator: highest first, entries without a value last
+ */
+export function byMetric(metric) {
+  return (a, b) => {
+    const va = metricValue(a, metric);
+    const vb = metricValue(b, metric);
+    if (va === null) return vb === null ? 0 : 1;
+    if (vb === null) return -1;
+    return vb - va;
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Emissions Inventories
+ * Alternative datasets (UNFCCC, EDGAR, OWID, ...) loaded from local files
+ * and aligned by ISO alpha-3 code, year and gas for reconciliation.
+ *
+ * Manifest: server/data/inventories.json (override with EMISSIONS_INVENTORIES_FILE)
+ *   { version, datasets: { "<id>": { name, description, scope, url,
+ *     file, format, unit } } }
+ *   file is relative to the manifest.
+ *
+ * Formats:
+ * - long: CSV with columns iso3, year, gas, emissions; gas is co2, ch4,
+ *   n2o, co2e_100yr or co2e_20yr and emissions are in `unit` (default Mt)
+ * - owid: the OWID CO2 CSV; co2 is read as CO2 and total_ghg as CO2e (100yr), in Mt
+ */
+
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { parseCsv } from './csv.js';
+import { GASES, MASS_UNITS } from './units.js';
+import { lazyDataFile } from './common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_INVENTORIES_FILE = join(__dirname, '../data/inventories.json');
+
+// Columns read from each format: { column: gas } for wide formats
+const FORMATS = {
+  long: null,
+  owid: { co2: 'co2', total_ghg: 'co2e_100yr' }
+};
+
+const datasets = {};
+
+/**
+ * Loads the manifest once, keeping only well-formed entries
+ */
+const loadManifest = lazyDataFile({
+  envVar: 'EMISSIONS_INVENTORIES_FILE',
+  defaultFile: DEFAULT_INVENTORIES_FILE,
+  label: 'inventories manifest',
+  parse: (text, file) => {
+    const { version = null, datasets: entries = {} } = JSON.parse(text);
+    const valid = {};
+    for (const [id, entry] of Object.entries(entries)) {
+      const format = entry.format || 'long';
+      const unit = entry.unit || 'Mt';
+      if (!entry.file || !(format in FORMATS) || !MASS_UNITS[unit]) {
+        console.warn(`⚠️ Skipping inventory ${id}: needs a file, a format (${Object.keys(FORMATS).join(', ')}) and a unit (${Object.keys(MASS_UNITS).join(', ')})`);
+        continue;
+      }
+      valid[id] = { id, name: id, ...entry, format, unit, path: resolve(dirname(file), entry.file) };
+    }
+    return { version, datasets: valid };
+  },
+  fallback: () => ({ version: null, datasets: {} })
+});
+
+/**
+ * Loads and indexes one dataset file once
+ * @returns {Promise<{values: Map<string, number>, years: number[], gases: string[], countries: Set<string>}>}
+ */
+async function loadDataset(entry) {
+  if (!datasets[entry.id]) {
+    datasets[entry.id] = readFile(entry.path, 'utf-8')
+      .then(text => {
+        const parsed = parseDataset(text, entry);
+        console.log(`📦 Loaded inventory ${entry.id}: ${parsed.values.size} values for ${parsed.countries.size} countries`);
+        return parsed;
+      })
+      .catch(error => {
+        console.error(`❌ Failed to load inventory ${entry.id}:`, error.message);
+        delete datasets[entry.id];
+        return { values: new Map(), years: [], gases: [], countries: new Set(), error: error.message };
+      });
+  }
+  return datasets[entry.id];
+}
+
+function parseDataset(text, entry) {
+  const [header, ...rows] = parseCsv(text);
+  const index = name => header.indexOf(name);
+  const wide = FORMATS[entry.format];
+  const factor = MASS_UNITS[entry.unit].factor;
+
+  const required = wide ? ['iso_code', 'year'] : ['iso3', 'year', 'gas', 'emissions'];
+  const absent = required.filter(name => index(name) === -1);
+  if (absent.length > 0) {
+    throw new Error(`missing columns: ${absent.join(', ')}`);
+  }
+
+  // Each row yields [code, year, gas, value] cells
+  const cells = wide
+    ? rows.flatMap(row => Object.entries(wide)
+      .filter(([column]) => index(column) !== -1)
+      .map(([column, gas]) => [row[index('iso_code')], row[index('year')], gas, row[index(column)]]))
+    : rows.map(row => [row[index('iso3')], row[index('year')], row[index('gas')]?.toLowerCase(), row[index('emissions')]]);
+
+  const values = new Map();
+  const years = new Set();
+  const gases = new Set();
+  const countries = new Set();
+  let skipped = 0;
+
+  for (const [code, yearText, gas, valueText] of cells) {
+    const year = parseInt(yearText);
+    const value = parseFloat(valueText);
+    // Wide formats have aggregates (OWID_WRL, regions) and blank cells; only long rows count as malformed
+    if (!/^[A-Z]{3}$/.test(code || '') || !Number.isInteger(year) || !GASES[gas] || !Number.isFinite(value)) {
+      if (!wide) skipped++;
+      continue;
+    }
+    values.set(valueKey(code, year, gas), value * factor);
+    years.add(year);
+    gases.add(gas);
+    countries.add(code);
+  }
+
+  if (skipped > 0) {
+    console.warn(`⚠️ Inventory ${entry.id}: skipped ${skipped} malformed rows`);
+  }
+  return { values, years: [...years].sort((a, b) => a - b), gases: [...gases], countries };
+}
+
+function valueKey(code, year, gas) {
+  return `${code}:${year}:${gas}`;
+}
+
+/**
+ * Configured inventories with their coverage
+ * @returns {Promise<Array<{id, name, description, scope, url, format, unit, years, gases, countries}>>}
+ */
+export async function listInventories() {
+  const { datasets: entries } = await loadManifest();
+  return Promise.all(Object.values(entries).map(async entry => {
+    const data = await loadDataset(entry);
+    return {
+      id: entry.id,
+      name: entry.name,
+      description: entry.description || '',
+      scope: entry.scope || null,
+      url: entry.url || null,
+      format: entry.format,
+      unit: entry.unit,
+      years: data.years,
+      gases: data.gases,
+      countries: data.countries.size,
+      ...(data.error && { error: data.error })
+    };
+  }));
+}
+
+/**
+ * An inventory with its indexed values, or null for an unknown id
+ * @returns {Promise<Object|null>} Entry with `data` from loadDataset()
+ */
+export async function getInventory(id) {
+  const { datasets: entries } = await loadManifest();
+  const entry = entries[id];
+  return entry ? { ...entry, data: await loadDataset(entry) } : null;
+}
+
+/**
+ * A value from an inventory, in tonnes, or null when it has none
+ */
+export function inventoryValue(inventory, code, year, gas) {
+  return inventory.data.values.get(valueKey(code, year, gas)) ?? null;
+}
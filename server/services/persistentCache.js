@@ -0,0 +1,192 @@
+/**
+ * Persistent Cache
+ * JSON-file backed key/value cache with stale-while-revalidate semantics.
+ *
+ * Entries survive restarts: each one is stored as a file under the cache
+ * directory together with its fetch timestamp and upstream ETag. Fresh
+ * entries are returned directly; stale entries are returned immediately
+ * while a single background refresh replaces them.
+ *
+ * Usage:
+ *   const cache = new PersistentCache({ dir, ttl: 30 * 60 * 1000 });
+ *   const value = await cache.getOrRefresh('key', async ({ etag }) => ({ value, etag }));
+ */
+
+import { mkdir, readFile, writeFile, rename, readdir, rm } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+const DEFAULT_TTL = 1000 * 60 * 30;
+const DEFAULT_MAX_STALE = 1000 * 60 * 60 * 24 * 7;
+
+export class PersistentCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for cache files
+   * @param {number} options.ttl - Time (ms) an entry is considered fresh
+   * @param {number} options.maxStale - Time (ms) after which a stale entry is no longer served without a refresh attempt
+   */
+  constructor({ dir, ttl = DEFAULT_TTL, maxStale = DEFAULT_MAX_STALE } = {}) {
+    this.dir = dir;
+    this.ttl = ttl;
+    this.maxStale = maxStale;
+    this.memory = new Map();
+    this.refreshing = new Map();
+    this.ready = mkdir(dir, { recursive: true }).catch(error => {
+      console.warn(`⚠️ Cache directory unavailable (${dir}):`, error.message);
+    });
+  }
+
+  /**
+   * Maps a cache key to its file path
+   */
+  fileFor(key) {
+    const hash = createHash('sha1').update(key).digest('hex');
+    return join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Returns the stored entry {key, value, fetchedAt, etag} or null
+   */
+  async get(key) {
+    if (this.memory.has(key)) {
+      return this.memory.get(key);
+    }
+
+    try {
+      await this.ready;
+      const entry = JSON.parse(await readFile(this.fileFor(key), 'utf-8'));
+      if (entry.key !== key) return null;
+      this.memory.set(key, entry);
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stores a value with its fetch metadata, in memory and on disk
+   */
+  async set(key, value, { etag = null, fetchedAt = Date.now() } = {}) {
+    const entry = { key, value, fetchedAt, etag };
+    this.memory.set(key, entry);
+
+    try {
+      await this.ready;
+      const file = this.fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(entry));
+      await rename(tmp, file);
+    } catch (error) {
+      console.warn(`⚠️ Failed to persist cache entry ${key}:`, error.message);
+    }
+    return entry;
+  }
+
+  /**
+   * Returns a cached value, loading or refreshing it as needed.
+   *
+   * The loader receives the previous ETag (if any) and resolves to
+   * { value, etag } or { notModified: true } when the upstream confirms
+   * the cached copy is still current.
+   *
+   * @param {string} key - Cache key
+   * @param {Function} loader - async ({ etag }) => ({ value, etag, notModified })
+   */
+  async getOrRefresh(key, loader) {
+    const entry = await this.get(key);
+
+    if (!entry) {
+      return (await this.refresh(key, loader, null)).value;
+    }
+
+    const age = Date.now() - entry.fetchedAt;
+    if (age < this.ttl) {
+      return entry.value;
+    }
+
+    if (age < this.maxStale) {
+      this.refresh(key, loader, entry).catch(error => {
+        console.warn(`⚠️ Background refresh failed for ${key}:`, error.message);
+      });
+      return entry.value;
+    }
+
+    try {
+      return (await this.refresh(key, loader, entry)).value;
+    } catch (error) {
+      console.warn(`⚠️ Refresh failed for ${key}, serving stale copy:`, error.message);
+      return entry.value;
+    }
+  }
+
+  /**
+   * Runs the loader once per key at a time and stores the result
+   */
+  refresh(key, loader, previous) {
+    if (this.refreshing.has(key)) {
+      return this.refreshing.get(key);
+    }
+
+    const pending = (async () => {
+      const result = await loader({ etag: previous?.etag ?? null });
+      if (result.notModified && previous) {
+        return this.set(key, previous.value, { etag: previous.etag });
+      }
+      return this.set(key, result.value, { etag: result.etag ?? null });
+    })().finally(() => {
+      this.refreshing.delete(key);
+    });
+
+    this.refreshing.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Summarizes entries currently on disk
+   */
+  async getStats() {
+    await this.ready;
+    let files = [];
+    try {
+      files = (await readdir(this.dir)).filter(f => f.endsWith('.json'));
+    } catch {
+      return { dir: this.dir, entries: 0, fresh: 0, stale: 0, withEtag: 0, oldestFetch: null, newestFetch: null };
+    }
+
+    const now = Date.now();
+    const stats = { dir: this.dir, entries: 0, fresh: 0, stale: 0, withEtag: 0, oldestFetch: null, newestFetch: null };
+
+    for (const file of files) {
+      try {
+        const { fetchedAt, etag } = JSON.parse(await readFile(join(this.dir, file), 'utf-8'));
+        stats.entries++;
+        if (now - fetchedAt < this.ttl) stats.fresh++;
+        else stats.stale++;
+        if (etag) stats.withEtag++;
+        if (!stats.oldestFetch || fetchedAt < stats.oldestFetch) stats.oldestFetch = fetchedAt;
+        if (!stats.newestFetch || fetchedAt > stats.newestFetch) stats.newestFetch = fetchedAt;
+      } catch {
+        // Ignore partially written or corrupt entries
+      }
+    }
+
+    return {
+      ...stats,
+      oldestFetch: stats.oldestFetch && new Date(stats.oldestFetch).toISOString(),
+      newestFetch: stats.newestFetch && new Date(stats.newestFetch).toISOString()
+    };
+  }
+
+  /**
+   * Removes every entry from memory and disk
+   */
+  async clear() {
+    this.memory.clear();
+    await rm(this.dir, { recursive: true, force: true });
+    this.ready = mkdir(this.dir, { recursive: true });
+    await this.ready;
+  }
+}
+
+export default PersistentCache;
@@ -0,0 +1,265 @@
+/**
+ * Sector Scenarios
+ * What-if reduction paths applied to country × sector emissions, and a
+ * small JSON-file store for named scenarios.
+ *
+ * Scenario shape:
+ *   { name, description, baseYear, targetYear, scheme, grouping,
+ *     adjustments: [{ sector | industry, country | region, reductionPercent, targetYear }] }
+ *
+ * - sector is a data source sector slug, industry a category id under `scheme`
+ * - region is a group id under `grouping` (default: continent)
+ * - an adjustment without sector/industry applies to every sector, one without
+ *   country/region to every country
+ * - each reduction is phased in linearly from baseYear to its targetYear and
+ *   held afterwards; adjustments that overlap compound multiplicatively
+ *
+ * Saved scenarios: server/data/scenarios.json (override with EMISSIONS_SCENARIOS_FILE)
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { SECTORS, SCHEMES, DEFAULT_SCHEME, categorize, listCategories } from './taxonomy.js';
+import { DEFAULT_GROUPING } from './groupings.js';
+import { badRequest, dataFile } from './common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_SCENARIOS_FILE = join(__dirname, '../data/scenarios.json');
+
+const MAX_ADJUSTMENTS = 50;
+const MAX_TARGET_YEAR = 2100;
+
+// Resolves to { scenarios, error }; error is set when the file exists but cannot be read
+let store = null;
+let writing = Promise.resolve();
+
+function scenariosFile() {
+  return dataFile('EMISSIONS_SCENARIOS_FILE', DEFAULT_SCENARIOS_FILE);
+}
+
+/**
+ * Loads saved scenarios once. A missing file is an empty store; an
+ * unreadable or corrupt one is kept as an error so it is never overwritten.
+ */
+async function loadStore() {
+  if (!store) {
+    store = readFile(scenariosFile(), 'utf-8')
+      .then(JSON.parse)
+      .then(({ scenarios = {} }) => ({ scenarios, error: null }))
+      .catch(error => {
+        if (error.code === 'ENOENT') {
+          return { scenarios: {}, error: null };
+        }
+        console.error('❌ Failed to load scenarios:', error.message);
+        return { scenarios: {}, error };
+      });
+  }
+  return store;
+}
+
+async function loadScenarios() {
+  return (await loadStore()).scenarios;
+}
+
+/**
+ * Applies a change to a copy of the saved scenarios, writes the copy
+ * atomically and only then makes it the current store. Updates are queued
+ * so they never interleave; a failed one leaves the store untouched and
+ * does not affect later updates.
+ *
+ * @param {Function} change - Mutates the copy and returns the update's result
+ */
+function update(change) {
+  const file = scenariosFile();
+  const run = writing.catch(() => {}).then(async () => {
+    const { scenarios, error } = await loadStore();
+    if (error) {
+      console.error(`❌ Refusing to overwrite unreadable scenarios file ${file}`);
+      const refused = new Error('Saved scenarios file could not be read; fix or remove it before saving');
+      refused.status = 500;
+      throw refused;
+    }
+
+    const next = { ...scenarios };
+    const result = change(next);
+    await mkdir(dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify({ scenarios: next }, null, 2));
+    await rename(tmp, file);
+
+    store = Promise.resolve({ scenarios: next, error: null });
+    return result;
+  });
+  writing = run;
+  return run;
+}
+
+/**
+ * Validates and normalizes a scenario definition. Throws an error with
+ * status 400 listing every problem found.
+ *
+ * @param {Object} definition - Scenario from a request body or the store
+ * @param {Object} options
+ * @param {number} options.firstYear - First year with sector data
+ * @param {number} options.lastYear - Last year with sector data
+ * @param {boolean} options.requireName - Whether a name is required (saving)
+ * @returns {Object} Scenario with defaults filled in
+ */
+export function validateScenario(definition, { firstYear, lastYear, requireName = false }) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw badRequest('Scenario must be a JSON object');
+  }
+
+  const problems = [];
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+  if (requireName && !scenarioId(name)) {
+    problems.push('name is required and must contain letters or digits');
+  }
+
+  const baseYear = definition.baseYear ?? lastYear;
+  if (!Number.isInteger(baseYear) || baseYear < firstYear || baseYear > lastYear) {
+    problems.push(`baseYear must be a year from ${firstYear} to ${lastYear}`);
+  }
+  const targetYear = definition.targetYear ?? 2030;
+  if (!Number.isInteger(targetYear) || targetYear <= baseYear || targetYear > MAX_TARGET_YEAR) {
+    problems.push(`targetYear must be after baseYear and no later than ${MAX_TARGET_YEAR}`);
+  }
+
+  const scheme = definition.scheme ? String(definition.scheme).toLowerCase() : DEFAULT_SCHEME;
+  if (!SCHEMES[scheme]) {
+    problems.push(`Unknown taxonomy scheme: ${definition.scheme}`);
+  }
+  const grouping = definition.grouping || DEFAULT_GROUPING;
+
+  const adjustments = Array.isArray(definition.adjustments) ? definition.adjustments : null;
+  if (!adjustments || adjustments.length === 0 || adjustments.length > MAX_ADJUSTMENTS) {
+    problems.push(`adjustments must be a list of 1-${MAX_ADJUSTMENTS} reduction paths`);
+  }
+
+  const categoryIds = SCHEMES[scheme] ? listCategories(scheme).map(c => c.id) : [];
+  const normalized = (adjustments || []).map((adjustment, index) => {
+    const at = `adjustments[${index}]`;
+    const sector = adjustment.sector ? String(adjustment.sector).toLowerCase() : null;
+    const industry = adjustment.industry ? String(adjustment.industry).toLowerCase() : null;
+    const country = adjustment.country ? String(adjustment.country).toUpperCase() : null;
+    const region = adjustment.region ? String(adjustment.region) : null;
+    const reductionPercent = adjustment.reductionPercent;
+    const adjustmentTarget = adjustment.targetYear ?? targetYear;
+
+    if (sector && industry) problems.push(`${at}: set sector or industry, not both`);
+    if (country && region) problems.push(`${at}: set country or region, not both`);
+    if (sector && !SECTORS[sector]) problems.push(`${at}: unknown sector ${sector}`);
+    if (industry && SCHEMES[scheme] && !categoryIds.includes(industry)) problems.push(`${at}: unknown industry ${industry} for scheme ${scheme}`);
+    if (country && !/^[A-Z]{3}$/.test(country)) problems.push(`${at}: country must be an ISO alpha-3 code`);
+    if (typeof reductionPercent !== 'number' || !(reductionPercent <= 100 && reductionPercent >= -100)) {
+      problems.push(`${at}: reductionPercent must be a number from -100 (doubling) to 100 (elimination)`);
+    }
+    if (!Number.isInteger(adjustmentTarget) || adjustmentTarget <= baseYear || adjustmentTarget > MAX_TARGET_YEAR) {
+      problems.push(`${at}: targetYear must be after baseYear and no later than ${MAX_TARGET_YEAR}`);
+    }
+
+    return { sector, industry, country, region, reductionPercent, targetYear: adjustmentTarget };
+  });
+
+  if (problems.length > 0) {
+    throw badRequest(`Invalid scenario: ${problems.join('; ')}`);
+  }
+
+  return {
+    ...(name && { id: scenarioId(name), name }),
+    description: typeof definition.description === 'string' ? definition.description : '',
+    baseYear,
+    targetYear: Math.max(targetYear, ...normalized.map(a => a.targetYear)),
+    scheme,
+    grouping,
+    adjustments: normalized
+  };
+}
+
+/**
+ * Multiplier applied to one country × sector cell in a given year
+ *
+ * @param {Object} scenario - Output of validateScenario()
+ * @param {string} country - ISO alpha-3 code
+ * @param {string} sector - Sector slug
+ * @param {number} year - Year to evaluate
+ * @param {Object} regionMembers - Maps region id to a Set of member codes
+ */
+export function cellMultiplier(scenario, country, sector, year, regionMembers = {}) {
+  let multiplier = 1;
+  for (const adjustment of matchingAdjustments(scenario, country, sector, regionMembers)) {
+    const progress = Math.min(1, Math.max(0, (year - scenario.baseYear) / (adjustment.targetYear - scenario.baseYear)));
+    multiplier *= 1 - adjustment.reductionPercent / 100 * progress;
+  }
+  return multiplier;
+}
+
+/**
+ * Adjustments that apply to a country × sector cell
+ */
+export function matchingAdjustments(scenario, country, sector, regionMembers = {}) {
+  const slug = sector?.toLowerCase();
+  return scenario.adjustments.filter(adjustment =>
+    (!adjustment.sector || adjustment.sector === slug) &&
+    (!adjustment.industry || categorize(slug, scenario.scheme).id === adjustment.industry) &&
+    (!adjustment.country || adjustment.country === country) &&
+    (!adjustment.region || regionMembers[adjustment.region]?.has(country))
+  );
+}
+
+/**
+ * Saved scenarios, newest first
+ * @returns {Promise<Array>}
+ */
+export async function listScenarios() {
+  const scenarios = await loadScenarios();
+  return Object.values(scenarios).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * A saved scenario by id, or null
+ */
+export async function getScenario(id) {
+  const scenarios = await loadScenarios();
+  return scenarios[id] || null;
+}
+
+/**
+ * Saves a validated scenario under the id derived from its name,
+ * replacing any scenario with the same id
+ *
+ * @param {Object} scenario - Output of validateScenario() with a name
+ * @returns {Promise<{scenario: Object, created: boolean}>}
+ */
+export async function saveScenario(scenario) {
+  return update(scenarios => {
+    const existing = scenarios[scenario.id];
+    const now = new Date().toISOString();
+    const saved = { ...scenario, createdAt: existing?.createdAt || now, updatedAt: now };
+
+    scenarios[scenario.id] = saved;
+    return { scenario: saved, created: !existing };
+  });
+}
+
+/**
+ * Deletes a saved scenario
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function deleteScenario(id) {
+  const scenarios = await loadScenarios();
+  if (!scenarios[id]) return false;
+
+  return update(current => {
+    if (!current[id]) return false;
+    delete current[id];
+    return true;
+  });
+}
+
+function scenarioId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,97 @@
+/**
+ * Seasonality
+ * Classical additive decomposition of a monthly series into trend,
+ * seasonal and residual parts:
+ *
+ * - trend: centred 2x12 moving average, undefined for the first and last six
+ *   months and wherever the window spans a missing month
+ * - seasonal: mean detrended value of each calendar month, shifted to sum to zero
+ * - residual: value - trend - seasonal
+ *
+ * Needs at least two full years so every calendar month has a detrended value.
+ */
+
+import { round } from './common.js';
+
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const PERIOD = 12;
+export const MIN_SEASONAL_POINTS = 2 * PERIOD;
+
+/**
+ * Decomposes a monthly series. Points are placed on a calendar grid, so
+ * months missing from the series (or without a finite value) are gaps
+ * rather than shifting later months.
+ *
+ * @param {Array<{year: number, month: number, value: number}>} points - Month is 1-12
+ * @returns {{points: Array, indices: Array, peak: Object, trough: Object, amplitude: number|null}|null}
+ *   null when the series has fewer than MIN_SEASONAL_POINTS values or a
+ *   calendar month ends up without a detrended value
+ */
+export function decomposeSeasonal(points) {
+  const present = points
+    .filter(p => Number.isFinite(p.value))
+    .sort((a, b) => monthIndex(a) - monthIndex(b));
+  if (present.length < MIN_SEASONAL_POINTS) return null;
+
+  // values[i] is the month `first + i`, or null where the series has a gap
+  const first = monthIndex(present[0]);
+  const values = new Array(monthIndex(present[present.length - 1]) - first + 1).fill(null);
+  for (const p of present) values[monthIndex(p) - first] = p.value;
+
+  const half = PERIOD / 2;
+  const trend = values.map((_, i) => {
+    if (i < half || i + half >= values.length) return null;
+    const window = values.slice(i - half, i + half + 1);
+    if (window.includes(null)) return null;
+    // 13 months with half weight on both ends centres an even-length window
+    const sum = window.reduce((total, v) => total + v, 0) - (window[0] + window[PERIOD]) / 2;
+    return sum / PERIOD;
+  });
+
+  const detrended = Array.from({ length: PERIOD }, () => []);
+  values.forEach((value, i) => {
+    if (value !== null && trend[i] !== null) detrended[(first + i) % PERIOD].push(value - trend[i]);
+  });
+  if (detrended.some(list => list.length === 0)) return null;
+  const means = detrended.map(list => list.reduce((sum, v) => sum + v, 0) / list.length);
+  const offset = means.reduce((sum, v) => sum + v, 0) / PERIOD;
+  const seasonal = means.map(v => v - offset);
+
+  const level = present.reduce((sum, p) => sum + p.value, 0) / present.length;
+  const percentOfLevel = value => (level > 0 ? parseFloat((value / level * 100).toFixed(1)) : null);
+
+  const indices = seasonal.map((value, index) => ({
+    month: index + 1,
+    label: MONTHS[index],
+    value: round(value),
+    percent: percentOfLevel(value)
+  }));
+  const byValue = [...indices].sort((a, b) => b.value - a.value);
+
+  return {
+    points: present.map(p => {
+      const i = monthIndex(p) - first;
+      return {
+        year: p.year,
+        month: p.month,
+        value: p.value,
+        trend: round(trend[i]),
+        seasonal: round(seasonal[p.month - 1]),
+        residual: trend[i] === null ? null : round(p.value - trend[i] - seasonal[p.month - 1])
+      };
+    }),
+    indices,
+    peak: byValue[0],
+    trough: byValue[byValue.length - 1],
+    // Peak-to-trough swing as a percentage of the mean monthly value
+    amplitude: percentOfLevel(byValue[0].value - byValue[byValue.length - 1].value)
+  };
+}
+
+/**
+ * Months since year 0, so consecutive months differ by one
+ */
+function monthIndex({ year, month }) {
+  return year * PERIOD + month - 1;
+}
@@ -0,0 +1,162 @@
+/**
+ * National Targets
+ * Economy-wide emissions targets (NDC pledges) from a bundled, editable
+ * dataset, and progress against the linear pathway from base to target year.
+ *
+ * Dataset: server/data/targets.json (override with EMISSIONS_TARGETS_FILE)
+ *   { version, source, targets: { "USA": { type, gas, baseYear, targetYear,
+ *     reductionPercent, baseEmissions | baseIntensity, description, source } } }
+ *
+ * - absolute targets track emissions of `gas`; baseEmissions is in Mt
+ * - intensity targets track kg of `gas` per constant 2015 US$ of GDP
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { lazyDataFile } from './common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_TARGETS_FILE = join(__dirname, '../data/targets.json');
+
+export const TARGET_TYPES = ['absolute', 'intensity'];
+
+const RECENT_TREND_YEARS = 5;
+
+/**
+ * Loads the targets dataset once, keeping only well-formed targets
+ */
+const loadTargets = lazyDataFile({
+  envVar: 'EMISSIONS_TARGETS_FILE',
+  defaultFile: DEFAULT_TARGETS_FILE,
+  label: 'targets',
+  parse: text => {
+    const { version = null, source = null, targets = {} } = JSON.parse(text);
+    const valid = {};
+    for (const [code, target] of Object.entries(targets)) {
+      const problem = validateTarget(target);
+      if (!/^[A-Z]{3}$/.test(code) || problem) {
+        console.warn(`⚠️ Skipping target for ${code}: ${problem || 'not an ISO alpha-3 code'}`);
+        continue;
+      }
+      valid[code] = { gas: 'co2e_100yr', ...target };
+    }
+    return { version, source, targets: valid };
+  },
+  fallback: () => ({ version: null, source: null, targets: {} })
+});
+
+function validateTarget(target) {
+  if (!TARGET_TYPES.includes(target.type)) return `type must be one of ${TARGET_TYPES.join(', ')}`;
+  if (!Number.isInteger(target.baseYear) || !Number.isInteger(target.targetYear)) return 'baseYear and targetYear must be years';
+  if (target.targetYear <= target.baseYear) return 'targetYear must be after baseYear';
+  if (!(target.reductionPercent > 0 && target.reductionPercent < 100)) return 'reductionPercent must be between 0 and 100';
+  return null;
+}
+
+/**
+ * All targets on file
+ * @returns {Promise<{version: string, source: string, targets: Object}>}
+ */
+export async function getTargets() {
+  return loadTargets();
+}
+
+/**
+ * Compares a yearly series against the linear pathway of a target.
+ * Values are tonnes of the target gas (absolute) or kg per $ GDP (intensity).
+ *
+ * @param {Object} target - Target from the dataset
+ * @param {Array<{year: number, tonnes: number, gdp: number|null}>} series - Yearly history
+ * @returns {Object} Progress in the target's measure; null values when it cannot be assessed
+ */
+export function evaluateTarget(target, series) {
+  const { type, baseYear, targetYear, reductionPercent } = target;
+  const notes = [];
+
+  const measure = point => {
+    if (!Number.isFinite(point.tonnes)) return null;
+    if (type === 'absolute') return point.tonnes;
+    return point.gdp ? point.tonnes * 1000 / point.gdp : null;
+  };
+  const points = series
+    .map(point => ({ year: point.year, value: measure(point), gdp: point.gdp ?? null }))
+    .filter(point => point.value !== null)
+    .sort((a, b) => a.year - b.year);
+
+  const fromData = points.find(point => point.year === baseYear);
+  const fromDataset = type === 'absolute'
+    ? (Number.isFinite(target.baseEmissions) ? target.baseEmissions * 1e6 : null)
+    : (Number.isFinite(target.baseIntensity) ? target.baseIntensity : null);
+  const baseValue = fromData?.value ?? fromDataset;
+  const baseSource = fromData ? 'data' : fromDataset !== null ? 'dataset' : null;
+
+  if (baseSource === 'dataset') {
+    notes.push(`Base year ${baseYear} is outside the emissions data; base value taken from the targets dataset (national inventory), which may not match the data source's method`);
+  }
+
+  const latest = points[points.length - 1] || null;
+  if (baseValue === null || !latest) {
+    return {
+      status: 'unknown',
+      baseValue,
+      baseSource,
+      targetValue: null,
+      latest: null,
+      pathwayValue: null,
+      gap: null,
+      gapTonnes: null,
+      requiredAnnualReductionPercent: null,
+      recentAnnualChangePercent: null,
+      pathway: [],
+      history: points,
+      notes: [...notes, baseValue === null ? `No base value for ${baseYear}` : 'No emissions history']
+    };
+  }
+
+  const targetValue = baseValue * (1 - reductionPercent / 100);
+  const pathwayAt = year => baseValue + (targetValue - baseValue) * (year - baseYear) / (targetYear - baseYear);
+  const pathwayValue = pathwayAt(latest.year);
+  const gap = latest.value - pathwayValue;
+
+  const yearsLeft = targetYear - latest.year;
+  const requiredAnnualReductionPercent = latest.value <= targetValue
+    ? 0
+    : yearsLeft > 0 ? (1 - (targetValue / latest.value) ** (1 / yearsLeft)) * 100 : null;
+
+  const recentStart = points[Math.max(0, points.length - 1 - RECENT_TREND_YEARS)];
+  const recentYears = latest.year - recentStart.year;
+  const recentAnnualChangePercent = recentYears > 0 && recentStart.value > 0
+    ? ((latest.value / recentStart.value) ** (1 / recentYears) - 1) * 100
+    : null;
+
+  let status = 'off_track';
+  if (latest.value <= targetValue) status = 'achieved';
+  else if (gap <= 0) status = 'on_track';
+  if (yearsLeft < 0 && status !== 'achieved') {
+    status = 'missed';
+  }
+
+  const pathway = [];
+  for (let year = baseYear; year <= targetYear; year++) {
+    pathway.push({ year, value: pathwayAt(year) });
+  }
+
+  return {
+    status,
+    baseValue,
+    baseSource,
+    targetValue,
+    latest,
+    pathwayValue,
+    gap,
+    // Gap expressed as emissions: for intensity targets, at the latest year's GDP
+    gapTonnes: type === 'absolute' ? gap : (latest.gdp ? gap * latest.gdp / 1000 : null),
+    requiredAnnualReductionPercent,
+    recentAnnualChangePercent,
+    pathway,
+    history: points,
+    notes
+  };
+}
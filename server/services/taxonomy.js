@@ -0,0 +1,275 @@
+/**
+ * Sector Taxonomy
+ * Single definition of Climate TRACE sector slugs: display names, chart
+ * colours and how sectors group into categories under each scheme.
+ *
+ * - industry: six dashboard industries (default)
+ * - ipcc: IPCC 2006 inventory categories; international bunkers are memo items
+ * - ghg_protocol: GHG Protocol for Cities (GPC) sectors
+ *
+ * Every slug is assigned in every scheme; unknown slugs fall into "Other".
+ */
+
+export const SECTORS = {
+  // Power
+  'power': { name: 'Power Generation', color: '#f59e0b' },
+  'electricity-generation': { name: 'Power Generation', color: '#f59e0b' },
+  'heat-plants': { name: 'Heat Plants', color: '#fbbf24' },
+  'other-energy-use': { name: 'Other Energy Use', color: '#fcd34d' },
+
+  // Fossil fuel operations
+  'fossil-fuel-operations': { name: 'Fossil Fuel Operations', color: '#64748b' },
+  'oil-and-gas-production-and-transport': { name: 'Oil & Gas', color: '#475569' },
+  'oil-and-gas-production': { name: 'Oil & Gas Production', color: '#475569' },
+  'oil-and-gas-transport': { name: 'Oil & Gas Transport', color: '#52606d' },
+  'oil-and-gas-refining': { name: 'Oil Refining', color: '#3f4a5a' },
+  'coal-mining': { name: 'Coal Mining', color: '#334155' },
+  'solid-fuel-transformation': { name: 'Solid Fuel Transformation', color: '#1e293b' },
+  'other-fossil-fuel-operations': { name: 'Other Fossil Fuel Operations', color: '#94a3b8' },
+
+  // Manufacturing
+  'manufacturing': { name: 'Manufacturing', color: '#8b5cf6' },
+  'steel': { name: 'Steel Production', color: '#7c3aed' },
+  'iron-and-steel': { name: 'Steel Production', color: '#7c3aed' },
+  'cement': { name: 'Cement Production', color: '#6d28d9' },
+  'chemicals': { name: 'Chemicals', color: '#5b21b6' },
+  'other-chemicals': { name: 'Other Chemicals', color: '#5b21b6' },
+  'petrochemical-steam-cracking': { name: 'Petrochemicals', color: '#4c1d95' },
+  'aluminum': { name: 'Aluminum', color: '#a78bfa' },
+  'pulp-and-paper': { name: 'Pulp & Paper', color: '#c4b5fd' },
+  'glass': { name: 'Glass', color: '#9f7aea' },
+  'lime': { name: 'Lime', color: '#8b7cf6' },
+  'food-beverage-tobacco': { name: 'Food & Beverage', color: '#a78bfa' },
+  'textiles-leather-apparel': { name: 'Textiles', color: '#b794f4' },
+  'wood-and-wood-products': { name: 'Wood Products', color: '#9061f9' },
+  'other-metals': { name: 'Other Metals', color: '#7e5bef' },
+  'other-manufacturing': { name: 'Other Manufacturing', color: '#ddd6fe' },
+
+  // Mineral extraction
+  'mineral-extraction': { name: 'Mining', color: '#78716c' },
+  'bauxite-mining': { name: 'Bauxite Mining', color: '#78716c' },
+  'copper-mining': { name: 'Copper Mining', color: '#78716c' },
+  'iron-mining': { name: 'Iron Mining', color: '#78716c' },
+  'rock-quarrying': { name: 'Rock Quarrying', color: '#a8a29e' },
+  'sand-quarrying': { name: 'Sand Quarrying', color: '#a8a29e' },
+  'other-mining-quarrying': { name: 'Other Mining', color: '#a8a29e' },
+
+  // Transportation
+  'transportation': { name: 'Transportation', color: '#06b6d4' },
+  'road-transportation': { name: 'Road Transport', color: '#06b6d4' },
+  'domestic-aviation': { name: 'Aviation', color: '#0891b2' },
+  'international-aviation': { name: 'International Aviation', color: '#155e75' },
+  'domestic-shipping': { name: 'Domestic Shipping', color: '#0e7490' },
+  'international-shipping': { name: 'Shipping', color: '#0e7490' },
+  'railways': { name: 'Railways', color: '#22d3ee' },
+  'other-transport': { name: 'Other Transport', color: '#67e8f9' },
+
+  // Buildings
+  'buildings': { name: 'Buildings', color: '#ec4899' },
+  'residential-and-commercial-onsite-fuel-usage': { name: 'Buildings', color: '#ec4899' },
+  'residential-onsite-fuel-usage': { name: 'Residential Buildings', color: '#ec4899' },
+  'non-residential-onsite-fuel-usage': { name: 'Commercial Buildings', color: '#db2777' },
+  'other-onsite-fuel-usage': { name: 'Other Onsite Fuel Use', color: '#f472b6' },
+
+  // Agriculture
+  'agriculture': { name: 'Agriculture', color: '#22c55e' },
+  'enteric-fermentation-cattle-pasture': { name: 'Livestock', color: '#16a34a' },
+  'enteric-fermentation-cattle-feedlot': { name: 'Livestock (Feedlot)', color: '#15803d' },
+  'enteric-fermentation-other': { name: 'Other Livestock', color: '#166534' },
+  'manure-left-on-pasture-cattle': { name: 'Manure on Pasture', color: '#4ade80' },
+  'manure-management-cattle-feedlot': { name: 'Manure Management', color: '#86efac' },
+  'manure-management-other': { name: 'Other Manure Management', color: '#86efac' },
+  'manure-applied-to-soils': { name: 'Manure Applied to Soils', color: '#bbf7d0' },
+  'rice-cultivation': { name: 'Rice Cultivation', color: '#65a30d' },
+  'synthetic-fertilizer-application': { name: 'Fertilizer Application', color: '#a3e635' },
+  'cropland-fires': { name: 'Cropland Fires', color: '#4d7c0f' },
+  'other-agricultural-soil-emissions': { name: 'Agricultural Soils', color: '#d9f99d' },
+
+  // Waste
+  'waste': { name: 'Waste', color: '#a855f7' },
+  'solid-waste-disposal': { name: 'Solid Waste', color: '#a855f7' },
+  'wastewater-treatment-and-discharge': { name: 'Wastewater', color: '#c084fc' },
+  'incineration-and-open-burning-of-waste': { name: 'Waste Burning', color: '#9333ea' },
+  'biological-treatment-of-solid-waste-and-biogenic': { name: 'Biological Waste Treatment', color: '#d8b4fe' },
+
+  // Forestry and land use
+  'forestry-and-land-use': { name: 'Land Use', color: '#84cc16' },
+  'forest-land-clearing': { name: 'Deforestation', color: '#65a30d' },
+  'forest-land-degradation': { name: 'Forest Degradation', color: '#4d7c0f' },
+  'forest-land-fires': { name: 'Forest Fires', color: '#3f6212' },
+  'shrubgrass-fires': { name: 'Shrubland Fires', color: '#84cc16' },
+  'wetland-fires': { name: 'Wetland Fires', color: '#a3e635' },
+  'net-forest-land': { name: 'Net Forest Land', color: '#365314' },
+  'net-shrubgrass': { name: 'Net Shrubland', color: '#365314' },
+  'net-wetland': { name: 'Net Wetland', color: '#365314' },
+  'water-reservoirs': { name: 'Water Reservoirs', color: '#0d9488' },
+  'removals': { name: 'Removals', color: '#14532d' },
+
+  // Fluorinated gases
+  'fluorinated-gases': { name: 'Fluorinated Gases', color: '#f43f5e' }
+};
+
+const POWER = ['power', 'electricity-generation', 'heat-plants', 'other-energy-use'];
+const FOSSIL_FUEL_OPERATIONS = [
+  'fossil-fuel-operations', 'oil-and-gas-production-and-transport', 'oil-and-gas-production',
+  'oil-and-gas-transport', 'oil-and-gas-refining', 'coal-mining', 'solid-fuel-transformation',
+  'other-fossil-fuel-operations'
+];
+const MANUFACTURING = [
+  'manufacturing', 'steel', 'iron-and-steel', 'cement', 'chemicals', 'other-chemicals',
+  'petrochemical-steam-cracking', 'aluminum', 'pulp-and-paper', 'glass', 'lime',
+  'food-beverage-tobacco', 'textiles-leather-apparel', 'wood-and-wood-products', 'other-metals',
+  'other-manufacturing', 'fluorinated-gases'
+];
+const MINERAL_EXTRACTION = [
+  'mineral-extraction', 'bauxite-mining', 'copper-mining', 'iron-mining', 'rock-quarrying',
+  'sand-quarrying', 'other-mining-quarrying'
+];
+const DOMESTIC_TRANSPORT = ['transportation', 'road-transportation', 'domestic-aviation', 'domestic-shipping', 'railways', 'other-transport'];
+const INTERNATIONAL_TRANSPORT = ['international-aviation', 'international-shipping'];
+const BUILDINGS = [
+  'buildings', 'residential-and-commercial-onsite-fuel-usage', 'residential-onsite-fuel-usage',
+  'non-residential-onsite-fuel-usage', 'other-onsite-fuel-usage'
+];
+const AGRICULTURE = [
+  'agriculture', 'enteric-fermentation-cattle-pasture', 'enteric-fermentation-cattle-feedlot',
+  'enteric-fermentation-other', 'manure-left-on-pasture-cattle', 'manure-management-cattle-feedlot',
+  'manure-management-other', 'manure-applied-to-soils', 'rice-cultivation',
+  'synthetic-fertilizer-application', 'cropland-fires', 'other-agricultural-soil-emissions'
+];
+const WASTE = [
+  'waste', 'solid-waste-disposal', 'wastewater-treatment-and-discharge',
+  'incineration-and-open-burning-of-waste', 'biological-treatment-of-solid-waste-and-biogenic'
+];
+const LAND_USE = [
+  'forestry-and-land-use', 'forest-land-clearing', 'forest-land-degradation', 'forest-land-fires',
+  'shrubgrass-fires', 'wetland-fires', 'net-forest-land', 'net-shrubgrass', 'net-wetland',
+  'water-reservoirs', 'removals'
+];
+
+export const SCHEMES = {
+  industry: {
+    name: 'Industries',
+    description: 'Six industry groups used across the dashboard',
+    categories: {
+      'energy': { name: 'Energy', color: '#f59e0b', sectors: [...POWER, ...FOSSIL_FUEL_OPERATIONS] },
+      'manufacturing': { name: 'Manufacturing', color: '#8b5cf6', sectors: [...MANUFACTURING, ...MINERAL_EXTRACTION] },
+      'transportation': { name: 'Transportation', color: '#06b6d4', sectors: [...DOMESTIC_TRANSPORT, ...INTERNATIONAL_TRANSPORT] },
+      'buildings': { name: 'Buildings', color: '#ec4899', sectors: BUILDINGS },
+      'agriculture': { name: 'Agriculture', color: '#22c55e', sectors: AGRICULTURE },
+      'waste-&-land-use': { name: 'Waste & Land Use', color: '#a855f7', sectors: [...WASTE, ...LAND_USE] }
+    }
+  },
+  ipcc: {
+    name: 'IPCC categories',
+    description: 'IPCC 2006 Guidelines inventory categories; international aviation and shipping are memo items',
+    categories: {
+      '1a1': { code: '1.A.1', name: 'Energy Industries', color: '#f59e0b', sectors: [...POWER, 'oil-and-gas-refining', 'solid-fuel-transformation'] },
+      '1a2-2': { code: '1.A.2 / 2', name: 'Manufacturing & Industrial Processes', color: '#8b5cf6', sectors: [...MANUFACTURING, ...MINERAL_EXTRACTION] },
+      '1a3': { code: '1.A.3', name: 'Transport', color: '#06b6d4', sectors: DOMESTIC_TRANSPORT },
+      '1a4': { code: '1.A.4', name: 'Other Sectors (Buildings)', color: '#ec4899', sectors: BUILDINGS },
+      '1b': {
+        code: '1.B',
+        name: 'Fugitive Emissions from Fuels',
+        color: '#64748b',
+        sectors: FOSSIL_FUEL_OPERATIONS.filter(slug => slug !== 'oil-and-gas-refining' && slug !== 'solid-fuel-transformation')
+      },
+      '3a-3c': { code: '3.A / 3.C', name: 'Agriculture', color: '#22c55e', sectors: AGRICULTURE },
+      '3b': { code: '3.B', name: 'Land', color: '#84cc16', sectors: LAND_USE },
+      '4': { code: '4', name: 'Waste', color: '#a855f7', sectors: WASTE },
+      'memo-bunkers': { code: 'Memo', name: 'International Bunkers', color: '#155e75', sectors: INTERNATIONAL_TRANSPORT }
+    }
+  },
+  ghg_protocol: {
+    name: 'GHG Protocol (GPC)',
+    description: 'Sectors of the GHG Protocol for Cities; fugitive fuel emissions count as stationary energy',
+    categories: {
+      'stationary-energy': { code: 'I', name: 'Stationary Energy', color: '#f59e0b', sectors: [...POWER, ...FOSSIL_FUEL_OPERATIONS, ...BUILDINGS] },
+      'transportation': { code: 'II', name: 'Transportation', color: '#06b6d4', sectors: [...DOMESTIC_TRANSPORT, ...INTERNATIONAL_TRANSPORT] },
+      'waste': { code: 'III', name: 'Waste', color: '#a855f7', sectors: WASTE },
+      'ippu': { code: 'IV', name: 'Industrial Processes & Product Use', color: '#8b5cf6', sectors: [...MANUFACTURING, ...MINERAL_EXTRACTION] },
+      'afolu': { code: 'V', name: 'Agriculture, Forestry & Land Use', color: '#22c55e', sectors: [...AGRICULTURE, ...LAND_USE] }
+    }
+  }
+};
+
+export const DEFAULT_SCHEME = 'industry';
+
+const OTHER_CATEGORY = { id: 'other', name: 'Other', color: '#6b7280' };
+
+const categoryBySlug = Object.fromEntries(Object.entries(SCHEMES).map(([schemeId, scheme]) => [
+  schemeId,
+  Object.fromEntries(Object.entries(scheme.categories).flatMap(([categoryId, category]) =>
+    category.sectors.map(slug => [slug, categoryId])
+  ))
+]));
+
+/**
+ * Validates a `scheme` query value. Throws an error with status 400 for unknown schemes.
+ */
+export function resolveScheme(scheme) {
+  if (!scheme) return DEFAULT_SCHEME;
+  const id = String(scheme).toLowerCase();
+  if (!SCHEMES[id]) {
+    const error = new Error(`Unknown taxonomy scheme: ${scheme}. Available: ${Object.keys(SCHEMES).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return id;
+}
+
+/**
+ * Display name and colour of a sector slug; unknown slugs are title-cased
+ */
+export function describeSector(slug) {
+  const key = slug?.toLowerCase();
+  return SECTORS[key] || {
+    name: slug?.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) || 'Other',
+    color: '#6b7280'
+  };
+}
+
+/**
+ * Category of a sector slug under a scheme, e.g. { id: 'energy', name: 'Energy', color }
+ */
+export function categorize(slug, scheme = DEFAULT_SCHEME) {
+  const id = categoryBySlug[scheme]?.[slug?.toLowerCase()];
+  if (!id) return OTHER_CATEGORY;
+  const { name, color, code } = SCHEMES[scheme].categories[id];
+  return { id, name, color, ...(code && { code }) };
+}
+
+/**
+ * Categories of a scheme in definition order, followed by "Other"
+ */
+export function listCategories(scheme = DEFAULT_SCHEME) {
+  return [
+    ...Object.entries(SCHEMES[scheme].categories).map(([id, { name, color, code }]) => ({ id, name, color, ...(code && { code }) })),
+    OTHER_CATEGORY
+  ];
+}
+
+/**
+ * Full taxonomy for a scheme, served by /api/emissions/taxonomy
+ */
+export function getTaxonomy(scheme = DEFAULT_SCHEME) {
+  const { name, description, categories } = SCHEMES[scheme];
+  return {
+    scheme: { id: scheme, name, description },
+    schemes: Object.entries(SCHEMES).map(([id, s]) => ({ id, name: s.name, description: s.description })),
+    categories: [
+      ...Object.entries(categories).map(([id, category]) => ({
+        id,
+        ...(category.code && { code: category.code }),
+        name: category.name,
+        color: category.color,
+        sectors: category.sectors.map(slug => ({ id: slug, ...SECTORS[slug] }))
+      })),
+      { ...OTHER_CATEGORY, sectors: [] }
+    ],
+    sectors: Object.fromEntries(Object.entries(SECTORS).map(([slug, sector]) => [
+      slug,
+      { ...sector, category: categoryBySlug[scheme][slug] }
+    ]))
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Emissions Units
+ * Single place for mass units and global warming potential (GWP) bases.
+ *
+ * Upstream values are tonnes of each gas. By default CO2 and CO2e are
+ * reported in Mt and CH4/N2O in kt; `unit` reports every gas in one unit.
+ * Without `gwp`, CO2e is taken as reported by the data source (IPCC AR6);
+ * with `gwp`, CO2e is recomputed from CO2, CH4 and N2O using that basis.
+ */
+
+import { badRequest, round } from './common.js';
+
+export const MASS_UNITS = {
+  t: { factor: 1, name: 'tonnes' },
+  kt: { factor: 1e3, name: 'thousand tonnes' },
+  Mt: { factor: 1e6, name: 'million tonnes' },
+  Gt: { factor: 1e9, name: 'billion tonnes' }
+};
+
+export const GWP_BASES = {
+  ar6_100: { report: 'AR6', horizon: 100, label: 'IPCC AR6 GWP100', factors: { co2: 1, ch4: 29.8, n2o: 273 } },
+  ar6_20: { report: 'AR6', horizon: 20, label: 'IPCC AR6 GWP20', factors: { co2: 1, ch4: 82.5, n2o: 273 } },
+  ar5_100: { report: 'AR5', horizon: 100, label: 'IPCC AR5 GWP100', factors: { co2: 1, ch4: 28, n2o: 265 } },
+  ar5_20: { report: 'AR5', horizon: 20, label: 'IPCC AR5 GWP20', factors: { co2: 1, ch4: 84, n2o: 264 } }
+};
+
+export const GASES = {
+  co2: { name: 'Carbon Dioxide', defaultUnit: 'Mt' },
+  ch4: { name: 'Methane', defaultUnit: 'kt' },
+  n2o: { name: 'Nitrous Oxide', defaultUnit: 'kt' },
+  co2e_100yr: { name: 'CO2 Equivalent (100yr)', defaultUnit: 'Mt' },
+  co2e_20yr: { name: 'CO2 Equivalent (20yr)', defaultUnit: 'Mt' }
+};
+
+const DEFAULT_GWP = 'ar6_100';
+
+/**
+ * Validates `unit` and `gwp` query values into a units context.
+ * Throws an error with status 400 for unknown values.
+ *
+ * @param {Object} options
+ * @param {string} [options.unit] - t, kt, Mt or Gt; omit for per-gas defaults
+ * @param {string} [options.gwp] - ar6_100, ar6_20, ar5_100 or ar5_20; omit for source CO2e
+ * @returns {{unit: string|null, gwp: string, horizon: number, factors: Object, recompute: boolean}}
+ */
+export function resolveUnits({ unit, gwp } = {}) {
+  const matchedUnit = unit ? Object.keys(MASS_UNITS).find(u => u.toLowerCase() === String(unit).toLowerCase()) : null;
+  if (unit && !matchedUnit) {
+    throw badRequest(`Unknown unit: ${unit}. Available: ${Object.keys(MASS_UNITS).join(', ')}`);
+  }
+
+  const gwpKey = gwp ? String(gwp).toLowerCase() : DEFAULT_GWP;
+  const basis = GWP_BASES[gwpKey];
+  if (!basis) {
+    throw badRequest(`Unknown GWP basis: ${gwp}. Available: ${Object.keys(GWP_BASES).join(', ')}`);
+  }
+
+  return {
+    unit: matchedUnit,
+    gwp: gwpKey,
+    horizon: basis.horizon,
+    factors: basis.factors,
+    recompute: Boolean(gwp)
+  };
+}
+
+export const DEFAULT_UNITS = resolveUnits();
+
+/**
+ * CO2e key that matches the GWP horizon, used to rank sectors and industries
+ */
+export function co2eKey(units = DEFAULT_UNITS) {
+  return units.horizon === 20 ? 'co2e_20yr' : 'co2e_100yr';
+}
+
+/**
+ * Unit a gas is reported in
+ */
+export function gasUnit(gas, units = DEFAULT_UNITS) {
+  return units.unit || GASES[gas]?.defaultUnit || 'Mt';
+}
+
+/**
+ * Converts tonnes of a gas into its reporting unit
+ */
+export function convert(tonnes, gas, units = DEFAULT_UNITS) {
+  return round((tonnes || 0) / MASS_UNITS[gasUnit(gas, units)].factor);
+}
+
+/**
+ * Recomputes CO2e (both horizons) from individual gases when a GWP basis was
+ * requested. Values stay in tonnes.
+ */
+export function applyGwp(emissions = {}, units = DEFAULT_UNITS) {
+  if (!units.recompute) {
+    return emissions;
+  }
+
+  const basis = GWP_BASES[units.gwp];
+  const counterpart = GWP_BASES[`${basis.report.toLowerCase()}_${basis.horizon === 100 ? 20 : 100}`];
+  const weigh = factors => (emissions.co2 || 0) * factors.co2 + (emissions.ch4 || 0) * factors.ch4 + (emissions.n2o || 0) * factors.n2o;
+  const byHorizon = { [basis.horizon]: weigh(basis.factors), [counterpart.horizon]: weigh(counterpart.factors) };
+
+  return { ...emissions, co2e_100yr: byHorizon[100], co2e_20yr: byHorizon[20] };
+}
+
+/**
+ * Converts a set of gas tonnes into reporting units, applying the GWP basis
+ */
+export function convertGases(emissions = {}, units = DEFAULT_UNITS) {
+  const weighted = applyGwp(emissions || {}, units);
+  return Object.fromEntries(Object.keys(GASES).map(gas => [gas, convert(weighted[gas], gas, units)]));
+}
+
+/**
+ * Labelled gas values, e.g. { co2: { value, unit, name } }
+ */
+export function labelGases(emissions = {}, units = DEFAULT_UNITS) {
+  const values = convertGases(emissions, units);
+  return Object.fromEntries(Object.entries(GASES).map(([gas, { name }]) => [
+    gas,
+    { value: values[gas], unit: gasUnit(gas, units), name }
+  ]));
+}
+
+/**
+ * Human-readable unit label, e.g. "Mt CO2e (AR6 GWP100)"
+ */
+export function unitLabel(gas, units = DEFAULT_UNITS) {
+  const unit = gasUnit(gas, units);
+  if (gas === 'co2e_100yr' || gas === 'co2e_20yr') {
+    const basis = GWP_BASES[units.recompute ? units.gwp : DEFAULT_GWP];
+    const horizon = gas === 'co2e_20yr' ? 20 : 100;
+    return `${unit} CO2e (${basis.report} GWP${horizon})`;
+  }
+  return `${unit} ${gas.toUpperCase()}`;
+}
+
+/**
+ * Unit metadata attached to API responses
+ */
+export function describeUnits(units = DEFAULT_UNITS) {
+  const basis = GWP_BASES[units.gwp];
+  return {
+    mass: Object.fromEntries(Object.keys(GASES).map(gas => [gas, gasUnit(gas, units)])),
+    gwp: {
+      id: units.gwp,
+      label: basis.label,
+      horizon: basis.horizon,
+      co2eKey: co2eKey(units),
+      basis: units.recompute ? 'Recomputed from CO2, CH4 and N2O' : 'As reported by the data source'
+    }
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Upstream HTTP Client
+ * Shared client for all upstream emissions API calls.
+ *
+ * - Concurrency pool: at most `concurrency` requests in flight at once
+ * - Retries with exponential backoff (and Retry-After) on network errors, 429 and 5xx
+ * - Per-request timeout
+ * - In-flight deduplication: identical concurrent GETs share one request
+ */
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+export class UpstreamClient {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Max simultaneous requests
+   * @param {number} options.retries - Retry attempts after the first failure
+   * @param {number} options.timeout - Per-attempt timeout in ms
+   * @param {number} options.backoff - Base backoff delay in ms
+   * @param {number} options.maxBackoff - Backoff ceiling in ms
+   */
+  constructor({ concurrency = 4, retries = 3, timeout = 15000, backoff = 500, maxBackoff = 8000 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.retries = Math.max(0, retries);
+    this.timeout = timeout;
+    this.backoff = backoff;
+    this.maxBackoff = maxBackoff;
+    this.active = 0;
+    this.queue = [];
+    this.inFlight = new Map();
+  }
+
+  /**
+   * GET a URL and parse the JSON body
+   * @param {string} url - Absolute URL
+   * @param {Object} options
+   * @param {Object} options.headers - Request headers
+   * @returns {Promise<{status: number, data: *, etag: string|null, notModified: boolean}>}
+   */
+  getJson(url, { headers = {} } = {}) {
+    const key = `${url}|${headers['If-None-Match'] || ''}`;
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const pending = this.withRetries(url, headers).finally(() => {
+      this.inFlight.delete(key);
+    });
+    this.inFlight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Runs attempts until one succeeds or retries are exhausted
+   */
+  async withRetries(url, headers) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      try {
+        return await this.schedule(() => this.attempt(url, headers));
+      } catch (error) {
+        lastError = error;
+        if (!error.retryable || attempt === this.retries) break;
+
+        const delay = error.retryAfter ?? Math.min(this.maxBackoff, this.backoff * 2 ** attempt) * (0.5 + Math.random() / 2);
+        console.warn(`⚠️ Upstream retry ${attempt + 1}/${this.retries} in ${Math.round(delay)}ms (${error.message}): ${url}`);
+        await sleep(delay);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Performs a single request with a timeout
+   */
+  async attempt(url, headers) {
+    let response;
+    try {
+      response = await fetch(url, { headers, signal: AbortSignal.timeout(this.timeout) });
+    } catch (error) {
+      const wrapped = new Error(error.name === 'TimeoutError' ? `Timed out after ${this.timeout}ms` : error.message);
+      wrapped.retryable = true;
+      throw wrapped;
+    }
+
+    if (response.status === 304) {
+      return { status: 304, data: null, etag: response.headers.get('etag'), notModified: true };
+    }
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      error.retryable = RETRYABLE_STATUS.has(response.status);
+      const retryAfter = parseInt(response.headers.get('retry-after'));
+      if (!isNaN(retryAfter)) {
+        error.retryAfter = Math.min(this.maxBackoff, retryAfter * 1000);
+      }
+      throw error;
+    }
+
+    return {
+      status: response.status,
+      data: await response.json(),
+      etag: response.headers.get('etag'),
+      notModified: false
+    };
+  }
+
+  /**
+   * Runs a task once a pool slot is free
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      const run = async () => {
+        this.active++;
+        try {
+          resolve(await task());
+        } catch (error) {
+          reject(error);
+        } finally {
+          this.active--;
+          this.queue.shift()?.();
+        }
+      };
+
+      if (this.active < this.concurrency) {
+        run();
+      } else {
+        this.queue.push(run);
+      }
+    });
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+let sharedClient = null;
+
+/**
+ * Returns the shared client, configured from environment on first use
+ */
+export function getUpstreamClient() {
+  if (!sharedClient) {
+    const retries = parseInt(process.env.UPSTREAM_RETRIES);
+    sharedClient = new UpstreamClient({
+      concurrency: parseInt(process.env.UPSTREAM_CONCURRENCY) || 4,
+      retries: isNaN(retries) ? 3 : retries,
+      timeout: parseInt(process.env.UPSTREAM_TIMEOUT_MS) || 15000
+    });
+  }
+  return sharedClient;
+}
+
+export default UpstreamClient;